@@ -1,16 +1,47 @@
-// Application entry point: loads env, starts server, initializes DB and cron jobs
+// Application entry point: loads env, initializes DB and cron jobs, then starts the server
+// SIGTERM/SIGINT trigger a graceful shutdown (cron runs finish, sockets are disconnected, DB closed)
 
 import dotenv from "dotenv";
 dotenv.config();
 import { Server } from "./src/server.js";
+import { JOB_SETTINGS } from "./src/constants/job.constants.js";
+
+let server = null;
+let shuttingDown = false;
 
 const startApp = async () => {
   try {
-    const server = new Server();
+    server = new Server();
+    await server.start();
   } catch (err) {
     console.error("Error starting app:", err);
     process.exit(1);
   }
 };
 
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[Server] ${signal} received`);
+
+  // Exit anyway if something does not let go (e.g. a hung cron run or request)
+  setTimeout(() => {
+    console.error(`[Server] Shutdown did not finish in ${JOB_SETTINGS.shutdownTimeoutMs} ms, exiting`);
+    process.exit(1);
+  }, JOB_SETTINGS.shutdownTimeoutMs).unref();
+
+  try {
+    if (server) {
+      await server.stop(JOB_SETTINGS.cronDrainTimeoutMs);
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error("Error during shutdown:", err);
+    process.exit(1);
+  }
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
 startApp();
@@ -0,0 +1,58 @@
+// Database configuration for sequelize-cli (migrations and seeders). Mirrors database.config.js.
+
+require('dotenv').config();
+
+const DB_DIALECT = process.env.DB_DIALECT || 'postgres';
+
+if (!['postgres', 'sqlite'].includes(DB_DIALECT)) {
+  throw new Error(`Unsupported DB_DIALECT "${DB_DIALECT}" (use postgres or sqlite)`);
+}
+
+const DB_HOST = process.env.DB_HOST || 'localhost';
+const SANDBOX_MODE = process.env.SANDBOX_MODE === 'true';
+const DB_SCHEMA = process.env.DB_SCHEMA || (SANDBOX_MODE && DB_DIALECT === 'postgres' ? 'sandbox' : '');
+const DEFAULT_STORAGE = 'data/ares.sqlite';
+const DB_STORAGE = process.env.DB_STORAGE || (SANDBOX_MODE ? 'data/ares-sandbox.sqlite' : DEFAULT_STORAGE);
+
+if (DB_DIALECT === 'sqlite') {
+  if (DB_SCHEMA) {
+    throw new Error('DB_SCHEMA is only supported on PostgreSQL; use DB_STORAGE to pick the SQLite file');
+  }
+  if (SANDBOX_MODE && DB_STORAGE === DEFAULT_STORAGE) {
+    throw new Error(`Sandbox mode requires a dedicated DB_STORAGE (not "${DEFAULT_STORAGE}")`);
+  }
+} else if (SANDBOX_MODE && (!DB_SCHEMA || DB_SCHEMA === 'public')) {
+  throw new Error('Sandbox mode requires a dedicated DB_SCHEMA (not "public")');
+}
+
+const useSsl = process.env.DB_SSL === 'true' || DB_HOST.includes('supabase') || DB_HOST.includes('rds');
+
+const postgresConfig = {
+  database: process.env.DB_NAME || 'postgres',
+  username: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD || '',
+  host: DB_HOST,
+  port: Number(process.env.DB_PORT) || 5432,
+  dialect: 'postgres',
+  logging: false,
+  dialectOptions: {
+    ...(DB_SCHEMA ? { options: `-c search_path=${DB_SCHEMA}` } : {}),
+    ...(useSsl ? { ssl: { require: true, rejectUnauthorized: false } } : {})
+  }
+};
+
+const sqliteConfig = {
+  dialect: 'sqlite',
+  storage: DB_STORAGE,
+  logging: false,
+  transactionType: 'IMMEDIATE',
+  retry: { max: 10, match: [/SQLITE_BUSY/] }
+};
+
+const config = DB_DIALECT === 'sqlite' ? sqliteConfig : postgresConfig;
+
+module.exports = {
+  development: config,
+  test: config,
+  production: config
+};
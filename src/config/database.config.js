@@ -1,8 +1,16 @@
-// Database configuration: PostgreSQL with auto-SSL for Supabase/RDS
+// Database configuration: PostgreSQL with auto-SSL for Supabase/RDS and optional schema (sandbox isolation),
+// or an embedded SQLite file (DB_DIALECT=sqlite) for offline replicas without a database server
 
-import { Sequelize } from "sequelize"
+import { Sequelize, Transaction } from "sequelize"
 import 'dotenv/config'
 
+// Storage backend: postgres (default) or sqlite
+const DB_DIALECT = process.env.DB_DIALECT || 'postgres'
+
+if (!['postgres', 'sqlite'].includes(DB_DIALECT)) {
+    throw new Error(`Unsupported DB_DIALECT "${DB_DIALECT}" (use postgres or sqlite)`)
+}
+
 // Load database connection parameters from environment variables
 const DB_NAME = process.env.DB_NAME || 'postgres'
 const DB_USER = process.env.DB_USER || 'postgres'
@@ -10,28 +18,90 @@ const DB_PASSWORD = process.env.DB_PASSWORD || ''
 const DB_HOST = process.env.DB_HOST || 'localhost'
 const DB_PORT = Number(process.env.DB_PORT) || 5432
 
+// Sandbox instances must run on their own schema so drills never touch production data
+// SQLite has no schemas: there the sandbox gets its own database file instead
+const SANDBOX_MODE = process.env.SANDBOX_MODE === 'true'
+const DB_SCHEMA = process.env.DB_SCHEMA || (SANDBOX_MODE && DB_DIALECT === 'postgres' ? 'sandbox' : '')
+const DEFAULT_STORAGE = 'data/ares.sqlite'
+const DB_STORAGE = process.env.DB_STORAGE || (SANDBOX_MODE ? 'data/ares-sandbox.sqlite' : DEFAULT_STORAGE)
+
+if (DB_DIALECT === 'sqlite') {
+    if (DB_SCHEMA) {
+        throw new Error('DB_SCHEMA is only supported on PostgreSQL; use DB_STORAGE to pick the SQLite file')
+    }
+    if (SANDBOX_MODE && DB_STORAGE === DEFAULT_STORAGE) {
+        throw new Error(`Sandbox mode requires a dedicated DB_STORAGE (not "${DEFAULT_STORAGE}")`)
+    }
+} else {
+    if (SANDBOX_MODE && (!DB_SCHEMA || DB_SCHEMA === 'public')) {
+        throw new Error('Sandbox mode requires a dedicated DB_SCHEMA (not "public")')
+    }
+    if (DB_SCHEMA && !/^[a-z_][a-z0-9_]*$/i.test(DB_SCHEMA)) {
+        throw new Error(`Invalid DB_SCHEMA "${DB_SCHEMA}"`)
+    }
+}
+
 // Auto-detect if SSL should be used based on host or explicit configuration
 const useSsl = process.env.DB_SSL === 'true' || DB_HOST.includes('supabase') || DB_HOST.includes('rds')
 
-/**
- * Sequelize instance configured for PostgreSQL
- * Used by all models to connect to the database
- */
-
-export const sequelize = new Sequelize(DB_NAME, DB_USER, DB_PASSWORD, {
+const postgresOptions = {
         host: DB_HOST,
         port: DB_PORT,
         dialect: 'postgres',
         logging: false,
-        ...(useSsl
-            ? {
-                    dialectOptions: {
+        dialectOptions: {
+            // Every connection resolves unqualified tables in DB_SCHEMA
+            ...(DB_SCHEMA ? { options: `-c search_path=${DB_SCHEMA}` } : {}),
+            ...(useSsl
+                ? {
                         ssl: {
                             require: true,
                             // Allow self-signed / managed certs (common in cloud providers)
                             rejectUnauthorized: false,
                         },
-                    },
-                }
-            : {}),
-})
\ No newline at end of file
+                    }
+                : {}),
+        },
+}
+
+const sqliteOptions = {
+        dialect: 'sqlite',
+        storage: DB_STORAGE,
+        logging: false,
+        // SQLite has no row locks (FOR UPDATE is skipped): transactions take the write lock when they begin,
+        // so read-then-write transactions are serialized like the locked rows on PostgreSQL
+        transactionType: Transaction.TYPES.IMMEDIATE,
+        // Another connection holds the write lock: wait and retry instead of failing the request
+        retry: {
+            max: 10,
+            match: [/SQLITE_BUSY/],
+        },
+}
+
+/**
+ * Sequelize instance configured for PostgreSQL or SQLite (DB_DIALECT)
+ * Used by all models to connect to the database
+ */
+
+export const sequelize = DB_DIALECT === 'sqlite'
+    ? new Sequelize(sqliteOptions)
+    : new Sequelize(DB_NAME, DB_USER, DB_PASSWORD, postgresOptions)
+
+// Backend in use (postgres or sqlite)
+export const dbDialect = DB_DIALECT
+
+// Schema in use (empty = database default search_path; always empty on SQLite)
+export const dbSchema = DB_SCHEMA
+
+// SQLite database file (unused on PostgreSQL)
+export const dbStorage = DB_DIALECT === 'sqlite' ? DB_STORAGE : ''
+
+/**
+ * Backend-specific setup, run once after connecting
+ * SQLite: write-ahead log, so readers (API, sockets) never wait for a writing transaction (cron, ledger)
+ */
+export const prepareDatabase = async () => {
+    if (DB_DIALECT === 'sqlite') {
+        await sequelize.query('PRAGMA journal_mode = WAL')
+    }
+}
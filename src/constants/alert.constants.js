@@ -0,0 +1,5 @@
+// Ciclo de vida de una alerta: open -> acknowledged -> resolved
+export const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Estados en los que la alerta sigue activa (un recurso tiene a lo sumo una alerta activa)
+export const ACTIVE_ALERT_STATUSES = ['open', 'acknowledged'];
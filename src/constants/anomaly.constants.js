@@ -0,0 +1,72 @@
+/**
+ * Tipos de anomalía detectados sobre el historial del cron de monitoreo
+ * rate_spike: la tasa de consumo reciente supera el patrón normal del recurso (p. ej. una fuga lenta)
+ * unexplained_drop: caída entre dos registros del cron sin movimiento con motivo que la explique
+ */
+export const ANOMALY_TYPES = ['rate_spike', 'unexplained_drop'];
+
+// Ciclo de vida de una anomalía: open -> acknowledged -> resolved
+export const ANOMALY_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+/**
+ * Sensibilidad del detector por categoría (valores por defecto, ajustables con PUT /api/anomalies/settings/:category)
+ * enabled: activa o desactiva la detección para la categoría
+ * windowMinutes: ventana reciente cuya tasa de consumo se compara con la línea base
+ * rateFactor: la tasa reciente debe ser al menos rateFactor veces la tasa media de la línea base
+ * zScore: y superar la media en zScore desviaciones estándar
+ * minExcessPct: exceso mínimo consumido en la ventana, en % del nivel máximo (evita falsos positivos con tasas casi nulas)
+ * stepDropPct: caída sin explicar entre dos registros a partir de la cual se marca, en % del nivel máximo
+ */
+export const ANOMALY_CATEGORY_DEFAULTS = {
+  oxygen: {
+    enabled: true,
+    windowMinutes: 60,
+    rateFactor: 2,
+    zScore: 3,
+    minExcessPct: 0.2,   // 50 L con el tanque de 25000 L
+    stepDropPct: 1
+  },
+  water: {
+    enabled: true,
+    windowMinutes: 60,
+    rateFactor: 2,
+    zScore: 3,
+    minExcessPct: 0.5,
+    stepDropPct: 2
+  },
+  spare_parts: {
+    enabled: true,
+    windowMinutes: 240,  // consumo esporádico (reparaciones)
+    rateFactor: 3,
+    zScore: 3,
+    minExcessPct: 5,
+    stepDropPct: 5
+  },
+  food: {
+    enabled: true,
+    windowMinutes: 120,  // las comidas se registran en bloques
+    rateFactor: 2.5,
+    zScore: 3,
+    minExcessPct: 2,
+    stepDropPct: 3
+  }
+};
+
+// Nombres de los parámetros de sensibilidad ajustables por categoría
+export const ANOMALY_SETTING_KEYS = ['enabled', 'windowMinutes', 'rateFactor', 'zScore', 'minExcessPct', 'stepDropPct'];
+
+/**
+ * Parámetros globales del detector
+ * baselineHours: historial previo a la ventana reciente usado como patrón normal de consumo
+ * minBaselineWindows: ventanas de la línea base con datos necesarias para evaluar picos de tasa
+ * minWindowCoverage: fracción de una ventana que deben cubrir los registros para contar
+ * maxWindowMinutes: ventana reciente máxima configurable
+ * explainedChangeTypes: movimientos que explican un cambio aunque no tengan motivo
+ */
+export const ANOMALY_SETTINGS = {
+  baselineHours: 24,
+  minBaselineWindows: 6,
+  minWindowCoverage: 0.5,
+  maxWindowMinutes: 720,
+  explainedChangeTypes: ['production', 'transfer']
+};
@@ -0,0 +1,20 @@
+/**
+ * Roles de usuario ordenados de menor a mayor privilegio
+ * observer: solo lectura de recursos, historial y alertas
+ * crew: además registra consumos, actualiza cantidades y reconoce alertas
+ * quartermaster: además repone stock, crea recursos, edita umbrales, traslada carga entre bases y gestiona el catálogo de repuestos
+ * commander: además administra usuarios y bases
+ */
+export const ROLES = ['observer', 'crew', 'quartermaster', 'commander'];
+
+// Verifica si un rol tiene al menos el privilegio del rol requerido
+export const hasMinimumRole = (role, requiredRole) => {
+  const index = ROLES.indexOf(role);
+  return index !== -1 && index >= ROLES.indexOf(requiredRole);
+};
+
+// Configuración de los tokens de autenticación
+export const AUTH_SETTINGS = {
+  tokenExpiresIn: process.env.JWT_EXPIRES_IN || '12h',
+  saltRounds: 10
+};
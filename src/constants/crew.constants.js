@@ -0,0 +1,23 @@
+// Estados posibles de un miembro de la tripulación
+export const CREW_STATUSES = ['active', 'on_eva', 'sick'];
+
+/**
+ * Multiplicadores de consumo según el estado del tripulante
+ * on_eva: los trajes de EVA consumen más oxígeno y agua
+ * sick: más hidratación, menos alimento
+ * Las categorías no listadas usan 1
+ */
+export const CREW_STATUS_MULTIPLIERS = {
+  active: {},
+  on_eva: { oxygen: 1.5, water: 1.2, food: 1.1 },
+  sick: { water: 1.3, food: 0.8 }
+};
+
+/**
+ * Umbrales de días de suministro para la tripulación actual
+ * Por debajo de criticalDays el estado es 'critical', por debajo de lowDays es 'low'
+ */
+export const CREW_SUPPLY_THRESHOLDS = {
+  criticalDays: 3,
+  lowDays: 5
+};
@@ -0,0 +1,37 @@
+/**
+ * Hábitat creado por la migración para el inventario existente (base por defecto)
+ * Las altas sin hábitat (tripulación, ubicaciones) se asignan a esta base
+ */
+export const DEFAULT_HABITAT_CODE = 'ares-frontier';
+
+/**
+ * Selector de base de las peticiones HTTP: cabecera X-Habitat o query param habitat (código o ID)
+ * Sin selector los listados cubren todas las bases
+ */
+export const HABITAT_SELECTOR = {
+  header: 'x-habitat',
+  query: 'habitat'
+};
+
+// Códigos de hábitat: minúsculas, números y guiones (p. ej. ares-frontier, outpost-2)
+export const HABITAT_CODE_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Estados de un traslado entre bases
+ * dispatched: carga preparada, ya descontada de la base de origen
+ * in_transit: carga en camino
+ * received: carga abonada en la base de destino (estado final)
+ * cancelled: traslado anulado antes de salir; la carga vuelve a la base de origen (estado final)
+ */
+export const TRANSFER_STATUSES = ['dispatched', 'in_transit', 'received', 'cancelled'];
+
+// Traslados cuya carga aún no ha llegado a destino
+export const PENDING_TRANSFER_STATUSES = ['dispatched', 'in_transit'];
+
+// Transiciones de estado permitidas (una carga en camino ya no se puede anular)
+export const TRANSFER_STATUS_TRANSITIONS = {
+  dispatched: ['in_transit', 'cancelled'],
+  in_transit: ['received'],
+  received: [],
+  cancelled: []
+};
@@ -0,0 +1,19 @@
+/**
+ * Chequeos de salud (/health/ready)
+ * dbTimeoutMs: tiempo máximo de espera del chequeo de la base de datos
+ * monitoringStaleSeconds: sin una ejecución exitosa del cron de monitoreo en este tiempo, la instancia no está lista
+ */
+export const HEALTH_SETTINGS = {
+  dbTimeoutMs: 2000,
+  monitoringStaleSeconds: 180
+};
+
+/**
+ * Métricas Prometheus (/metrics)
+ * httpBuckets: límites (segundos) del histograma de latencia HTTP
+ * cronBuckets: límites (segundos) del histograma de duración de los cron jobs
+ */
+export const METRICS_SETTINGS = {
+  httpBuckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  cronBuckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+};
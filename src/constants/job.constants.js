@@ -0,0 +1,9 @@
+/**
+ * Gestión de cron jobs y apagado ordenado (SIGTERM/SIGINT)
+ * cronDrainTimeoutMs: tiempo máximo que el apagado espera a que terminen las ejecuciones en curso
+ * shutdownTimeoutMs: límite total del apagado; después el proceso termina de todos modos
+ */
+export const JOB_SETTINGS = {
+  cronDrainTimeoutMs: 10000,
+  shutdownTimeoutMs: 15000
+};
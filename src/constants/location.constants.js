@@ -0,0 +1,2 @@
+// Tipos de ubicación de almacenamiento
+export const LOCATION_TYPES = ['module', 'tank', 'depot'];
@@ -0,0 +1,36 @@
+/**
+ * Estados de la misión, de menor a mayor gravedad
+ * nominal: operación normal
+ * caution: algún recurso requiere atención (se puede racionar)
+ * emergency: la supervivencia depende de racionar o reabastecer pronto
+ * evacuation: los recursos no alcanzan; hay que abandonar la base
+ * El estado es el más grave entre las reglas que se cumplen (nominal si ninguna)
+ */
+export const MISSION_STATES = ['nominal', 'caution', 'emergency', 'evacuation'];
+
+// Estados a los que puede llevar una regla
+export const RULE_STATES = MISSION_STATES.slice(1);
+
+/**
+ * Condiciones de las reglas de estado
+ * status: recursos en el estado indicado o peor (low incluye critical)
+ * days_of_supply: categorías cuyos días de suministro de la tripulación están por debajo de days
+ * open_anomaly: recursos con una anomalía abierta o reconocida
+ * minMatches: recursos (o categorías, en days_of_supply) que deben cumplir la condición
+ */
+export const RULE_CONDITIONS = ['status', 'days_of_supply', 'open_anomaly'];
+
+export const RULE_STATUSES = ['low', 'critical'];
+
+// Categorías con plan de racionamiento y estados de la misión en los que se puede calcular
+export const RATIONING_CATEGORIES = ['food', 'water'];
+
+export const RATIONING_STATES = ['caution', 'emergency'];
+
+/**
+ * Parámetros del plan de racionamiento
+ * maxDays: horizonte máximo del plan (una ventana de lanzamiento Tierra-Marte son ~26 meses)
+ */
+export const RATIONING_SETTINGS = {
+  maxDays: 900
+};
@@ -0,0 +1,40 @@
+/**
+ * Catálogo de repuestos
+ * Los recursos de la categoría spare_parts con piezas en el catálogo derivan su cantidad total de ellas:
+ * el total es la suma del stock de sus piezas y solo cambia con movimientos de piezas
+ */
+export const PART_CATEGORY = 'spare_parts';
+
+// Números de pieza: mayúsculas, números y guiones (p. ej. SCR-VLV-220)
+export const PART_NUMBER_PATTERN = /^[A-Z0-9]+(-[A-Z0-9]+)*$/;
+
+// Sistemas compatibles: minúsculas, números y guiones bajos (p. ej. co2_scrubber, water_recovery)
+export const PART_SYSTEM_PATTERN = /^[a-z0-9]+(_[a-z0-9]+)*$/;
+
+/**
+ * Motivos de los movimientos de piezas (se registran en change_history del recurso)
+ * consume: installation (montada en un sistema), damaged (dañada o perdida), correction (ajuste de inventario)
+ * replenish: resupply (llegada de carga), repaired (retirada de un sistema o reparada), correction
+ */
+export const PART_CHANGE_REASONS = {
+  consume: ['installation', 'damaged', 'correction'],
+  replenish: ['resupply', 'repaired', 'correction']
+};
+
+/**
+ * Estados de una unidad con número de serie
+ * in_stock: en almacén (cuenta en el stock de la pieza)
+ * installed: montada en un sistema
+ * retired: dañada, perdida o dada de baja
+ */
+export const PART_ITEM_STATUSES = ['in_stock', 'installed', 'retired'];
+
+// Estado en que queda una unidad con número de serie al consumirla, según el motivo
+export const PART_ITEM_STATUS_BY_REASON = {
+  installation: 'installed',
+  damaged: 'retired',
+  correction: 'retired'
+};
+
+// Estado de stock de una pieza: critical (<= criticalLevel), low (<= reorderLevel), normal
+export const PART_STOCK_STATUSES = ['normal', 'low', 'critical'];
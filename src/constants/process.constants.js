@@ -0,0 +1,25 @@
+// Tipos de proceso de producción (ISRU: extracción de recursos in situ, p. ej. agua del regolito)
+export const PROCESS_TYPES = ['electrolysis', 'recycling', 'isru', 'other'];
+
+/**
+ * Estados de un proceso
+ * running: en marcha, el cron aplica sus flujos en cada tick
+ * starved: en marcha pero sin insumos suficientes; no produce y se reintenta en cada tick
+ * stopped: detenido manualmente
+ */
+export const PROCESS_STATUSES = ['running', 'starved', 'stopped'];
+
+// Procesos que el cron intenta ejecutar
+export const ACTIVE_PROCESS_STATUSES = ['running', 'starved'];
+
+// Sentido de cada flujo: input consume el recurso, output lo produce
+export const FLOW_DIRECTIONS = ['input', 'output'];
+
+/**
+ * Ejecución de procesos
+ * maxCatchUpHours: horas máximas aplicadas en un solo tick (tras una caída del servidor no se
+ * acredita la producción de todo el tiempo sin registrar)
+ */
+export const PROCESS_SETTINGS = {
+  maxCatchUpHours: 1
+};
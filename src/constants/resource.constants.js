@@ -32,25 +32,142 @@ export const RESOURCE_LEVELS = {
   }
 };
 
-// Obtiene los niveles estándar según la categoría del recurso
+// Nombres de los umbrales configurables por recurso
+export const LEVEL_KEYS = ['minimumLevel', 'criticalLevel', 'maximumLevel'];
+
+// Obtiene los niveles estándar según la categoría del recurso (null si la categoría no existe)
 export const getLevelsByCategory = (category) => {
-  return RESOURCE_LEVELS[category] || RESOURCE_LEVELS.food;
+  return RESOURCE_LEVELS[category] || null;
+};
+
+/**
+ * Resuelve los niveles efectivos de un recurso
+ * Usa los niveles guardados en el recurso y completa con los de su categoría
+ * levelSource indica de dónde proviene cada umbral ('resource' o 'category')
+ */
+export const resolveResourceLevels = (resource, category) => {
+  const defaults = getLevelsByCategory(category);
+  if (!defaults) {
+    throw new Error(`No default levels defined for category "${category}"`);
+  }
+
+  const levels = { unit: defaults.unit, levelSource: {} };
+  LEVEL_KEYS.forEach(key => {
+    const override = resource[key];
+    const hasOverride = override !== undefined && override !== null;
+    levels[key] = hasOverride ? override : defaults[key];
+    levels.levelSource[key] = hasOverride ? 'resource' : 'category';
+  });
+
+  return levels;
+};
+
+// Verifica que los umbrales respeten el orden mínimo < crítico < máximo
+export const areLevelsOrdered = (levels) => {
+  return levels.minimumLevel < levels.criticalLevel && levels.criticalLevel < levels.maximumLevel;
 };
 
-// Verifica si la cantidad de un recurso está en nivel crítico
-export const isResourceCritical = (quantity, category) => {
-  const levels = getLevelsByCategory(category);
+// Verifica si la cantidad de un recurso llegó al nivel crítico (estado low o critical)
+export const isResourceCritical = (quantity, levels) => {
   return quantity <= levels.criticalLevel;
 };
 
+/**
+ * Estado de un recurso según sus niveles (minimumLevel < criticalLevel < maximumLevel)
+ * critical: cantidad <= minimumLevel (por debajo de la reserva mínima aceptable)
+ * low: cantidad <= criticalLevel (requiere atención)
+ * normal: cantidad > criticalLevel
+ */
+export const getResourceStatus = (quantity, levels) => {
+  if (quantity <= levels.minimumLevel) return 'critical';
+  if (quantity <= levels.criticalLevel) return 'low';
+  return 'normal';
+};
+
 // Verifica si la cantidad está por debajo del nivel mínimo aceptable
-export const isResourceBelowMinimum = (quantity, category) => {
-  const levels = getLevelsByCategory(category);
+export const isResourceBelowMinimum = (quantity, levels) => {
   return quantity < levels.minimumLevel;
 };
 
 // Verifica si la cantidad excede la capacidad máxima
-export const isResourceAboveMaximum = (quantity, category) => {
-  const levels = getLevelsByCategory(category);
+export const isResourceAboveMaximum = (quantity, levels) => {
   return quantity > levels.maximumLevel;
 };
+
+// Duración de un sol (día marciano) en horas terrestres
+export const SOL_HOURS = 24.6597;
+
+/**
+ * Parámetros del pronóstico de agotamiento
+ * windowHours: ventana de historial usada para ajustar la tasa de consumo
+ * maxWindowHours: ventana máxima permitida (coincide con la retención de 30 días)
+ * minSamples: registros mínimos necesarios para ajustar una tasa
+ * minSpanHours: horas mínimas entre el primer y el último registro (en tramos más cortos
+ *   un solo movimiento se extrapola a una tasa diaria enorme)
+ * confidenceZ: factor z de la banda de confianza (1.96 ≈ 95%)
+ * consumptionChangeTypes / nonConsumptionReasons: movimientos que cuentan como consumo en el ajuste;
+ *   el resto (reabastecimientos, llegadas, traslados, correcciones, producción) se descuenta de la serie
+ */
+export const FORECAST_SETTINGS = {
+  windowHours: 24,
+  maxWindowHours: 720,
+  minSamples: 3,
+  minSpanHours: 2,
+  confidenceZ: 1.96,
+  consumptionChangeTypes: ['snapshot', 'consume'],
+  nonConsumptionReasons: ['correction']
+};
+
+/**
+ * Tipos de registro en change_history
+ * snapshot: registro automático del cron
+ * increase/decrease/update: cantidad absoluta fijada con update-quantity
+ * consume/replenish: movimientos con delta y motivo
+ * transfer: traslado entre ubicaciones (el total del recurso no cambia; un registro por lado)
+ * production: insumo (delta negativo) o producto (delta positivo) de un proceso de producción
+ */
+export const CHANGE_TYPES = ['snapshot', 'increase', 'decrease', 'update', 'consume', 'replenish', 'transfer', 'production'];
+
+// Origen del registro en change_history (sandbox: eventos inyectados en simulacros, import: registros históricos cargados)
+export const CHANGE_SOURCES = ['cron', 'api', 'sandbox', 'import'];
+
+// Motivos permitidos para cada operación de inventario
+export const CHANGE_REASONS = {
+  consume: ['meal', 'leak', 'correction'],
+  replenish: ['resupply', 'recycling', 'correction']
+};
+
+/**
+ * Resoluciones del historial y selección automática según el rango pedido
+ * raw: registros de change_history (retención de rawRetentionDays días)
+ * hour/day: agregados min/max/avg/first/last en history_hourly / history_daily
+ * rawMaxSpanHours: rangos hasta este tamaño se sirven con registros crudos
+ * hourlyMaxSpanDays: rangos hasta este tamaño se sirven con agregados por hora
+ * pageSize / maxPageSize: registros por página del historial (por defecto y máximo permitido en limit)
+ */
+export const HISTORY_RESOLUTIONS = ['raw', 'hour', 'day'];
+
+export const HISTORY_SETTINGS = {
+  rawRetentionDays: 30,
+  rawMaxSpanHours: 48,
+  hourlyMaxSpanDays: 60,
+  maxRangePoints: 5000,
+  pageSize: 100,
+  maxPageSize: 1000
+};
+
+// Orden de las páginas del historial por fecha del registro
+export const HISTORY_SORT_ORDERS = ['desc', 'asc'];
+
+/**
+ * Exportación e importación de datos (CSV / NDJSON)
+ * batchSize: registros leídos por consulta al exportar y escritos por inserción al importar
+ * maxImportRows: filas máximas por archivo importado
+ */
+export const DATA_FORMATS = ['csv', 'ndjson'];
+
+export const DATA_TRANSFER_SETTINGS = {
+  batchSize: 1000,
+  maxImportRows: 50000,
+  maxImportSize: '10mb'
+};
@@ -0,0 +1,18 @@
+// Estados de una misión de reabastecimiento
+export const RESUPPLY_STATUSES = ['scheduled', 'in_transit', 'arrived', 'delayed', 'lost'];
+
+// Misiones cuya carga aún no se ha entregado (cuentan en las proyecciones de agotamiento)
+export const PENDING_RESUPPLY_STATUSES = ['scheduled', 'in_transit', 'delayed'];
+
+/**
+ * Transiciones de estado permitidas
+ * scheduled -> in_transit al llegar launchDate (cron) y in_transit/delayed -> arrived al llegar arrivalDate
+ * arrived y lost son estados finales
+ */
+export const RESUPPLY_STATUS_TRANSITIONS = {
+  scheduled: ['in_transit', 'delayed', 'lost'],
+  in_transit: ['arrived', 'delayed', 'lost'],
+  delayed: ['in_transit', 'arrived', 'lost'],
+  arrived: [],
+  lost: []
+};
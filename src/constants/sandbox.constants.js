@@ -0,0 +1,17 @@
+/**
+ * Tipos de eventos inyectables en un simulacro
+ * leak: pérdida proporcional (percentPerHour) del stock actual, p. ej. fuga de oxígeno al 2%/hora
+ * drain: consumo constante (unitsPerHour), p. ej. reciclador de agua fuera de servicio
+ * step: cambio único de stock (amount con signo), p. ej. ruptura de un tanque o reabastecimiento
+ */
+export const SANDBOX_EVENT_TYPES = ['leak', 'drain', 'step'];
+
+/**
+ * Parámetros del modo sandbox
+ * tickSeconds: cada cuántos segundos reales corre el cron de monitoreo (se recomienda ≥ 60x de velocidad)
+ * maxClockSpeed: velocidad máxima del reloj simulado
+ */
+export const SANDBOX_SETTINGS = {
+  tickSeconds: Number(process.env.SIM_TICK_SECONDS) || 5,
+  maxClockSpeed: 3600
+};
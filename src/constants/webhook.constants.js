@@ -0,0 +1,51 @@
+/**
+ * Eventos que se pueden suscribir con un webhook (mismos nombres que los eventos WebSocket)
+ * resource:status_changed: un recurso cambió de estado (normal/low/critical)
+ * resource:quantity_changed: cambió la cantidad de un recurso
+ * resource:snapshot: registro del cron de monitoreo (todos los recursos, cada minuto)
+ * resource:anomaly: anomalía de consumo detectada (pico de tasa o caída sin explicar)
+ * alert:*: ciclo de vida de las alertas
+ * resupply:arrived / process:status: llegada de misiones y cambios de estado de procesos
+ * mission:state_changed: transición del estado de la misión (nominal, caution, emergency, evacuation)
+ * transfer:status_changed: traslado de carga entre bases despachado, en camino, recibido o anulado
+ * '*' suscribe a todos los eventos
+ */
+export const WEBHOOK_EVENTS = [
+  'resource:status_changed',
+  'resource:quantity_changed',
+  'resource:snapshot',
+  'resource:anomaly',
+  'alert:opened',
+  'alert:updated',
+  'alert:acknowledged',
+  'alert:resolved',
+  'resupply:arrived',
+  'process:status',
+  'mission:state_changed',
+  'transfer:status_changed'
+];
+
+export const ALL_WEBHOOK_EVENTS = '*';
+
+// Estados de una entrega: pending (en curso o esperando reintento), succeeded, failed (reintentos agotados)
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * Entrega de webhooks
+ * maxAttempts: intentos por entrega antes de marcarla como failed
+ * baseDelaySeconds/maxDelaySeconds: backoff exponencial entre intentos (30s, 60s, 120s... hasta 1h)
+ * timeoutMs: tiempo máximo de espera de la respuesta del receptor
+ * maxResponseBodyLength: caracteres de la respuesta guardados en el registro de entregas
+ * retryBatchSize: entregas pendientes reintentadas por ejecución del cron
+ * deliveryRetentionDays: días que se conservan las entregas terminadas (succeeded/failed) en el registro;
+ *   resource:snapshot genera una por webhook suscrito cada minuto (unas 1440 al día)
+ */
+export const WEBHOOK_SETTINGS = {
+  maxAttempts: 6,
+  baseDelaySeconds: 30,
+  maxDelaySeconds: 3600,
+  timeoutMs: 5000,
+  maxResponseBodyLength: 1000,
+  retryBatchSize: 100,
+  deliveryRetentionDays: 7
+};
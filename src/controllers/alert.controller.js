@@ -0,0 +1,74 @@
+// Controllers handle HTTP requests and responses for alert endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getActiveAlertsService,
+  getAlertByIdService,
+  acknowledgeAlertService,
+  getAlertHistoryService
+} from '../services/alert.service.js';
+
+// GET /api/alerts - List open and acknowledged alerts (scoped by the base selector)
+export const getActiveAlertsController = async (req, res) => {
+  try {
+    const data = await getActiveAlertsService(req.habitat?.id);
+    return res.status(200).json({
+      message: 'Active alerts retrieved successfully',
+      alerts: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting active alerts', e);
+  }
+};
+
+// GET /api/alerts/history - Alert history with response times (query: resourceId, status, from, to, limit)
+export const getAlertHistoryController = async (req, res) => {
+  try {
+    const data = await getAlertHistoryService({ ...req.validated.query, habitatId: req.habitat?.id });
+
+    return res.status(200).json({
+      message: 'Alert history retrieved successfully',
+      alerts: data.alerts,
+      summary: data.summary,
+      count: data.alerts.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting alert history', e);
+  }
+};
+
+// GET /api/alerts/:id - Get alert by ID (scoped by the base selector)
+export const getAlertByIdController = async (req, res) => {
+  try {
+    const data = await getAlertByIdService(req.validated.params.id, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Alert retrieved successfully',
+      alert: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting alert', e);
+  }
+};
+
+// PUT /api/alerts/:id/acknowledge - Acknowledge an open alert (scoped by the base selector)
+export const acknowledgeAlertController = async (req, res) => {
+  try {
+    // The acknowledging operator is the authenticated user
+    const result = await acknowledgeAlertService(
+      req.validated.params.id,
+      req.user.username,
+      req.validated.body.note,
+      req.habitat?.id
+    );
+
+    return res.status(200).json({
+      message: 'Alert acknowledged successfully',
+      alert: result
+    });
+  } catch (e) {
+    errorHandler(res, 'Error acknowledging alert', e);
+  }
+};
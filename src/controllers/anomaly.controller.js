@@ -0,0 +1,107 @@
+// Controllers handle HTTP requests and responses for the anomaly endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getAnomaliesService,
+  getAnomalyByIdService,
+  acknowledgeAnomalyService,
+  resolveAnomalyService,
+  getAnomalySettingsService,
+  updateAnomalySettingsService
+} from '../services/anomaly.service.js';
+
+// GET /api/anomalies - List anomalies (query: resourceId, type, status, from, to, limit; scoped by the base selector)
+export const getAnomaliesController = async (req, res) => {
+  try {
+    const data = await getAnomaliesService({ ...req.validated.query, habitatId: req.habitat?.id });
+
+    return res.status(200).json({
+      message: 'Anomalies retrieved successfully',
+      anomalies: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting anomalies', e);
+  }
+};
+
+// GET /api/anomalies/:id - Get an anomaly (scoped by the base selector)
+export const getAnomalyByIdController = async (req, res) => {
+  try {
+    const data = await getAnomalyByIdService(req.validated.params.id, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Anomaly retrieved successfully',
+      anomaly: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting anomaly', e);
+  }
+};
+
+// PUT /api/anomalies/:id/acknowledge - Acknowledge an open anomaly (scoped by the base selector)
+export const acknowledgeAnomalyController = async (req, res) => {
+  try {
+    const data = await acknowledgeAnomalyService(
+      req.validated.params.id,
+      req.user.username,
+      req.validated.body.note,
+      req.habitat?.id
+    );
+
+    return res.status(200).json({
+      message: 'Anomaly acknowledged successfully',
+      anomaly: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error acknowledging anomaly', e);
+  }
+};
+
+// PUT /api/anomalies/:id/resolve - Resolve an open or acknowledged anomaly (scoped by the base selector)
+export const resolveAnomalyController = async (req, res) => {
+  try {
+    const data = await resolveAnomalyService(req.validated.params.id, req.user.username, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Anomaly resolved successfully',
+      anomaly: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error resolving anomaly', e);
+  }
+};
+
+// GET /api/anomalies/settings - Detector sensitivity of every category
+export const getAnomalySettingsController = async (req, res) => {
+  try {
+    const data = await getAnomalySettingsService();
+
+    return res.status(200).json({
+      message: 'Anomaly settings retrieved successfully',
+      settings: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting anomaly settings', e);
+  }
+};
+
+// PUT /api/anomalies/settings/:category - Change the detector sensitivity of a category
+export const updateAnomalySettingsController = async (req, res) => {
+  try {
+    const data = await updateAnomalySettingsService(
+      req.validated.params.category,
+      req.validated.body,
+      req.user.username
+    );
+
+    return res.status(200).json({
+      message: 'Anomaly settings updated successfully',
+      settings: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating anomaly settings', e);
+  }
+};
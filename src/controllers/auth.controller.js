@@ -0,0 +1,77 @@
+// Controllers handle HTTP requests and responses for authentication and user endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  loginService,
+  createUserService,
+  updateUserService,
+  getAllUsersService
+} from '../services/auth.service.js';
+
+// POST /api/auth/login - Exchange credentials for a token
+export const loginController = async (req, res) => {
+  try {
+    const { username, password } = req.validated.body;
+    const result = await loginService(username, password);
+
+    return res.status(200).json({
+      message: 'Login successful',
+      token: result.token,
+      expiresIn: result.expiresIn,
+      user: result.user
+    });
+  } catch (e) {
+    errorHandler(res, 'Error logging in', e);
+  }
+};
+
+// GET /api/auth/me - Get the authenticated user
+export const getCurrentUserController = async (req, res) => {
+  return res.status(200).json({
+    message: 'Authenticated user retrieved successfully',
+    user: req.user
+  });
+};
+
+// GET /api/auth/users - List user accounts
+export const getAllUsersController = async (req, res) => {
+  try {
+    const data = await getAllUsersService();
+    return res.status(200).json({
+      message: 'Users retrieved successfully',
+      users: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting users', e);
+  }
+};
+
+// POST /api/auth/users - Create a user account
+export const createUserController = async (req, res) => {
+  try {
+    const data = await createUserService(req.validated.body);
+
+    return res.status(201).json({
+      message: 'User created successfully',
+      user: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error creating user', e);
+  }
+};
+
+// PUT /api/auth/users/:id - Update role, active flag or password
+export const updateUserController = async (req, res) => {
+  try {
+    const data = await updateUserService(req.validated.params.id, req.validated.body);
+
+    return res.status(200).json({
+      message: 'User updated successfully',
+      user: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating user', e);
+  }
+};
@@ -0,0 +1,112 @@
+// Controllers handle HTTP requests and responses for crew roster and supply endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getCrewSupplyService,
+  getAllCrewMembersService,
+  getCrewMemberByIdService,
+  createCrewMemberService,
+  updateCrewMemberService,
+  getConsumptionRatesService,
+  updateConsumptionRateService
+} from '../services/crew.service.js';
+
+// GET /api/crew - List crew roster (query: present=true for members currently on base; scoped by the base selector)
+export const getAllCrewMembersController = async (req, res) => {
+  try {
+    const { present } = req.validated.query;
+    const data = await getAllCrewMembersService({ present, habitatId: req.habitat?.id });
+    return res.status(200).json({
+      message: 'Crew members retrieved successfully',
+      crew: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting crew members', e);
+  }
+};
+
+// GET /api/crew/supply - Days of supply per category for the current crew (of the selected base, or all bases)
+export const getCrewSupplyController = async (req, res) => {
+  try {
+    const data = await getCrewSupplyService(undefined, req.habitat?.id);
+    return res.status(200).json({
+      message: 'Crew supply retrieved successfully',
+      supply: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting crew supply', e);
+  }
+};
+
+// GET /api/crew/rates - Daily per-capita consumption rates per category
+export const getConsumptionRatesController = async (req, res) => {
+  try {
+    const data = await getConsumptionRatesService();
+    return res.status(200).json({
+      message: 'Consumption rates retrieved successfully',
+      rates: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting consumption rates', e);
+  }
+};
+
+// PUT /api/crew/rates/:category - Set the daily per-capita consumption rate of a category
+export const updateConsumptionRateController = async (req, res) => {
+  try {
+    const { category } = req.validated.params;
+    const data = await updateConsumptionRateService(category, req.validated.body.dailyPerCapita);
+
+    return res.status(200).json({
+      message: 'Consumption rate updated successfully',
+      rate: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating consumption rate', e);
+  }
+};
+
+// GET /api/crew/:id - Get crew member by ID
+export const getCrewMemberByIdController = async (req, res) => {
+  try {
+    const data = await getCrewMemberByIdService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Crew member retrieved successfully',
+      crewMember: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting crew member', e);
+  }
+};
+
+// POST /api/crew - Add a crew member
+export const createCrewMemberController = async (req, res) => {
+  try {
+    const { habitatId } = req.validated.body;
+    const data = await createCrewMemberService({ ...req.validated.body, habitatId: habitatId ?? req.habitat?.id });
+
+    return res.status(201).json({
+      message: 'Crew member created successfully',
+      crewMember: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error creating crew member', e);
+  }
+};
+
+// PUT /api/crew/:id - Update a crew member (status, departure date, etc.)
+export const updateCrewMemberController = async (req, res) => {
+  try {
+    const data = await updateCrewMemberService(req.validated.params.id, req.validated.body);
+
+    return res.status(200).json({
+      message: 'Crew member updated successfully',
+      crewMember: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating crew member', e);
+  }
+};
@@ -0,0 +1,121 @@
+// Controllers handle HTTP requests and responses for data export (CSV/NDJSON) and import endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import { AppError } from '../utils/errors.js';
+import { toCsvLine, toNdjsonLine } from '../utils/csv.util.js';
+import {
+  getHistoryExportService,
+  getInventoryExportService,
+  importHistoryService
+} from '../services/data.service.js';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * Helper to write a chunk respecting backpressure (waits for drain on slow clients)
+ */
+const writeChunk = (res, chunk) => new Promise((resolve) => {
+  if (res.write(chunk)) {
+    resolve();
+  } else {
+    res.once('drain', resolve);
+  }
+});
+
+/**
+ * Stream an export as a file download (CSV with header row, or one JSON object per line)
+ * @param {Object} exportData - { format, columns, rows } where rows is an array or async iterable
+ */
+const streamExport = async (req, res, { format, columns, rows }, name) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${date}.${format}"`);
+
+  let aborted = false;
+  req.on('close', () => { aborted = !res.writableEnded; });
+
+  if (format === 'csv') {
+    await writeChunk(res, toCsvLine(columns));
+  }
+
+  for await (const row of rows) {
+    if (aborted) break;
+    await writeChunk(res, format === 'csv'
+      ? toCsvLine(columns.map(column => row[column]))
+      : toNdjsonLine(row));
+  }
+
+  res.end();
+};
+
+/**
+ * Helper for errors thrown while streaming: headers are already sent, so the response is cut
+ */
+const handleStreamError = (res, message, error) => {
+  if (res.headersSent) {
+    console.error(`[ERROR] ${message}:`, error);
+    res.destroy(error);
+    return;
+  }
+  errorHandler(res, message, error);
+};
+
+// GET /api/data/export/history - Stream change_history (query: format, resourceId, category, from, to; scoped by the base selector)
+export const exportHistoryController = async (req, res) => {
+  try {
+    const data = await getHistoryExportService({ ...req.validated.query, habitatId: req.habitat?.id });
+
+    await streamExport(req, res, data, 'history');
+  } catch (e) {
+    handleStreamError(res, 'Error exporting history', e);
+  }
+};
+
+// GET /api/data/export/inventory - Current inventory with effective levels (query: format, category; scoped by the base selector)
+export const exportInventoryController = async (req, res) => {
+  try {
+    const data = await getInventoryExportService({ ...req.validated.query, habitatId: req.habitat?.id });
+
+    await streamExport(req, res, data, 'inventory');
+  } catch (e) {
+    handleStreamError(res, 'Error exporting inventory', e);
+  }
+};
+
+// POST /api/data/import/history - Import historical records (body: CSV or NDJSON file content)
+export const importHistoryController = async (req, res) => {
+  try {
+    const { dryRun, skipInvalid } = req.validated.query;
+    // Format from the query, or inferred from the Content-Type
+    const format = req.validated.query.format || (req.is('application/x-ndjson') ? 'ndjson' : 'csv');
+
+    const data = await importHistoryService({
+      format,
+      content: req.body,
+      dryRun,
+      skipInvalid,
+      importedBy: req.user.username,
+      habitatId: req.habitat?.id
+    });
+
+    if (data.dryRun) {
+      return res.status(200).json({ message: 'Import validated (dry run, nothing written)', data });
+    }
+    // Nothing written: the report (per-line errors) goes in details
+    if (data.imported === 0) {
+      const error = data.rejected > 0
+        ? new AppError('IMPORT_REJECTED', 'Import rejected: fix the invalid rows or use skipInvalid=true', 422, data)
+        : new AppError('NOTHING_TO_IMPORT', 'Nothing to import', 422, data);
+      return errorHandler(res, error.message, error);
+    }
+
+    return res.status(201).json({ message: 'History imported successfully', data });
+  } catch (e) {
+    errorHandler(res, 'Error importing history', e);
+  }
+};
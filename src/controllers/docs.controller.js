@@ -0,0 +1,39 @@
+// Controllers serve the API specifications and the interactive viewer (Swagger UI, loaded from a CDN)
+
+import { openApiDocument } from '../docs/openapi.js';
+import { asyncApiDocument } from '../docs/asyncapi.js';
+
+const SWAGGER_UI_VERSION = '5.17.14';
+const SWAGGER_UI_CDN = `https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}`;
+
+const viewerPage = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${openApiDocument.info.title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_CDN}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_CDN}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// GET /api/docs - Interactive viewer of the OpenAPI document ("Authorize" takes the token from /api/auth/login)
+export const getDocsViewerController = (req, res) => {
+  res.type('html').send(viewerPage(`${req.baseUrl}/openapi.json`));
+};
+
+// GET /api/docs/openapi.json - OpenAPI 3.0 document of the resource API
+export const getOpenApiController = (req, res) => {
+  res.status(200).json(openApiDocument);
+};
+
+// GET /api/docs/asyncapi.json - AsyncAPI 2.6 document of the Socket.IO events
+export const getAsyncApiController = (req, res) => {
+  res.status(200).json(asyncApiDocument);
+};
@@ -0,0 +1,168 @@
+// Controllers handle HTTP requests and responses for the habitat (base) and inter-base transfer endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getHabitatsService,
+  getHabitatByIdService,
+  createHabitatService,
+  updateHabitatService
+} from '../services/habitat.service.js';
+import {
+  getTransfersService,
+  getTransferByIdService,
+  dispatchTransferService,
+  departTransferService,
+  receiveTransferService,
+  cancelTransferService
+} from '../services/transfer.service.js';
+import { notifyResourcesChanged } from '../services/notification.service.js';
+
+// GET /api/habitats - List bases with what each one holds
+export const getHabitatsController = async (req, res) => {
+  try {
+    const data = await getHabitatsService();
+
+    return res.status(200).json({
+      message: 'Habitats retrieved successfully',
+      habitats: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting habitats', e);
+  }
+};
+
+// GET /api/habitats/:id - Get a base
+export const getHabitatByIdController = async (req, res) => {
+  try {
+    const data = await getHabitatByIdService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Habitat retrieved successfully',
+      habitat: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting habitat', e);
+  }
+};
+
+// POST /api/habitats - Create a base
+export const createHabitatController = async (req, res) => {
+  try {
+    const data = await createHabitatService(req.validated.body);
+
+    return res.status(201).json({
+      message: 'Habitat created successfully',
+      habitat: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error creating habitat', e);
+  }
+};
+
+// PUT /api/habitats/:id - Update a base
+export const updateHabitatController = async (req, res) => {
+  try {
+    const data = await updateHabitatService(req.validated.params.id, req.validated.body);
+
+    return res.status(200).json({
+      message: 'Habitat updated successfully',
+      habitat: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating habitat', e);
+  }
+};
+
+// GET /api/habitats/transfers - List transfers (query: direction, status, resourceId, limit; scoped by the base selector)
+export const getTransfersController = async (req, res) => {
+  try {
+    const data = await getTransfersService({ ...req.validated.query, habitatId: req.habitat?.id });
+
+    return res.status(200).json({
+      message: 'Transfers retrieved successfully',
+      transfers: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting transfers', e);
+  }
+};
+
+// GET /api/habitats/transfers/:id - Get a transfer with its ledger entries
+export const getTransferByIdController = async (req, res) => {
+  try {
+    const data = await getTransferByIdService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Transfer retrieved successfully',
+      transfer: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting transfer', e);
+  }
+};
+
+// POST /api/habitats/transfers - Dispatch cargo to another base (debits the origin)
+export const dispatchTransferController = async (req, res) => {
+  try {
+    const data = await dispatchTransferService(req.validated.body, req.user.username);
+
+    await notifyResourcesChanged();
+
+    return res.status(201).json({
+      message: 'Transfer dispatched successfully',
+      transfer: data.transfer,
+      entry: data.entry
+    });
+  } catch (e) {
+    errorHandler(res, 'Error dispatching transfer', e);
+  }
+};
+
+// PUT /api/habitats/transfers/:id/depart - Cargo left the origin base
+export const departTransferController = async (req, res) => {
+  try {
+    const data = await departTransferService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Transfer marked in transit successfully',
+      transfer: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating transfer', e);
+  }
+};
+
+// PUT /api/habitats/transfers/:id/receive - Cargo arrived at the destination base (credits it)
+export const receiveTransferController = async (req, res) => {
+  try {
+    const data = await receiveTransferService(req.validated.params.id, req.user.username);
+
+    await notifyResourcesChanged();
+
+    return res.status(200).json({
+      message: 'Transfer received successfully',
+      transfer: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error receiving transfer', e);
+  }
+};
+
+// PUT /api/habitats/transfers/:id/cancel - Cancel a transfer before departure (credits the origin back)
+export const cancelTransferController = async (req, res) => {
+  try {
+    const data = await cancelTransferService(req.validated.params.id, req.user.username);
+
+    await notifyResourcesChanged();
+
+    return res.status(200).json({
+      message: 'Transfer cancelled successfully',
+      transfer: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error cancelling transfer', e);
+  }
+};
@@ -0,0 +1,36 @@
+// Controllers for health checks (orchestrator probes) and the Prometheus metrics endpoint
+
+import { errorHandler } from '../utils/error.handle.js';
+import { getLivenessService, getReadinessService } from '../services/health.service.js';
+import { getMetricsService } from '../services/metrics.service.js';
+
+// GET /health/live - The process is running (restart it if this fails)
+export const getLivenessController = (req, res) => {
+  return res.status(200).json(getLivenessService());
+};
+
+// GET /health/ready - Database and monitoring cron checks (503 while any of them is down)
+export const getReadinessController = async (req, res) => {
+  try {
+    const data = await getReadinessService();
+
+    return res.status(data.ready ? 200 : 503).json({
+      status: data.ready ? 'ready' : 'not_ready',
+      checks: data.checks,
+      crons: data.crons,
+      timestamp: new Date().toISOString()
+    });
+  } catch (e) {
+    errorHandler(res, 'Error checking readiness', e);
+  }
+};
+
+// GET /metrics - Prometheus text exposition
+export const getMetricsController = async (req, res) => {
+  try {
+    const body = await getMetricsService();
+    return res.status(200).type('text/plain; version=0.0.4; charset=utf-8').send(body);
+  } catch (e) {
+    errorHandler(res, 'Error collecting metrics', e);
+  }
+};
@@ -0,0 +1,102 @@
+// Controllers handle HTTP requests and responses for the cron job endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getAllJobsService,
+  getJobByNameService,
+  pauseJobService,
+  resumeJobService,
+  rescheduleJobService,
+  runJobService
+} from '../services/job.service.js';
+
+// GET /api/jobs - List cron jobs with their schedule, last run and next run
+export const getAllJobsController = async (req, res) => {
+  try {
+    const data = await getAllJobsService();
+
+    return res.status(200).json({
+      message: 'Jobs retrieved successfully',
+      jobs: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting jobs', e);
+  }
+};
+
+// GET /api/jobs/:name - Get a cron job
+export const getJobByNameController = async (req, res) => {
+  try {
+    const data = await getJobByNameService(req.validated.params.name);
+
+    return res.status(200).json({
+      message: 'Job retrieved successfully',
+      job: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting job', e);
+  }
+};
+
+// POST /api/jobs/:name/pause - Stop scheduling a job
+export const pauseJobController = async (req, res) => {
+  try {
+    const data = await pauseJobService(req.validated.params.name, req.user.username);
+
+    return res.status(200).json({
+      message: 'Job paused successfully',
+      job: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error pausing job', e);
+  }
+};
+
+// POST /api/jobs/:name/resume - Schedule a paused job again
+export const resumeJobController = async (req, res) => {
+  try {
+    const data = await resumeJobService(req.validated.params.name, req.user.username);
+
+    return res.status(200).json({
+      message: 'Job resumed successfully',
+      job: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error resuming job', e);
+  }
+};
+
+// POST /api/jobs/:name/run - Run a job now and return the outcome
+export const runJobController = async (req, res) => {
+  try {
+    const { job, run } = await runJobService(req.validated.params.name);
+
+    return res.status(200).json({
+      message: run.result === 'success' ? 'Job run completed successfully' : 'Job run failed',
+      job,
+      run
+    });
+  } catch (e) {
+    errorHandler(res, 'Error running job', e);
+  }
+};
+
+// PUT /api/jobs/:name/schedule - Change the schedule of a job (null = default)
+export const rescheduleJobController = async (req, res) => {
+  try {
+    const data = await rescheduleJobService(
+      req.validated.params.name,
+      req.validated.body.schedule,
+      req.user.username
+    );
+
+    return res.status(200).json({
+      message: 'Job schedule updated successfully',
+      job: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating job schedule', e);
+  }
+};
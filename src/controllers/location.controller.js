@@ -0,0 +1,117 @@
+// Controllers handle HTTP requests and responses for storage location and transfer endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getAllLocationsService,
+  getLocationByIdService,
+  createLocationService,
+  updateLocationService,
+  setLocationStockService,
+  transferStockService,
+  getLocationMovementsService
+} from '../services/location.service.js';
+
+// GET /api/locations - List storage locations with stock (query: type; scoped by the base selector)
+export const getAllLocationsController = async (req, res) => {
+  try {
+    const { type } = req.validated.query;
+    const data = await getAllLocationsService({ type, habitatId: req.habitat?.id });
+
+    return res.status(200).json({
+      message: 'Storage locations retrieved successfully',
+      locations: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting storage locations', e);
+  }
+};
+
+// GET /api/locations/:id - Get a storage location with its stock (scoped by the base selector)
+export const getLocationByIdController = async (req, res) => {
+  try {
+    const data = await getLocationByIdService(req.validated.params.id, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Storage location retrieved successfully',
+      location: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting storage location', e);
+  }
+};
+
+// GET /api/locations/:id/movements - Ledger entries of a location (query: limit; scoped by the base selector)
+export const getLocationMovementsController = async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+    const data = await getLocationMovementsService(id, req.validated.query.limit, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Location movements retrieved successfully',
+      movements: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting location movements', e);
+  }
+};
+
+// POST /api/locations - Create a storage location
+export const createLocationController = async (req, res) => {
+  try {
+    const { habitatId } = req.validated.body;
+    const data = await createLocationService({ ...req.validated.body, habitatId: habitatId ?? req.habitat?.id });
+
+    return res.status(201).json({
+      message: 'Storage location created successfully',
+      location: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error creating storage location', e);
+  }
+};
+
+// PUT /api/locations/:id - Update a storage location (scoped by the base selector)
+export const updateLocationController = async (req, res) => {
+  try {
+    const data = await updateLocationService(req.validated.params.id, req.validated.body, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Storage location updated successfully',
+      location: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating storage location', e);
+  }
+};
+
+// PUT /api/locations/:id/stocks/:resourceId - Store a resource in a location or change its capacity (scoped by the base selector)
+export const setLocationStockController = async (req, res) => {
+  try {
+    const { id, resourceId } = req.validated.params;
+    const data = await setLocationStockService(id, resourceId, req.validated.body.capacity, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Location stock updated successfully',
+      location: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating location stock', e);
+  }
+};
+
+// POST /api/locations/transfers - Move stock between locations (null = unassigned stock)
+export const transferStockController = async (req, res) => {
+  try {
+    const data = await transferStockService({ ...req.validated.body, operator: req.user.username });
+
+    return res.status(201).json({
+      message: 'Stock transferred successfully',
+      transfer: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error transferring stock', e);
+  }
+};
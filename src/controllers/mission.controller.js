@@ -0,0 +1,130 @@
+// Controllers handle HTTP requests and responses for the mission state endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getMissionStateService,
+  getMissionTransitionsService,
+  getMissionRulesService,
+  createMissionRuleService,
+  updateMissionRuleService,
+  deleteMissionRuleService,
+  syncMissionStateService,
+  getRationingPlanService
+} from '../services/mission.service.js';
+import { getAllResourcesService } from '../services/resource.service.js';
+
+/**
+ * Re-evaluate the mission state right away: a rule change can change it without waiting for the cron
+ */
+const reevaluateMissionState = async () => {
+  await syncMissionStateService(await getAllResourcesService());
+};
+
+// GET /api/mission/state - Current mission state and the rules that caused it
+export const getMissionStateController = async (req, res) => {
+  try {
+    const data = await getMissionStateService();
+
+    return res.status(200).json({
+      message: 'Mission state retrieved successfully',
+      mission: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting mission state', e);
+  }
+};
+
+// GET /api/mission/transitions - Log of state transitions (query: from, to, limit)
+export const getMissionTransitionsController = async (req, res) => {
+  try {
+    const data = await getMissionTransitionsService(req.validated.query);
+
+    return res.status(200).json({
+      message: 'Mission state transitions retrieved successfully',
+      transitions: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting mission state transitions', e);
+  }
+};
+
+// GET /api/mission/rules - List the rules that derive the mission state
+export const getMissionRulesController = async (req, res) => {
+  try {
+    const data = await getMissionRulesService();
+
+    return res.status(200).json({
+      message: 'Mission rules retrieved successfully',
+      rules: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting mission rules', e);
+  }
+};
+
+// POST /api/mission/rules - Create a mission rule
+export const createMissionRuleController = async (req, res) => {
+  try {
+    const data = await createMissionRuleService(req.validated.body, req.user.username);
+
+    await reevaluateMissionState();
+
+    return res.status(201).json({
+      message: 'Mission rule created successfully',
+      rule: data,
+      mission: await getMissionStateService()
+    });
+  } catch (e) {
+    errorHandler(res, 'Error creating mission rule', e);
+  }
+};
+
+// PUT /api/mission/rules/:id - Update a mission rule
+export const updateMissionRuleController = async (req, res) => {
+  try {
+    const data = await updateMissionRuleService(req.validated.params.id, req.validated.body, req.user.username);
+
+    await reevaluateMissionState();
+
+    return res.status(200).json({
+      message: 'Mission rule updated successfully',
+      rule: data,
+      mission: await getMissionStateService()
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating mission rule', e);
+  }
+};
+
+// DELETE /api/mission/rules/:id - Delete a mission rule
+export const deleteMissionRuleController = async (req, res) => {
+  try {
+    await deleteMissionRuleService(req.validated.params.id);
+
+    await reevaluateMissionState();
+
+    return res.status(200).json({
+      message: 'Mission rule deleted successfully',
+      mission: await getMissionStateService()
+    });
+  } catch (e) {
+    errorHandler(res, 'Error deleting mission rule', e);
+  }
+};
+
+// GET /api/mission/rationing - Daily allowances per food and water store until a target date (query: until; scoped by the base selector)
+export const getRationingPlanController = async (req, res) => {
+  try {
+    const data = await getRationingPlanService(req.validated.query.until, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Rationing plan calculated successfully',
+      plan: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error calculating rationing plan', e);
+  }
+};
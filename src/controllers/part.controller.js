@@ -0,0 +1,122 @@
+// Controllers handle HTTP requests and responses for the spare parts catalog endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getPartsService,
+  getPartSystemsService,
+  getPartByIdService,
+  createPartService,
+  updatePartService,
+  consumePartService,
+  replenishPartService
+} from '../services/part.service.js';
+import { notifyResourcesChanged } from '../services/notification.service.js';
+
+// GET /api/parts - List catalog parts (query: resourceId, system, status, search; scoped by the base selector)
+export const getPartsController = async (req, res) => {
+  try {
+    const data = await getPartsService({ ...req.validated.query, habitatId: req.habitat?.id });
+
+    return res.status(200).json({
+      message: 'Parts retrieved successfully',
+      parts: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting parts', e);
+  }
+};
+
+// GET /api/parts/systems - Systems covered by the catalog (scoped by the base selector)
+export const getPartSystemsController = async (req, res) => {
+  try {
+    const data = await getPartSystemsService(req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Part systems retrieved successfully',
+      systems: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting part systems', e);
+  }
+};
+
+// GET /api/parts/:id - Get a part with its serial-tracked units
+export const getPartByIdController = async (req, res) => {
+  try {
+    const data = await getPartByIdService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Part retrieved successfully',
+      part: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting part', e);
+  }
+};
+
+// POST /api/parts - Add a part to the catalog of a spare_parts resource
+export const createPartController = async (req, res) => {
+  try {
+    const data = await createPartService(req.validated.body, req.user.username);
+
+    await notifyResourcesChanged();
+
+    return res.status(201).json({
+      message: 'Part created successfully',
+      part: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error creating part', e);
+  }
+};
+
+// PUT /api/parts/:id - Update the catalog data or thresholds of a part
+export const updatePartController = async (req, res) => {
+  try {
+    const data = await updatePartService(req.validated.params.id, req.validated.body);
+
+    return res.status(200).json({
+      message: 'Part updated successfully',
+      part: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating part', e);
+  }
+};
+
+// POST /api/parts/:id/consume - Take units of a part out of stock (installation, damaged, correction)
+export const consumePartController = async (req, res) => {
+  try {
+    const data = await consumePartService(req.validated.params.id, req.validated.body, req.user.username);
+
+    await notifyResourcesChanged();
+
+    return res.status(200).json({
+      message: 'Part consumed successfully',
+      part: data.part,
+      entry: data.entry
+    });
+  } catch (e) {
+    errorHandler(res, 'Error consuming part', e);
+  }
+};
+
+// POST /api/parts/:id/replenish - Put units of a part into stock (resupply, repaired, correction)
+export const replenishPartController = async (req, res) => {
+  try {
+    const data = await replenishPartService(req.validated.params.id, req.validated.body, req.user.username);
+
+    await notifyResourcesChanged();
+
+    return res.status(200).json({
+      message: 'Part replenished successfully',
+      part: data.part,
+      entry: data.entry
+    });
+  } catch (e) {
+    errorHandler(res, 'Error replenishing part', e);
+  }
+};
@@ -0,0 +1,106 @@
+// Controllers handle HTTP requests and responses for production process endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getAllProcessesService,
+  getProcessByIdService,
+  createProcessService,
+  updateProcessService,
+  startProcessService,
+  stopProcessService
+} from '../services/process.service.js';
+import { notifyResourcesChanged } from '../services/notification.service.js';
+
+// GET /api/processes - List production processes (query: status, type)
+export const getAllProcessesController = async (req, res) => {
+  try {
+    const data = await getAllProcessesService(req.validated.query);
+
+    return res.status(200).json({
+      message: 'Production processes retrieved successfully',
+      processes: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting production processes', e);
+  }
+};
+
+// GET /api/processes/:id - Get a production process with its flows
+export const getProcessByIdController = async (req, res) => {
+  try {
+    const data = await getProcessByIdService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Production process retrieved successfully',
+      process: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting production process', e);
+  }
+};
+
+// POST /api/processes - Create a production process (stopped)
+export const createProcessController = async (req, res) => {
+  try {
+    const data = await createProcessService(req.validated.body);
+
+    return res.status(201).json({
+      message: 'Production process created successfully',
+      process: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error creating production process', e);
+  }
+};
+
+// PUT /api/processes/:id - Update a production process (flows only while stopped)
+export const updateProcessController = async (req, res) => {
+  try {
+    const data = await updateProcessService(req.validated.params.id, req.validated.body);
+
+    // Efficiency changes of a running process change the net flow in forecasts
+    await notifyResourcesChanged();
+
+    return res.status(200).json({
+      message: 'Production process updated successfully',
+      process: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating production process', e);
+  }
+};
+
+// POST /api/processes/:id/start - Start a production process
+export const startProcessController = async (req, res) => {
+  try {
+    const data = await startProcessService(req.validated.params.id, req.user.username);
+
+    await notifyResourcesChanged();
+
+    return res.status(200).json({
+      message: 'Production process started successfully',
+      process: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error starting production process', e);
+  }
+};
+
+// POST /api/processes/:id/stop - Stop a production process (posts the flows since the last tick)
+export const stopProcessController = async (req, res) => {
+  try {
+    const result = await stopProcessService(req.validated.params.id, req.user.username, req.validated.body.reason);
+
+    await notifyResourcesChanged();
+
+    return res.status(200).json({
+      message: 'Production process stopped successfully',
+      process: result.process,
+      entries: result.entries
+    });
+  } catch (e) {
+    errorHandler(res, 'Error stopping production process', e);
+  }
+};
@@ -1,4 +1,5 @@
 // Controllers handle HTTP requests and responses for resource endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
 
 import { errorHandler } from '../utils/error.handle.js';
 import {
@@ -11,16 +12,38 @@ import {
   getAllResourceDataService,
   getResourceHistoryService,
   getRecentHistoryService,
-  getHistoryStatsService
+  getHistoryStatsService,
+  getResourceForecastService,
+  getResourceLevelsService,
+  updateResourceLevelsService,
+  applyResourceDeltaService
 } from '../services/resource.service.js';
+import {
+  getHistorySeriesService,
+  getInventoryAtService,
+  compareInventoryService
+} from '../services/history.service.js';
+import { notifyResourcesChanged } from '../services/notification.service.js';
 
-// GET /api/resources/ - List all resources with dynamic levels
+// GET /api/resources/ - List all resources with dynamic levels (?at= rebuilds them at a past moment)
 export const getAllResourcesController = async (req, res) => {
   try {
-    const data = await getAllResourcesService();
-    return res.status(200).json({ 
-      message: 'Resources retrieved successfully', 
-      resources: data 
+    const { at } = req.validated.query;
+    const habitatId = req.habitat?.id;
+
+    if (at) {
+      const data = await getInventoryAtService(at, habitatId);
+      return res.status(200).json({
+        message: 'Inventory at the requested time retrieved successfully',
+        at,
+        resources: data
+      });
+    }
+
+    const data = await getAllResourcesService({ habitatId });
+    return res.status(200).json({
+      message: 'Resources retrieved successfully',
+      resources: data
     });
   } catch (e) {
     errorHandler(res, 'Error getting resources', e);
@@ -30,18 +53,12 @@ export const getAllResourcesController = async (req, res) => {
 // GET /api/resources/category/:category - Filter resources by category
 export const getResourcesByCategoryController = async (req, res) => {
   try {
-    const { category } = req.params;
-    const data = await getResourcesByCategoryService(category);
-    
-    if (data === 'INVALID_CATEGORY') {
-      return res.status(400).json({ 
-        message: 'Invalid category. Use: food, oxygen, water, or spare_parts' 
-      });
-    }
-    
-    return res.status(200).json({ 
-      message: `Resources for category ${category} retrieved successfully`, 
-      resources: data 
+    const { category } = req.validated.params;
+    const data = await getResourcesByCategoryService(category, req.habitat?.id);
+
+    return res.status(200).json({
+      message: `Resources for category ${category} retrieved successfully`,
+      resources: data
     });
   } catch (e) {
     errorHandler(res, 'Error getting resources by category', e);
@@ -51,16 +68,12 @@ export const getResourcesByCategoryController = async (req, res) => {
 // GET /api/resources/:id - Get resource by ID
 export const getResourceByIdController = async (req, res) => {
   try {
-    const { id } = req.params;
-    const data = await getResourceByIdService(Number(id));
-    
-    if (!data) {
-      return res.status(404).json({ message: 'Resource not found' });
-    }
-    
-    return res.status(200).json({ 
-      message: 'Resource retrieved successfully', 
-      resource: data 
+    const { id } = req.validated.params;
+    const data = await getResourceByIdService(id, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Resource retrieved successfully',
+      resource: data
     });
   } catch (e) {
     errorHandler(res, 'Error getting resource', e);
@@ -70,30 +83,16 @@ export const getResourceByIdController = async (req, res) => {
 // PUT /api/resources/:id/update-quantity - Update resource quantity and log to history
 export const updateResourceQuantityController = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { quantity } = req.body;
-    
-    const result = await updateResourceQuantityService(Number(id), quantity);
-    
-    if (result === 'RESOURCE_NOT_FOUND') {
-      return res.status(404).json({ message: 'Resource not found' });
-    }
-    if (result === 'INVALID_QUANTITY') {
-      return res.status(400).json({ message: 'Invalid quantity. Must be a positive number' });
-    }
-    
-    // Enviar actualización por WebSocket a todos los clientes conectados
-    if (global.io) {
-      const allResources = await getAllResourcesService();
-      global.io.emit('resources:update', {
-        resources: allResources,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    return res.status(200).json({ 
-      message: 'Resource quantity updated successfully', 
-      resource: result 
+    const { id } = req.validated.params;
+    const { quantity } = req.validated.body;
+
+    const result = await updateResourceQuantityService(id, quantity, req.user.username, req.habitat?.id);
+
+    await notifyResourcesChanged();
+
+    return res.status(200).json({
+      message: 'Resource quantity updated successfully',
+      resource: result
     });
   } catch (e) {
     errorHandler(res, 'Error updating resource quantity', e);
@@ -103,9 +102,9 @@ export const updateResourceQuantityController = async (req, res) => {
 // GET /api/resources/alerts - Get resources at or below critical levels
 export const getCriticalResourcesController = async (req, res) => {
   try {
-    const data = await getCriticalResourcesService();
-    return res.status(200).json({ 
-      message: 'Critical resources retrieved successfully', 
+    const data = await getCriticalResourcesService(req.habitat?.id);
+    return res.status(200).json({
+      message: 'Critical resources retrieved successfully',
       resources: data,
       count: data.length
     });
@@ -117,34 +116,15 @@ export const getCriticalResourcesController = async (req, res) => {
 // POST /api/resources - Create a new resource
 export const createResourceController = async (req, res) => {
   try {
-    const { resourceDataId, quantity } = req.body;
-    
-    if (!resourceDataId) {
-      return res.status(400).json({ message: 'resourceDataId is required' });
-    }
-    
-    if (quantity === undefined || quantity === null) {
-      return res.status(400).json({ message: 'quantity is required' });
-    }
-    
-    const result = await createResourceService({ resourceDataId, quantity });
-    
-    if (result === 'RESOURCE_DATA_ID_REQUIRED') {
-      return res.status(400).json({ message: 'resourceDataId is required' });
-    }
-    if (result === 'INVALID_QUANTITY') {
-      return res.status(400).json({ message: 'Invalid quantity. Must be a positive number' });
-    }
-    if (result === 'RESOURCE_DATA_NOT_FOUND') {
-      return res.status(404).json({ message: 'ResourceData not found' });
-    }
-    if (result === 'RESOURCE_ALREADY_EXISTS') {
-      return res.status(409).json({ message: 'Resource already exists for this ResourceData' });
-    }
-    
-    return res.status(201).json({ 
-      message: 'Resource created successfully', 
-      resource: result 
+    const { resourceDataId, quantity } = req.validated.body;
+
+    const result = await createResourceService({ resourceDataId, quantity, habitatId: req.habitat?.id });
+
+    await notifyResourcesChanged();
+
+    return res.status(201).json({
+      message: 'Resource created successfully',
+      resource: result
     });
   } catch (e) {
     errorHandler(res, 'Error creating resource', e);
@@ -154,9 +134,9 @@ export const createResourceController = async (req, res) => {
 // GET /api/resources/data - Get all ResourceData (for dropdown/selection)
 export const getAllResourceDataController = async (req, res) => {
   try {
-    const data = await getAllResourceDataService();
-    return res.status(200).json({ 
-      message: 'ResourceData retrieved successfully', 
+    const data = await getAllResourceDataService(req.habitat?.id);
+    return res.status(200).json({
+      message: 'ResourceData retrieved successfully',
       data: data,
       count: data.length
     });
@@ -165,60 +145,182 @@ export const getAllResourceDataController = async (req, res) => {
   }
 };
 
-// GET /api/resources/:id/history - Get history for a specific resource
+// GET /api/resources/:id/history - Get history for a specific resource (paged records or chart points)
 export const getResourceHistoryController = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { limit } = req.query;
-    
-    const data = await getResourceHistoryService(Number(id), limit ? Number(limit) : 100);
-    
-    if (data === 'RESOURCE_NOT_FOUND') {
-      return res.status(404).json({ message: 'Resource not found' });
+    const { id } = req.validated.params;
+    const { resolution, ...filters } = req.validated.query;
+
+    // With a resolution, return chart points at the one that fits the range (raw/hourly/daily)
+    if (resolution) {
+      const series = await getHistorySeriesService(id, {
+        from: filters.from,
+        to: filters.to,
+        resolution,
+        habitatId: req.habitat?.id
+      });
+
+      return res.status(200).json({
+        message: 'Resource history retrieved successfully',
+        resourceData: series.resourceData,
+        resolution: series.resolution,
+        from: series.from,
+        to: series.to,
+        history: series.points,
+        count: series.points.length
+      });
     }
-    
-    return res.status(200).json({ 
-      message: 'Resource history retrieved successfully', 
-      history: data,
-      count: data.length
+
+    const page = await getResourceHistoryService(id, { ...filters, habitatId: req.habitat?.id });
+
+    return res.status(200).json({
+      message: 'Resource history retrieved successfully',
+      history: page.history,
+      count: page.history.length,
+      total: page.total,
+      nextCursor: page.nextCursor
     });
   } catch (e) {
     errorHandler(res, 'Error getting resource history', e);
   }
 };
 
-// GET /api/resources/history/recent - Get recent history for all resources
+// GET /api/resources/history/recent - Get recent history for all resources (paged)
 export const getRecentHistoryController = async (req, res) => {
   try {
-    const { minutes } = req.query;
-    const data = await getRecentHistoryService(minutes ? Number(minutes) : 60);
-    
-    return res.status(200).json({ 
-      message: 'Recent history retrieved successfully', 
-      history: data,
-      count: data.length,
-      timeRange: `${minutes || 60} minutes`
+    const { minutes, from } = req.validated.query;
+    const page = await getRecentHistoryService({ ...req.validated.query, habitatId: req.habitat?.id });
+
+    return res.status(200).json({
+      message: 'Recent history retrieved successfully',
+      history: page.history,
+      count: page.history.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      from: page.from,
+      to: page.to,
+      ...(!from && { timeRange: `${minutes} minutes` })
     });
   } catch (e) {
     errorHandler(res, 'Error getting recent history', e);
   }
 };
 
+// GET /api/resources/compare - Per-resource deltas between two moments and the ledger entries behind them
+export const compareInventoryController = async (req, res) => {
+  try {
+    const { from, to, category, limit } = req.validated.query;
+    const data = await compareInventoryService(from, to, { category, habitatId: req.habitat?.id, limit });
+
+    return res.status(200).json({
+      message: 'Inventory comparison retrieved successfully',
+      from: data.from,
+      to: data.to,
+      resources: data.resources
+    });
+  } catch (e) {
+    errorHandler(res, 'Error comparing inventory', e);
+  }
+};
+
 // GET /api/resources/:id/stats - Get statistics for a resource
 export const getHistoryStatsController = async (req, res) => {
   try {
-    const { id } = req.params;
-    const data = await getHistoryStatsService(Number(id));
-    
-    if (data === 'RESOURCE_NOT_FOUND') {
-      return res.status(404).json({ message: 'Resource not found' });
-    }
-    
-    return res.status(200).json({ 
-      message: 'Resource statistics retrieved successfully', 
+    const { id } = req.validated.params;
+    const data = await getHistoryStatsService(id, { ...req.validated.query, habitatId: req.habitat?.id });
+
+    return res.status(200).json({
+      message: 'Resource statistics retrieved successfully',
       data: data
     });
   } catch (e) {
     errorHandler(res, 'Error getting resource statistics', e);
   }
 };
+
+// GET /api/resources/:id/forecast - Get depletion forecast for a resource
+export const getResourceForecastController = async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+    const { hours } = req.validated.query;
+    const data = await getResourceForecastService(id, hours, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Resource forecast retrieved successfully',
+      data: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting resource forecast', e);
+  }
+};
+
+// GET /api/resources/:id/levels - Get effective levels and threshold change log for a resource
+export const getResourceLevelsController = async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+    const data = await getResourceLevelsService(id, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Resource levels retrieved successfully',
+      data: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting resource levels', e);
+  }
+};
+
+// PUT /api/resources/:id/levels - Update per-resource levels and log who changed them
+export const updateResourceLevelsController = async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+
+    // Threshold changes are attributed to the authenticated user
+    const result = await updateResourceLevelsService(id, req.validated.body, req.user.username, req.habitat?.id);
+
+    // New levels may open or resolve alerts without waiting for the next cron run
+    await notifyResourcesChanged();
+
+    return res.status(200).json({
+      message: 'Resource levels updated successfully',
+      resource: result.resource,
+      change: result.change
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating resource levels', e);
+  }
+};
+
+/**
+ * Build a controller for a ledger operation (consume/replenish share the same flow)
+ */
+const applyResourceDeltaController = (operation) => async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+    const { delta, reason, locationId } = req.validated.body;
+
+    // Ledger entries are attributed to the authenticated user
+    const result = await applyResourceDeltaService(id, operation, {
+      delta,
+      reason,
+      locationId,
+      operator: req.user.username,
+      habitatId: req.habitat?.id
+    });
+
+    await notifyResourcesChanged();
+
+    return res.status(200).json({
+      message: operation === 'consume' ? 'Resource consumed successfully' : 'Resource replenished successfully',
+      resource: result.resource,
+      entry: result.entry
+    });
+  } catch (e) {
+    errorHandler(res, `Error applying ${operation} to resource`, e);
+  }
+};
+
+// POST /api/resources/:id/consume - Withdraw stock (negative delta) with a reason
+export const consumeResourceController = applyResourceDeltaController('consume');
+
+// POST /api/resources/:id/replenish - Add stock (positive delta) with a reason
+export const replenishResourceController = applyResourceDeltaController('replenish');
@@ -0,0 +1,103 @@
+// Controllers handle HTTP requests and responses for resupply mission endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getAllMissionsService,
+  getMissionByIdService,
+  createMissionService,
+  updateMissionService,
+  updateMissionStatusService,
+  getResupplyOutlookService
+} from '../services/resupply.service.js';
+import { notifyResourcesChanged } from '../services/notification.service.js';
+
+// GET /api/resupply - List missions (query: status)
+export const getAllMissionsController = async (req, res) => {
+  try {
+    const data = await getAllMissionsService(req.validated.query);
+
+    return res.status(200).json({
+      message: 'Resupply missions retrieved successfully',
+      missions: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting resupply missions', e);
+  }
+};
+
+// GET /api/resupply/outlook - Whether each resource lasts until a date (query: until, default next launch; scoped by the base selector)
+export const getResupplyOutlookController = async (req, res) => {
+  try {
+    const data = await getResupplyOutlookService(req.validated.query.until, req.habitat?.id);
+
+    return res.status(200).json({
+      message: 'Resupply outlook retrieved successfully',
+      data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting resupply outlook', e);
+  }
+};
+
+// GET /api/resupply/:id - Get a mission with its manifest
+export const getMissionByIdController = async (req, res) => {
+  try {
+    const data = await getMissionByIdService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Resupply mission retrieved successfully',
+      mission: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting resupply mission', e);
+  }
+};
+
+// POST /api/resupply - Schedule a mission
+export const createMissionController = async (req, res) => {
+  try {
+    const data = await createMissionService(req.validated.body, req.user.username);
+
+    return res.status(201).json({
+      message: 'Resupply mission scheduled successfully',
+      mission: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error creating resupply mission', e);
+  }
+};
+
+// PUT /api/resupply/:id - Update mission details (manifest only before launch)
+export const updateMissionController = async (req, res) => {
+  try {
+    const data = await updateMissionService(req.validated.params.id, req.validated.body);
+
+    return res.status(200).json({
+      message: 'Resupply mission updated successfully',
+      mission: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating resupply mission', e);
+  }
+};
+
+// PUT /api/resupply/:id/status - Change mission status (arrived posts the manifest into inventory)
+export const updateMissionStatusController = async (req, res) => {
+  try {
+    const result = await updateMissionStatusService(req.validated.params.id, req.validated.body);
+
+    if (result.entries.length > 0) {
+      await notifyResourcesChanged();
+    }
+
+    return res.status(200).json({
+      message: 'Resupply mission status updated successfully',
+      mission: result.mission,
+      entries: result.entries
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating resupply mission status', e);
+  }
+};
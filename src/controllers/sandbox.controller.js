@@ -0,0 +1,165 @@
+// Controllers handle HTTP requests and responses for sandbox (training drill) endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getClockService,
+  updateClockService,
+  getAllScenariosService,
+  getScenarioByIdService,
+  createScenarioService,
+  startDrillService,
+  injectEventService,
+  stopDrillService,
+  replayDrillService,
+  getAllDrillsService,
+  getDrillByIdService
+} from '../services/sandbox.service.js';
+
+// GET /api/sandbox/clock - Get simulated clock state
+export const getClockController = async (req, res) => {
+  return res.status(200).json({
+    message: 'Clock retrieved successfully',
+    clock: getClockService()
+  });
+};
+
+// PUT /api/sandbox/clock - Change simulated clock speed or time
+export const updateClockController = async (req, res) => {
+  try {
+    const data = updateClockService(req.validated.body);
+
+    return res.status(200).json({
+      message: 'Clock updated successfully',
+      clock: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating clock', e);
+  }
+};
+
+// GET /api/sandbox/scenarios - List scenarios
+export const getAllScenariosController = async (req, res) => {
+  try {
+    const data = await getAllScenariosService();
+    return res.status(200).json({
+      message: 'Scenarios retrieved successfully',
+      scenarios: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting scenarios', e);
+  }
+};
+
+// GET /api/sandbox/scenarios/:id - Get scenario by ID
+export const getScenarioByIdController = async (req, res) => {
+  try {
+    const data = await getScenarioByIdService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Scenario retrieved successfully',
+      scenario: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting scenario', e);
+  }
+};
+
+// POST /api/sandbox/scenarios - Create a scenario
+export const createScenarioController = async (req, res) => {
+  try {
+    const data = await createScenarioService(req.validated.body);
+
+    return res.status(201).json({
+      message: 'Scenario created successfully',
+      scenario: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error creating scenario', e);
+  }
+};
+
+// GET /api/sandbox/drills - List drill runs
+export const getAllDrillsController = async (req, res) => {
+  try {
+    const data = await getAllDrillsService();
+    return res.status(200).json({
+      message: 'Drills retrieved successfully',
+      drills: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting drills', e);
+  }
+};
+
+// GET /api/sandbox/drills/:id - Get drill run by ID
+export const getDrillByIdController = async (req, res) => {
+  try {
+    const data = await getDrillByIdService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Drill retrieved successfully',
+      drill: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting drill', e);
+  }
+};
+
+// POST /api/sandbox/drills - Start a drill
+export const startDrillController = async (req, res) => {
+  try {
+    const data = await startDrillService(req.validated.body);
+
+    return res.status(201).json({
+      message: 'Drill started successfully',
+      drill: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error starting drill', e);
+  }
+};
+
+// POST /api/sandbox/drills/:id/stop - Stop a running drill
+export const stopDrillController = async (req, res) => {
+  try {
+    const data = await stopDrillService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Drill stopped successfully',
+      drill: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error stopping drill', e);
+  }
+};
+
+// POST /api/sandbox/drills/:id/replay - Restore baseline and run the same events again
+export const replayDrillController = async (req, res) => {
+  try {
+    const data = await replayDrillService(req.validated.params.id, req.validated.body);
+
+    return res.status(201).json({
+      message: 'Drill replay started successfully',
+      drill: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error replaying drill', e);
+  }
+};
+
+// POST /api/sandbox/events - Inject an event into the running drill
+export const injectEventController = async (req, res) => {
+  try {
+    const data = await injectEventService(req.validated.body);
+
+    return res.status(201).json({
+      message: 'Event injected successfully',
+      drill: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error injecting event', e);
+  }
+};
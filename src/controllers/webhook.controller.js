@@ -0,0 +1,127 @@
+// Controllers handle HTTP requests and responses for webhook endpoints
+// Input is validated by the route schemas (req.validated); services throw typed errors handled by errorHandler
+
+import { errorHandler } from '../utils/error.handle.js';
+import {
+  getAllWebhooksService,
+  getWebhookByIdService,
+  createWebhookService,
+  updateWebhookService,
+  deleteWebhookService,
+  pingWebhookService,
+  getWebhookDeliveriesService,
+  redeliverWebhookDeliveryService
+} from '../services/webhook.service.js';
+
+// GET /api/webhooks - List webhook subscriptions
+export const getAllWebhooksController = async (req, res) => {
+  try {
+    const data = await getAllWebhooksService();
+
+    return res.status(200).json({
+      message: 'Webhooks retrieved successfully',
+      webhooks: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting webhooks', e);
+  }
+};
+
+// GET /api/webhooks/:id - Get a webhook subscription
+export const getWebhookByIdController = async (req, res) => {
+  try {
+    const data = await getWebhookByIdService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Webhook retrieved successfully',
+      webhook: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting webhook', e);
+  }
+};
+
+// POST /api/webhooks - Create a webhook subscription (the secret is only returned here)
+export const createWebhookController = async (req, res) => {
+  try {
+    const data = await createWebhookService(req.validated.body, req.user.username);
+
+    return res.status(201).json({
+      message: 'Webhook created successfully. Store the secret: it will not be shown again',
+      webhook: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error creating webhook', e);
+  }
+};
+
+// PUT /api/webhooks/:id - Update a webhook subscription (rotateSecret returns the new secret)
+export const updateWebhookController = async (req, res) => {
+  try {
+    const data = await updateWebhookService(req.validated.params.id, req.validated.body);
+
+    return res.status(200).json({
+      message: 'Webhook updated successfully',
+      webhook: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error updating webhook', e);
+  }
+};
+
+// DELETE /api/webhooks/:id - Delete a webhook subscription and its delivery log
+export const deleteWebhookController = async (req, res) => {
+  try {
+    await deleteWebhookService(req.validated.params.id);
+
+    return res.status(200).json({
+      message: 'Webhook deleted successfully'
+    });
+  } catch (e) {
+    errorHandler(res, 'Error deleting webhook', e);
+  }
+};
+
+// POST /api/webhooks/:id/ping - Send a test event to the receiver
+export const pingWebhookController = async (req, res) => {
+  try {
+    const data = await pingWebhookService(req.validated.params.id, req.user.username);
+
+    return res.status(200).json({
+      message: data.status === 'succeeded' ? 'Ping delivered successfully' : 'Ping delivery failed',
+      delivery: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error pinging webhook', e);
+  }
+};
+
+// GET /api/webhooks/:id/deliveries - Delivery log of a webhook (query: status, event, limit)
+export const getWebhookDeliveriesController = async (req, res) => {
+  try {
+    const data = await getWebhookDeliveriesService(req.validated.params.id, req.validated.query);
+
+    return res.status(200).json({
+      message: 'Webhook deliveries retrieved successfully',
+      deliveries: data,
+      count: data.length
+    });
+  } catch (e) {
+    errorHandler(res, 'Error getting webhook deliveries', e);
+  }
+};
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver - Send a past event again
+export const redeliverWebhookDeliveryController = async (req, res) => {
+  try {
+    const data = await redeliverWebhookDeliveryService(req.validated.params.deliveryId);
+
+    return res.status(200).json({
+      message: data.status === 'succeeded' ? 'Event redelivered successfully' : 'Redelivery failed, it will be retried',
+      delivery: data
+    });
+  } catch (e) {
+    errorHandler(res, 'Error redelivering webhook event', e);
+  }
+};
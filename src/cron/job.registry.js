@@ -0,0 +1,184 @@
+// Registry of the scheduled jobs: every cron job is defined here, so it can be listed, paused, resumed,
+// run on demand and rescheduled at runtime (persisted settings are applied by job.service)
+
+import cron from 'node-cron';
+import { registerCronJob, startCronRun, markCronJobScheduled } from '../services/metrics.service.js';
+import { createGauge } from '../utils/metrics.util.js';
+
+const jobs = new Map();
+
+/**
+ * Helper to run a job body once, measured (duration, failures, last success)
+ * Errors are logged here and reported by /api/jobs, /metrics and /health/ready
+ * @returns {Object} { result: 'success' | 'failure', durationSeconds, error }
+ */
+const execute = (job) => {
+  const done = startCronRun(job.name);
+  const startedAt = Date.now();
+
+  job.running = (async () => {
+    try {
+      await job.task();
+      done();
+      return { result: 'success', durationSeconds: (Date.now() - startedAt) / 1000, error: null };
+    } catch (error) {
+      done(error);
+      console.error(`[CRON] Error in ${job.label}:`, error.message);
+      return { result: 'failure', durationSeconds: (Date.now() - startedAt) / 1000, error: error.message };
+    } finally {
+      job.running = null;
+    }
+  })();
+
+  return job.running;
+};
+
+/**
+ * Helper to (re)create the node-cron task of a job with its current schedule
+ * Scheduled runs are skipped while the previous one is still in progress
+ */
+const createTask = (job) => {
+  job.cronTask = cron.createTask(job.schedule, () => {
+    if (job.running) {
+      console.warn(`[CRON] Skipping ${job.label}: the previous run is still in progress`);
+      return;
+    }
+    return execute(job);
+  });
+
+  if (!job.paused) {
+    job.cronTask.start();
+  }
+};
+
+/**
+ * Define and schedule a job
+ * @param {Object} options - { name, label, description, schedule, task }
+ * @param {Object} settings - Persisted overrides by job name { [name]: { schedule, paused } } (see CronJob)
+ * @returns {Object} The registered job
+ */
+export const defineCronJob = ({ name, label, description, schedule, task }, settings = {}) => {
+  const overrides = settings[name] || {};
+  const job = {
+    name,
+    label,
+    description,
+    defaultSchedule: schedule,
+    schedule: overrides.schedule || schedule,
+    paused: Boolean(overrides.paused),
+    task,
+    cronTask: null,
+    running: null
+  };
+
+  // A persisted schedule that no longer parses falls back to the default instead of breaking startup
+  if (!cron.validate(job.schedule)) {
+    console.error(`[CRON] Invalid schedule "${job.schedule}" for ${name}, using the default (${schedule})`);
+    job.schedule = schedule;
+  }
+
+  registerCronJob(name);
+  createTask(job);
+  jobs.set(name, job);
+
+  if (job.paused || job.schedule !== schedule) {
+    console.log(`[CRON] ${name}: schedule "${job.schedule}"${job.paused ? ' (paused)' : ''} set through /api/jobs`);
+  }
+
+  return job;
+};
+
+// Whether a cron expression is valid (5 fields, or 6 with seconds)
+export const isValidSchedule = (schedule) => cron.validate(schedule);
+
+/**
+ * Current state of a job (null if not defined)
+ * @returns {Object} { name, description, schedule, defaultSchedule, paused, running, nextRunAt }
+ */
+export const getCronJob = (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    return null;
+  }
+
+  return {
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    defaultSchedule: job.defaultSchedule,
+    paused: job.paused,
+    running: Boolean(job.running),
+    nextRunAt: job.paused ? null : job.cronTask.getNextRun()
+  };
+};
+
+export const getCronJobs = () => [...jobs.keys()].map(getCronJob);
+
+// Stop scheduling a job (a run in progress finishes)
+export const pauseCronJob = async (name) => {
+  const job = jobs.get(name);
+  job.paused = true;
+  await job.cronTask.stop();
+};
+
+// Schedule a paused job again
+export const resumeCronJob = async (name) => {
+  const job = jobs.get(name);
+  job.paused = false;
+  await job.cronTask.start();
+  markCronJobScheduled(name);
+};
+
+/**
+ * Replace the schedule of a job (null = back to the default)
+ */
+export const rescheduleCronJob = async (name, schedule) => {
+  const job = jobs.get(name);
+  await job.cronTask.destroy();
+  job.schedule = schedule || job.defaultSchedule;
+  createTask(job);
+  markCronJobScheduled(name);
+};
+
+/**
+ * Run a job now, outside its schedule (also while paused)
+ * @returns {Promise|null} Outcome of the run, or null if it is already running
+ */
+export const triggerCronJob = (name) => {
+  const job = jobs.get(name);
+  return job.running ? null : execute(job);
+};
+
+/**
+ * Stop scheduling every job and wait for the runs in progress (graceful shutdown)
+ * @param {Number} timeoutMs - Maximum wait for running jobs
+ * @returns {Boolean} Whether every run finished in time
+ */
+export const stopAllCronJobs = async (timeoutMs) => {
+  const all = [...jobs.values()];
+  await Promise.all(all.map(job => job.cronTask.stop()));
+
+  const running = all.filter(job => job.running).map(job => job.running);
+  let timer;
+  const drained = await Promise.race([
+    Promise.allSettled(running).then(() => true),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    })
+  ]);
+  clearTimeout(timer);
+
+  console.log(drained
+    ? '[CRON] All cron jobs stopped'
+    : `[CRON] Cron jobs stopped; ${running.length} run(s) still in progress after ${timeoutMs} ms`);
+  return drained;
+};
+
+createGauge({
+  name: 'ares_cron_job_paused',
+  help: 'Whether a cron job is paused (1) or scheduled (0)',
+  labelNames: ['job'],
+  collect: (gauge) => {
+    jobs.forEach(job => gauge.set({ job: job.name }, job.paused ? 1 : 0));
+  }
+});
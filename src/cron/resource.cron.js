@@ -1,16 +1,77 @@
-﻿import cron from 'node-cron';
+﻿import { Op } from 'sequelize';
 import db from '../models/index.js';
 import { getAllResourcesService } from '../services/resource.service.js';
+import { syncAlertsService } from '../services/alert.service.js';
+import { detectAnomaliesService } from '../services/anomaly.service.js';
+import { syncMissionStateService } from '../services/mission.service.js';
+import { publishResourceChanges, emitHabitatEvent } from '../sockets/resource.socket.js';
+import { now, isSandboxMode } from '../utils/clock.js';
+import { advanceDrillService } from '../services/sandbox.service.js';
+import { processResupplyArrivalsService } from '../services/resupply.service.js';
+import { runProductionProcessesService } from '../services/process.service.js';
+import { SANDBOX_SETTINGS } from '../constants/sandbox.constants.js';
+import { HISTORY_SETTINGS } from '../constants/resource.constants.js';
+import { WEBHOOK_SETTINGS } from '../constants/webhook.constants.js';
+import { rollupHistoryService } from '../services/history.service.js';
+import {
+  emitWebhookEvent,
+  emitWebhookEvents,
+  retryWebhookDeliveriesService,
+  pruneWebhookDeliveriesService
+} from '../services/webhook.service.js';
+import { defineCronJob } from './job.registry.js';
 
 const { Resource, ResourceData, ChangeHistory } = db;
 
 /**
  * Cron job that monitors resources every minute
- * Creates a history record for each resource and emits updates via WebSocket
+ * Posts the cargo of arrived resupply missions, runs production processes, creates a history record for each resource,
+ * opens/resolves alerts, looks for consumption anomalies, updates the mission state and emits changes via WebSocket
+ * In sandbox mode it runs every few real seconds and first advances the running drill
+ * @param {Object} settings - Schedules and pauses persisted through /api/jobs, by job name
  */
-export const startResourceMonitoringCron = (io) => {
-  cron.schedule('* * * * *', async () => {
-    try {
+export const startResourceMonitoringCron = (io, settings) => {
+  const schedule = isSandboxMode() ? `*/${SANDBOX_SETTINGS.tickSeconds} * * * * *` : '* * * * *';
+
+  defineCronJob({
+    name: 'resource-monitoring',
+    label: 'resource monitoring',
+    description: 'Posts resupply arrivals and process flows, records history, syncs alerts, detects anomalies, updates the mission state and sends live updates',
+    schedule,
+    task: async () => {
+      if (isSandboxMode()) {
+        const tick = await advanceDrillService();
+        if (tick && tick.applied > 0) {
+          console.log(`[SANDBOX] Drill ${tick.drillId}: ${tick.applied} events applied (${tick.status})`);
+        }
+      }
+
+      // Launch scheduled missions and post the manifest of those that have arrived
+      const resupply = await processResupplyArrivalsService();
+      resupply.arrived.forEach(mission => {
+        console.log(`[CRON] Resupply mission ${mission.missionId} (${mission.name}) arrived - ${mission.entries} items posted`);
+        const payload = { ...mission, timestamp: now().toISOString() };
+        emitHabitatEvent(io, 'resupply:arrived', payload, mission.habitatIds);
+        emitWebhookEvent('resupply:arrived', payload);
+      });
+
+      // Convert inputs into outputs for the time since the last tick (one transaction per process)
+      const processes = await runProductionProcessesService();
+      processes
+        .filter(process => process.status !== process.previousStatus)
+        .forEach(process => {
+          console.log(`[CRON] Production process ${process.processId} (${process.name}) ${process.previousStatus} -> ${process.status}`);
+          const payload = {
+            processId: process.processId,
+            name: process.name,
+            status: process.status,
+            previousStatus: process.previousStatus,
+            timestamp: now().toISOString()
+          };
+          emitHabitatEvent(io, 'process:status', payload, process.habitatIds);
+          emitWebhookEvent('process:status', payload);
+        });
+
       const resources = await Resource.findAll({
         include: [{
           model: ResourceData,
@@ -18,75 +79,148 @@ export const startResourceMonitoringCron = (io) => {
           attributes: ['id', 'name', 'category']
         }]
       });
-      
+    
       if (!resources || resources.length === 0) return;
 
       // Create history records for all resources
       const historyPromises = resources.map(resource => {
         return ChangeHistory.create({
           stock: resource.quantity,
-          resourceId: resource.resourceDataId
+          resourceId: resource.resourceDataId,
+          changeType: 'snapshot',
+          source: 'cron'
         });
       });
 
       await Promise.all(historyPromises);
 
-      const timestamp = new Date();
+      const timestamp = now();
       console.log(`[CRON] ${resources.length} history records created - ${timestamp.toLocaleString('es-MX')}`);
 
       // Get enriched resources with levels from service
       const enrichedResources = await getAllResourcesService();
 
-      // Emit update to all connected WebSocket clients
-      if (io) {
-        io.emit('resources:update', {
-          resources: enrichedResources,
-          count: enrichedResources.length,
-          timestamp: timestamp.toISOString()
-        });
+      // Open alerts for resources that crossed into low/critical, resolve recovered ones
+      const alertSummary = await syncAlertsService(enrichedResources);
+      if (alertSummary.opened || alertSummary.updated || alertSummary.resolved) {
+        console.log(`[CRON] Alerts - opened: ${alertSummary.opened}, updated: ${alertSummary.updated}, resolved: ${alertSummary.resolved}`);
+      }
+
+      // Compare the new snapshots with the normal consumption pattern (rate spikes, unexplained drops)
+      const anomalySummary = await detectAnomaliesService(enrichedResources);
+      if (anomalySummary.detected || anomalySummary.resolved) {
+        console.log(`[CRON] Anomalies - detected: ${anomalySummary.detected}, resolved: ${anomalySummary.resolved}`);
+      }
+
+      // Derive the base-wide mission state from all resources (after alerts and anomalies are up to date)
+      const transition = await syncMissionStateService(enrichedResources);
+      if (transition) {
+        console.log(`[CRON] Mission state ${transition.fromState} -> ${transition.toState}`);
+      }
 
-        console.log(`[WebSocket] Update sent to ${io.engine.clientsCount} connected clients`);
+      // Emit diffs to subscribed WebSocket clients
+      const events = publishResourceChanges(io, enrichedResources);
+      if (events.length > 0) {
+        console.log(`[WebSocket] ${events.length} resource:changed events sent`);
       }
-    } catch (error) {
-      console.error('[CRON] Error in resource monitoring:', error.message);
+
+      // Snapshot of every resource for webhook subscribers (e.g. external dashboards)
+      emitWebhookEvents([{
+        event: 'resource:snapshot',
+        data: {
+          resources: enrichedResources.map(resource => ({
+            id: resource.id,
+            resourceDataId: resource.resourceDataId,
+            name: resource.resourceData.name,
+            category: resource.resourceData.category,
+            quantity: resource.quantity,
+            status: resource.status
+          })),
+          timestamp: timestamp.toISOString()
+        }
+      }]);
     }
-  });
+  }, settings);
 
-  console.log('[CRON] Resource monitoring started (runs every 1 minute)');
+  console.log(isSandboxMode()
+    ? `[CRON] Resource monitoring started (sandbox, runs every ${SANDBOX_SETTINGS.tickSeconds} seconds)`
+    : '[CRON] Resource monitoring started (runs every 1 minute)');
 };
 
 /**
- * Cron job that cleans up old history records
- * Runs daily at 3:00 AM to delete records older than 30 days
+ * Cron job that rolls raw history up into hourly and daily aggregates
+ * Runs every hour at minute 5, once the previous hour is complete
  */
-export const startHistoryCleanupCron = () => {
-  cron.schedule('0 3 * * *', async () => {
-    try {
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      
-      const { Op } = await import('sequelize');
+export const startHistoryRollupCron = (settings) => {
+  defineCronJob({
+    name: 'history-rollup',
+    label: 'history rollup',
+    description: 'Rolls raw history up into hourly and daily aggregates',
+    schedule: '5 * * * *',
+    task: async () => {
+      const { hourly, daily } = await rollupHistoryService();
+      console.log(`[CRON] History rollup - hourly buckets: ${hourly}, daily buckets: ${daily}`);
+    }
+  }, settings);
+
+  console.log('[CRON] History rollup started (runs every hour at minute 5)');
+};
+
+/**
+ * Cron job that cleans up old history records and webhook deliveries
+ * Runs daily at 3:00 AM: rolls history up first, then deletes raw records older than 30 days
+ * Hourly and daily aggregates are kept, so long-term trends survive the cleanup
+ * Finished webhook deliveries older than WEBHOOK_SETTINGS.deliveryRetentionDays are deleted too
+ */
+export const startHistoryCleanupCron = (settings) => {
+  defineCronJob({
+    name: 'history-cleanup',
+    label: 'history cleanup',
+    description: `Rolls history up, then deletes raw records older than ${HISTORY_SETTINGS.rawRetentionDays} days`
+      + ` and finished webhook deliveries older than ${WEBHOOK_SETTINGS.deliveryRetentionDays} days`,
+    schedule: '0 3 * * *',
+    task: async () => {
+      // If the rollup fails, raw records are kept until the next run
+      await rollupHistoryService();
+
+      const cutoff = now();
+      cutoff.setDate(cutoff.getDate() - HISTORY_SETTINGS.rawRetentionDays);
+
       const deleted = await ChangeHistory.destroy({
         where: { 
           createdAt: { 
-            [Op.lt]: thirtyDaysAgo 
+            [Op.lt]: cutoff 
           } 
         }
       });
-      
-      console.log(`[CRON] ${deleted} old history records deleted (older than 30 days)`);
-    } catch (error) {
-      console.error('[CRON] Error in history cleanup:', error.message);
+    
+      console.log(`[CRON] ${deleted} old history records deleted (older than ${HISTORY_SETTINGS.rawRetentionDays} days)`);
+
+      const pruned = await pruneWebhookDeliveriesService();
+      console.log(`[CRON] ${pruned} finished webhook deliveries deleted (older than ${WEBHOOK_SETTINGS.deliveryRetentionDays} days)`);
     }
-  });
+  }, settings);
   
   console.log('[CRON] Automatic history cleanup started (runs daily at 3:00 AM)');
 };
 
 /**
- * Stop all running cron jobs
+ * Cron job that retries failed webhook deliveries whose backoff has elapsed
+ * Runs every minute; deliveries are marked failed after WEBHOOK_SETTINGS.maxAttempts
  */
-export const stopAllCronJobs = () => {
-  cron.getTasks().forEach(task => task.stop());
-  console.log('[CRON] All cron jobs stopped');
+export const startWebhookRetryCron = (settings) => {
+  defineCronJob({
+    name: 'webhook-retry',
+    label: 'webhook retries',
+    description: 'Retries webhook deliveries whose backoff has elapsed',
+    schedule: '* * * * *',
+    task: async () => {
+      const { attempted, succeeded, failed } = await retryWebhookDeliveriesService();
+      if (attempted > 0) {
+        console.log(`[CRON] Webhook retries - attempted: ${attempted}, succeeded: ${succeeded}, failed: ${failed}`);
+      }
+    }
+  }, settings);
+
+  console.log('[CRON] Webhook retries started (runs every 1 minute)');
 };
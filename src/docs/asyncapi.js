@@ -0,0 +1,372 @@
+// AsyncAPI 2.6 document of the Socket.IO events (served at /api/docs/asyncapi.json)
+// Each channel is a Socket.IO event name: subscribe = sent by the server, publish = sent by the client
+// Acknowledgement payloads (Socket.IO callbacks) are described in x-ack
+
+import { openApiDocument } from './openapi.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const timestamp = { type: 'string', format: 'date-time' };
+
+// Rooms to join or leave; an empty payload matches nothing
+// Sockets connected to a base (auth.habitat) get that base's rooms for all and categories,
+// and may only name their own base and its resources
+const subscriptionPayload = {
+  type: 'object',
+  properties: {
+    all: { type: 'boolean', description: 'Every resource (room resources:all, or habitat:{id} when connected to a base)' },
+    categories: {
+      type: 'array',
+      items: ref('Category'),
+      description: 'Rooms category:{category}, or habitat:{id}:category:{category} when connected to a base'
+    },
+    resourceIds: {
+      type: 'array',
+      items: { type: 'integer' },
+      description: 'Resource IDs (only resources of its base when connected to a base)'
+    },
+    habitatIds: {
+      type: 'array',
+      items: { type: 'integer' },
+      description: 'Every resource of these bases (rooms habitat:{id}; only its own base when connected to a base)'
+    }
+  }
+};
+
+const subscriptionAck = {
+  oneOf: [
+    {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', enum: [true] },
+        rooms: { type: 'array', items: { type: 'string' }, example: ['category:oxygen', 'resource:3'] },
+        sequence: { type: 'integer' }
+      }
+    },
+    ref('SocketError')
+  ]
+};
+
+// Alerts, anomalies, transfers, resupply arrivals and process changes reach the sockets of their base (room habitat:{id}:events) and unscoped sockets
+const BASE_EVENT_NOTE = 'Sent to sockets connected to the base it belongs to and to sockets not scoped to a base';
+
+const alertMessage = (name, summary) => ({
+  subscribe: {
+    description: BASE_EVENT_NOTE,
+    message: {
+      name,
+      summary,
+      payload: {
+        type: 'object',
+        properties: { alert: ref('Alert'), timestamp }
+      }
+    }
+  }
+});
+
+const channels = {
+  welcome: {
+    subscribe: {
+      message: {
+        name: 'welcome',
+        summary: 'Sent once the handshake token is accepted',
+        payload: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Connected to real-time monitoring system' },
+            timestamp
+          }
+        }
+      }
+    }
+  },
+  'resources:initial': {
+    subscribe: {
+      message: {
+        name: 'resources:initial',
+        summary: 'Full inventory (of the base selected in the handshake, if any) right after connecting; '
+          + 'sequence is where resource:changed events continue from',
+        payload: {
+          type: 'object',
+          properties: {
+            habitat: {
+              type: 'object',
+              nullable: true,
+              description: 'Base selected in the handshake (auth.habitat)',
+              properties: { id: { type: 'integer' }, code: { type: 'string' }, name: { type: 'string' } }
+            },
+            resources: { type: 'array', items: ref('Resource') },
+            count: { type: 'integer' },
+            sequence: { type: 'integer' },
+            timestamp
+          }
+        }
+      }
+    }
+  },
+  'resource:changed': {
+    description: 'Replaces the former resources:update event (full list every minute); only changed fields are sent',
+    subscribe: {
+      message: {
+        name: 'resource:changed',
+        summary: 'A resource changed; sent to the rooms of the resource, its category, its base and resources:all',
+        payload: ref('ResourceChange')
+      }
+    }
+  },
+  subscribe: {
+    publish: {
+      'x-ack': subscriptionAck,
+      message: {
+        name: 'subscribe',
+        summary: 'Join rooms to receive resource:changed events',
+        payload: subscriptionPayload
+      }
+    }
+  },
+  unsubscribe: {
+    publish: {
+      'x-ack': subscriptionAck,
+      message: {
+        name: 'unsubscribe',
+        summary: 'Leave rooms (same payload as subscribe)',
+        payload: subscriptionPayload
+      }
+    }
+  },
+  resync: {
+    publish: {
+      'x-ack': {
+        oneOf: [
+          {
+            type: 'object',
+            description: 'full: false when the missed events are still buffered; otherwise the current subscribed resources',
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              full: { type: 'boolean' },
+              events: { type: 'array', items: ref('ResourceChange') },
+              resources: { type: 'array', items: ref('Resource') },
+              sequence: { type: 'integer' }
+            }
+          },
+          ref('SocketError')
+        ]
+      },
+      message: {
+        name: 'resync',
+        summary: 'After reconnecting, get the events missed since the last sequence received',
+        payload: {
+          type: 'object',
+          properties: { lastSequence: { type: 'integer' } }
+        }
+      }
+    }
+  },
+  'alert:opened': alertMessage('alert:opened', 'A resource crossed into low or critical'),
+  'alert:updated': alertMessage('alert:updated', 'An active alert escalated from low to critical'),
+  'alert:acknowledged': alertMessage('alert:acknowledged', 'A crew member acknowledged an alert'),
+  'alert:resolved': alertMessage('alert:resolved', 'The resource recovered above its minimum level'),
+  'resource:anomaly': {
+    subscribe: {
+      description: BASE_EVENT_NOTE,
+      message: {
+        name: 'resource:anomaly',
+        summary: 'The monitoring cron found a rate spike or an unexplained drop in a resource',
+        payload: {
+          type: 'object',
+          properties: { anomaly: ref('Anomaly'), timestamp }
+        }
+      }
+    }
+  },
+  'resupply:arrived': {
+    subscribe: {
+      description: `${BASE_EVENT_NOTE} (every base that received cargo)`,
+      message: {
+        name: 'resupply:arrived',
+        summary: 'A resupply mission arrived and its manifest was posted to the inventory',
+        payload: {
+          type: 'object',
+          properties: {
+            missionId: { type: 'integer' },
+            name: { type: 'string' },
+            habitatIds: { type: 'array', items: { type: 'integer' }, description: 'Bases that received cargo' },
+            entries: { type: 'integer', description: 'Manifest items posted' },
+            timestamp
+          }
+        }
+      }
+    }
+  },
+  'mission:state_changed': {
+    subscribe: {
+      message: {
+        name: 'mission:state_changed',
+        summary: 'The mission state, shared by every base, changed (not a base event: sent to every connected client, also to the ones scoped to a base)',
+        payload: {
+          type: 'object',
+          properties: { transition: ref('MissionStateChange'), timestamp }
+        }
+      }
+    }
+  },
+  'transfer:status_changed': {
+    subscribe: {
+      description: `${BASE_EVENT_NOTE} (both the origin and the destination base)`,
+      message: {
+        name: 'transfer:status_changed',
+        summary: 'Cargo between bases was dispatched (previousStatus null), departed, received or cancelled',
+        payload: {
+          type: 'object',
+          properties: {
+            transfer: ref('HabitatTransfer'),
+            previousStatus: { type: 'string', nullable: true, enum: ['dispatched', 'in_transit'] },
+            timestamp
+          }
+        }
+      }
+    }
+  },
+  'process:status': {
+    subscribe: {
+      description: `${BASE_EVENT_NOTE} (the bases of the resources it consumes or produces)`,
+      message: {
+        name: 'process:status',
+        summary: 'A production process ran out of inputs (starved) or resumed (running)',
+        payload: {
+          type: 'object',
+          properties: {
+            processId: { type: 'integer' },
+            name: { type: 'string' },
+            status: { type: 'string', enum: ['running', 'starved', 'stopped'] },
+            previousStatus: { type: 'string', enum: ['running', 'starved', 'stopped'] },
+            timestamp
+          }
+        }
+      }
+    }
+  }
+};
+
+const fieldChange = (type) => ({
+  type: 'object',
+  properties: { previous: { ...type, nullable: true }, current: type }
+});
+
+export const asyncApiDocument = {
+  asyncapi: '2.6.0',
+  info: {
+    title: 'Ares Frontier - Real-time events',
+    version: '1.0.0',
+    description: 'Socket.IO events. The handshake must carry a token from POST /api/auth/login: '
+      + 'io(url, { auth: { token } }); otherwise the connection is refused. '
+      + 'auth.habitat (habitat ID or code) scopes the connection to one base.'
+  },
+  servers: {
+    api: { url: '/', protocol: 'ws', description: 'Socket.IO on the API server' }
+  },
+  defaultContentType: 'application/json',
+  channels,
+  components: {
+    schemas: {
+      ...openApiDocument.components.schemas,
+      ResourceChange: {
+        type: 'object',
+        properties: {
+          sequence: { type: 'integer', description: 'Increments with every event' },
+          resourceId: { type: 'integer' },
+          resourceDataId: { type: 'integer' },
+          habitatId: { type: 'integer' },
+          name: { type: 'string' },
+          category: ref('Category'),
+          changes: {
+            type: 'object',
+            description: 'Only the fields that changed (previous is null for resources seen for the first time)',
+            properties: {
+              quantity: fieldChange({ type: 'integer' }),
+              status: fieldChange({ type: 'string', enum: ['normal', 'low', 'critical'] }),
+              minimumLevel: fieldChange({ type: 'integer' }),
+              criticalLevel: fieldChange({ type: 'integer' }),
+              maximumLevel: fieldChange({ type: 'integer' })
+            }
+          },
+          timestamp
+        }
+      },
+      Alert: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          resourceId: { type: 'integer' },
+          severity: { type: 'string', enum: ['low', 'critical'] },
+          status: { type: 'string', enum: ['open', 'acknowledged', 'resolved'] },
+          openedQuantity: { type: 'integer' },
+          thresholdLevel: { type: 'integer', description: 'Level crossed: minimumLevel for critical, criticalLevel for low' },
+          openedAt: timestamp,
+          acknowledgedAt: { ...timestamp, nullable: true },
+          acknowledgedBy: { type: 'string', nullable: true },
+          acknowledgeNote: { type: 'string', nullable: true },
+          resolvedAt: { ...timestamp, nullable: true },
+          resolvedQuantity: { type: 'integer', nullable: true },
+          timeToAcknowledgeSeconds: { type: 'integer', nullable: true },
+          timeToResolveSeconds: { type: 'integer', nullable: true },
+          resource: { type: 'object' }
+        }
+      },
+      Anomaly: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          resourceId: { type: 'integer' },
+          type: { type: 'string', enum: ['rate_spike', 'unexplained_drop'] },
+          status: { type: 'string', enum: ['open', 'acknowledged', 'resolved'] },
+          detectedAt: timestamp,
+          lastDetectedAt: timestamp,
+          windowStart: timestamp,
+          windowEnd: timestamp,
+          quantity: { type: 'integer' },
+          dropQuantity: { type: 'number', description: 'Unexplained drop, or consumption above the baseline during the window' },
+          observedRate: { type: 'number', nullable: true, description: 'Consumption per hour (rate_spike)' },
+          baselineRate: { type: 'number', nullable: true },
+          baselineStdDev: { type: 'number', nullable: true },
+          acknowledgedAt: { ...timestamp, nullable: true },
+          acknowledgedBy: { type: 'string', nullable: true },
+          acknowledgeNote: { type: 'string', nullable: true },
+          resolvedAt: { ...timestamp, nullable: true },
+          resolvedBy: { type: 'string', nullable: true },
+          resource: { type: 'object' }
+        }
+      },
+      MissionStateChange: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          fromState: { type: 'string', enum: ['nominal', 'caution', 'emergency', 'evacuation'] },
+          toState: { type: 'string', enum: ['nominal', 'caution', 'emergency', 'evacuation'] },
+          reasons: {
+            type: 'array',
+            description: 'Rules met when the state changed, most severe first',
+            items: {
+              type: 'object',
+              properties: {
+                ruleId: { type: 'integer' },
+                name: { type: 'string' },
+                state: { type: 'string', enum: ['caution', 'emergency', 'evacuation'] },
+                condition: { type: 'string', enum: ['status', 'days_of_supply', 'open_anomaly'] },
+                matches: { type: 'array', items: { type: 'object' } }
+              }
+            }
+          },
+          changedAt: timestamp
+        }
+      },
+      SocketError: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
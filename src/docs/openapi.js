@@ -0,0 +1,713 @@
+// OpenAPI 3.0 document of the resource API (served at /api/docs)
+// Request parameters and bodies come from the zod schemas used by the routes; responses are described here
+
+import {
+  categoryParams,
+  listResourcesQuery,
+  compareInventoryQuery,
+  recentHistoryQuery,
+  historyQuery,
+  statsQuery,
+  forecastQuery,
+  createResourceBody,
+  updateQuantityBody,
+  updateLevelsBody,
+  deltaBody
+} from '../schemas/resource.schemas.js';
+import { idParams } from '../schemas/common.schemas.js';
+import { zodToOpenApi, zodToParameters } from '../utils/openapi.util.js';
+import { CHANGE_TYPES, CHANGE_SOURCES, HISTORY_RESOLUTIONS } from '../constants/resource.constants.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Siblings of $ref are ignored in OpenAPI 3.0, so referenced schemas are wrapped in allOf
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+
+const describedRef = (name, description) => ({ allOf: [ref(name)], description });
+
+/**
+ * Helper to build a JSON response with a message and the given payload fields
+ */
+const jsonResponse = (description, properties) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: { message: { type: 'string' }, ...properties }
+      }
+    }
+  }
+});
+
+const jsonBody = (schema) => ({
+  required: true,
+  content: { 'application/json': { schema: zodToOpenApi(schema) } }
+});
+
+const errorResponses = (...statuses) => Object.fromEntries(
+  statuses.map(status => [status, { $ref: `#/components/responses/${status}` }])
+);
+
+// Base selector of the listings (without it they cover every base); an unknown habitat responds 404 HABITAT_NOT_FOUND
+const habitatParams = [
+  {
+    name: 'X-Habitat',
+    in: 'header',
+    required: false,
+    description: 'Habitat ID or code to scope the listing to one base',
+    schema: { type: 'string', example: 'ares-frontier' }
+  },
+  {
+    name: 'habitat',
+    in: 'query',
+    required: false,
+    description: 'Same as X-Habitat (the header takes precedence)',
+    schema: { type: 'string' }
+  }
+];
+
+// On the by-ID routes the selector is optional; a resource of another base responds 404 RESOURCE_NOT_FOUND
+const scopedHabitatParams = habitatParams.map(param => ({
+  ...param,
+  description: param.in === 'header' ? 'Habitat ID or code; a resource of another base responds 404' : param.description
+}));
+
+const resourceIdParam = [...zodToParameters(idParams, 'path', { id: 'Resource ID' }), ...scopedHabitatParams];
+const resourceDataIdParam = [
+  ...zodToParameters(idParams, 'path', {
+    id: 'ResourceData ID (history and stats are keyed by the catalog entry, see GET /api/resources/data)'
+  }),
+  ...scopedHabitatParams
+];
+
+const levelFields = {
+  minimumLevel: { type: 'integer' },
+  criticalLevel: { type: 'integer' },
+  maximumLevel: { type: 'integer' }
+};
+
+// Pagination metadata of the history record listings
+const historyPageProperties = {
+  count: { type: 'integer', description: 'Records in this page' },
+  total: { type: 'integer', description: 'Records matching the filters across all pages' },
+  nextCursor: nullable({ type: 'string', description: 'Pass as cursor to get the next page; null on the last page' })
+};
+
+const schemas = {
+  ResourceData: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      category: ref('Category'),
+      habitatId: { type: 'integer', description: 'Base where the resource is kept' }
+    }
+  },
+  Category: {
+    type: 'string',
+    enum: categoryParams.shape.category.options
+  },
+  ResourceStatus: {
+    type: 'string',
+    enum: ['normal', 'low', 'critical'],
+    description: 'critical: quantity <= minimumLevel; low: quantity <= criticalLevel (minimumLevel < criticalLevel < maximumLevel)'
+  },
+  LevelSource: {
+    type: 'object',
+    description: 'Where each effective level comes from: a per-resource override or the category default',
+    properties: Object.fromEntries(Object.keys(levelFields).map(key => [key, { type: 'string', enum: ['resource', 'category'] }]))
+  },
+  Resource: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      quantity: { type: 'integer' },
+      resourceDataId: { type: 'integer' },
+      habitatId: { type: 'integer' },
+      resourceData: ref('ResourceData'),
+      ...levelFields,
+      unit: { type: 'string', example: 'L' },
+      levelSource: ref('LevelSource'),
+      aboveMaximum: { type: 'boolean' },
+      status: ref('ResourceStatus'),
+      crewSupply: nullable(ref('CrewSupply')),
+      storage: ref('Storage'),
+      forecast: describedRef('Forecast', 'Only in GET /api/resources')
+    }
+  },
+  CrewSupply: {
+    type: 'object',
+    description: 'Days the whole category lasts at the base of the resource for its crew on base (net of running production processes)',
+    properties: {
+      crewCount: { type: 'integer' },
+      effectiveHeadcount: { type: 'number' },
+      dailyPerCapita: { type: 'number' },
+      dailyDemand: { type: 'number' },
+      processDailyNet: { type: 'number' },
+      netDailyDemand: { type: 'number' },
+      totalQuantity: { type: 'integer' },
+      unit: { type: 'string' },
+      daysOfSupply: nullable({ type: 'number' }),
+      supplyStatus: nullable({ type: 'string', enum: ['normal', 'low', 'critical'] })
+    }
+  },
+  Storage: {
+    type: 'object',
+    properties: {
+      allocated: { type: 'integer', description: 'Held in storage locations' },
+      unassigned: { type: 'integer', description: 'Not held in any location' },
+      capacity: { type: 'integer' },
+      locations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            locationId: { type: 'integer' },
+            name: { type: 'string' },
+            type: { type: 'string' },
+            quantity: { type: 'integer' },
+            capacity: { type: 'integer' }
+          }
+        }
+      }
+    }
+  },
+  Projection: {
+    type: 'object',
+    properties: {
+      level: { type: 'integer' },
+      reached: { type: 'boolean' },
+      hoursRemaining: nullable({ type: 'number' }),
+      projectedAt: nullable({ type: 'string', format: 'date-time' }),
+      earliestAt: nullable({ type: 'string', format: 'date-time' }),
+      latestAt: nullable({ type: 'string', format: 'date-time' })
+    }
+  },
+  Forecast: {
+    type: 'object',
+    description: 'Depletion forecast from the consumption trend, net of running processes and including pending resupply cargo',
+    properties: {
+      status: { type: 'string', enum: ['depleting', 'increasing', 'stable', 'insufficient_data'] },
+      insufficientReason: nullable({
+        type: 'string',
+        enum: ['too_few_samples', 'span_too_short'],
+        description: 'Why no rate was fitted (status insufficient_data)'
+      }),
+      consumptionPerHour: nullable({ type: 'number', description: 'Net of production processes' }),
+      consumptionPerSol: nullable({ type: 'number' }),
+      grossConsumptionPerHour: nullable({ type: 'number' }),
+      processFlowPerHour: { type: 'number' },
+      processes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            status: { type: 'string' },
+            ratePerHour: { type: 'number' }
+          }
+        }
+      },
+      confidence: nullable({ type: 'object' }),
+      daysOfSupply: nullable({ type: 'number' }),
+      solsOfSupply: nullable({ type: 'number' }),
+      projections: nullable({
+        type: 'object',
+        properties: { critical: ref('Projection'), minimum: ref('Projection'), empty: ref('Projection') }
+      }),
+      samples: { type: 'integer' },
+      spanHours: { type: 'number', description: 'Hours between the first and last record of the window' },
+      windowHours: { type: 'number' },
+      pendingDeliveries: { type: 'array', items: { type: 'object' } },
+      nextDelivery: nullable({ type: 'object' }),
+      survivesUntilNextDelivery: nullable({ type: 'boolean' })
+    }
+  },
+  HistoryEntry: {
+    type: 'object',
+    description: 'change_history record: cron snapshot or ledger movement',
+    properties: {
+      id: { type: 'integer' },
+      resourceId: { type: 'integer', description: 'ResourceData ID' },
+      stock: { type: 'integer' },
+      previousStock: nullable({ type: 'integer' }),
+      delta: nullable({ type: 'integer' }),
+      changeType: { type: 'string', enum: CHANGE_TYPES },
+      reason: nullable({ type: 'string' }),
+      source: { type: 'string', enum: CHANGE_SOURCES },
+      operator: nullable({ type: 'string' }),
+      locationId: nullable({ type: 'integer' }),
+      locationDelta: nullable({ type: 'integer' }),
+      locationStock: nullable({ type: 'integer' }),
+      transferId: nullable({ type: 'string' }),
+      partId: nullable({ type: 'integer', description: 'Spare part moved (catalog-managed spare_parts resources)' }),
+      createdAt: { type: 'string', format: 'date-time' },
+      resourceData: ref('ResourceData')
+    }
+  },
+  HistoryPoint: {
+    type: 'object',
+    properties: {
+      timestamp: { type: 'string', format: 'date-time' },
+      min: { type: 'integer' },
+      max: { type: 'integer' },
+      avg: { type: 'number' },
+      first: { type: 'integer' },
+      last: { type: 'integer' },
+      samples: { type: 'integer' }
+    }
+  },
+  Stats: {
+    type: 'object',
+    properties: {
+      average: { type: 'integer' },
+      min: { type: 'integer' },
+      max: { type: 'integer' },
+      current: { type: 'integer' },
+      trend: { type: 'string', enum: ['increasing', 'decreasing', 'stable'] },
+      percentageChange: { type: 'number', description: '0 when there is no history in the range' },
+      totalRecords: { type: 'integer' },
+      timeRange: { type: 'string', example: '24h' },
+      resolution: { type: 'string', enum: HISTORY_RESOLUTIONS },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' }
+    }
+  },
+  ThresholdChange: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      resourceId: { type: 'integer' },
+      previousLevels: { type: 'object', properties: { ...levelFields, levelSource: ref('LevelSource') } },
+      newLevels: { type: 'object', properties: { ...levelFields, levelSource: ref('LevelSource') } },
+      changedBy: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ResourceAt: {
+    type: 'object',
+    description: 'Resource as recorded at a past moment (levels in force at that moment)',
+    properties: {
+      id: { type: 'integer' },
+      resourceDataId: { type: 'integer' },
+      resourceData: ref('ResourceData'),
+      quantity: nullable({ type: 'integer' }),
+      ...levelFields,
+      unit: { type: 'string' },
+      status: nullable(ref('ResourceStatus')),
+      recordedAt: nullable({ type: 'string', format: 'date-time' }),
+      precision: nullable({
+        type: 'string',
+        enum: ['raw', 'hour', 'day'],
+        description: 'raw: exact record; hour/day: last value of the latest aggregate before the moment'
+      })
+    }
+  },
+  InventoryMoment: {
+    type: 'object',
+    properties: {
+      quantity: nullable({ type: 'integer' }),
+      status: nullable(ref('ResourceStatus')),
+      recordedAt: nullable({ type: 'string', format: 'date-time' }),
+      precision: nullable({ type: 'string', enum: ['raw', 'hour', 'day'] })
+    }
+  },
+  ResourceComparison: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      resourceDataId: { type: 'integer' },
+      resourceData: ref('ResourceData'),
+      unit: { type: 'string' },
+      from: ref('InventoryMoment'),
+      to: ref('InventoryMoment'),
+      delta: nullable({ type: 'integer' }),
+      explainedDelta: { type: 'integer', description: 'Sum of the ledger entries between both moments' },
+      unexplainedDelta: nullable({ type: 'integer', description: 'Change only seen by cron snapshots' }),
+      complete: { type: 'boolean', description: 'false when a moment is older than the raw history retention' },
+      breakdown: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            changeType: { type: 'string' },
+            reason: nullable({ type: 'string' }),
+            count: { type: 'integer' },
+            delta: { type: 'integer' }
+          }
+        }
+      },
+      changeCount: { type: 'integer' },
+      changes: { type: 'array', items: ref('HistoryEntry') }
+    }
+  },
+  Habitat: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      code: { type: 'string', example: 'ares-frontier' },
+      name: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      counts: {
+        type: 'object',
+        description: 'Resources, crew members and storage locations of the base',
+        properties: { resources: { type: 'integer' }, crew: { type: 'integer' }, locations: { type: 'integer' } }
+      }
+    }
+  },
+  HabitatTransfer: {
+    type: 'object',
+    description: 'Cargo moved between two bases; its change_history entries share transferId',
+    properties: {
+      id: { type: 'integer' },
+      transferId: { type: 'string', format: 'uuid' },
+      fromHabitatId: { type: 'integer' },
+      toHabitatId: { type: 'integer' },
+      fromResourceId: { type: 'integer' },
+      toResourceId: nullable({ type: 'integer', description: 'null until received when the destination does not track the resource yet' }),
+      quantity: { type: 'integer' },
+      status: { type: 'string', enum: ['dispatched', 'in_transit', 'received', 'cancelled'] },
+      dispatchedAt: { type: 'string', format: 'date-time' },
+      dispatchedBy: { type: 'string' },
+      departedAt: nullable({ type: 'string', format: 'date-time' }),
+      receivedAt: nullable({ type: 'string', format: 'date-time' }),
+      receivedBy: nullable({ type: 'string' }),
+      cancelledAt: nullable({ type: 'string', format: 'date-time' }),
+      cancelledBy: nullable({ type: 'string' }),
+      notes: nullable({ type: 'string' }),
+      fromHabitat: { type: 'object' },
+      toHabitat: { type: 'object' },
+      fromResource: { type: 'object' },
+      toResource: nullable({ type: 'object' })
+    }
+  },
+  Error: {
+    type: 'object',
+    description: 'Error body of every failed request (see errorHandler)',
+    required: ['success', 'code', 'message'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      code: { type: 'string', example: 'RESOURCE_NOT_FOUND' },
+      message: { type: 'string' },
+      details: {
+        nullable: true,
+        description: 'VALIDATION_ERROR: list of invalid fields; 409 errors: available stock when it applies',
+        oneOf: [
+          { type: 'array', items: ref('ValidationIssue') },
+          { type: 'object', example: { available: 12 } }
+        ]
+      },
+      error: { type: 'string', description: 'Only in development' },
+      stack: { type: 'string', description: 'Only in development' }
+    }
+  },
+  ValidationIssue: {
+    type: 'object',
+    properties: {
+      path: { type: 'string', example: 'body.delta' },
+      message: { type: 'string', example: 'Must be a negative integer' }
+    }
+  }
+};
+
+const errorContent = (description, example) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error'), example } }
+});
+
+const responses = {
+  400: errorContent('Invalid request', {
+    success: false,
+    code: 'VALIDATION_ERROR',
+    message: 'Invalid request. See details for each invalid field',
+    details: [{ path: 'body.delta', message: 'Must be a negative integer' }]
+  }),
+  401: errorContent('Missing or invalid token', {
+    success: false,
+    code: 'AUTHENTICATION_REQUIRED',
+    message: 'Authentication required'
+  }),
+  403: errorContent('Role not allowed', {
+    success: false,
+    code: 'FORBIDDEN',
+    message: 'Forbidden. Requires role crew or higher',
+    details: { requiredRole: 'crew' }
+  }),
+  404: errorContent('Not found', { success: false, code: 'RESOURCE_NOT_FOUND', message: 'Resource not found' }),
+  409: errorContent('Conflict with the current stock', {
+    success: false,
+    code: 'INSUFFICIENT_STOCK',
+    message: 'Insufficient stock. Withdrawal would leave the resource below zero',
+    details: { available: 12 }
+  }),
+  500: errorContent('Database or unexpected error', { success: false, code: 'DATABASE_ERROR', message: 'Error getting resources' })
+};
+
+/**
+ * Helper for the two ledger operations, which share everything but the delta sign and reasons
+ */
+const ledgerOperation = (operation, summary, role) => ({
+  tags: ['Ledger'],
+  summary,
+  description: `Requires role ${role}. Without locationId the movement applies to the unassigned stock. `
+    + 'Spare parts resources with a parts catalog move per part through /api/parts (409 PART_CATALOG_MANAGED).',
+  parameters: resourceIdParam,
+  requestBody: jsonBody(deltaBody(operation)),
+  responses: {
+    200: jsonResponse('Movement recorded', { resource: ref('Resource'), entry: ref('HistoryEntry') }),
+    ...errorResponses(400, 401, 403, 404, 409, 500)
+  }
+});
+
+const paths = {
+  '/api/resources': {
+    get: {
+      tags: ['Resources'],
+      summary: 'List resources with levels, crew supply, storage and forecast',
+      description: 'With `at`, returns the inventory rebuilt from the history at that moment (ResourceAt items).',
+      parameters: [...habitatParams, ...zodToParameters(listResourcesQuery, 'query', { at: 'Past moment to rebuild the inventory at' })],
+      responses: {
+        200: jsonResponse('Resources', {
+          at: { type: 'string', format: 'date-time', description: 'Only with ?at' },
+          resources: { type: 'array', items: { oneOf: [ref('Resource'), ref('ResourceAt')] } }
+        }),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    },
+    post: {
+      tags: ['Resources'],
+      summary: 'Create a resource for a catalog entry',
+      description: 'Requires role quartermaster.',
+      requestBody: jsonBody(createResourceBody),
+      responses: {
+        201: jsonResponse('Resource created', { resource: ref('Resource') }),
+        ...errorResponses(400, 401, 403, 404, 409, 500)
+      }
+    }
+  },
+  '/api/resources/data': {
+    get: {
+      tags: ['Resources'],
+      summary: 'List the resource catalog (ResourceData)',
+      parameters: habitatParams,
+      responses: {
+        200: jsonResponse('Catalog', {
+          data: { type: 'array', items: ref('ResourceData') },
+          count: { type: 'integer' }
+        }),
+        ...errorResponses(401, 404, 500)
+      }
+    }
+  },
+  '/api/resources/alerts': {
+    get: {
+      tags: ['Resources'],
+      summary: 'Resources at or below their critical level, or whose category is critical for the crew',
+      parameters: habitatParams,
+      responses: {
+        200: jsonResponse('Critical resources', {
+          resources: { type: 'array', items: ref('Resource') },
+          count: { type: 'integer' }
+        }),
+        ...errorResponses(401, 404, 500)
+      }
+    }
+  },
+  '/api/resources/history/recent': {
+    get: {
+      tags: ['History'],
+      summary: 'Page of history records of all resources in the last minutes (or a from/to range)',
+      description: 'Keyset pagination: pass the `nextCursor` of a response as `cursor` (with the same filters and sort) '
+        + 'to get the next page. `total` counts every record matching the filters.',
+      parameters: [...habitatParams, ...zodToParameters(recentHistoryQuery, 'query')],
+      responses: {
+        200: jsonResponse('Recent history', {
+          history: { type: 'array', items: ref('HistoryEntry') },
+          ...historyPageProperties,
+          from: { type: 'string', format: 'date-time' },
+          to: nullable({ type: 'string', format: 'date-time' }),
+          timeRange: { type: 'string', example: '60 minutes', description: 'Only without from' }
+        }),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    }
+  },
+  '/api/resources/compare': {
+    get: {
+      tags: ['History'],
+      summary: 'Compare the inventory between two moments and the ledger entries that explain each delta',
+      parameters: [...habitatParams, ...zodToParameters(compareInventoryQuery, 'query', {
+        to: 'Defaults to now',
+        limit: 'Ledger entries listed per resource (breakdown always covers all of them)'
+      })],
+      responses: {
+        200: jsonResponse('Comparison', {
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' },
+          resources: { type: 'array', items: ref('ResourceComparison') }
+        }),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    }
+  },
+  '/api/resources/category/{category}': {
+    get: {
+      tags: ['Resources'],
+      summary: 'List the resources of a category',
+      parameters: [...habitatParams, ...zodToParameters(categoryParams, 'path')],
+      responses: {
+        200: jsonResponse('Resources', { resources: { type: 'array', items: ref('Resource') } }),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    }
+  },
+  '/api/resources/{id}': {
+    get: {
+      tags: ['Resources'],
+      summary: 'Get a resource',
+      parameters: resourceIdParam,
+      responses: {
+        200: jsonResponse('Resource', { resource: ref('Resource') }),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    }
+  },
+  '/api/resources/{id}/stats': {
+    get: {
+      tags: ['History'],
+      summary: 'Statistics (average, min, max, trend) over a range',
+      description: 'Long ranges are computed from hourly/daily aggregates. Without history in the range all values are 0.',
+      parameters: [...resourceDataIdParam, ...zodToParameters(statsQuery, 'query')],
+      responses: {
+        200: jsonResponse('Statistics', {
+          data: {
+            type: 'object',
+            properties: { resourceData: ref('ResourceData'), stats: ref('Stats') }
+          }
+        }),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    }
+  },
+  '/api/resources/{id}/forecast': {
+    get: {
+      tags: ['Resources'],
+      summary: 'Depletion forecast of a resource',
+      parameters: [...resourceIdParam, ...zodToParameters(forecastQuery, 'query', { hours: 'History window used to fit the rate' })],
+      responses: {
+        200: jsonResponse('Forecast', {
+          data: {
+            type: 'object',
+            properties: { resource: ref('Resource'), forecast: ref('Forecast') }
+          }
+        }),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    }
+  },
+  '/api/resources/{id}/levels': {
+    get: {
+      tags: ['Levels'],
+      summary: 'Effective levels, category defaults and the last threshold changes',
+      parameters: resourceIdParam,
+      responses: {
+        200: jsonResponse('Levels', {
+          data: {
+            type: 'object',
+            properties: {
+              resourceId: { type: 'integer' },
+              resourceData: ref('ResourceData'),
+              levels: { type: 'object', properties: { ...levelFields, levelSource: ref('LevelSource'), unit: { type: 'string' } } },
+              categoryDefaults: { type: 'object', properties: { ...levelFields, unit: { type: 'string' } } },
+              changes: { type: 'array', items: ref('ThresholdChange') }
+            }
+          }
+        }),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    },
+    put: {
+      tags: ['Levels'],
+      summary: 'Set per-resource levels (null resets a level to the category default)',
+      description: 'Requires role quartermaster. Levels must satisfy minimumLevel < criticalLevel < maximumLevel.',
+      parameters: resourceIdParam,
+      requestBody: jsonBody(updateLevelsBody),
+      responses: {
+        200: jsonResponse('Levels updated', { resource: ref('Resource'), change: ref('ThresholdChange') }),
+        ...errorResponses(400, 401, 403, 404, 500)
+      }
+    }
+  },
+  '/api/resources/{id}/history': {
+    get: {
+      tags: ['History'],
+      summary: 'History of a resource: a page of records, or chart points for a range',
+      description: 'Without resolution returns a page of records (newest first by default) filtered by from/to, '
+        + 'changeType and source; pass the `nextCursor` of a response as `cursor` to get the next page. '
+        + 'With resolution, returns points for the from/to range at the resolution that fits it (raw, hour or day).',
+      parameters: [...resourceDataIdParam, ...zodToParameters(historyQuery, 'query')],
+      responses: {
+        200: jsonResponse('History', {
+          resourceData: describedRef('ResourceData', 'Only with a range'),
+          resolution: { type: 'string', enum: HISTORY_RESOLUTIONS, description: 'Only with a range' },
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' },
+          history: { type: 'array', items: { oneOf: [ref('HistoryEntry'), ref('HistoryPoint')] } },
+          count: { type: 'integer' },
+          total: { type: 'integer', description: 'Only without resolution' },
+          nextCursor: nullable({ type: 'string', description: 'Only without resolution' })
+        }),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    }
+  },
+  '/api/resources/{id}/consume': {
+    post: ledgerOperation('consume', 'Withdraw stock (negative delta) with a reason', 'crew')
+  },
+  '/api/resources/{id}/replenish': {
+    post: ledgerOperation('replenish', 'Add stock (positive delta) with a reason', 'quartermaster')
+  },
+  '/api/resources/{id}/update-quantity': {
+    put: {
+      tags: ['Ledger'],
+      summary: 'Set the absolute quantity of a resource',
+      description: 'Requires role crew. Cannot go below the stock held in storage locations (409 QUANTITY_BELOW_ALLOCATED). '
+        + 'Not allowed on spare parts resources with a parts catalog (409 PART_CATALOG_MANAGED).',
+      parameters: resourceIdParam,
+      requestBody: jsonBody(updateQuantityBody),
+      responses: {
+        200: jsonResponse('Quantity updated', { resource: ref('Resource') }),
+        ...errorResponses(400, 401, 403, 404, 409, 500)
+      }
+    }
+  }
+};
+
+export const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Ares Frontier - Resource API',
+    version: '1.0.0',
+    description: 'Resource monitoring for the Mars base. Every route requires a token from POST /api/auth/login '
+      + '(Authorization: Bearer <token>). Errors share the Error body; `code` is stable for clients. '
+      + 'Listings accept a base selector (X-Habitat header or habitat query param); without it they cover every base.'
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    { name: 'Resources', description: 'Inventory and forecasts' },
+    { name: 'Ledger', description: 'Stock movements recorded in change_history' },
+    { name: 'Levels', description: 'Per-resource thresholds' },
+    { name: 'History', description: 'History, statistics and point-in-time queries' }
+  ],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas,
+    responses
+  }
+};
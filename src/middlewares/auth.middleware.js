@@ -0,0 +1,86 @@
+// Authentication and role-based access middlewares for HTTP routes and the WebSocket handshake
+
+import { timingSafeEqual } from 'crypto';
+import { errorHandler } from '../utils/error.handle.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/errors.js';
+import { verifyTokenService } from '../services/auth.service.js';
+import { hasMinimumRole } from '../constants/auth.constants.js';
+
+/**
+ * Helper to extract a Bearer token from the Authorization header
+ */
+const getBearerToken = (header) => {
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice('Bearer '.length).trim();
+};
+
+const authenticationRequired = () => new UnauthorizedError('AUTHENTICATION_REQUIRED', 'Authentication required');
+
+/**
+ * Require a valid token and attach the user to req.user
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const user = await verifyTokenService(getBearerToken(req.headers.authorization));
+
+    if (!user) {
+      return errorHandler(res, 'Authentication required', authenticationRequired());
+    }
+
+    req.user = user;
+    next();
+  } catch (e) {
+    errorHandler(res, 'Error authenticating request', e);
+  }
+};
+
+/**
+ * Require at least the given role (must run after authenticate)
+ * @param {String} requiredRole - observer, crew, quartermaster or commander
+ */
+export const authorize = (requiredRole) => (req, res, next) => {
+  if (!req.user || !hasMinimumRole(req.user.role, requiredRole)) {
+    const error = new ForbiddenError('FORBIDDEN', `Forbidden. Requires role ${requiredRole} or higher`, { requiredRole });
+    return errorHandler(res, error.message, error);
+  }
+  next();
+};
+
+/**
+ * Require the static scrape token (METRICS_TOKEN) when one is configured
+ * Scrapers are not users, so they do not use the login tokens
+ */
+export const metricsAuth = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return next();
+  }
+
+  const received = Buffer.from(getBearerToken(req.headers.authorization) || '');
+  if (received.length !== Buffer.byteLength(expected) || !timingSafeEqual(received, Buffer.from(expected))) {
+    return errorHandler(res, 'Authentication required', authenticationRequired());
+  }
+  next();
+};
+
+/**
+ * Socket.IO middleware: refuse the handshake unless it carries a valid token
+ * Clients send it as io(url, { auth: { token } })
+ */
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const user = await verifyTokenService(socket.handshake.auth?.token);
+
+    if (!user) {
+      return next(new Error('Authentication required'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.error('[WebSocket] Error authenticating socket:', error.message);
+    next(new Error('Authentication failed'));
+  }
+};
@@ -0,0 +1,50 @@
+// Base selector middlewares: resolve the habitat an HTTP request or a WebSocket connection is scoped to
+
+import { errorHandler } from '../utils/error.handle.js';
+import { resolveHabitatService } from '../services/habitat.service.js';
+import { HABITAT_SELECTOR } from '../constants/habitat.constants.js';
+
+/**
+ * Attach the selected habitat to req.habitat (null when the request does not select one)
+ * The selector is the X-Habitat header or the habitat query param, with a habitat ID or code;
+ * an unknown habitat responds 404 HABITAT_NOT_FOUND. Listings without a selector cover every base
+ */
+export const selectHabitat = async (req, res, next) => {
+  const selector = req.headers[HABITAT_SELECTOR.header] ?? req.query?.[HABITAT_SELECTOR.query];
+
+  if (selector === undefined || selector === '') {
+    req.habitat = null;
+    return next();
+  }
+
+  try {
+    req.habitat = await resolveHabitatService(selector);
+    next();
+  } catch (e) {
+    errorHandler(res, 'Error selecting habitat', e);
+  }
+};
+
+/**
+ * Socket.IO middleware: attach the base selected in the handshake to socket.data.habitat
+ * Clients send it as io(url, { auth: { token, habitat } }); an unknown habitat refuses the connection
+ */
+export const selectSocketHabitat = async (socket, next) => {
+  const selector = socket.handshake.auth?.habitat;
+
+  if (selector === undefined || selector === null || selector === '') {
+    socket.data.habitat = null;
+    return next();
+  }
+
+  try {
+    socket.data.habitat = await resolveHabitatService(selector);
+    next();
+  } catch (error) {
+    if (error.code === 'HABITAT_NOT_FOUND') {
+      return next(new Error('Habitat not found'));
+    }
+    console.error('[WebSocket] Error selecting habitat:', error.message);
+    next(new Error('Habitat selection failed'));
+  }
+};
@@ -0,0 +1,19 @@
+// HTTP metrics middleware: records the latency of every request by method, route pattern and status
+
+import { observeHttpRequest } from '../services/metrics.service.js';
+
+/**
+ * Time each request until the response is sent
+ * Routes are labelled by pattern (/api/resources/:id), never by the raw URL, to keep series bounded
+ */
+export const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    observeHttpRequest({ method: req.method, route, status: res.statusCode }, seconds);
+  });
+
+  next();
+};
@@ -0,0 +1,43 @@
+// Request validation middleware: checks params, query and body against zod schemas
+
+import { errorHandler } from '../utils/error.handle.js';
+import { ValidationError } from '../utils/errors.js';
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Validate the request against the given schemas and store the parsed (coerced) values
+ * in req.validated.{params, query, body}; parts without a schema are passed through as-is
+ * On failure responds 400 VALIDATION_ERROR with details: [{ path, message }]
+ * @param {Object} schemas - { params?, query?, body? } zod schemas
+ */
+export const validate = (schemas) => (req, res, next) => {
+  const validated = {};
+  const details = [];
+
+  for (const part of REQUEST_PARTS) {
+    if (!schemas[part]) {
+      validated[part] = req[part];
+      continue;
+    }
+
+    const result = schemas[part].safeParse(req[part] ?? {});
+    if (result.success) {
+      validated[part] = result.data;
+    } else {
+      details.push(...result.error.issues.map(issue => ({
+        path: [part, ...issue.path].join('.'),
+        message: issue.message
+      })));
+    }
+  }
+
+  if (details.length > 0) {
+    const message = 'Invalid request. See details for each invalid field';
+    return errorHandler(res, message, new ValidationError('VALIDATION_ERROR', message, details));
+  }
+
+  // req.query is a read-only getter in Express 5, so parsed values live apart
+  req.validated = validated;
+  next();
+};
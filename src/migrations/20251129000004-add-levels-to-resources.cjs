@@ -0,0 +1,26 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Per-resource overrides; NULL means the category default applies
+    await queryInterface.addColumn('resources', 'minimumLevel', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('resources', 'criticalLevel', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('resources', 'maximumLevel', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('resources', 'maximumLevel');
+    await queryInterface.removeColumn('resources', 'criticalLevel');
+    await queryInterface.removeColumn('resources', 'minimumLevel');
+  }
+};
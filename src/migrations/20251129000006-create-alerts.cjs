@@ -0,0 +1,82 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('alerts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      resourceId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'resources',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      severity: {
+        type: Sequelize.ENUM('low', 'critical'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'acknowledged', 'resolved'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      openedQuantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      thresholdLevel: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      openedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      acknowledgedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      acknowledgedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      acknowledgeNote: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      resolvedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      resolvedQuantity: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('alerts', ['resourceId', 'status']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('alerts');
+  }
+};
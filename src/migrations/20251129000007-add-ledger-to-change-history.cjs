@@ -0,0 +1,46 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Existing rows are cron snapshots
+    await queryInterface.addColumn('change_history', 'changeType', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'snapshot'
+    });
+    await queryInterface.addColumn('change_history', 'previousStock', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('change_history', 'delta', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('change_history', 'reason', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn('change_history', 'source', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'cron'
+    });
+    await queryInterface.addColumn('change_history', 'operator', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('change_history', ['resourceId', 'createdAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('change_history', ['resourceId', 'createdAt']);
+    await queryInterface.removeColumn('change_history', 'operator');
+    await queryInterface.removeColumn('change_history', 'source');
+    await queryInterface.removeColumn('change_history', 'reason');
+    await queryInterface.removeColumn('change_history', 'delta');
+    await queryInterface.removeColumn('change_history', 'previousStock');
+    await queryInterface.removeColumn('change_history', 'changeType');
+  }
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('drill_runs', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      scenarioId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'scenarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      replayOfId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'drill_runs',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('running', 'completed', 'stopped'),
+        allowNull: false,
+        defaultValue: 'running'
+      },
+      clockSpeed: {
+        type: Sequelize.FLOAT,
+        allowNull: false
+      },
+      durationMinutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      simStartedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      lastTickAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      simEndedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      baseline: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      events: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('drill_runs');
+  }
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+const rollupColumns = (Sequelize) => ({
+  id: {
+    type: Sequelize.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  resourceId: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'resource_data',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  bucketStart: {
+    type: Sequelize.DATE,
+    allowNull: false
+  },
+  min: {
+    type: Sequelize.INTEGER,
+    allowNull: false
+  },
+  max: {
+    type: Sequelize.INTEGER,
+    allowNull: false
+  },
+  avg: {
+    type: Sequelize.FLOAT,
+    allowNull: false
+  },
+  first: {
+    type: Sequelize.INTEGER,
+    allowNull: false
+  },
+  last: {
+    type: Sequelize.INTEGER,
+    allowNull: false
+  },
+  samples: {
+    type: Sequelize.INTEGER,
+    allowNull: false
+  },
+  createdAt: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+  },
+  updatedAt: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+  }
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('history_hourly', rollupColumns(Sequelize));
+    await queryInterface.addIndex('history_hourly', ['resourceId', 'bucketStart'], { unique: true });
+
+    await queryInterface.createTable('history_daily', rollupColumns(Sequelize));
+    await queryInterface.addIndex('history_daily', ['resourceId', 'bucketStart'], { unique: true });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('history_daily');
+    await queryInterface.dropTable('history_hourly');
+  }
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('resupply_missions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('scheduled', 'in_transit', 'arrived', 'delayed', 'lost'),
+        allowNull: false,
+        defaultValue: 'scheduled'
+      },
+      launchDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      arrivalDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      arrivedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('resupply_missions', ['status', 'arrivalDate']);
+
+    await queryInterface.createTable('manifest_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      missionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'resupply_missions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      resourceDataId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'resource_data',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      deliveredAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('manifest_items', ['missionId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('manifest_items');
+    await queryInterface.dropTable('resupply_missions');
+  }
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('storage_locations', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      type: {
+        type: Sequelize.ENUM('module', 'tank', 'depot'),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('location_stocks', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      locationId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'storage_locations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      resourceId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'resources',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      capacity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('location_stocks', ['locationId', 'resourceId'], { unique: true });
+
+    await queryInterface.addColumn('change_history', 'locationId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'storage_locations',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('change_history', 'locationDelta', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('change_history', 'locationStock', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('change_history', 'transferId', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('change_history', 'transferId');
+    await queryInterface.removeColumn('change_history', 'locationStock');
+    await queryInterface.removeColumn('change_history', 'locationDelta');
+    await queryInterface.removeColumn('change_history', 'locationId');
+    await queryInterface.dropTable('location_stocks');
+    await queryInterface.dropTable('storage_locations');
+  }
+};
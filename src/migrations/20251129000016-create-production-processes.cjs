@@ -0,0 +1,124 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('production_processes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      type: {
+        type: Sequelize.ENUM('electrolysis', 'recycling', 'isru', 'other'),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      efficiency: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 1
+      },
+      status: {
+        type: Sequelize.ENUM('running', 'starved', 'stopped'),
+        allowNull: false,
+        defaultValue: 'stopped'
+      },
+      statusReason: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      statusChangedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      statusChangedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastRunAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('process_flows', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      processId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'production_processes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      resourceId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'resources',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      direction: {
+        type: Sequelize.ENUM('input', 'output'),
+        allowNull: false
+      },
+      ratePerHour: {
+        type: Sequelize.FLOAT,
+        allowNull: false
+      },
+      carry: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('process_flows', ['processId', 'resourceId'], { unique: true });
+    await queryInterface.addIndex('process_flows', ['resourceId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('process_flows');
+    await queryInterface.dropTable('production_processes');
+  }
+};
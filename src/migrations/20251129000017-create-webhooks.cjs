@@ -0,0 +1,137 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('webhooks', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false
+      },
+      events: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      secret: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('webhook_deliveries', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      webhookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'webhooks',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      eventId: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      event: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      responseStatus: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      responseBody: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      deliveredAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      redeliveryOf: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('webhook_deliveries', ['status', 'nextAttemptAt']);
+    await queryInterface.addIndex('webhook_deliveries', ['webhookId', 'createdAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('webhook_deliveries');
+    await queryInterface.dropTable('webhooks');
+  }
+};
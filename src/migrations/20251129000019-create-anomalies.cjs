@@ -0,0 +1,161 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('anomalies', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      resourceId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'resources',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('rate_spike', 'unexplained_drop'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'acknowledged', 'resolved'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      detectedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      lastDetectedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      windowStart: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      windowEnd: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      dropQuantity: {
+        type: Sequelize.FLOAT,
+        allowNull: false
+      },
+      observedRate: {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      },
+      baselineRate: {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      },
+      baselineStdDev: {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      },
+      acknowledgedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      acknowledgedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      acknowledgeNote: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      resolvedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      resolvedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('anomalies', ['resourceId', 'type', 'status']);
+    await queryInterface.addIndex('anomalies', ['detectedAt']);
+
+    // Sensitivity overrides per category (NULL = default from ANOMALY_CATEGORY_DEFAULTS)
+    await queryInterface.createTable('anomaly_settings', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      category: {
+        type: Sequelize.ENUM('food', 'oxygen', 'water', 'spare_parts'),
+        allowNull: false,
+        unique: true
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: true
+      },
+      windowMinutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      rateFactor: {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      },
+      zScore: {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      },
+      minExcessPct: {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      },
+      stepDropPct: {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      },
+      updatedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('anomaly_settings');
+    await queryInterface.dropTable('anomalies');
+  }
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('mission_rules', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      state: {
+        type: Sequelize.ENUM('caution', 'emergency', 'evacuation'),
+        allowNull: false
+      },
+      condition: {
+        type: Sequelize.ENUM('status', 'days_of_supply', 'open_anomaly'),
+        allowNull: false
+      },
+      // NULL = any category
+      category: {
+        type: Sequelize.ENUM('food', 'oxygen', 'water', 'spare_parts'),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('low', 'critical'),
+        allowNull: true
+      },
+      days: {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      },
+      minMatches: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      updatedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('mission_state_changes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      fromState: {
+        type: Sequelize.ENUM('nominal', 'caution', 'emergency', 'evacuation'),
+        allowNull: false
+      },
+      toState: {
+        type: Sequelize.ENUM('nominal', 'caution', 'emergency', 'evacuation'),
+        allowNull: false
+      },
+      // Rules that were met, with the resources or categories that met them
+      reasons: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      changedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('mission_state_changes', ['changedAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('mission_state_changes');
+    await queryInterface.dropTable('mission_rules');
+  }
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+const DEFAULT_HABITAT_CODE = 'ares-frontier';
+
+// Tables whose rows belong to one base (resources, history, alerts and levels hang from resource_data)
+const SCOPED_TABLES = ['resource_data', 'crew_members', 'storage_locations'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('habitats', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // The existing inventory, crew and storage belong to the original base
+    await queryInterface.bulkInsert('habitats', [{
+      code: DEFAULT_HABITAT_CODE,
+      name: 'Ares Frontier',
+      description: 'Main base',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }]);
+    const [[habitat]] = await queryInterface.sequelize.query(
+      `SELECT id FROM habitats WHERE code = '${DEFAULT_HABITAT_CODE}'`
+    );
+
+    // Nullable in the schema because SQLite cannot add a NOT NULL foreign key to existing tables;
+    // the models require it for new rows
+    for (const table of SCOPED_TABLES) {
+      await queryInterface.addColumn(table, 'habitatId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'habitats',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      });
+      await queryInterface.bulkUpdate(table, { habitatId: habitat.id }, {});
+      await queryInterface.addIndex(table, ['habitatId']);
+    }
+
+    await queryInterface.createTable('habitat_transfers', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      // Shared with the change_history entries of both bases
+      transferId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      fromHabitatId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'habitats',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      toHabitatId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'habitats',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      fromResourceId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'resources',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      // NULL until received when the destination base does not track the resource yet
+      toResourceId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'resources',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('dispatched', 'in_transit', 'received', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'dispatched'
+      },
+      dispatchedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      dispatchedBy: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      departedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      receivedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      receivedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      cancelledAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelledBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('habitat_transfers', ['status']);
+    await queryInterface.addIndex('habitat_transfers', ['fromHabitatId', 'dispatchedAt']);
+    await queryInterface.addIndex('habitat_transfers', ['toHabitatId', 'dispatchedAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('habitat_transfers');
+
+    // SQLite removes a column by rebuilding the table: with foreign keys on, dropping the old
+    // resource_data would cascade into resources and change_history
+    const isSqlite = queryInterface.sequelize.getDialect() === 'sqlite';
+    if (isSqlite) {
+      await queryInterface.sequelize.query('PRAGMA foreign_keys = OFF');
+    }
+    for (const table of SCOPED_TABLES) {
+      await queryInterface.removeIndex(table, ['habitatId']);
+      await queryInterface.removeColumn(table, 'habitatId');
+    }
+    if (isSqlite) {
+      await queryInterface.sequelize.query('PRAGMA foreign_keys = ON');
+    }
+
+    await queryInterface.dropTable('habitats');
+  }
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('spare_parts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      // spare_parts resource whose total is the sum of its parts
+      resourceId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'resources',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      partNumber: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      compatibleSystems: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      serialTracked: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      reorderLevel: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      criticalLevel: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('spare_parts', ['resourceId', 'partNumber'], { unique: true });
+
+    await queryInterface.createTable('spare_part_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      partId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'spare_parts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      serialNumber: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('in_stock', 'installed', 'retired'),
+        allowNull: false,
+        defaultValue: 'in_stock'
+      },
+      installedIn: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      installedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      retiredAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('spare_part_items', ['partId', 'serialNumber'], { unique: true });
+    await queryInterface.addIndex('spare_part_items', ['partId', 'status']);
+
+    // Part behind each ledger entry of a catalog-managed resource and each manifest line
+    for (const table of ['change_history', 'manifest_items']) {
+      await queryInterface.addColumn(table, 'partId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'spare_parts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+      await queryInterface.addIndex(table, ['partId']);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    // SQLite removes a column by rebuilding the table, which must not trigger foreign key actions
+    const isSqlite = queryInterface.sequelize.getDialect() === 'sqlite';
+    if (isSqlite) {
+      await queryInterface.sequelize.query('PRAGMA foreign_keys = OFF');
+    }
+    for (const table of ['change_history', 'manifest_items']) {
+      await queryInterface.removeIndex(table, ['partId']);
+      await queryInterface.removeColumn(table, 'partId');
+    }
+    if (isSqlite) {
+      await queryInterface.sequelize.query('PRAGMA foreign_keys = ON');
+    }
+
+    await queryInterface.dropTable('spare_part_items');
+    await queryInterface.dropTable('spare_parts');
+  }
+};
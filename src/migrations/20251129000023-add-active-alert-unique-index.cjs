@@ -0,0 +1,28 @@
+'use strict';
+
+const ACTIVE_STATUSES = ['open', 'acknowledged'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Resolve duplicates left by concurrent alert syncs, keeping the newest active alert of each resource
+    await queryInterface.sequelize.query(
+      `UPDATE alerts SET status = 'resolved', "resolvedAt" = CURRENT_TIMESTAMP
+       WHERE status IN ('open', 'acknowledged')
+         AND id NOT IN (
+           SELECT MAX(id) FROM alerts WHERE status IN ('open', 'acknowledged') GROUP BY "resourceId"
+         )`
+    );
+
+    // At most one open or acknowledged alert per resource (severity escalates in place)
+    await queryInterface.addIndex('alerts', ['resourceId'], {
+      name: 'alerts_active_resource_unique',
+      unique: true,
+      where: { status: ACTIVE_STATUSES }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('alerts', 'alerts_active_resource_unique');
+  }
+};
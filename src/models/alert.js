@@ -0,0 +1,95 @@
+// Alert: Persistent alert lifecycle (open -> acknowledged -> resolved). Opened and resolved by the monitoring cron.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class Alert extends Model {
+  static associate(models) {
+    // belongsTo relationship with Resource
+    Alert.belongsTo(models.Resource, {
+      foreignKey: 'resourceId',
+      as: 'resource'
+    });
+  }
+}
+
+Alert.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    resourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resources',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    severity: {
+      type: DataTypes.ENUM('low', 'critical'),
+      allowNull: false,
+      validate: {
+        isIn: [['low', 'critical']]
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'acknowledged', 'resolved'),
+      allowNull: false,
+      defaultValue: 'open',
+      validate: {
+        isIn: [['open', 'acknowledged', 'resolved']]
+      }
+    },
+    openedQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    thresholdLevel: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    openedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    acknowledgedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acknowledgedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    acknowledgeNote: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolvedQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Alert',
+    tableName: 'alerts',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      // At most one open or acknowledged alert per resource
+      { name: 'alerts_active_resource_unique', unique: true, fields: ['resourceId'], where: { status: ['open', 'acknowledged'] } }
+    ]
+  }
+);
+
+export default Alert;
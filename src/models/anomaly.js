@@ -0,0 +1,123 @@
+// Anomaly: Consumption that does not match the normal pattern of a resource (rate spike or unexplained drop).
+// Detected by the monitoring cron on its history snapshots; lifecycle open -> acknowledged -> resolved.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { ANOMALY_TYPES, ANOMALY_STATUSES } from '../constants/anomaly.constants.js';
+
+class Anomaly extends Model {
+  static associate(models) {
+    // belongsTo relationship with Resource
+    Anomaly.belongsTo(models.Resource, {
+      foreignKey: 'resourceId',
+      as: 'resource'
+    });
+  }
+}
+
+Anomaly.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    resourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resources',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    type: {
+      type: DataTypes.ENUM(...ANOMALY_TYPES),
+      allowNull: false,
+      validate: {
+        isIn: [ANOMALY_TYPES]
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...ANOMALY_STATUSES),
+      allowNull: false,
+      defaultValue: 'open',
+      validate: {
+        isIn: [ANOMALY_STATUSES]
+      }
+    },
+    detectedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // A rate spike is updated on every run while it lasts
+    lastDetectedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Span the anomaly was measured on (recent window or the two snapshots around the drop)
+    windowStart: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    windowEnd: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Stock at detection
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Unexplained drop, or consumption above the baseline during the window (spikes)
+    dropQuantity: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    // Consumption per hour (rate spikes only)
+    observedRate: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    baselineRate: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    baselineStdDev: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    acknowledgedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acknowledgedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    acknowledgeNote: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Username, or null when the cron resolved it (rate back to normal)
+    resolvedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Anomaly',
+    tableName: 'anomalies',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default Anomaly;
@@ -0,0 +1,78 @@
+// AnomalySetting: Anomaly detector sensitivity overrides for a resource category.
+// NULL fields fall back to ANOMALY_CATEGORY_DEFAULTS.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class AnomalySetting extends Model {}
+
+AnomalySetting.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    category: {
+      type: DataTypes.ENUM('food', 'oxygen', 'water', 'spare_parts'),
+      allowNull: false,
+      unique: true,
+      validate: {
+        isIn: [['food', 'oxygen', 'water', 'spare_parts']]
+      }
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true
+    },
+    windowMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    rateFactor: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    zScore: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    minExcessPct: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    stepDropPct: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    updatedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'AnomalySetting',
+    tableName: 'anomaly_settings',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default AnomalySetting;
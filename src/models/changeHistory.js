@@ -1,7 +1,12 @@
-// ChangeHistory: Tracks quantity snapshots. Auto-created every minute by cron, auto-deleted after 30 days.
+// ChangeHistory: Inventory ledger. Cron snapshots every minute plus manual movements (previous stock, delta, reason, source).
+// Auto-deleted after 30 days (hourly/daily aggregates are kept in history_hourly / history_daily).
 
 import { Model, DataTypes } from 'sequelize';
 import { sequelize } from '../config/database.config.js';
+import { CHANGE_TYPES, CHANGE_SOURCES, CHANGE_REASONS } from '../constants/resource.constants.js';
+import { PART_CHANGE_REASONS } from '../constants/part.constants.js';
+
+const ALL_REASONS = [...new Set([...Object.values(CHANGE_REASONS), ...Object.values(PART_CHANGE_REASONS)].flat())];
 
 class ChangeHistory extends Model {
   static associate(models) {
@@ -10,6 +15,18 @@ class ChangeHistory extends Model {
       foreignKey: 'resourceId',
       as: 'resourceData'
     });
+
+    // belongsTo relationship with StorageLocation (location movements and transfers)
+    ChangeHistory.belongsTo(models.StorageLocation, {
+      foreignKey: 'locationId',
+      as: 'location'
+    });
+
+    // belongsTo relationship with SparePart (movements of catalog-managed spare parts)
+    ChangeHistory.belongsTo(models.SparePart, {
+      foreignKey: 'partId',
+      as: 'part'
+    });
   }
 }
 
@@ -28,6 +45,76 @@ ChangeHistory.init(
         min: 0
       }
     },
+    changeType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'snapshot',
+      validate: {
+        isIn: [CHANGE_TYPES]
+      }
+    },
+    previousStock: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    delta: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isIn: [ALL_REASONS]
+      }
+    },
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'cron',
+      validate: {
+        isIn: [CHANGE_SOURCES]
+      }
+    },
+    operator: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Storage location side of the movement (NULL = unassigned stock); stock/delta stay resource totals
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'storage_locations',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    locationDelta: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    locationStock: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Shared by the two entries of a transfer
+    transferId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Part moved, for resources whose total is derived from the spare parts catalog
+    partId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'spare_parts',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
     resourceId: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -0,0 +1,41 @@
+// ConsumptionRate: Daily per-capita consumption for each resource category (in the category unit).
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class ConsumptionRate extends Model {}
+
+ConsumptionRate.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    category: {
+      type: DataTypes.ENUM('food', 'oxygen', 'water', 'spare_parts'),
+      allowNull: false,
+      unique: true,
+      validate: {
+        isIn: [['food', 'oxygen', 'water', 'spare_parts']]
+      }
+    },
+    dailyPerCapita: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ConsumptionRate',
+    tableName: 'consumption_rates',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default ConsumptionRate;
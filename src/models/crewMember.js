@@ -0,0 +1,70 @@
+// CrewMember: Crew roster of a base. Present members (arrived, not departed) drive per-capita consumption there.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { CREW_STATUSES } from '../constants/crew.constants.js';
+
+class CrewMember extends Model {
+  static associate(models) {
+    // belongsTo relationship with Habitat (the base where the member lives)
+    CrewMember.belongsTo(models.Habitat, {
+      foreignKey: 'habitatId',
+      as: 'habitat'
+    });
+  }
+}
+
+CrewMember.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    role: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM(...CREW_STATUSES),
+      allowNull: false,
+      defaultValue: 'active',
+      validate: {
+        isIn: [CREW_STATUSES]
+      }
+    },
+    arrivalDate: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    departureDate: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    habitatId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'habitats',
+        key: 'id'
+      }
+    }
+  },
+  {
+    sequelize,
+    modelName: 'CrewMember',
+    tableName: 'crew_members',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default CrewMember;
@@ -0,0 +1,41 @@
+// CronJob: Runtime settings of a scheduled job (changed through /api/jobs), applied again on every startup.
+// Jobs without a row run on the schedule defined in code.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class CronJob extends Model {}
+
+CronJob.init(
+  {
+    // Job name (e.g. resource-monitoring)
+    name: {
+      type: DataTypes.STRING(64),
+      primaryKey: true,
+      allowNull: false
+    },
+    // Cron expression overriding the default one (null = default)
+    schedule: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    paused: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    updatedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'CronJob',
+    tableName: 'cron_jobs',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default CronJob;
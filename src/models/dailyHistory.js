@@ -0,0 +1,81 @@
+// DailyHistory: Daily min/max/avg/first/last stock per resource, rolled up from history_hourly.
+// Used for charts spanning months of mission data.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class DailyHistory extends Model {
+  static associate(models) {
+    // belongsTo relationship with ResourceData (same resourceId as change_history)
+    DailyHistory.belongsTo(models.ResourceData, {
+      foreignKey: 'resourceId',
+      as: 'resourceData'
+    });
+  }
+}
+
+DailyHistory.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    resourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resource_data',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    // Start of the day (UTC) covered by this bucket
+    bucketStart: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    min: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    max: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    avg: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    first: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    last: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Number of raw records aggregated (used to weight averages)
+    samples: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    }
+  },
+  {
+    sequelize,
+    modelName: 'DailyHistory',
+    tableName: 'history_daily',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { unique: true, fields: ['resourceId', 'bucketStart'] }
+    ]
+  }
+);
+
+export default DailyHistory;
@@ -0,0 +1,104 @@
+// DrillRun: One execution of a drill in sandbox mode. Keeps the inventory baseline and every event
+// (scenario + injected) with its offset so the run can be replayed.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class DrillRun extends Model {
+  static associate(models) {
+    // belongsTo relationship with Scenario
+    DrillRun.belongsTo(models.Scenario, {
+      foreignKey: 'scenarioId',
+      as: 'scenario'
+    });
+
+    // belongsTo relationship with the DrillRun it replays
+    DrillRun.belongsTo(models.DrillRun, {
+      foreignKey: 'replayOfId',
+      as: 'replayOf'
+    });
+  }
+}
+
+DrillRun.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    scenarioId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'scenarios',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    replayOfId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'drill_runs',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('running', 'completed', 'stopped'),
+      allowNull: false,
+      defaultValue: 'running',
+      validate: {
+        isIn: [['running', 'completed', 'stopped']]
+      }
+    },
+    clockSpeed: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    durationMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    simStartedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    lastTickAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    simEndedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    baseline: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    events: {
+      type: DataTypes.JSON,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'DrillRun',
+    tableName: 'drill_runs',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default DrillRun;
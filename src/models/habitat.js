@@ -0,0 +1,67 @@
+// Habitat: A base (main base, outpost) that owns its resource catalog entries, crew and storage locations.
+// Resources, history, alerts and levels are scoped to a base through ResourceData.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { HABITAT_CODE_PATTERN } from '../constants/habitat.constants.js';
+
+class Habitat extends Model {
+  static associate(models) {
+    // hasMany relationship with ResourceData (the resources tracked at the base)
+    Habitat.hasMany(models.ResourceData, {
+      foreignKey: 'habitatId',
+      as: 'resourceData'
+    });
+
+    // hasMany relationship with CrewMember
+    Habitat.hasMany(models.CrewMember, {
+      foreignKey: 'habitatId',
+      as: 'crew'
+    });
+
+    // hasMany relationship with StorageLocation
+    Habitat.hasMany(models.StorageLocation, {
+      foreignKey: 'habitatId',
+      as: 'locations'
+    });
+  }
+}
+
+Habitat.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    code: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: HABITAT_CODE_PATTERN
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Habitat',
+    tableName: 'habitats',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default Habitat;
@@ -0,0 +1,139 @@
+// HabitatTransfer: Cargo moved between two bases. Dispatch debits the origin and receipt credits the destination;
+// both ledger entries share transferId. Lifecycle dispatched -> in_transit -> received (or cancelled before departure).
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { TRANSFER_STATUSES } from '../constants/habitat.constants.js';
+
+class HabitatTransfer extends Model {
+  static associate(models) {
+    // belongsTo relationships with the origin and destination bases
+    HabitatTransfer.belongsTo(models.Habitat, {
+      foreignKey: 'fromHabitatId',
+      as: 'fromHabitat'
+    });
+    HabitatTransfer.belongsTo(models.Habitat, {
+      foreignKey: 'toHabitatId',
+      as: 'toHabitat'
+    });
+
+    // belongsTo relationships with the debited and credited resources
+    HabitatTransfer.belongsTo(models.Resource, {
+      foreignKey: 'fromResourceId',
+      as: 'fromResource'
+    });
+    HabitatTransfer.belongsTo(models.Resource, {
+      foreignKey: 'toResourceId',
+      as: 'toResource'
+    });
+  }
+}
+
+HabitatTransfer.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    transferId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    fromHabitatId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'habitats',
+        key: 'id'
+      }
+    },
+    toHabitatId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'habitats',
+        key: 'id'
+      }
+    },
+    fromResourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resources',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    // NULL until received when the destination base does not track the resource yet
+    toResourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'resources',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...TRANSFER_STATUSES),
+      allowNull: false,
+      defaultValue: 'dispatched',
+      validate: {
+        isIn: [TRANSFER_STATUSES]
+      }
+    },
+    dispatchedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    dispatchedBy: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    departedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    receivedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    receivedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelledBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'HabitatTransfer',
+    tableName: 'habitat_transfers',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default HabitatTransfer;
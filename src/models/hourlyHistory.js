@@ -0,0 +1,81 @@
+// HourlyHistory: Hourly min/max/avg/first/last stock per resource, rolled up from change_history.
+// Kept after raw records are deleted so long-term trends survive the 30-day retention.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class HourlyHistory extends Model {
+  static associate(models) {
+    // belongsTo relationship with ResourceData (same resourceId as change_history)
+    HourlyHistory.belongsTo(models.ResourceData, {
+      foreignKey: 'resourceId',
+      as: 'resourceData'
+    });
+  }
+}
+
+HourlyHistory.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    resourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resource_data',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    // Start of the hour (UTC) covered by this bucket
+    bucketStart: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    min: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    max: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    avg: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    first: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    last: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Number of raw records aggregated (used to weight averages)
+    samples: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    }
+  },
+  {
+    sequelize,
+    modelName: 'HourlyHistory',
+    tableName: 'history_hourly',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { unique: true, fields: ['resourceId', 'bucketStart'] }
+    ]
+  }
+);
+
+export default HourlyHistory;
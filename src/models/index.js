@@ -2,12 +2,64 @@ import { sequelize } from '../config/database.config.js';
 import ResourceData from './resources.model.js';
 import Resource from './resource.js';
 import ChangeHistory from './changeHistory.js';
+import ThresholdChange from './thresholdChange.js';
+import Alert from './alert.js';
+import User from './user.js';
+import CrewMember from './crewMember.js';
+import ConsumptionRate from './consumptionRate.js';
+import Scenario from './scenario.js';
+import DrillRun from './drillRun.js';
+import HourlyHistory from './hourlyHistory.js';
+import DailyHistory from './dailyHistory.js';
+import ResupplyMission from './resupplyMission.js';
+import ManifestItem from './manifestItem.js';
+import StorageLocation from './storageLocation.js';
+import LocationStock from './locationStock.js';
+import ProductionProcess from './productionProcess.js';
+import ProcessFlow from './processFlow.js';
+import Webhook from './webhook.js';
+import WebhookDelivery from './webhookDelivery.js';
+import CronJob from './cronJob.js';
+import Anomaly from './anomaly.js';
+import AnomalySetting from './anomalySetting.js';
+import MissionRule from './missionRule.js';
+import MissionStateChange from './missionStateChange.js';
+import Habitat from './habitat.js';
+import HabitatTransfer from './habitatTransfer.js';
+import SparePart from './sparePart.js';
+import SparePartItem from './sparePartItem.js';
 
 const db = {
   sequelize,
   ResourceData,
   Resource,
-  ChangeHistory
+  ChangeHistory,
+  ThresholdChange,
+  Alert,
+  User,
+  CrewMember,
+  ConsumptionRate,
+  Scenario,
+  DrillRun,
+  HourlyHistory,
+  DailyHistory,
+  ResupplyMission,
+  ManifestItem,
+  StorageLocation,
+  LocationStock,
+  ProductionProcess,
+  ProcessFlow,
+  Webhook,
+  WebhookDelivery,
+  CronJob,
+  Anomaly,
+  AnomalySetting,
+  MissionRule,
+  MissionStateChange,
+  Habitat,
+  HabitatTransfer,
+  SparePart,
+  SparePartItem
 };
 
 // Set up associations
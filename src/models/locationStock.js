@@ -0,0 +1,79 @@
+// LocationStock: Quantity and capacity of a resource in a storage location.
+// Resource.quantity is the total; stock not held in any location is unassigned.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class LocationStock extends Model {
+  static associate(models) {
+    // belongsTo relationship with StorageLocation
+    LocationStock.belongsTo(models.StorageLocation, {
+      foreignKey: 'locationId',
+      as: 'location'
+    });
+
+    // belongsTo relationship with Resource
+    LocationStock.belongsTo(models.Resource, {
+      foreignKey: 'resourceId',
+      as: 'resource'
+    });
+  }
+}
+
+LocationStock.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'storage_locations',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    resourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resources',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    }
+  },
+  {
+    sequelize,
+    modelName: 'LocationStock',
+    tableName: 'location_stocks',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { unique: true, fields: ['locationId', 'resourceId'] }
+    ]
+  }
+);
+
+export default LocationStock;
@@ -0,0 +1,90 @@
+// ManifestItem: Cargo line of a resupply mission (resource and quantity, in the category unit).
+// Lines of catalog-managed spare parts name the part, which is replenished on arrival.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class ManifestItem extends Model {
+  static associate(models) {
+    // belongsTo relationship with ResupplyMission
+    ManifestItem.belongsTo(models.ResupplyMission, {
+      foreignKey: 'missionId',
+      as: 'mission'
+    });
+
+    // belongsTo relationship with ResourceData
+    ManifestItem.belongsTo(models.ResourceData, {
+      foreignKey: 'resourceDataId',
+      as: 'resourceData'
+    });
+
+    // belongsTo relationship with SparePart
+    ManifestItem.belongsTo(models.SparePart, {
+      foreignKey: 'partId',
+      as: 'part'
+    });
+  }
+}
+
+ManifestItem.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    missionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resupply_missions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    resourceDataId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resource_data',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    // NULL for resources that are not managed through the spare parts catalog
+    partId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'spare_parts',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    // Set once the quantity has been posted into inventory (prevents double posting)
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ManifestItem',
+    tableName: 'manifest_items',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default ManifestItem;
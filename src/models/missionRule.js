@@ -0,0 +1,90 @@
+// MissionRule: Condition on the resources that puts the base in a mission state (caution, emergency, evacuation).
+// The mission state is the most severe among the rules that are met.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { RULE_STATES, RULE_CONDITIONS, RULE_STATUSES } from '../constants/mission.constants.js';
+
+class MissionRule extends Model {}
+
+MissionRule.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    state: {
+      type: DataTypes.ENUM(...RULE_STATES),
+      allowNull: false,
+      validate: {
+        isIn: [RULE_STATES]
+      }
+    },
+    condition: {
+      type: DataTypes.ENUM(...RULE_CONDITIONS),
+      allowNull: false,
+      validate: {
+        isIn: [RULE_CONDITIONS]
+      }
+    },
+    // NULL = any category
+    category: {
+      type: DataTypes.ENUM('food', 'oxygen', 'water', 'spare_parts'),
+      allowNull: true,
+      validate: {
+        isIn: [['food', 'oxygen', 'water', 'spare_parts']]
+      }
+    },
+    // Status condition: resources at this status or worse
+    status: {
+      type: DataTypes.ENUM(...RULE_STATUSES),
+      allowNull: true,
+      validate: {
+        isIn: [RULE_STATUSES]
+      }
+    },
+    // Days of supply condition: categories below this many days
+    days: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    minMatches: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    updatedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'MissionRule',
+    tableName: 'mission_rules',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default MissionRule;
@@ -0,0 +1,51 @@
+// MissionStateChange: Log of mission state transitions. The latest entry holds the current state (nominal if none).
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { MISSION_STATES } from '../constants/mission.constants.js';
+
+class MissionStateChange extends Model {}
+
+MissionStateChange.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    fromState: {
+      type: DataTypes.ENUM(...MISSION_STATES),
+      allowNull: false,
+      validate: {
+        isIn: [MISSION_STATES]
+      }
+    },
+    toState: {
+      type: DataTypes.ENUM(...MISSION_STATES),
+      allowNull: false,
+      validate: {
+        isIn: [MISSION_STATES]
+      }
+    },
+    // [{ ruleId, name, state, matches: [{ resourceId?, name?, category, value }] }]
+    reasons: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    changedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'MissionStateChange',
+    tableName: 'mission_state_changes',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default MissionStateChange;
@@ -0,0 +1,85 @@
+// ProcessFlow: Input or output of a production process (resource and nominal rate per hour, in the category unit).
+// Resources are integers, so the fraction not posted yet is carried over to the next tick.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { FLOW_DIRECTIONS } from '../constants/process.constants.js';
+
+class ProcessFlow extends Model {
+  static associate(models) {
+    // belongsTo relationship with ProductionProcess
+    ProcessFlow.belongsTo(models.ProductionProcess, {
+      foreignKey: 'processId',
+      as: 'process'
+    });
+
+    // belongsTo relationship with Resource
+    ProcessFlow.belongsTo(models.Resource, {
+      foreignKey: 'resourceId',
+      as: 'resource'
+    });
+  }
+}
+
+ProcessFlow.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    processId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'production_processes',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    resourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resources',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    direction: {
+      type: DataTypes.ENUM(...FLOW_DIRECTIONS),
+      allowNull: false,
+      validate: {
+        isIn: [FLOW_DIRECTIONS]
+      }
+    },
+    ratePerHour: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    // Amount accumulated but not posted yet (always below 1 unit)
+    carry: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ProcessFlow',
+    tableName: 'process_flows',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { unique: true, fields: ['processId', 'resourceId'] }
+    ]
+  }
+);
+
+export default ProcessFlow;
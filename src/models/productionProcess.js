@@ -0,0 +1,91 @@
+// ProductionProcess: Electrolysis, recycling or ISRU unit that converts input resources into outputs at defined rates.
+// While running, the monitoring cron posts its flows into inventory; outputs are scaled by the efficiency.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { PROCESS_TYPES, PROCESS_STATUSES } from '../constants/process.constants.js';
+
+class ProductionProcess extends Model {
+  static associate(models) {
+    // hasMany relationship with ProcessFlow (inputs and outputs)
+    ProductionProcess.hasMany(models.ProcessFlow, {
+      foreignKey: 'processId',
+      as: 'flows'
+    });
+  }
+}
+
+ProductionProcess.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    type: {
+      type: DataTypes.ENUM(...PROCESS_TYPES),
+      allowNull: false,
+      validate: {
+        isIn: [PROCESS_TYPES]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Fraction of the nominal output rates actually produced (0.93 = 93%)
+    efficiency: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 0,
+        max: 1
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...PROCESS_STATUSES),
+      allowNull: false,
+      defaultValue: 'stopped',
+      validate: {
+        isIn: [PROCESS_STATUSES]
+      }
+    },
+    // Why the process is starved or was stopped
+    statusReason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    statusChangedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    statusChangedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Flows are applied for the time elapsed since the last tick
+    lastRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ProductionProcess',
+    tableName: 'production_processes',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default ProductionProcess;
@@ -1,4 +1,5 @@
-// Resource: Stores current quantity. Levels applied dynamically from constants.
+// Resource: Stores current total quantity and optional per-resource levels (NULL = category default from constants).
+// The total is split across storage locations (LocationStock) plus an unassigned remainder.
 
 import { Model, DataTypes } from 'sequelize';
 import { sequelize } from '../config/database.config.js';
@@ -10,6 +11,36 @@ class Resource extends Model {
       foreignKey: 'resourceDataId',
       as: 'resourceData'
     });
+
+    // hasMany relationship with ThresholdChange (audit of level edits)
+    Resource.hasMany(models.ThresholdChange, {
+      foreignKey: 'resourceId',
+      as: 'thresholdChanges'
+    });
+
+    // hasMany relationship with Alert
+    Resource.hasMany(models.Alert, {
+      foreignKey: 'resourceId',
+      as: 'alerts'
+    });
+
+    // hasMany relationship with Anomaly (rate spikes and unexplained drops)
+    Resource.hasMany(models.Anomaly, {
+      foreignKey: 'resourceId',
+      as: 'anomalies'
+    });
+
+    // hasMany relationship with LocationStock (stock held in tanks/modules/depots)
+    Resource.hasMany(models.LocationStock, {
+      foreignKey: 'resourceId',
+      as: 'locationStocks'
+    });
+
+    // hasMany relationship with ProcessFlow (production processes that consume or produce it)
+    Resource.hasMany(models.ProcessFlow, {
+      foreignKey: 'resourceId',
+      as: 'processFlows'
+    });
   }
 }
 
@@ -29,6 +60,27 @@ Resource.init(
         min: 0
       }
     },
+    minimumLevel: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    criticalLevel: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    maximumLevel: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
     resourceDataId: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -1,4 +1,4 @@
-// ResourceData: Master catalog of resource types. Levels are NOT in DB, applied dynamically from constants.
+// ResourceData: Catalog of the resource types tracked at a base. Category levels come from constants; per-resource overrides live on Resource.
 
 import { Model, DataTypes } from 'sequelize';
 import { sequelize } from '../config/database.config.js';
@@ -11,6 +11,12 @@ class ResourceData extends Model {
       as: 'resource'
     });
 
+    // belongsTo relationship with Habitat (the base where the resource is kept)
+    ResourceData.belongsTo(models.Habitat, {
+      foreignKey: 'habitatId',
+      as: 'habitat'
+    });
+
     // hasMany relationship with ChangeHistory
     ResourceData.hasMany(models.ChangeHistory, {
       foreignKey: 'resourceId',
@@ -40,6 +46,14 @@ ResourceData.init(
       validate: {
         isIn: [['food', 'oxygen', 'water', 'spare_parts']]
       }
+    },
+    habitatId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'habitats',
+        key: 'id'
+      }
     }
   },
   {
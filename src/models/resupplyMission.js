@@ -0,0 +1,71 @@
+// ResupplyMission: Incoming cargo with launch/arrival dates. On arrival its manifest is posted into inventory.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { RESUPPLY_STATUSES } from '../constants/resupply.constants.js';
+
+class ResupplyMission extends Model {
+  static associate(models) {
+    // hasMany relationship with ManifestItem (cargo)
+    ResupplyMission.hasMany(models.ManifestItem, {
+      foreignKey: 'missionId',
+      as: 'manifest'
+    });
+  }
+}
+
+ResupplyMission.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...RESUPPLY_STATUSES),
+      allowNull: false,
+      defaultValue: 'scheduled',
+      validate: {
+        isIn: [RESUPPLY_STATUSES]
+      }
+    },
+    launchDate: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    arrivalDate: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // When the manifest was posted into inventory
+    arrivedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ResupplyMission',
+    tableName: 'resupply_missions',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default ResupplyMission;
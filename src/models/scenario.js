@@ -0,0 +1,49 @@
+// Scenario: Reusable drill definition (list of injectable events with start offsets in simulated minutes).
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class Scenario extends Model {
+  static associate(models) {
+    // hasMany relationship with DrillRun
+    Scenario.hasMany(models.DrillRun, {
+      foreignKey: 'scenarioId',
+      as: 'drillRuns'
+    });
+  }
+}
+
+Scenario.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    events: {
+      type: DataTypes.JSON,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Scenario',
+    tableName: 'scenarios',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default Scenario;
@@ -0,0 +1,104 @@
+// SparePart: Catalog entry of a spare part (part number, compatible systems, stock and reorder thresholds).
+// The total of its spare_parts Resource is the sum of the stock of its parts; serial-tracked parts count their in-stock units.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { PART_NUMBER_PATTERN } from '../constants/part.constants.js';
+
+class SparePart extends Model {
+  static associate(models) {
+    // belongsTo relationship with Resource (the spare_parts resource the part rolls up into)
+    SparePart.belongsTo(models.Resource, {
+      foreignKey: 'resourceId',
+      as: 'resource'
+    });
+
+    // hasMany relationship with SparePartItem (units with serial number)
+    SparePart.hasMany(models.SparePartItem, {
+      foreignKey: 'partId',
+      as: 'items'
+    });
+  }
+}
+
+SparePart.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    resourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resources',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    partNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        is: PART_NUMBER_PATTERN
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Systems the part fits (e.g. ['co2_scrubber', 'water_recovery'])
+    compatibleSystems: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    serialTracked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    // NULL = no threshold
+    reorderLevel: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    criticalLevel: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    }
+  },
+  {
+    sequelize,
+    modelName: 'SparePart',
+    tableName: 'spare_parts',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default SparePart;
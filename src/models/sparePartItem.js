@@ -0,0 +1,73 @@
+// SparePartItem: Unit of a serial-tracked spare part. Only in_stock units count in the part's stock;
+// installed units record the system they went into.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { PART_ITEM_STATUSES } from '../constants/part.constants.js';
+
+class SparePartItem extends Model {
+  static associate(models) {
+    // belongsTo relationship with SparePart
+    SparePartItem.belongsTo(models.SparePart, {
+      foreignKey: 'partId',
+      as: 'part'
+    });
+  }
+}
+
+SparePartItem.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    partId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'spare_parts',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    serialNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...PART_ITEM_STATUSES),
+      allowNull: false,
+      defaultValue: 'in_stock',
+      validate: {
+        isIn: [PART_ITEM_STATUSES]
+      }
+    },
+    installedIn: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    installedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    retiredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'SparePartItem',
+    tableName: 'spare_part_items',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default SparePartItem;
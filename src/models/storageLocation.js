@@ -0,0 +1,68 @@
+// StorageLocation: Habitat module, tank or depot where stock is kept (quantities live in LocationStock).
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { LOCATION_TYPES } from '../constants/location.constants.js';
+
+class StorageLocation extends Model {
+  static associate(models) {
+    // hasMany relationship with LocationStock (one row per stored resource)
+    StorageLocation.hasMany(models.LocationStock, {
+      foreignKey: 'locationId',
+      as: 'stocks'
+    });
+
+    // belongsTo relationship with Habitat (the base the location is part of)
+    StorageLocation.belongsTo(models.Habitat, {
+      foreignKey: 'habitatId',
+      as: 'habitat'
+    });
+  }
+}
+
+StorageLocation.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    type: {
+      type: DataTypes.ENUM(...LOCATION_TYPES),
+      allowNull: false,
+      validate: {
+        isIn: [LOCATION_TYPES]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    habitatId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'habitats',
+        key: 'id'
+      }
+    }
+  },
+  {
+    sequelize,
+    modelName: 'StorageLocation',
+    tableName: 'storage_locations',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default StorageLocation;
@@ -0,0 +1,59 @@
+// ThresholdChange: Audit log of per-resource level edits (who changed them and when).
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class ThresholdChange extends Model {
+  static associate(models) {
+    // belongsTo relationship with Resource
+    ThresholdChange.belongsTo(models.Resource, {
+      foreignKey: 'resourceId',
+      as: 'resource'
+    });
+  }
+}
+
+ThresholdChange.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    resourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'resources',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    previousLevels: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    newLevels: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    changedBy: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ThresholdChange',
+    tableName: 'threshold_changes',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default ThresholdChange;
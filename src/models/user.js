@@ -0,0 +1,58 @@
+// User: API and WebSocket accounts with a role (observer, crew, quartermaster, commander).
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { ROLES } from '../constants/auth.constants.js';
+
+class User extends Model {
+  // Never expose the password hash in API responses
+  toJSON() {
+    const { passwordHash, ...values } = super.toJSON();
+    return values;
+  }
+}
+
+User.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    username: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    passwordHash: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    role: {
+      type: DataTypes.ENUM(...ROLES),
+      allowNull: false,
+      defaultValue: 'observer',
+      validate: {
+        isIn: [ROLES]
+      }
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'User',
+    tableName: 'users',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default User;
@@ -0,0 +1,68 @@
+// Webhook: Subscription of an external system (habitat controller, mission log) to alert and inventory events.
+// Deliveries are signed with the secret (HMAC-SHA256); the secret is only returned when created or rotated.
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+
+class Webhook extends Model {
+  static associate(models) {
+    // hasMany relationship with WebhookDelivery (delivery log)
+    Webhook.hasMany(models.WebhookDelivery, {
+      foreignKey: 'webhookId',
+      as: 'deliveries'
+    });
+  }
+
+  // Never expose the signing secret in API responses
+  toJSON() {
+    const { secret, ...values } = super.toJSON();
+    return values;
+  }
+}
+
+Webhook.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    // http(s) URL, checked by the route schema (local receivers like http://localhost:3999/hook are allowed)
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false
+    },
+    // Subscribed event types (see WEBHOOK_EVENTS), ['*'] for all
+    events: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    secret: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Webhook',
+    tableName: 'webhooks',
+    timestamps: true,
+    underscored: false
+  }
+);
+
+export default Webhook;
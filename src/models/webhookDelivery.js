@@ -0,0 +1,106 @@
+// WebhookDelivery: Delivery log of an event to a webhook (attempts, last response, next retry).
+// Redeliveries create a new row with the same payload (same event id, so receivers can deduplicate).
+
+import { Model, DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import { DELIVERY_STATUSES } from '../constants/webhook.constants.js';
+
+class WebhookDelivery extends Model {
+  static associate(models) {
+    // belongsTo relationship with Webhook
+    WebhookDelivery.belongsTo(models.Webhook, {
+      foreignKey: 'webhookId',
+      as: 'webhook'
+    });
+  }
+}
+
+WebhookDelivery.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    webhookId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'webhooks',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    eventId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    event: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Exact body sent: { id, event, createdAt, data }
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(...DELIVERY_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [DELIVERY_STATUSES]
+      }
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Next retry (or end of the current attempt's lease while it is in flight)
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    responseBody: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Delivery this one was manually redelivered from
+    redeliveryOf: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'WebhookDelivery',
+    tableName: 'webhook_deliveries',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { fields: ['status', 'nextAttemptAt'] },
+      { fields: ['webhookId', 'createdAt'] }
+    ]
+  }
+);
+
+export default WebhookDelivery;
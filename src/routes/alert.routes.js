@@ -0,0 +1,33 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import { alertHistoryQuery, acknowledgeAlertBody } from '../schemas/alert.schemas.js';
+import {
+  getActiveAlertsController,
+  getAlertHistoryController,
+  getAlertByIdController,
+  acknowledgeAlertController
+} from '../controllers/alert.controller.js';
+
+export const router = Router();
+
+/**
+ * Alert API Routes
+ * Order is important: more specific routes first to avoid conflicts
+ * Every route requires a token; acknowledging requires crew or higher
+ */
+
+router.use(authenticate);
+
+// Get alert history with response times (query: resourceId, status, from, to, limit)
+router.get('/history', validate({ query: alertHistoryQuery }), getAlertHistoryController);
+
+// Get a specific alert by ID
+router.get('/:id', validate({ params: idParams }), getAlertByIdController);
+
+// Get open and acknowledged alerts
+router.get('/', getActiveAlertsController);
+
+// Acknowledge an open alert (body: {note?: string})
+router.put('/:id/acknowledge', authorize('crew'), validate({ params: idParams, body: acknowledgeAlertBody }), acknowledgeAlertController);
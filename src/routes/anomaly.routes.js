@@ -0,0 +1,50 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import { categoryParams } from '../schemas/resource.schemas.js';
+import {
+  listAnomaliesQuery,
+  acknowledgeAnomalyBody,
+  updateAnomalySettingsBody
+} from '../schemas/anomaly.schemas.js';
+import {
+  getAnomaliesController,
+  getAnomalyByIdController,
+  acknowledgeAnomalyController,
+  resolveAnomalyController,
+  getAnomalySettingsController,
+  updateAnomalySettingsController
+} from '../controllers/anomaly.controller.js';
+
+export const router = Router();
+
+/**
+ * Anomaly API Routes
+ * Reads are open to observers; crew acknowledge and resolve anomalies, quartermasters tune the detector
+ */
+
+router.use(authenticate);
+
+// Detector sensitivity per category (defaults and overrides)
+router.get('/settings', getAnomalySettingsController);
+
+// Tune a category (body: any of enabled, windowMinutes, rateFactor, zScore, minExcessPct, stepDropPct; null = default)
+router.put(
+  '/settings/:category',
+  authorize('quartermaster'),
+  validate({ params: categoryParams, body: updateAnomalySettingsBody }),
+  updateAnomalySettingsController
+);
+
+// List anomalies (query: resourceId, type, status, from, to, limit)
+router.get('/', validate({ query: listAnomaliesQuery }), getAnomaliesController);
+
+// Get a specific anomaly
+router.get('/:id', validate({ params: idParams }), getAnomalyByIdController);
+
+// Acknowledge an open anomaly (body: {note?})
+router.put('/:id/acknowledge', authorize('crew'), validate({ params: idParams, body: acknowledgeAnomalyBody }), acknowledgeAnomalyController);
+
+// Resolve an anomaly (leak sealed, drop accounted for)
+router.put('/:id/resolve', authorize('crew'), validate({ params: idParams }), resolveAnomalyController);
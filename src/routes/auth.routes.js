@@ -0,0 +1,40 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import { loginBody, createUserBody, updateUserBody } from '../schemas/auth.schemas.js';
+import {
+  loginController,
+  getCurrentUserController,
+  getAllUsersController,
+  createUserController,
+  updateUserController
+} from '../controllers/auth.controller.js';
+
+export const router = Router();
+
+/**
+ * Authentication and user management routes
+ * Only /login is public; user management requires the commander role
+ */
+
+// Exchange credentials for a token (body: {username: string, password: string})
+router.post('/login', validate({ body: loginBody }), loginController);
+
+// Get the authenticated user
+router.get('/me', authenticate, getCurrentUserController);
+
+// List user accounts
+router.get('/users', authenticate, authorize('commander'), getAllUsersController);
+
+// Create a user account (body: {username: string, password: string, role?: string})
+router.post('/users', authenticate, authorize('commander'), validate({ body: createUserBody }), createUserController);
+
+// Update a user account (body: {role?: string, active?: boolean, password?: string})
+router.put(
+  '/users/:id',
+  authenticate,
+  authorize('commander'),
+  validate({ params: idParams, body: updateUserBody }),
+  updateUserController
+);
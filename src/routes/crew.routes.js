@@ -0,0 +1,56 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import { categoryParams } from '../schemas/resource.schemas.js';
+import {
+  listCrewQuery,
+  createCrewMemberBody,
+  updateCrewMemberBody,
+  updateConsumptionRateBody
+} from '../schemas/crew.schemas.js';
+import {
+  getAllCrewMembersController,
+  getCrewSupplyController,
+  getConsumptionRatesController,
+  updateConsumptionRateController,
+  getCrewMemberByIdController,
+  createCrewMemberController,
+  updateCrewMemberController
+} from '../controllers/crew.controller.js';
+
+export const router = Router();
+
+/**
+ * Crew API Routes
+ * Order is important: more specific routes first to avoid conflicts
+ * Reads are open to observers; roster and rate changes require commander
+ */
+
+router.use(authenticate);
+
+// Days of supply per category for the crew currently on base (per base with the base selector)
+router.get('/supply', getCrewSupplyController);
+
+// Daily per-capita consumption rates per category
+router.get('/rates', getConsumptionRatesController);
+
+// Set the daily per-capita rate of a category (body: {dailyPerCapita: number})
+router.put(
+  '/rates/:category',
+  authorize('commander'),
+  validate({ params: categoryParams, body: updateConsumptionRateBody }),
+  updateConsumptionRateController
+);
+
+// Get a specific crew member by ID
+router.get('/:id', validate({ params: idParams }), getCrewMemberByIdController);
+
+// List crew roster (query: present=true)
+router.get('/', validate({ query: listCrewQuery }), getAllCrewMembersController);
+
+// Add a crew member (body: {name, role?, status?, arrivalDate, departureDate?, habitatId?}); selected or default base
+router.post('/', authorize('commander'), validate({ body: createCrewMemberBody }), createCrewMemberController);
+
+// Update a crew member (body: {name?, role?, status?, arrivalDate?, departureDate?, habitatId?}); habitatId relocates them
+router.put('/:id', authorize('commander'), validate({ params: idParams, body: updateCrewMemberBody }), updateCrewMemberController);
@@ -0,0 +1,34 @@
+import { Router, text } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { exportHistoryQuery, exportInventoryQuery, importHistoryQuery } from '../schemas/data.schemas.js';
+import { DATA_TRANSFER_SETTINGS } from '../constants/resource.constants.js';
+import {
+  exportHistoryController,
+  exportInventoryController,
+  importHistoryController
+} from '../controllers/data.controller.js';
+
+export const router = Router();
+
+/**
+ * Data Export/Import API Routes
+ * Exports are streamed as file downloads (format=csv|ndjson); importing requires quartermaster
+ */
+
+router.use(authenticate);
+
+// Stream change_history (query: format, resourceId, category, from, to)
+router.get('/export/history', validate({ query: exportHistoryQuery }), exportHistoryController);
+
+// Current inventory with effective levels and days of supply (query: format, category)
+router.get('/export/inventory', validate({ query: exportInventoryQuery }), exportInventoryController);
+
+// Import historical records from a CSV/NDJSON body (query: format?, dryRun, skipInvalid)
+router.post(
+  '/import/history',
+  authorize('quartermaster'),
+  validate({ query: importHistoryQuery }),
+  text({ type: ['text/csv', 'application/x-ndjson', 'text/plain'], limit: DATA_TRANSFER_SETTINGS.maxImportSize }),
+  importHistoryController
+);
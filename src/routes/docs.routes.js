@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import {
+  getDocsViewerController,
+  getOpenApiController,
+  getAsyncApiController
+} from '../controllers/docs.controller.js';
+
+export const router = Router();
+
+/**
+ * API documentation routes (public: the specs describe the API, they do not expose data)
+ * Clients can generate typed SDKs from openapi.json (HTTP) and asyncapi.json (Socket.IO)
+ */
+
+// OpenAPI document
+router.get('/openapi.json', getOpenApiController);
+
+// AsyncAPI document
+router.get('/asyncapi.json', getAsyncApiController);
+
+// Interactive viewer
+router.get('/', getDocsViewerController);
@@ -0,0 +1,62 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import {
+  createHabitatBody,
+  updateHabitatBody,
+  listTransfersQuery,
+  dispatchTransferBody
+} from '../schemas/habitat.schemas.js';
+import {
+  getHabitatsController,
+  getHabitatByIdController,
+  createHabitatController,
+  updateHabitatController,
+  getTransfersController,
+  getTransferByIdController,
+  dispatchTransferController,
+  departTransferController,
+  receiveTransferController,
+  cancelTransferController
+} from '../controllers/habitat.controller.js';
+
+export const router = Router();
+
+/**
+ * Habitat API Routes
+ * Any authenticated user can see bases and transfers; quartermasters move cargo between bases
+ * and commanders create or rename bases
+ */
+
+router.use(authenticate);
+
+// List transfers, newest first (query: direction, status, resourceId, limit; scoped by the base selector)
+router.get('/transfers', validate({ query: listTransfersQuery }), getTransfersController);
+
+// Get a transfer with its change_history entries at both bases
+router.get('/transfers/:id', validate({ params: idParams }), getTransferByIdController);
+
+// Dispatch cargo (body: {resourceId, toHabitatId, quantity, notes?}); debits the unassigned stock of the origin
+router.post('/transfers', authorize('quartermaster'), validate({ body: dispatchTransferBody }), dispatchTransferController);
+
+// Cargo on its way (dispatched -> in_transit)
+router.put('/transfers/:id/depart', authorize('quartermaster'), validate({ params: idParams }), departTransferController);
+
+// Cargo arrived (in_transit -> received); credits the destination base
+router.put('/transfers/:id/receive', authorize('quartermaster'), validate({ params: idParams }), receiveTransferController);
+
+// Cancel before departure (dispatched -> cancelled); credits the origin back
+router.put('/transfers/:id/cancel', authorize('quartermaster'), validate({ params: idParams }), cancelTransferController);
+
+// List bases with their resource, crew and storage location counts
+router.get('/', getHabitatsController);
+
+// Get a specific base
+router.get('/:id', validate({ params: idParams }), getHabitatByIdController);
+
+// Create a base (body: {code, name, description?})
+router.post('/', authorize('commander'), validate({ body: createHabitatBody }), createHabitatController);
+
+// Update a base (body: any of code, name, description)
+router.put('/:id', authorize('commander'), validate({ params: idParams, body: updateHabitatBody }), updateHabitatController);
@@ -0,0 +1,14 @@
+import { Router } from 'express';
+import { getLivenessController, getReadinessController } from '../controllers/health.controller.js';
+
+export const router = Router();
+
+/**
+ * Health check routes (public, for orchestrator probes and load balancers)
+ */
+
+// Liveness probe
+router.get('/live', getLivenessController);
+
+// Readiness probe
+router.get('/ready', getReadinessController);
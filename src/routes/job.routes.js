@@ -0,0 +1,39 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { jobParams, rescheduleJobBody } from '../schemas/job.schemas.js';
+import {
+  getAllJobsController,
+  getJobByNameController,
+  pauseJobController,
+  resumeJobController,
+  runJobController,
+  rescheduleJobController
+} from '../controllers/job.controller.js';
+
+export const router = Router();
+
+/**
+ * Cron job API Routes
+ * Any authenticated user can see the state of the jobs; only commanders change or trigger them
+ */
+
+router.use(authenticate);
+
+// List jobs (schedule, paused, last run, duration, last error, next run)
+router.get('/', getAllJobsController);
+
+// Get a specific job
+router.get('/:name', validate({ params: jobParams }), getJobByNameController);
+
+// Pause a job (persisted across restarts)
+router.post('/:name/pause', authorize('commander'), validate({ params: jobParams }), pauseJobController);
+
+// Resume a paused job
+router.post('/:name/resume', authorize('commander'), validate({ params: jobParams }), resumeJobController);
+
+// Run a job now (also while paused; 409 if it is already running)
+router.post('/:name/run', authorize('commander'), validate({ params: jobParams }), runJobController);
+
+// Change the schedule (body: {schedule: cron expression | null for the default})
+router.put('/:name/schedule', authorize('commander'), validate({ params: jobParams, body: rescheduleJobBody }), rescheduleJobController);
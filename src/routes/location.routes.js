@@ -0,0 +1,58 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import {
+  listLocationsQuery,
+  locationStockParams,
+  locationMovementsQuery,
+  createLocationBody,
+  updateLocationBody,
+  setLocationStockBody,
+  transferStockBody
+} from '../schemas/location.schemas.js';
+import {
+  getAllLocationsController,
+  getLocationByIdController,
+  getLocationMovementsController,
+  createLocationController,
+  updateLocationController,
+  setLocationStockController,
+  transferStockController
+} from '../controllers/location.controller.js';
+
+export const router = Router();
+
+/**
+ * Storage Location API Routes
+ * Order is important: more specific routes first to avoid conflicts
+ * Reads are open to observers; transfers require crew; locations and capacities require quartermaster
+ */
+
+router.use(authenticate);
+
+// Move stock between locations (body: {resourceId, fromLocationId, toLocationId, quantity}; null = unassigned)
+router.post('/transfers', authorize('crew'), validate({ body: transferStockBody }), transferStockController);
+
+// Ledger entries (transfers, consume/replenish) of a location (query: limit)
+router.get('/:id/movements', validate({ params: idParams, query: locationMovementsQuery }), getLocationMovementsController);
+
+// Get a specific location with its stock
+router.get('/:id', validate({ params: idParams }), getLocationByIdController);
+
+// List locations with their stock (query: type)
+router.get('/', validate({ query: listLocationsQuery }), getAllLocationsController);
+
+// Create a location (body: {name, type, description?, habitatId?}); selected or default base
+router.post('/', authorize('quartermaster'), validate({ body: createLocationBody }), createLocationController);
+
+// Update a location (body: {name?, type?, description?})
+router.put('/:id', authorize('quartermaster'), validate({ params: idParams, body: updateLocationBody }), updateLocationController);
+
+// Store a resource in a location or change its capacity (body: {capacity})
+router.put(
+  '/:id/stocks/:resourceId',
+  authorize('quartermaster'),
+  validate({ params: locationStockParams, body: setLocationStockBody }),
+  setLocationStockController
+);
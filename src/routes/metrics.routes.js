@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { metricsAuth } from '../middlewares/auth.middleware.js';
+import { getMetricsController } from '../controllers/health.controller.js';
+
+export const router = Router();
+
+/**
+ * Prometheus scrape route
+ * Public unless METRICS_TOKEN is set (then scrapers send Authorization: Bearer <METRICS_TOKEN>)
+ */
+
+router.get('/', metricsAuth, getMetricsController);
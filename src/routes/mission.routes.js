@@ -0,0 +1,49 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import {
+  createRuleBody,
+  updateRuleBody,
+  transitionsQuery,
+  rationingQuery
+} from '../schemas/mission.schemas.js';
+import {
+  getMissionStateController,
+  getMissionTransitionsController,
+  getMissionRulesController,
+  createMissionRuleController,
+  updateMissionRuleController,
+  deleteMissionRuleController,
+  getRationingPlanController
+} from '../controllers/mission.controller.js';
+
+export const router = Router();
+
+/**
+ * Mission state API Routes
+ * Any authenticated user can see the state, its log and rationing plans; only commanders change the rules
+ */
+
+router.use(authenticate);
+
+// Current mission state (nominal, caution, emergency, evacuation) and the rules that caused it
+router.get('/state', getMissionStateController);
+
+// State transitions, newest first (query: from, to, limit)
+router.get('/transitions', validate({ query: transitionsQuery }), getMissionTransitionsController);
+
+// Rationing plan for food and water stores (query: until); only in caution or emergency
+router.get('/rationing', validate({ query: rationingQuery }), getRationingPlanController);
+
+// List rules
+router.get('/rules', getMissionRulesController);
+
+// Create a rule (body: {name, state, condition, category?, status?, days?, minMatches?, enabled?})
+router.post('/rules', authorize('commander'), validate({ body: createRuleBody }), createMissionRuleController);
+
+// Update a rule (body: any rule field)
+router.put('/rules/:id', authorize('commander'), validate({ params: idParams, body: updateRuleBody }), updateMissionRuleController);
+
+// Delete a rule
+router.delete('/rules/:id', authorize('commander'), validate({ params: idParams }), deleteMissionRuleController);
@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import {
+  listPartsQuery,
+  createPartBody,
+  updatePartBody,
+  consumePartBody,
+  replenishPartBody
+} from '../schemas/part.schemas.js';
+import {
+  getPartsController,
+  getPartSystemsController,
+  getPartByIdController,
+  createPartController,
+  updatePartController,
+  consumePartController,
+  replenishPartController
+} from '../controllers/part.controller.js';
+
+export const router = Router();
+
+/**
+ * Spare Parts API Routes
+ * Any authenticated user can browse the catalog; crew members take parts out (installation, damage)
+ * and quartermasters manage the catalog and put parts into stock
+ */
+
+router.use(authenticate);
+
+// Systems covered by the catalog with part counts (scoped by the base selector)
+router.get('/systems', getPartSystemsController);
+
+// List parts by part number (query: resourceId, system, status, search; scoped by the base selector)
+router.get('/', validate({ query: listPartsQuery }), getPartsController);
+
+// Get a part with its serial-tracked units
+router.get('/:id', validate({ params: idParams }), getPartByIdController);
+
+// Add a part (body: {resourceId, partNumber, name, description?, compatibleSystems?, serialTracked?, quantity? | serialNumbers?, reorderLevel?, criticalLevel?})
+router.post('/', authorize('quartermaster'), validate({ body: createPartBody }), createPartController);
+
+// Update a part (body: any of partNumber, name, description, compatibleSystems, reorderLevel, criticalLevel)
+router.put('/:id', authorize('quartermaster'), validate({ params: idParams, body: updatePartBody }), updatePartController);
+
+// Take units out of stock (body: {quantity | serialNumbers, reason, installedIn?})
+router.post('/:id/consume', authorize('crew'), validate({ params: idParams, body: consumePartBody }), consumePartController);
+
+// Put units into stock (body: {quantity | serialNumbers, reason})
+router.post('/:id/replenish', authorize('quartermaster'), validate({ params: idParams, body: replenishPartBody }), replenishPartController);
@@ -0,0 +1,45 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import {
+  listProcessesQuery,
+  createProcessBody,
+  updateProcessBody,
+  stopProcessBody
+} from '../schemas/process.schemas.js';
+import {
+  getAllProcessesController,
+  getProcessByIdController,
+  createProcessController,
+  updateProcessController,
+  startProcessController,
+  stopProcessController
+} from '../controllers/process.controller.js';
+
+export const router = Router();
+
+/**
+ * Production process API Routes
+ * Reads are open to observers; crew operate processes (start/stop), quartermasters define them
+ */
+
+router.use(authenticate);
+
+// Get a specific process with its flows
+router.get('/:id', validate({ params: idParams }), getProcessByIdController);
+
+// List processes (query: status, type)
+router.get('/', validate({ query: listProcessesQuery }), getAllProcessesController);
+
+// Define a process (body: {name, type, description?, efficiency?, flows: [{resourceId, direction, ratePerHour}]})
+router.post('/', authorize('quartermaster'), validate({ body: createProcessBody }), createProcessController);
+
+// Start a process
+router.post('/:id/start', authorize('crew'), validate({ params: idParams }), startProcessController);
+
+// Stop a process (body: {reason?})
+router.post('/:id/stop', authorize('crew'), validate({ params: idParams, body: stopProcessBody }), stopProcessController);
+
+// Update a process (body: any of name, type, description, efficiency, flows; flows only while stopped)
+router.put('/:id', authorize('quartermaster'), validate({ params: idParams, body: updateProcessBody }), updateProcessController);
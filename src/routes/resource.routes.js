@@ -1,4 +1,20 @@
 import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import {
+  categoryParams,
+  listResourcesQuery,
+  compareInventoryQuery,
+  recentHistoryQuery,
+  historyQuery,
+  statsQuery,
+  forecastQuery,
+  createResourceBody,
+  updateQuantityBody,
+  updateLevelsBody,
+  deltaBody
+} from '../schemas/resource.schemas.js';
 import {
   getAllResourcesController,
   getResourcesByCategoryController,
@@ -9,7 +25,13 @@ import {
   getAllResourceDataController,
   getResourceHistoryController,
   getRecentHistoryController,
-  getHistoryStatsController
+  compareInventoryController,
+  getHistoryStatsController,
+  getResourceForecastController,
+  getResourceLevelsController,
+  updateResourceLevelsController,
+  consumeResourceController,
+  replenishResourceController
 } from '../controllers/resource.controller.js';
 
 export const router = Router();
@@ -17,8 +39,12 @@ export const router = Router();
 /**
  * Resource API Routes
  * Order is important: more specific routes first to avoid conflicts
+ * Every route requires a token; reads are open to observers, writes require crew or higher
+ * Params, query and body are validated before reaching the controller (400 VALIDATION_ERROR)
  */
 
+router.use(authenticate);
+
 // Get all ResourceData (for dropdown/selection in frontend)
 router.get('/data', getAllResourceDataController);
 
@@ -26,25 +52,63 @@ router.get('/data', getAllResourceDataController);
 router.get('/alerts', getCriticalResourcesController);
 
 // Get recent history for all resources
-router.get('/history/recent', getRecentHistoryController);
+router.get('/history/recent', validate({ query: recentHistoryQuery }), getRecentHistoryController);
+
+// Compare the inventory between two moments (query: from, to?, category?, limit)
+router.get('/compare', validate({ query: compareInventoryQuery }), compareInventoryController);
 
 // Filter resources by category (oxygen/water/food/spare_parts)
-router.get('/category/:category', getResourcesByCategoryController);
+router.get('/category/:category', validate({ params: categoryParams }), getResourcesByCategoryController);
+
+// Get statistics for a specific resource (query: from, to, resolution)
+router.get('/:id/stats', validate({ params: idParams, query: statsQuery }), getHistoryStatsController);
 
-// Get statistics for a specific resource
-router.get('/:id/stats', getHistoryStatsController);
+// Get depletion forecast for a specific resource (query: hours)
+router.get('/:id/forecast', validate({ params: idParams, query: forecastQuery }), getResourceForecastController);
 
-// Get history for a specific resource
-router.get('/:id/history', getResourceHistoryController);
+// Get effective levels and threshold change log for a specific resource
+router.get('/:id/levels', validate({ params: idParams }), getResourceLevelsController);
+
+// Get history for a specific resource (query: limit, or from/to/resolution for chart points)
+router.get('/:id/history', validate({ params: idParams, query: historyQuery }), getResourceHistoryController);
 
 // Get a specific resource by ID
-router.get('/:id', getResourceByIdController);
+router.get('/:id', validate({ params: idParams }), getResourceByIdController);
+
+// Get all resources with applied levels (query: at, to rebuild the inventory at a past moment)
+router.get('/', validate({ query: listResourcesQuery }), getAllResourcesController);
+
+// Create a new resource (body: {resourceDataId: number, quantity: non-negative integer})
+router.post('/', authorize('quartermaster'), validate({ body: createResourceBody }), createResourceController);
+
+// Withdraw stock (body: {delta: negative integer, reason: meal|leak|correction, locationId?})
+router.post(
+  '/:id/consume',
+  authorize('crew'),
+  validate({ params: idParams, body: deltaBody('consume') }),
+  consumeResourceController
+);
 
-// Get all resources with applied levels
-router.get('/', getAllResourcesController);
+// Add stock (body: {delta: positive integer, reason: resupply|recycling|correction, locationId?})
+router.post(
+  '/:id/replenish',
+  authorize('quartermaster'),
+  validate({ params: idParams, body: deltaBody('replenish') }),
+  replenishResourceController
+);
 
-// Create a new resource (body: {resourceDataId: number, quantity: number})
-router.post('/', createResourceController);
+// Update resource quantity (body: {quantity: non-negative integer})
+router.put(
+  '/:id/update-quantity',
+  authorize('crew'),
+  validate({ params: idParams, body: updateQuantityBody }),
+  updateResourceQuantityController
+);
 
-// Update resource quantity (body: {quantity: number})
-router.put('/:id/update-quantity', updateResourceQuantityController);
+// Update per-resource levels (body: {minimumLevel?, criticalLevel?, maximumLevel?})
+router.put(
+  '/:id/levels',
+  authorize('quartermaster'),
+  validate({ params: idParams, body: updateLevelsBody }),
+  updateResourceLevelsController
+);
@@ -0,0 +1,52 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import {
+  listMissionsQuery,
+  outlookQuery,
+  createMissionBody,
+  updateMissionBody,
+  updateMissionStatusBody
+} from '../schemas/resupply.schemas.js';
+import {
+  getAllMissionsController,
+  getResupplyOutlookController,
+  getMissionByIdController,
+  createMissionController,
+  updateMissionController,
+  updateMissionStatusController
+} from '../controllers/resupply.controller.js';
+
+export const router = Router();
+
+/**
+ * Resupply API Routes
+ * Order is important: more specific routes first to avoid conflicts
+ * Reads are open to observers; scheduling and status changes require quartermaster
+ */
+
+router.use(authenticate);
+
+// Projected stock of every resource at a date counting pending deliveries (query: until)
+router.get('/outlook', validate({ query: outlookQuery }), getResupplyOutlookController);
+
+// Get a specific mission with its manifest
+router.get('/:id', validate({ params: idParams }), getMissionByIdController);
+
+// List missions (query: status)
+router.get('/', validate({ query: listMissionsQuery }), getAllMissionsController);
+
+// Schedule a mission (body: {name, launchDate, arrivalDate, notes?, manifest: [{resourceDataId | partId, quantity}]})
+router.post('/', authorize('quartermaster'), validate({ body: createMissionBody }), createMissionController);
+
+// Update mission details (body: {name?, launchDate?, arrivalDate?, notes?, manifest?})
+router.put('/:id', authorize('quartermaster'), validate({ params: idParams, body: updateMissionBody }), updateMissionController);
+
+// Change status (body: {status, arrivalDate?, notes?}); arrived posts the manifest into inventory
+router.put(
+  '/:id/status',
+  authorize('quartermaster'),
+  validate({ params: idParams, body: updateMissionStatusBody }),
+  updateMissionStatusController
+);
@@ -0,0 +1,67 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import {
+  drillEvent,
+  updateClockBody,
+  createScenarioBody,
+  startDrillBody,
+  replayDrillBody
+} from '../schemas/sandbox.schemas.js';
+import {
+  getClockController,
+  updateClockController,
+  getAllScenariosController,
+  getScenarioByIdController,
+  createScenarioController,
+  getAllDrillsController,
+  getDrillByIdController,
+  startDrillController,
+  stopDrillController,
+  replayDrillController,
+  injectEventController
+} from '../controllers/sandbox.controller.js';
+
+export const router = Router();
+
+/**
+ * Sandbox API Routes (only mounted when SANDBOX_MODE=true)
+ * Reads are open to observers; running drills requires commander (instructor)
+ */
+
+router.use(authenticate);
+
+// Simulated clock state
+router.get('/clock', getClockController);
+
+// Change clock speed or time (body: {speed?: number, time?: ISO string})
+router.put('/clock', authorize('commander'), validate({ body: updateClockBody }), updateClockController);
+
+// Scenarios
+router.get('/scenarios/:id', validate({ params: idParams }), getScenarioByIdController);
+router.get('/scenarios', getAllScenariosController);
+
+// Create a scenario (body: {name, description?, events: [{type, resourceId, startMinute?, durationMinutes?, ...}]})
+router.post('/scenarios', authorize('commander'), validate({ body: createScenarioBody }), createScenarioController);
+
+// Drill runs
+router.get('/drills/:id', validate({ params: idParams }), getDrillByIdController);
+router.get('/drills', getAllDrillsController);
+
+// Start a drill (body: {scenarioId?, name?, speed?, durationMinutes?})
+router.post('/drills', authorize('commander'), validate({ body: startDrillBody }), startDrillController);
+
+// Stop a running drill
+router.post('/drills/:id/stop', authorize('commander'), validate({ params: idParams }), stopDrillController);
+
+// Replay a drill from its baseline (body: {speed?})
+router.post(
+  '/drills/:id/replay',
+  authorize('commander'),
+  validate({ params: idParams, body: replayDrillBody }),
+  replayDrillController
+);
+
+// Inject an event into the running drill (body: {type, resourceId, percentPerHour|unitsPerHour|amount, ...})
+router.post('/events', authorize('commander'), validate({ body: drillEvent }), injectEventController);
@@ -0,0 +1,53 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { idParams } from '../schemas/common.schemas.js';
+import {
+  deliveryParams,
+  createWebhookBody,
+  updateWebhookBody,
+  deliveriesQuery
+} from '../schemas/webhook.schemas.js';
+import {
+  getAllWebhooksController,
+  getWebhookByIdController,
+  createWebhookController,
+  updateWebhookController,
+  deleteWebhookController,
+  pingWebhookController,
+  getWebhookDeliveriesController,
+  redeliverWebhookDeliveryController
+} from '../controllers/webhook.controller.js';
+
+export const router = Router();
+
+/**
+ * Webhook API Routes
+ * Quartermasters can inspect subscriptions and their delivery logs; commanders manage them
+ */
+
+router.use(authenticate);
+
+// Redeliver a past event (before /:id routes)
+router.post('/deliveries/:deliveryId/redeliver', authorize('commander'), validate({ params: deliveryParams }), redeliverWebhookDeliveryController);
+
+// Delivery log of a webhook (query: status, event, limit)
+router.get('/:id/deliveries', authorize('quartermaster'), validate({ params: idParams, query: deliveriesQuery }), getWebhookDeliveriesController);
+
+// Send a test event
+router.post('/:id/ping', authorize('commander'), validate({ params: idParams }), pingWebhookController);
+
+// Get a specific webhook
+router.get('/:id', authorize('quartermaster'), validate({ params: idParams }), getWebhookByIdController);
+
+// List webhooks
+router.get('/', authorize('quartermaster'), getAllWebhooksController);
+
+// Subscribe (body: {url, events, secret?, description?, active?})
+router.post('/', authorize('commander'), validate({ body: createWebhookBody }), createWebhookController);
+
+// Update (body: any of url, events, description, active, rotateSecret)
+router.put('/:id', authorize('commander'), validate({ params: idParams, body: updateWebhookBody }), updateWebhookController);
+
+// Unsubscribe
+router.delete('/:id', authorize('commander'), validate({ params: idParams }), deleteWebhookController);
@@ -0,0 +1,27 @@
+// Creates the sandbox schema before running migrations on it (npm run sandbox:setup)
+// On SQLite the sandbox is a separate database file, created on the first connection
+
+import { sequelize, dbSchema, dbDialect, dbStorage } from '../config/database.config.js';
+
+async function createSandboxSchema() {
+  try {
+    if (dbDialect === 'sqlite') {
+      await sequelize.authenticate();
+      console.log(`SQLite database "${dbStorage}" ready`);
+      process.exit(0);
+    }
+
+    if (!dbSchema || dbSchema === 'public') {
+      throw new Error('Set SANDBOX_MODE=true or DB_SCHEMA to a dedicated schema');
+    }
+
+    await sequelize.query(`CREATE SCHEMA IF NOT EXISTS "${dbSchema}"`);
+    console.log(`Schema "${dbSchema}" ready`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+createSandboxSchema();
@@ -0,0 +1,22 @@
+// Request schemas (zod) for the alert routes
+
+import { z } from 'zod';
+import { ALERT_STATUSES } from '../constants/alert.constants.js';
+import { positiveIntQuery } from './common.schemas.js';
+
+// Query values arrive as strings, so dates are coerced
+const dateQuery = z.coerce.date({ errorMap: () => ({ message: 'Must be an ISO 8601 timestamp' }) });
+
+export const alertHistoryQuery = z.object({
+  resourceId: positiveIntQuery.optional(),
+  status: z.enum(ALERT_STATUSES, {
+    errorMap: () => ({ message: `Invalid status. Use: ${ALERT_STATUSES.join(', ')}` })
+  }).optional(),
+  from: dateQuery.optional(),
+  to: dateQuery.optional(),
+  limit: positiveIntQuery.max(500).default(100)
+}).refine(({ from, to }) => !from || !to || from < to, { message: 'from must be before to', path: ['from'] });
+
+export const acknowledgeAlertBody = z.object({
+  note: z.string().trim().min(1).max(255).optional()
+});
@@ -0,0 +1,35 @@
+// Request schemas (zod) for the anomaly routes
+
+import { z } from 'zod';
+import { ANOMALY_TYPES, ANOMALY_STATUSES, ANOMALY_SETTING_KEYS, ANOMALY_SETTINGS } from '../constants/anomaly.constants.js';
+import { positiveIntQuery } from './common.schemas.js';
+
+// Query values arrive as strings, so dates are coerced
+const dateQuery = z.coerce.date({ errorMap: () => ({ message: 'Must be an ISO 8601 timestamp' }) });
+
+export const listAnomaliesQuery = z.object({
+  resourceId: positiveIntQuery.optional(),
+  type: z.enum(ANOMALY_TYPES).optional(),
+  status: z.enum(ANOMALY_STATUSES).optional(),
+  from: dateQuery.optional(),
+  to: dateQuery.optional(),
+  limit: positiveIntQuery.max(500).default(100)
+}).refine(({ from, to }) => !from || !to || from < to, { message: 'from must be before to', path: ['from'] });
+
+export const acknowledgeAnomalyBody = z.object({
+  note: z.string().trim().min(1).max(255).optional()
+});
+
+// A value sent as null resets it to the category default
+export const updateAnomalySettingsBody = z.object({
+  enabled: z.boolean().nullable().optional(),
+  windowMinutes: z.number().int().min(5).max(ANOMALY_SETTINGS.maxWindowMinutes).nullable().optional(),
+  rateFactor: z.number().min(1).nullable().optional(),
+  zScore: z.number().nonnegative().nullable().optional(),
+  // Percentages of the maximum level of each resource
+  minExcessPct: z.number().nonnegative().max(100).nullable().optional(),
+  stepDropPct: z.number().positive().max(100).nullable().optional()
+}).refine(
+  data => ANOMALY_SETTING_KEYS.some(key => data[key] !== undefined),
+  { message: `At least one of ${ANOMALY_SETTING_KEYS.join(', ')} is required` }
+);
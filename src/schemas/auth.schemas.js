@@ -0,0 +1,28 @@
+// Request schemas (zod) for the authentication and user management routes
+
+import { z } from 'zod';
+import { ROLES } from '../constants/auth.constants.js';
+
+const userFields = {
+  role: z.enum(ROLES, {
+    errorMap: () => ({ message: `Invalid role. Use: ${ROLES.join(', ')}` })
+  }),
+  active: z.boolean(),
+  password: z.string().min(8, 'Must be at least 8 characters')
+};
+
+export const loginBody = z.object({
+  username: z.string().trim().min(1),
+  password: z.string().min(1)
+});
+
+export const createUserBody = z.object({
+  username: z.string().trim().min(1),
+  password: userFields.password,
+  role: userFields.role.default('observer')
+});
+
+export const updateUserBody = z.object(userFields).partial().refine(
+  data => Object.values(data).some(value => value !== undefined),
+  { message: `At least one of ${Object.keys(userFields).join(', ')} is required` }
+);
@@ -0,0 +1,10 @@
+// Request schemas (zod) shared by several route modules
+
+import { z } from 'zod';
+
+// Query and params values arrive as strings, so numbers are coerced
+export const positiveIntQuery = z.coerce.number().int().positive();
+
+export const idParams = z.object({
+  id: positiveIntQuery
+});
@@ -0,0 +1,43 @@
+// Request schemas (zod) for the crew roster and consumption rate routes
+
+import { z } from 'zod';
+import { CREW_STATUSES } from '../constants/crew.constants.js';
+
+// Dates are accepted as ISO 8601 timestamps
+const dateValue = z.coerce.date({ errorMap: () => ({ message: 'Must be an ISO 8601 timestamp' }) });
+
+const crewMemberFields = {
+  name: z.string().trim().min(1),
+  role: z.string().trim().nullable(),
+  status: z.enum(CREW_STATUSES),
+  arrivalDate: dateValue,
+  // null = still on base
+  departureDate: dateValue.nullable(),
+  habitatId: z.number().int().positive()
+};
+
+const isStayOrdered = ({ arrivalDate, departureDate }) => !arrivalDate || !departureDate || departureDate > arrivalDate;
+const stayOrderIssue = { message: 'departureDate must be after arrivalDate', path: ['departureDate'] };
+
+// present=true lists only the members on base now
+export const listCrewQuery = z.object({
+  present: z.enum(['true', 'false']).transform(value => value === 'true').optional()
+});
+
+export const createCrewMemberBody = z.object({
+  ...crewMemberFields,
+  role: crewMemberFields.role.optional(),
+  status: crewMemberFields.status.default('active'),
+  departureDate: crewMemberFields.departureDate.optional(),
+  habitatId: crewMemberFields.habitatId.optional()
+}).refine(isStayOrdered, stayOrderIssue);
+
+// A stay is checked against the stored dates too when only one of them changes (by the service)
+export const updateCrewMemberBody = z.object(crewMemberFields).partial().refine(
+  data => Object.values(data).some(value => value !== undefined),
+  { message: `At least one of ${Object.keys(crewMemberFields).join(', ')} is required` }
+).refine(isStayOrdered, stayOrderIssue);
+
+export const updateConsumptionRateBody = z.object({
+  dailyPerCapita: z.number().nonnegative()
+});
@@ -0,0 +1,36 @@
+// Request schemas (zod) for the data export and import routes
+
+import { z } from 'zod';
+import { DATA_FORMATS } from '../constants/resource.constants.js';
+import { positiveIntQuery } from './common.schemas.js';
+import { categoryParams } from './resource.schemas.js';
+
+// Query values arrive as strings, so dates are coerced
+const dateQuery = z.coerce.date({ errorMap: () => ({ message: 'Must be an ISO 8601 timestamp' }) });
+
+const booleanQuery = z.enum(['true', 'false']).transform(value => value === 'true');
+
+const format = z.enum(DATA_FORMATS, {
+  errorMap: () => ({ message: `Invalid format. Use: ${DATA_FORMATS.join(', ')}` })
+});
+
+// resourceId is the catalog entry (ResourceData) the ledger rows belong to
+export const exportHistoryQuery = z.object({
+  format: format.default('csv'),
+  resourceId: positiveIntQuery.optional(),
+  category: categoryParams.shape.category.optional(),
+  from: dateQuery.optional(),
+  to: dateQuery.optional()
+}).refine(({ from, to }) => !from || !to || from <= to, { message: 'from must not be after to', path: ['from'] });
+
+export const exportInventoryQuery = z.object({
+  format: format.default('csv'),
+  category: categoryParams.shape.category.optional()
+});
+
+// Without format it is inferred from the Content-Type
+export const importHistoryQuery = z.object({
+  format: format.optional(),
+  dryRun: booleanQuery.default('false'),
+  skipInvalid: booleanQuery.default('false')
+});
@@ -0,0 +1,36 @@
+// Request schemas (zod) for the habitat and inter-base transfer routes
+
+import { z } from 'zod';
+import { HABITAT_CODE_PATTERN, TRANSFER_STATUSES } from '../constants/habitat.constants.js';
+import { positiveIntQuery } from './common.schemas.js';
+
+const habitatFields = {
+  code: z.string().trim().toLowerCase().regex(HABITAT_CODE_PATTERN, 'Use lowercase letters, numbers and hyphens'),
+  name: z.string().trim().min(1),
+  description: z.string().trim().nullable()
+};
+
+export const createHabitatBody = z.object({
+  ...habitatFields,
+  description: habitatFields.description.optional()
+});
+
+export const updateHabitatBody = z.object(habitatFields).partial().refine(
+  data => Object.values(data).some(value => value !== undefined),
+  { message: `At least one of ${Object.keys(habitatFields).join(', ')} is required` }
+);
+
+// status=pending lists the transfers whose cargo has not arrived yet (dispatched or in_transit)
+export const listTransfersQuery = z.object({
+  direction: z.enum(['outgoing', 'incoming']).optional(),
+  status: z.enum([...TRANSFER_STATUSES, 'pending']).optional(),
+  resourceId: positiveIntQuery.optional(),
+  limit: positiveIntQuery.max(500).default(100)
+});
+
+export const dispatchTransferBody = z.object({
+  resourceId: z.number().int().positive(),
+  toHabitatId: z.number().int().positive(),
+  quantity: z.number().int().positive(),
+  notes: z.string().trim().min(1).max(255).optional()
+});
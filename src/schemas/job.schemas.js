@@ -0,0 +1,12 @@
+// Request schemas (zod) for the cron job routes
+
+import { z } from 'zod';
+
+export const jobParams = z.object({
+  name: z.string().trim().min(1)
+});
+
+export const rescheduleJobBody = z.object({
+  // Cron expression (e.g. "*/5 * * * *"); null restores the schedule defined in code
+  schedule: z.string().trim().min(1).nullable()
+});
@@ -0,0 +1,55 @@
+// Request schemas (zod) for the storage location and stock transfer routes
+
+import { z } from 'zod';
+import { LOCATION_TYPES } from '../constants/location.constants.js';
+import { positiveIntQuery } from './common.schemas.js';
+
+const locationFields = {
+  name: z.string().trim().min(1),
+  type: z.enum(LOCATION_TYPES, {
+    errorMap: () => ({ message: `Invalid type. Use: ${LOCATION_TYPES.join(', ')}` })
+  }),
+  description: z.string().trim().nullable()
+};
+
+// null = the unassigned stock of the resource (e.g. cargo just unloaded)
+const locationRef = z.number().int().positive().nullable().optional();
+
+export const listLocationsQuery = z.object({
+  type: locationFields.type.optional()
+});
+
+export const locationStockParams = z.object({
+  id: positiveIntQuery,
+  resourceId: positiveIntQuery
+});
+
+export const locationMovementsQuery = z.object({
+  limit: positiveIntQuery.max(500).default(100)
+});
+
+export const createLocationBody = z.object({
+  ...locationFields,
+  description: locationFields.description.optional(),
+  // Selected or default base when omitted
+  habitatId: z.number().int().positive().optional()
+});
+
+export const updateLocationBody = z.object(locationFields).partial().refine(
+  data => Object.values(data).some(value => value !== undefined),
+  { message: `At least one of ${Object.keys(locationFields).join(', ')} is required` }
+);
+
+export const setLocationStockBody = z.object({
+  capacity: z.number().int().positive()
+});
+
+export const transferStockBody = z.object({
+  resourceId: z.number().int().positive(),
+  fromLocationId: locationRef,
+  toLocationId: locationRef,
+  quantity: z.number().int().positive()
+}).refine(
+  ({ fromLocationId, toLocationId }) => (fromLocationId ?? null) !== (toLocationId ?? null),
+  { message: 'fromLocationId and toLocationId must be different', path: ['toLocationId'] }
+);
@@ -0,0 +1,47 @@
+// Request schemas (zod) for the mission state routes
+
+import { z } from 'zod';
+import { RESOURCE_LEVELS } from '../constants/resource.constants.js';
+import { RULE_STATES, RULE_CONDITIONS, RULE_STATUSES } from '../constants/mission.constants.js';
+import { positiveIntQuery } from './common.schemas.js';
+
+// Query values arrive as strings, so dates are coerced
+const dateQuery = z.coerce.date({ errorMap: () => ({ message: 'Must be an ISO 8601 timestamp' }) });
+
+// Fields used by each condition: status -> status, days_of_supply -> days (checked by the service)
+const ruleFields = {
+  name: z.string().trim().min(1),
+  state: z.enum(RULE_STATES),
+  condition: z.enum(RULE_CONDITIONS),
+  // null = any category
+  category: z.enum(Object.keys(RESOURCE_LEVELS)).nullable(),
+  status: z.enum(RULE_STATUSES).nullable(),
+  days: z.number().nonnegative().nullable(),
+  minMatches: z.number().int().positive(),
+  enabled: z.boolean()
+};
+
+export const createRuleBody = z.object({
+  ...ruleFields,
+  category: ruleFields.category.default(null),
+  status: ruleFields.status.optional(),
+  days: ruleFields.days.optional(),
+  minMatches: ruleFields.minMatches.default(1),
+  enabled: ruleFields.enabled.default(true)
+});
+
+export const updateRuleBody = z.object(ruleFields).partial().refine(
+  data => Object.values(data).some(value => value !== undefined),
+  { message: `At least one of ${Object.keys(ruleFields).join(', ')} is required` }
+);
+
+export const transitionsQuery = z.object({
+  from: dateQuery.optional(),
+  to: dateQuery.optional(),
+  limit: positiveIntQuery.max(500).default(100)
+}).refine(({ from, to }) => !from || !to || from < to, { message: 'from must be before to', path: ['from'] });
+
+export const rationingQuery = z.object({
+  // Date the food and water stores must last until (e.g. the next resupply window)
+  until: dateQuery
+});
@@ -0,0 +1,66 @@
+// Request schemas (zod) for the spare parts catalog routes
+
+import { z } from 'zod';
+import {
+  PART_NUMBER_PATTERN,
+  PART_SYSTEM_PATTERN,
+  PART_CHANGE_REASONS,
+  PART_STOCK_STATUSES
+} from '../constants/part.constants.js';
+import { positiveIntQuery } from './common.schemas.js';
+
+const partNumber = z.string().trim().toUpperCase().regex(PART_NUMBER_PATTERN, 'Use uppercase letters, numbers and hyphens');
+const system = z.string().trim().toLowerCase().regex(PART_SYSTEM_PATTERN, 'Use lowercase letters, numbers and underscores');
+const level = z.number().int().nonnegative().nullable();
+const serialNumbers = z.array(z.string().trim().min(1).max(64)).min(1).max(500);
+
+const partFields = {
+  partNumber,
+  name: z.string().trim().min(1),
+  description: z.string().trim().nullable(),
+  compatibleSystems: z.array(system).max(50),
+  reorderLevel: level,
+  criticalLevel: level
+};
+
+// status=low lists the parts at or below their reorder level (critical included)
+export const listPartsQuery = z.object({
+  resourceId: positiveIntQuery.optional(),
+  system: system.optional(),
+  status: z.enum(PART_STOCK_STATUSES).optional(),
+  search: z.string().trim().min(1).max(100).optional()
+});
+
+export const createPartBody = z.object({
+  ...partFields,
+  resourceId: z.number().int().positive(),
+  description: partFields.description.optional(),
+  compatibleSystems: partFields.compatibleSystems.default([]),
+  reorderLevel: level.optional(),
+  criticalLevel: level.optional(),
+  serialTracked: z.boolean().default(false),
+  quantity: z.number().int().nonnegative().optional(),
+  serialNumbers: serialNumbers.optional()
+});
+
+// The stock of a part only changes through consume/replenish, and serial tracking is fixed at creation
+export const updatePartBody = z.object(partFields).partial().refine(
+  data => Object.values(data).some(value => value !== undefined),
+  { message: `At least one of ${Object.keys(partFields).join(', ')} is required` }
+);
+
+// Parts without serial tracking move by quantity; serial-tracked parts by serialNumbers
+const movementBody = (reasons, fields = {}) => z.object({
+  quantity: z.number().int().positive().optional(),
+  serialNumbers: serialNumbers.optional(),
+  reason: z.enum(reasons),
+  ...fields
+}).refine(
+  data => data.quantity !== undefined || data.serialNumbers !== undefined,
+  { message: 'quantity or serialNumbers is required' }
+);
+
+// installedIn: system a part taken out for installation goes into (must be one of its compatible systems)
+export const consumePartBody = movementBody(PART_CHANGE_REASONS.consume, { installedIn: system.optional() });
+
+export const replenishPartBody = movementBody(PART_CHANGE_REASONS.replenish);
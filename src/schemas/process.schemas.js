@@ -0,0 +1,38 @@
+// Request schemas (zod) for the production process routes
+
+import { z } from 'zod';
+import { PROCESS_TYPES, PROCESS_STATUSES, FLOW_DIRECTIONS } from '../constants/process.constants.js';
+
+const flow = z.object({
+  resourceId: z.number().int().positive(),
+  direction: z.enum(FLOW_DIRECTIONS),
+  ratePerHour: z.number().positive()
+});
+
+const processFields = {
+  name: z.string().trim().min(1),
+  type: z.enum(PROCESS_TYPES),
+  description: z.string().nullable().optional(),
+  // Fraction of the nominal output rates actually produced (0.93 = 93%)
+  efficiency: z.number().gt(0).max(1),
+  flows: z.array(flow).min(1)
+};
+
+export const listProcessesQuery = z.object({
+  status: z.enum(PROCESS_STATUSES).optional(),
+  type: z.enum(PROCESS_TYPES).optional()
+});
+
+export const createProcessBody = z.object({
+  ...processFields,
+  efficiency: processFields.efficiency.default(1)
+});
+
+export const updateProcessBody = z.object(processFields).partial().refine(
+  data => Object.values(data).some(value => value !== undefined),
+  { message: `At least one of ${Object.keys(processFields).join(', ')} is required` }
+);
+
+export const stopProcessBody = z.object({
+  reason: z.string().trim().min(1).optional()
+});
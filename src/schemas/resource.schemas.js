@@ -0,0 +1,122 @@
+// Request schemas (zod) for the resource routes: params, query and body of every endpoint
+
+import { z } from 'zod';
+import {
+  RESOURCE_LEVELS,
+  LEVEL_KEYS,
+  FORECAST_SETTINGS,
+  CHANGE_REASONS,
+  HISTORY_RESOLUTIONS,
+  HISTORY_SETTINGS,
+  HISTORY_SORT_ORDERS,
+  CHANGE_TYPES,
+  CHANGE_SOURCES
+} from '../constants/resource.constants.js';
+import { positiveIntQuery } from './common.schemas.js';
+import { decodeCursor } from '../utils/cursor.util.js';
+
+const CATEGORIES = Object.keys(RESOURCE_LEVELS);
+
+// Query values arrive as strings, so dates are coerced
+const dateQuery = z.coerce.date({ errorMap: () => ({ message: 'Must be an ISO 8601 timestamp' }) });
+
+const levelValue = z.number().int().nonnegative().nullable().optional();
+
+export const categoryParams = z.object({
+  category: z.enum(CATEGORIES, {
+    errorMap: () => ({ message: `Invalid category. Use: ${CATEGORIES.join(', ')}` })
+  })
+});
+
+// Without at: current inventory; with at: inventory rebuilt from the history at that moment
+export const listResourcesQuery = z.object({
+  at: dateQuery.optional()
+});
+
+export const compareInventoryQuery = z.object({
+  from: dateQuery,
+  to: dateQuery.optional(),
+  category: categoryParams.shape.category.optional(),
+  // Ledger entries listed per resource (breakdown totals always cover all of them)
+  limit: positiveIntQuery.max(HISTORY_SETTINGS.maxRangePoints).default(100)
+}).refine(({ from, to }) => !to || from < to, { message: 'from must be before to', path: ['from'] });
+
+const isRangeOrdered = ({ from, to }) => !from || !to || from < to;
+const rangeOrderIssue = { message: 'from must be before to', path: ['from'] };
+
+// Opaque nextCursor of a previous page, decoded to { createdAt, id }
+const cursorQuery = z.string().transform((value, ctx) => {
+  const cursor = decodeCursor(value);
+  if (!cursor) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid cursor' });
+    return z.NEVER;
+  }
+  return cursor;
+});
+
+// Filters and keyset pagination shared by the history record listings
+const historyPage = {
+  from: dateQuery.optional(),
+  to: dateQuery.optional(),
+  changeType: z.enum(CHANGE_TYPES).optional(),
+  source: z.enum(CHANGE_SOURCES).optional(),
+  sort: z.enum(HISTORY_SORT_ORDERS).default('desc'),
+  cursor: cursorQuery.optional(),
+  limit: positiveIntQuery.max(HISTORY_SETTINGS.maxPageSize).default(HISTORY_SETTINGS.pageSize)
+};
+
+// Without from: the last `minutes` minutes
+export const recentHistoryQuery = z.object({
+  ...historyPage,
+  minutes: positiveIntQuery.default(60),
+  category: categoryParams.shape.category.optional()
+}).refine(isRangeOrdered, rangeOrderIssue);
+
+// from/to/resolution select chart points in the stats endpoint and in the history chart mode
+const historyRange = {
+  from: dateQuery.optional(),
+  to: dateQuery.optional(),
+  resolution: z.enum(['auto', ...HISTORY_RESOLUTIONS]).optional()
+};
+
+// With resolution: chart points for the range; without it: a page of records (from/to filter them)
+export const historyQuery = z.object({
+  ...historyPage,
+  resolution: historyRange.resolution
+}).refine(isRangeOrdered, rangeOrderIssue);
+
+export const statsQuery = z.object(historyRange).refine(isRangeOrdered, rangeOrderIssue);
+
+export const forecastQuery = z.object({
+  hours: z.coerce.number().positive().max(FORECAST_SETTINGS.maxWindowHours).optional()
+});
+
+export const createResourceBody = z.object({
+  resourceDataId: z.number().int().positive(),
+  quantity: z.number().int().nonnegative()
+});
+
+export const updateQuantityBody = z.object({
+  quantity: z.number().int().nonnegative()
+});
+
+// A level sent as null resets it to the category default
+export const updateLevelsBody = z.object(
+  Object.fromEntries(LEVEL_KEYS.map(key => [key, levelValue]))
+).refine(
+  data => LEVEL_KEYS.some(key => data[key] !== undefined),
+  { message: `At least one of ${LEVEL_KEYS.join(', ')} is required` }
+);
+
+/**
+ * Body of a ledger operation: consume takes a negative delta, replenish a positive one
+ * @param {String} operation - 'consume' or 'replenish'
+ */
+export const deltaBody = (operation) => z.object({
+  delta: z.number().int().refine(
+    delta => (operation === 'consume' ? delta < 0 : delta > 0),
+    { message: operation === 'consume' ? 'Must be a negative integer' : 'Must be a positive integer' }
+  ),
+  reason: z.enum(CHANGE_REASONS[operation]),
+  locationId: z.number().int().positive().nullable().optional()
+});
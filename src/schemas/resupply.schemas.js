@@ -0,0 +1,58 @@
+// Request schemas (zod) for the resupply mission routes
+
+import { z } from 'zod';
+import { RESUPPLY_STATUSES } from '../constants/resupply.constants.js';
+
+// Dates are accepted as ISO 8601 timestamps (query values arrive as strings)
+const dateValue = z.coerce.date({ errorMap: () => ({ message: 'Must be an ISO 8601 timestamp' }) });
+
+const status = z.enum(RESUPPLY_STATUSES, {
+  errorMap: () => ({ message: `Invalid status. Use: ${RESUPPLY_STATUSES.join(', ')}` })
+});
+
+// Cargo of a catalog entry (resourceDataId) or of a spare part (partId; its resource comes from the part)
+const manifestItem = z.object({
+  resourceDataId: z.number().int().positive().optional(),
+  partId: z.number().int().positive().optional(),
+  quantity: z.number().int().positive()
+}).refine(
+  item => item.resourceDataId !== undefined || item.partId !== undefined,
+  { message: 'resourceDataId or partId is required' }
+);
+
+const missionFields = {
+  name: z.string().trim().min(1),
+  launchDate: dateValue,
+  arrivalDate: dateValue,
+  notes: z.string().trim().nullable(),
+  manifest: z.array(manifestItem).min(1)
+};
+
+const isFlightOrdered = ({ launchDate, arrivalDate }) => !launchDate || !arrivalDate || arrivalDate > launchDate;
+const flightOrderIssue = { message: 'arrivalDate must be after launchDate', path: ['arrivalDate'] };
+
+export const listMissionsQuery = z.object({
+  status: status.optional()
+});
+
+// Without until: the launch date of the next scheduled mission (next launch window)
+export const outlookQuery = z.object({
+  until: dateValue.optional()
+});
+
+export const createMissionBody = z.object({
+  ...missionFields,
+  notes: missionFields.notes.optional()
+}).refine(isFlightOrdered, flightOrderIssue);
+
+// A date sent alone is checked against the stored one by the service
+export const updateMissionBody = z.object(missionFields).partial().refine(
+  data => Object.values(data).some(value => value !== undefined),
+  { message: `At least one of ${Object.keys(missionFields).join(', ')} is required` }
+).refine(isFlightOrdered, flightOrderIssue);
+
+export const updateMissionStatusBody = z.object({
+  status,
+  arrivalDate: dateValue.optional(),
+  notes: missionFields.notes.optional()
+});
@@ -0,0 +1,51 @@
+// Request schemas (zod) for the sandbox (training drill) routes
+
+import { z } from 'zod';
+import { SANDBOX_SETTINGS } from '../constants/sandbox.constants.js';
+
+const speed = z.number().positive().max(SANDBOX_SETTINGS.maxClockSpeed);
+
+// Fields shared by every event type; startMinute is the offset from the drill start
+const eventFields = {
+  resourceId: z.number().int().positive(),
+  label: z.string().trim().max(255).nullable().optional(),
+  startMinute: z.number().nonnegative().optional(),
+  durationMinutes: z.number().positive().nullable().optional()
+};
+
+// leak: percentPerHour of the current stock; drain: unitsPerHour; step: one signed amount
+export const drillEvent = z.discriminatedUnion('type', [
+  z.object({ ...eventFields, type: z.literal('leak'), percentPerHour: z.number().positive().max(100) }),
+  z.object({ ...eventFields, type: z.literal('drain'), unitsPerHour: z.number().positive() }),
+  z.object({
+    ...eventFields,
+    type: z.literal('step'),
+    amount: z.number().int().refine(amount => amount !== 0, { message: 'Must be a non-zero integer' })
+  })
+]);
+
+export const updateClockBody = z.object({
+  speed: speed.optional(),
+  time: z.coerce.date({ errorMap: () => ({ message: 'Must be an ISO 8601 timestamp' }) }).optional()
+}).refine(
+  data => data.speed !== undefined || data.time !== undefined,
+  { message: 'At least one of speed, time is required' }
+);
+
+export const createScenarioBody = z.object({
+  name: z.string().trim().min(1),
+  description: z.string().trim().nullable().optional(),
+  events: z.array(drillEvent)
+});
+
+export const startDrillBody = z.object({
+  scenarioId: z.number().int().positive().nullable().optional(),
+  name: z.string().trim().min(1).optional(),
+  speed: speed.optional(),
+  // Drill length in simulated minutes (null = until stopped)
+  durationMinutes: z.number().int().positive().nullable().optional()
+});
+
+export const replayDrillBody = z.object({
+  speed: speed.optional()
+});
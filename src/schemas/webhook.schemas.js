@@ -0,0 +1,44 @@
+// Request schemas (zod) for the webhook routes
+
+import { z } from 'zod';
+import { WEBHOOK_EVENTS, ALL_WEBHOOK_EVENTS, DELIVERY_STATUSES } from '../constants/webhook.constants.js';
+import { positiveIntQuery } from './common.schemas.js';
+
+const SUBSCRIBABLE_EVENTS = [ALL_WEBHOOK_EVENTS, ...WEBHOOK_EVENTS];
+
+const webhookFields = {
+  url: z.string().url().max(2048).refine(
+    url => ['http:', 'https:'].includes(new URL(url).protocol),
+    { message: 'Must be an http(s) URL' }
+  ),
+  events: z.array(z.enum(SUBSCRIBABLE_EVENTS, {
+    errorMap: () => ({ message: `Invalid event. Use: ${SUBSCRIBABLE_EVENTS.join(', ')}` })
+  })).min(1),
+  description: z.string().nullable().optional(),
+  active: z.boolean()
+};
+
+export const deliveryParams = z.object({
+  deliveryId: positiveIntQuery
+});
+
+export const createWebhookBody = z.object({
+  ...webhookFields,
+  // Shared secret used to sign deliveries; generated when omitted
+  secret: z.string().min(16).optional(),
+  active: webhookFields.active.default(true)
+});
+
+export const updateWebhookBody = z.object({
+  ...webhookFields,
+  rotateSecret: z.boolean()
+}).partial().refine(
+  data => Object.values(data).some(value => value !== undefined),
+  { message: `At least one of ${[...Object.keys(webhookFields), 'rotateSecret'].join(', ')} is required` }
+);
+
+export const deliveriesQuery = z.object({
+  status: z.enum(DELIVERY_STATUSES).optional(),
+  event: z.string().optional(),
+  limit: positiveIntQuery.max(500).default(100)
+});
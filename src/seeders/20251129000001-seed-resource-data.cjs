@@ -61,7 +61,10 @@ module.exports = {
       }
     ];
 
-    await queryInterface.bulkInsert('resource_data', resourceData, {});
+    // Base por defecto creada por la migración de hábitats
+    const [[habitat]] = await queryInterface.sequelize.query("SELECT id FROM habitats WHERE code = 'ares-frontier'");
+
+    await queryInterface.bulkInsert('resource_data', resourceData.map(row => ({ ...row, habitatId: habitat.id })), {});
   },
 
   async down(queryInterface, Sequelize) {
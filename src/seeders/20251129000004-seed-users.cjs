@@ -0,0 +1,48 @@
+'use strict';
+
+const bcrypt = require('bcryptjs');
+
+// Contraseña por defecto, solo aceptada en desarrollo
+const DEVELOPMENT_PASSWORD = 'ares-frontier';
+
+/**
+ * Contraseña de las cuentas iniciales: SEED_USER_PASSWORD, o la de desarrollo con NODE_ENV=development
+ * Fuera de desarrollo falla si falta o si es la de desarrollo (el quartermaster importa historial y gestiona webhooks)
+ */
+const getSeedPassword = () => {
+  const password = process.env.SEED_USER_PASSWORD;
+  const isDevelopment = process.env.NODE_ENV === 'development';
+
+  if (isDevelopment) {
+    return password || DEVELOPMENT_PASSWORD;
+  }
+  if (!password || password === DEVELOPMENT_PASSWORD) {
+    throw new Error('SEED_USER_PASSWORD is required outside development and cannot be the development default');
+  }
+  return password;
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Cuentas iniciales, una por rol
+    const passwordHash = await bcrypt.hash(getSeedPassword(), 10);
+    const roles = ['observer', 'crew', 'quartermaster', 'commander'];
+
+    const users = roles.map((role, index) => ({
+      id: index + 1,
+      username: role,
+      passwordHash,
+      role,
+      active: true,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }));
+
+    await queryInterface.bulkInsert('users', users, {});
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('users', null, {});
+  }
+};
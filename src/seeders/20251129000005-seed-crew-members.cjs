@@ -0,0 +1,34 @@
+'use strict';
+
+const { faker } = require('@faker-js/faker');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const roles = ['commander', 'engineer', 'botanist', 'medic', 'geologist', 'pilot'];
+
+    // Tripulación actual: llegó hace entre 30 y 120 días, sin fecha de salida
+    const crewMembers = roles.map((role, index) => {
+      const arrivalDate = faker.date.recent({ days: 120, refDate: faker.date.recent({ days: 30 }) });
+      return {
+        id: index + 1,
+        name: faker.person.fullName(),
+        role,
+        status: 'active',
+        arrivalDate,
+        departureDate: null,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+    });
+
+    // Base por defecto creada por la migración de hábitats
+    const [[habitat]] = await queryInterface.sequelize.query("SELECT id FROM habitats WHERE code = 'ares-frontier'");
+
+    await queryInterface.bulkInsert('crew_members', crewMembers.map(row => ({ ...row, habitatId: habitat.id })), {});
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('crew_members', null, {});
+  }
+};
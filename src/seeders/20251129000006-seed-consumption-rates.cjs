@@ -0,0 +1,20 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Consumo diario por persona en la unidad de cada categoría
+    const consumptionRates = [
+      { id: 1, category: 'oxygen', dailyPerCapita: 588 },   // L de O2 (~0.84 kg)
+      { id: 2, category: 'water', dailyPerCapita: 3.5 },    // L de agua potable
+      { id: 3, category: 'food', dailyPerCapita: 1.8 },     // kg de alimento
+      { id: 4, category: 'spare_parts', dailyPerCapita: 0 } // no depende de la tripulación
+    ].map(rate => ({ ...rate, createdAt: new Date(), updatedAt: new Date() }));
+
+    await queryInterface.bulkInsert('consumption_rates', consumptionRates, {});
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('consumption_rates', null, {});
+  }
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Reglas por defecto del estado de la misión (el estado es el más grave entre las que se cumplen)
+    const rules = [
+      { name: 'Any resource low', state: 'caution', condition: 'status', status: 'low' },
+      { name: 'Consumption anomaly under investigation', state: 'caution', condition: 'open_anomaly' },
+      { name: 'Oxygen critical', state: 'emergency', condition: 'status', category: 'oxygen', status: 'critical' },
+      { name: 'Water critical', state: 'emergency', condition: 'status', category: 'water', status: 'critical' },
+      { name: 'Two or more resources critical', state: 'emergency', condition: 'status', status: 'critical', minMatches: 2 },
+      { name: 'Less than 3 days of supply', state: 'emergency', condition: 'days_of_supply', days: 3 },
+      { name: 'Oxygen for less than 1 day', state: 'evacuation', condition: 'days_of_supply', category: 'oxygen', days: 1 },
+      { name: 'Water for less than 1 day', state: 'evacuation', condition: 'days_of_supply', category: 'water', days: 1 }
+    ].map(rule => ({
+      category: null,
+      status: null,
+      days: null,
+      minMatches: 1,
+      enabled: true,
+      ...rule,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }));
+
+    await queryInterface.bulkInsert('mission_rules', rules, {});
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('mission_rules', null, {});
+  }
+};
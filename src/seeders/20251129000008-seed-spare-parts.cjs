@@ -0,0 +1,60 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Recurso de repuestos de la base original (su total pasa a ser la suma del catálogo)
+    const [[resource]] = await queryInterface.sequelize.query(
+      `SELECT r.id FROM resources r
+       JOIN resource_data rd ON rd.id = r."resourceDataId"
+       WHERE rd.category = 'spare_parts'
+       ORDER BY r.id ASC
+       LIMIT 1`
+    );
+    if (!resource) return;
+
+    // Catálogo inicial: las piezas críticas de soporte vital llevan número de serie
+    const parts = [
+      { partNumber: 'SCR-VLV-220', name: 'CO2 scrubber diverter valve', compatibleSystems: ['co2_scrubber'], serial: 'SV220', quantity: 6, reorderLevel: 3, criticalLevel: 1 },
+      { partNumber: 'SCR-FLT-110', name: 'Amine bed filter cartridge', compatibleSystems: ['co2_scrubber'], quantity: 12, reorderLevel: 6, criticalLevel: 2 },
+      { partNumber: 'WRS-PMP-031', name: 'Water recovery pump impeller', compatibleSystems: ['water_recovery'], serial: 'WP031', quantity: 4, reorderLevel: 2, criticalLevel: 1 },
+      { partNumber: 'ELC-MEM-500', name: 'Electrolyzer membrane stack', compatibleSystems: ['oxygen_generation'], serial: 'EM500', quantity: 3, reorderLevel: 2, criticalLevel: 1 },
+      { partNumber: 'GEN-ORG-010', name: 'O-ring kit', compatibleSystems: ['co2_scrubber', 'water_recovery', 'oxygen_generation', 'airlock'], quantity: 20, reorderLevel: 8, criticalLevel: 4 },
+      { partNumber: 'AIR-SEAL-77', name: 'Airlock hatch seal', compatibleSystems: ['airlock'], quantity: 5, reorderLevel: 2, criticalLevel: 1 },
+      { partNumber: 'PWR-FUS-15', name: '15A fuse', compatibleSystems: ['power'], quantity: 10, reorderLevel: 4, criticalLevel: 2 }
+    ];
+
+    await queryInterface.bulkInsert('spare_parts', parts.map(({ serial, ...part }) => ({
+      ...part,
+      resourceId: resource.id,
+      description: null,
+      compatibleSystems: JSON.stringify(part.compatibleSystems),
+      serialTracked: Boolean(serial),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    })), {});
+
+    const [rows] = await queryInterface.sequelize.query(
+      `SELECT id, "partNumber" FROM spare_parts WHERE "resourceId" = ${resource.id}`
+    );
+    const items = parts.filter(part => part.serial).flatMap(part => {
+      const partId = rows.find(row => row.partNumber === part.partNumber).id;
+      return Array.from({ length: part.quantity }, (_, i) => ({
+        partId,
+        serialNumber: `${part.serial}-${String(i + 1).padStart(4, '0')}`,
+        status: 'in_stock',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }));
+    });
+    await queryInterface.bulkInsert('spare_part_items', items, {});
+
+    const total = parts.reduce((sum, part) => sum + part.quantity, 0);
+    await queryInterface.bulkUpdate('resources', { quantity: total }, { id: resource.id });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('spare_part_items', null, {});
+    await queryInterface.bulkDelete('spare_parts', null, {});
+  }
+};
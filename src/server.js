@@ -2,10 +2,45 @@ import express from "express";
 import cors from "cors";
 import { createServer } from "http";
 import { Server as SocketIOServer } from "socket.io";
-import { sequelize } from './config/database.config.js';
+import { sequelize, dbDialect, prepareDatabase } from './config/database.config.js';
 
 import { router as resourceRoutes } from "./routes/resource.routes.js";
-import { startResourceMonitoringCron, startHistoryCleanupCron } from './cron/resource.cron.js';
+import { router as alertRoutes } from "./routes/alert.routes.js";
+import { router as authRoutes } from "./routes/auth.routes.js";
+import { router as crewRoutes } from "./routes/crew.routes.js";
+import { router as sandboxRoutes } from "./routes/sandbox.routes.js";
+import { router as dataRoutes } from "./routes/data.routes.js";
+import { router as resupplyRoutes } from "./routes/resupply.routes.js";
+import { router as locationRoutes } from "./routes/location.routes.js";
+import { router as processRoutes } from "./routes/process.routes.js";
+import { router as webhookRoutes } from "./routes/webhook.routes.js";
+import { router as docsRoutes } from "./routes/docs.routes.js";
+import { router as healthRoutes } from "./routes/health.routes.js";
+import { router as metricsRoutes } from "./routes/metrics.routes.js";
+import { router as jobRoutes } from "./routes/job.routes.js";
+import { router as anomalyRoutes } from "./routes/anomaly.routes.js";
+import { router as missionRoutes } from "./routes/mission.routes.js";
+import { router as habitatRoutes } from "./routes/habitat.routes.js";
+import { router as partRoutes } from "./routes/part.routes.js";
+import { httpMetrics } from "./middlewares/metrics.middleware.js";
+import { registerSimulatedTimestamps } from "./services/sandbox.service.js";
+import { isSandboxMode, getClockState } from "./utils/clock.js";
+import { authenticateSocket } from "./middlewares/auth.middleware.js";
+import { selectHabitat, selectSocketHabitat } from "./middlewares/habitat.middleware.js";
+import { getAllResourcesService } from "./services/resource.service.js";
+import { getJobSettingsService } from "./services/job.service.js";
+import {
+  registerResourceSocketHandlers,
+  primeResourceSnapshot,
+  getCurrentSequence
+} from "./sockets/resource.socket.js";
+import {
+  startResourceMonitoringCron,
+  startHistoryRollupCron,
+  startHistoryCleanupCron,
+  startWebhookRetryCron
+} from './cron/resource.cron.js';
+import { stopAllCronJobs } from './cron/job.registry.js';
 
 /**
  * Main Server Class
@@ -19,10 +54,15 @@ export class Server {
     // Create HTTP server
     this.httpServer = createServer(this.app);
     
+    // Allowed origins (comma-separated CORS_ORIGIN), any origin if not configured
+    this.corsOrigin = process.env.CORS_ORIGIN
+      ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim())
+      : "*";
+
     // Configure Socket.IO for real-time communication
     this.io = new SocketIOServer(this.httpServer, {
       cors: {
-        origin: "*",
+        origin: this.corsOrigin,
         methods: ["GET", "POST"]
       }
     });
@@ -32,17 +72,45 @@ export class Server {
 
     // Define API base paths
     this.paths = {
+      auth: "/api/auth",
       resources: "/api/resources",
+      alerts: "/api/alerts",
+      anomalies: "/api/anomalies",
+      mission: "/api/mission",
+      habitats: "/api/habitats",
+      parts: "/api/parts",
+      crew: "/api/crew",
+      data: "/api/data",
+      resupply: "/api/resupply",
+      locations: "/api/locations",
+      processes: "/api/processes",
+      webhooks: "/api/webhooks",
+      jobs: "/api/jobs",
+      docs: "/api/docs",
+      health: "/health",
+      metrics: "/metrics",
+      sandbox: "/api/sandbox",
     };
 
-    // Configure middlewares and routes FIRST
+    // Sandbox (drill) instances stamp records with the simulated clock
+    if (isSandboxMode()) {
+      registerSimulatedTimestamps();
+      console.log(`[SANDBOX] Running in sandbox mode - clock speed ${getClockState().speed}x`);
+    }
+
+    // Configure middlewares and routes (the server starts listening in start())
     this.middlewares();
     this.sockets();
     this.routes();
-    
-    // THEN start server (listen FIRST, DB initialization AFTER)
-    this.listen();
-    this.databaseInit();
+  }
+
+  /**
+   * Connect to the database, start cron jobs, THEN accept connections
+   * If the database is unreachable startup fails (the caller exits) instead of serving 500s
+   */
+  async start() {
+    await this.databaseInit();
+    await this.listen();
   }
 
   /**
@@ -51,9 +119,13 @@ export class Server {
   async databaseInit() {
     try {
       await sequelize.authenticate();
-      console.log('[DB] Database connection successful');
-      
-      this.startCronJobs();
+      await prepareDatabase();
+      console.log(`[DB] Database connection successful (${dbDialect})`);
+
+      // Baseline for diff-based resource:changed events
+      primeResourceSnapshot(await getAllResourcesService());
+
+      await this.startCronJobs();
     } catch (error) {
       console.error('[DB] Error connecting to database:', error);
       throw error;
@@ -63,23 +135,35 @@ export class Server {
   /**
    * Start scheduled tasks (cron jobs)
    * - Monitoring every minute: records resource state
-   * - Daily cleanup: removes old records
+   * - Hourly rollup: hourly/daily aggregates of the history
+   * - Daily cleanup: removes old records (after rolling them up)
+   * - Webhook retries every minute: failed deliveries with exponential backoff
+   * Schedules and pauses changed through /api/jobs are applied on top of these defaults
    */
-  startCronJobs() {
+  async startCronJobs() {
     console.log('[CRON] Starting cron jobs...');
-    
-    startResourceMonitoringCron(this.io);
-    startHistoryCleanupCron();
+
+    const settings = await getJobSettingsService();
+    startResourceMonitoringCron(this.io, settings);
+    startHistoryRollupCron(settings);
+    startHistoryCleanupCron(settings);
+    startWebhookRetryCron(settings);
     
     console.log('[CRON] All cron jobs started successfully');
   }
 
   /**
    * Configure WebSocket events for real-time communication
+   * The handshake must carry a valid token (auth: { token }); otherwise the connection is refused
+   * With auth.habitat the connection is scoped to one base (initial data and subscription rooms)
+   * After resources:initial, clients subscribe to rooms and receive incremental resource:changed events
    */
   sockets() {
+    this.io.use(authenticateSocket);
+    this.io.use(selectSocketHabitat);
+
     this.io.on('connection', async (socket) => {
-      console.log('[WebSocket] Client connected:', socket.id);
+      console.log(`[WebSocket] Client connected: ${socket.id} (${socket.data.user.username})`);
       
       // Send welcome message when client connects
       socket.emit('welcome', {
@@ -87,14 +171,21 @@ export class Server {
         timestamp: new Date().toISOString()
       });
       
-      // Send initial resource data on connection
+      const habitat = socket.data.habitat;
+      const getResources = () => getAllResourcesService({ habitatId: habitat?.id });
+
+      // Room subscriptions (subscribe/unsubscribe) and resync by sequence number
+      registerResourceSocketHandlers(socket, getResources);
+
+      // Send initial resource data on connection (only the selected base's, if any)
       try {
-        const { getAllResourcesService } = await import('./services/resource.service.js');
-        const resources = await getAllResourcesService();
+        const resources = await getResources();
         
         socket.emit('resources:initial', {
+          habitat: habitat ? { id: habitat.id, code: habitat.code, name: habitat.name } : null,
           resources: resources,
           count: resources.length,
+          sequence: getCurrentSequence(),
           timestamp: new Date().toISOString()
         });
         
@@ -113,38 +204,88 @@ export class Server {
    * Register application routes
    */
   routes() {
-    // Simple health check endpoint
+    // Simple connectivity check (does not check dependencies, use /health/ready for that)
     this.app.get('/ping', (req, res) => {
       res.json({ message: 'pong', timestamp: new Date().toISOString() });
     });
+
+    this.app.use(this.paths.health, healthRoutes);
+    this.app.use(this.paths.metrics, metricsRoutes);
     
+    this.app.use(this.paths.auth, authRoutes);
     this.app.use(this.paths.resources, resourceRoutes);
+    this.app.use(this.paths.alerts, alertRoutes);
+    this.app.use(this.paths.anomalies, anomalyRoutes);
+    this.app.use(this.paths.mission, missionRoutes);
+    this.app.use(this.paths.habitats, habitatRoutes);
+    this.app.use(this.paths.parts, partRoutes);
+    this.app.use(this.paths.crew, crewRoutes);
+    this.app.use(this.paths.data, dataRoutes);
+    this.app.use(this.paths.resupply, resupplyRoutes);
+    this.app.use(this.paths.locations, locationRoutes);
+    this.app.use(this.paths.processes, processRoutes);
+    this.app.use(this.paths.webhooks, webhookRoutes);
+    this.app.use(this.paths.jobs, jobRoutes);
+    this.app.use(this.paths.docs, docsRoutes);
+
+    if (isSandboxMode()) {
+      this.app.use(this.paths.sandbox, sandboxRoutes);
+    }
   }
 
   /**
    * Configure Express middlewares
-   * - CORS: allows requests from any origin
+   * - HTTP metrics: latency of every request (exposed in /metrics)
+   * - CORS: allows requests from CORS_ORIGIN (any origin if not set)
    * - express.json(): parses JSON request bodies
+   * - selectHabitat(): resolves the base selector (X-Habitat header or habitat query param) into req.habitat
    * - express.static(): serves static files from public directory
    */
   middlewares() {
-    this.app.use(cors());
+    this.app.use(httpMetrics);
+    this.app.use(cors({ origin: this.corsOrigin }));
     this.app.use(express.json());
+    this.app.use(selectHabitat);
     this.app.use(express.static('public'));
   }
 
   /**
    * Start HTTP server on configured port
+   * Resolves once listening; rejects if the port cannot be bound (e.g. EADDRINUSE)
    */
   listen() {
-    try {
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', (error) => {
+        console.error(`[Server] Error starting server:`, error);
+        reject(error);
+      });
+
       this.httpServer.listen(this.port, () => {
         console.log(`[Server] Running on port ${this.port}`);
         console.log(`[WebSocket] Server ready for real-time updates`);
+        resolve();
       });
-    } catch (error) {
-      console.error(`[Server] Error starting server:`, error);
-      throw error;
-    }
+    });
+  }
+
+  /**
+   * Graceful shutdown (SIGTERM/SIGINT)
+   * 1. Stop scheduling cron jobs and wait for the runs in progress
+   * 2. Stop accepting connections and disconnect WebSocket clients (they reconnect to the next instance);
+   *    in-flight HTTP requests are answered before the server closes
+   * 3. Close the database connections
+   * @param {Number} timeoutMs - Maximum wait for running cron jobs
+   */
+  async stop(timeoutMs) {
+    console.log('[Server] Shutting down...');
+
+    await stopAllCronJobs(timeoutMs);
+
+    const clients = this.io.engine.clientsCount;
+    await this.io.close();
+    console.log(`[WebSocket] Server closed (${clients} clients disconnected)`);
+
+    await sequelize.close();
+    console.log('[DB] Database connections closed');
   }
 }
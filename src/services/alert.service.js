@@ -0,0 +1,214 @@
+// Business logic for the persistent alert lifecycle: open -> acknowledged -> resolved
+
+import { Op, UniqueConstraintError } from 'sequelize';
+import db from '../models/index.js';
+import { now } from '../utils/clock.js';
+import { emitWebhookEvent } from './webhook.service.js';
+import { habitatWhere } from './habitat.service.js';
+import { emitHabitatEvent } from '../sockets/resource.socket.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { ACTIVE_ALERT_STATUSES } from '../constants/alert.constants.js';
+
+const { Alert, Resource, ResourceData } = db;
+
+const alertNotFound = () => new NotFoundError('ALERT_NOT_FOUND', 'Alert not found');
+
+const alertInclude = [{
+  model: Resource,
+  as: 'resource',
+  attributes: ['id', 'quantity', 'resourceDataId'],
+  include: [{
+    model: ResourceData,
+    as: 'resourceData',
+    attributes: ['id', 'name', 'category', 'habitatId']
+  }]
+}];
+
+/**
+ * Helper to add response times (in seconds) to an alert for incident audits
+ */
+const withResponseTimes = (alert) => {
+  const data = alert.toJSON();
+  const openedAt = new Date(data.openedAt).getTime();
+
+  return {
+    ...data,
+    timeToAcknowledgeSeconds: data.acknowledgedAt
+      ? Math.round((new Date(data.acknowledgedAt).getTime() - openedAt) / 1000)
+      : null,
+    timeToResolveSeconds: data.resolvedAt
+      ? Math.round((new Date(data.resolvedAt).getTime() - openedAt) / 1000)
+      : null
+  };
+};
+
+/**
+ * Emit an alert lifecycle event to the WebSocket clients of the alert's base and to webhook subscribers
+ */
+const emitAlertEvent = (event, alert) => {
+  const payload = {
+    alert: withResponseTimes(alert),
+    timestamp: now().toISOString()
+  };
+
+  emitHabitatEvent(global.io, event, payload, [alert.resource.resourceData.habitatId]);
+  emitWebhookEvent(event, payload);
+};
+
+/**
+ * Open, escalate or resolve alerts based on the current status of enriched resources
+ * Called by the monitoring cron and after manual quantity/level changes
+ * Runs may overlap; the unique index on active alerts keeps a resource from getting two open alerts
+ * @param {Array} resources - Resources enriched with levels (status: normal/low/critical)
+ */
+export const syncAlertsService = async (resources) => {
+  const activeAlerts = await Alert.findAll({
+    where: { status: { [Op.in]: ACTIVE_ALERT_STATUSES } }
+  });
+  const activeByResource = new Map(activeAlerts.map(alert => [alert.resourceId, alert]));
+  const currentTime = now();
+  const summary = { opened: 0, updated: 0, resolved: 0 };
+
+  for (const resource of resources) {
+    const active = activeByResource.get(resource.id);
+    const isAlerting = resource.status === 'low' || resource.status === 'critical';
+    // Level whose crossing set the status: critical at the minimum level, low at the critical level
+    const thresholdLevel = resource.status === 'critical' ? resource.minimumLevel : resource.criticalLevel;
+
+    if (isAlerting && !active) {
+      let alert;
+      try {
+        alert = await Alert.create({
+          resourceId: resource.id,
+          severity: resource.status,
+          status: 'open',
+          openedQuantity: resource.quantity,
+          thresholdLevel,
+          openedAt: currentTime
+        });
+      } catch (e) {
+        // A concurrent sync already opened this resource's alert (unique active alert per resource)
+        if (e instanceof UniqueConstraintError) continue;
+        throw e;
+      }
+      await alert.reload({ include: alertInclude });
+      emitAlertEvent('alert:opened', alert);
+      summary.opened++;
+    } else if (isAlerting && active.severity !== resource.status) {
+      active.severity = resource.status;
+      active.thresholdLevel = thresholdLevel;
+      await active.save();
+      await active.reload({ include: alertInclude });
+      emitAlertEvent('alert:updated', active);
+      summary.updated++;
+    } else if (!isAlerting && active) {
+      active.status = 'resolved';
+      active.resolvedAt = currentTime;
+      active.resolvedQuantity = resource.quantity;
+      await active.save();
+      await active.reload({ include: alertInclude });
+      emitAlertEvent('alert:resolved', active);
+      summary.resolved++;
+    }
+  }
+
+  return summary;
+};
+
+// Get alerts that are still open or acknowledged (newest first), optionally of one base
+export const getActiveAlertsService = async (habitatId) => {
+  const alerts = await Alert.findAll({
+    where: { status: { [Op.in]: ACTIVE_ALERT_STATUSES }, ...habitatWhere(habitatId) },
+    order: [['openedAt', 'DESC']],
+    include: alertInclude
+  });
+
+  return alerts.map(withResponseTimes);
+};
+
+/**
+ * Helper to load an alert with its resource, only if it belongs to the selected base
+ * @param {Number} habitatId - Base selected by the request (any base when omitted)
+ */
+const findScopedAlert = (id, habitatId) => Alert.findOne({
+  where: { id, ...habitatWhere(habitatId) },
+  include: alertInclude
+});
+
+// Get a single alert by ID (404 if it belongs to another base than the selected one)
+export const getAlertByIdService = async (id, habitatId) => {
+  const alert = await findScopedAlert(id, habitatId);
+
+  if (!alert) {
+    throw alertNotFound();
+  }
+
+  return withResponseTimes(alert);
+};
+
+// Acknowledge an open alert (operator takes ownership; 404 if it belongs to another base than the selected one)
+export const acknowledgeAlertService = async (id, acknowledgedBy, note, habitatId) => {
+  if (!acknowledgedBy || typeof acknowledgedBy !== 'string' || !acknowledgedBy.trim()) {
+    throw new ValidationError('ACKNOWLEDGED_BY_REQUIRED', 'acknowledgedBy is required');
+  }
+
+  const alert = await findScopedAlert(id, habitatId);
+  if (!alert) {
+    throw alertNotFound();
+  }
+  if (alert.status !== 'open') {
+    throw new ConflictError('ALERT_NOT_OPEN', 'Only open alerts can be acknowledged', { status: alert.status });
+  }
+
+  alert.status = 'acknowledged';
+  alert.acknowledgedAt = now();
+  alert.acknowledgedBy = acknowledgedBy.trim();
+  alert.acknowledgeNote = note || null;
+  await alert.save();
+  await alert.reload({ include: alertInclude });
+
+  emitAlertEvent('alert:acknowledged', alert);
+
+  return withResponseTimes(alert);
+};
+
+/**
+ * Get alert history with response times and averages (for post-incident audits)
+ * @param {Object} filters - { resourceId, habitatId, status, from, to, limit } (validated by the route schema)
+ */
+export const getAlertHistoryService = async ({ resourceId, habitatId, status, from, to, limit = 100 } = {}) => {
+  const openedAt = {
+    ...(from && { [Op.gte]: from }),
+    ...(to && { [Op.lte]: to })
+  };
+
+  const alerts = await Alert.findAll({
+    where: {
+      ...(resourceId && { resourceId }),
+      ...habitatWhere(habitatId),
+      ...(status && { status }),
+      ...((from || to) && { openedAt })
+    },
+    order: [['openedAt', 'DESC']],
+    limit,
+    include: alertInclude
+  });
+
+  const history = alerts.map(withResponseTimes);
+  const average = (values) => values.length
+    ? Math.round(values.reduce((a, b) => a + b, 0) / values.length)
+    : null;
+
+  return {
+    alerts: history,
+    summary: {
+      total: history.length,
+      averageTimeToAcknowledgeSeconds: average(history
+        .map(a => a.timeToAcknowledgeSeconds)
+        .filter(v => v !== null)),
+      averageTimeToResolveSeconds: average(history
+        .map(a => a.timeToResolveSeconds)
+        .filter(v => v !== null))
+    }
+  };
+};
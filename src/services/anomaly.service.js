@@ -0,0 +1,289 @@
+// Business logic for anomaly detection on the monitoring cron's snapshots: rate spikes and unexplained drops
+// Lifecycle: open -> acknowledged -> resolved (rate spikes are resolved by the cron when the rate is back to normal)
+
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { now } from '../utils/clock.js';
+import { buildSnapshotIntervals, detectUnexplainedDrop, evaluateConsumptionRate } from '../utils/anomaly.util.js';
+import { emitWebhookEvent } from './webhook.service.js';
+import { habitatWhere } from './habitat.service.js';
+import { emitHabitatEvent } from '../sockets/resource.socket.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+import {
+  ANOMALY_CATEGORY_DEFAULTS,
+  ANOMALY_SETTING_KEYS,
+  ANOMALY_SETTINGS
+} from '../constants/anomaly.constants.js';
+
+const { Anomaly, AnomalySetting, ChangeHistory, Resource, ResourceData } = db;
+
+const ACTIVE_STATUSES = ['open', 'acknowledged'];
+
+const anomalyInclude = [{
+  model: Resource,
+  as: 'resource',
+  attributes: ['id', 'quantity', 'resourceDataId'],
+  include: [{
+    model: ResourceData,
+    as: 'resourceData',
+    attributes: ['id', 'name', 'category', 'habitatId']
+  }]
+}];
+
+const anomalyNotFound = () => new NotFoundError('ANOMALY_NOT_FOUND', 'Anomaly not found');
+
+/**
+ * Helper to merge the overrides of a category with its defaults
+ * settingSource tells where each value comes from ('custom' or 'default')
+ */
+const resolveSettings = (category, override) => {
+  const defaults = ANOMALY_CATEGORY_DEFAULTS[category];
+  const settings = { category, settingSource: {} };
+
+  ANOMALY_SETTING_KEYS.forEach(key => {
+    const value = override ? override[key] : null;
+    const hasOverride = value !== undefined && value !== null;
+    settings[key] = hasOverride ? value : defaults[key];
+    settings.settingSource[key] = hasOverride ? 'custom' : 'default';
+  });
+
+  settings.updatedBy = override?.updatedBy ?? null;
+  settings.updatedAt = override?.updatedAt ?? null;
+  return settings;
+};
+
+/**
+ * Emit a detected anomaly to the WebSocket clients of the anomaly's base and to webhook subscribers
+ */
+const emitAnomalyEvent = (anomaly) => {
+  const payload = {
+    anomaly: anomaly.toJSON(),
+    timestamp: now().toISOString()
+  };
+
+  emitHabitatEvent(global.io, 'resource:anomaly', payload, [anomaly.resource.resourceData.habitatId]);
+  emitWebhookEvent('resource:anomaly', payload);
+};
+
+/**
+ * Helper to create an anomaly and notify it
+ */
+const openAnomaly = async (data) => {
+  const anomaly = await Anomaly.create({ ...data, status: 'open' });
+  await anomaly.reload({ include: anomalyInclude });
+  emitAnomalyEvent(anomaly);
+  return anomaly;
+};
+
+/**
+ * Look for anomalies in the history of every resource (called by the monitoring cron after its snapshots)
+ * - unexplained_drop: the stock fell between the last two snapshots more than stepDropPct of the maximum level
+ *   and no movement with a reason (nor a process flow or transfer) accounts for it
+ * - rate_spike: the consumption rate of the last windowMinutes is well above the same-size windows
+ *   of the previous baselineHours; kept open while it lasts and resolved when the rate is back to normal
+ * @param {Array} resources - Resources enriched with levels
+ * @returns {Object} { detected, updated, resolved }
+ */
+export const detectAnomaliesService = async (resources) => {
+  const summary = { detected: 0, updated: 0, resolved: 0 };
+  const settings = new Map((await getAnomalySettingsService()).map(setting => [setting.category, setting]));
+  const monitored = resources.filter(resource => settings.get(resource.resourceData.category)?.enabled);
+
+  if (monitored.length === 0) {
+    return summary;
+  }
+
+  const currentTime = now();
+  const longestWindow = Math.max(...monitored.map(resource => settings.get(resource.resourceData.category).windowMinutes));
+  const since = new Date(currentTime.getTime() - (ANOMALY_SETTINGS.baselineHours * 60 + longestWindow) * 60 * 1000);
+
+  const [history, activeSpikes] = await Promise.all([
+    ChangeHistory.findAll({
+      where: {
+        resourceId: { [Op.in]: monitored.map(resource => resource.resourceDataId) },
+        createdAt: { [Op.gte]: since }
+      },
+      attributes: ['resourceId', 'stock', 'changeType', 'delta', 'reason', 'createdAt'],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    }),
+    Anomaly.findAll({
+      where: { type: 'rate_spike', status: { [Op.in]: ACTIVE_STATUSES } }
+    })
+  ]);
+
+  const historyByResource = history.reduce((groups, record) => {
+    (groups[record.resourceId] ||= []).push(record);
+    return groups;
+  }, {});
+  const spikeByResource = new Map(activeSpikes.map(anomaly => [anomaly.resourceId, anomaly]));
+
+  for (const resource of monitored) {
+    const setting = settings.get(resource.resourceData.category);
+    const intervals = buildSnapshotIntervals(historyByResource[resource.resourceDataId]);
+    const stepThreshold = resource.maximumLevel * setting.stepDropPct / 100;
+
+    // A run without a new snapshot (e.g. triggered twice) must not report the same interval again
+    const drop = detectUnexplainedDrop(intervals, stepThreshold);
+    const isReported = drop && await Anomaly.count({
+      where: { resourceId: resource.id, type: 'unexplained_drop', windowEnd: drop.windowEnd }
+    });
+    if (drop && !isReported) {
+      await openAnomaly({
+        resourceId: resource.id,
+        type: 'unexplained_drop',
+        detectedAt: currentTime,
+        lastDetectedAt: currentTime,
+        ...drop
+      });
+      summary.detected++;
+    }
+
+    const rate = evaluateConsumptionRate(intervals, {
+      now: currentTime,
+      windowMinutes: setting.windowMinutes,
+      rateFactor: setting.rateFactor,
+      zScore: setting.zScore,
+      minExcess: resource.maximumLevel * setting.minExcessPct / 100,
+      stepThreshold
+    });
+    const active = spikeByResource.get(resource.id);
+
+    if (rate.status === 'spike') {
+      const measurement = {
+        windowStart: rate.windowStart,
+        windowEnd: rate.windowEnd,
+        quantity: resource.quantity,
+        dropQuantity: rate.dropQuantity,
+        observedRate: rate.observedRate,
+        baselineRate: rate.baselineRate,
+        baselineStdDev: rate.baselineStdDev,
+        lastDetectedAt: currentTime
+      };
+
+      if (active) {
+        await active.update(measurement);
+        summary.updated++;
+      } else {
+        await openAnomaly({
+          resourceId: resource.id,
+          type: 'rate_spike',
+          detectedAt: currentTime,
+          ...measurement
+        });
+        summary.detected++;
+      }
+    } else if (rate.status === 'normal' && active) {
+      await active.update({ status: 'resolved', resolvedAt: currentTime, resolvedBy: null });
+      summary.resolved++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Get anomalies (newest first)
+ * @param {Object} filters - { resourceId, habitatId, type, status, from, to, limit }
+ */
+export const getAnomaliesService = async ({ resourceId, habitatId, type, status, from, to, limit = 100 } = {}) => {
+  const detectedAt = {
+    ...(from && { [Op.gte]: from }),
+    ...(to && { [Op.lte]: to })
+  };
+
+  return await Anomaly.findAll({
+    where: {
+      ...(resourceId && { resourceId }),
+      ...habitatWhere(habitatId),
+      ...(type && { type }),
+      ...(status && { status }),
+      ...((from || to) && { detectedAt })
+    },
+    order: [['detectedAt', 'DESC']],
+    limit,
+    include: anomalyInclude
+  });
+};
+
+/**
+ * Helper to load an anomaly with its resource, only if it belongs to the selected base
+ * @param {Number} habitatId - Base selected by the request (any base when omitted)
+ */
+const findScopedAnomaly = (id, habitatId) => Anomaly.findOne({
+  where: { id, ...habitatWhere(habitatId) },
+  include: anomalyInclude
+});
+
+// Get an anomaly by ID (404 if it belongs to another base than the selected one)
+export const getAnomalyByIdService = async (id, habitatId) => {
+  const anomaly = await findScopedAnomaly(id, habitatId);
+
+  if (!anomaly) {
+    throw anomalyNotFound();
+  }
+
+  return anomaly;
+};
+
+// Acknowledge an open anomaly (operator is investigating it)
+export const acknowledgeAnomalyService = async (id, acknowledgedBy, note, habitatId) => {
+  const anomaly = await findScopedAnomaly(id, habitatId);
+  if (!anomaly) {
+    throw anomalyNotFound();
+  }
+  if (anomaly.status !== 'open') {
+    throw new ConflictError('ANOMALY_NOT_OPEN', `Anomaly is already ${anomaly.status}`);
+  }
+
+  await anomaly.update({
+    status: 'acknowledged',
+    acknowledgedAt: now(),
+    acknowledgedBy,
+    acknowledgeNote: note || null
+  });
+
+  return await anomaly.reload({ include: anomalyInclude });
+};
+
+// Resolve an anomaly once it has been dealt with (e.g. leak sealed, drop recorded as a correction)
+export const resolveAnomalyService = async (id, resolvedBy, habitatId) => {
+  const anomaly = await findScopedAnomaly(id, habitatId);
+  if (!anomaly) {
+    throw anomalyNotFound();
+  }
+  if (anomaly.status === 'resolved') {
+    throw new ConflictError('ANOMALY_ALREADY_RESOLVED', 'Anomaly is already resolved');
+  }
+
+  await anomaly.update({ status: 'resolved', resolvedAt: now(), resolvedBy });
+
+  return await anomaly.reload({ include: anomalyInclude });
+};
+
+// Effective detector sensitivity of every category (overrides merged with defaults)
+export const getAnomalySettingsService = async () => {
+  const overrides = await AnomalySetting.findAll();
+  const byCategory = new Map(overrides.map(override => [override.category, override]));
+
+  return Object.keys(ANOMALY_CATEGORY_DEFAULTS).map(category => resolveSettings(category, byCategory.get(category)));
+};
+
+/**
+ * Change the detector sensitivity of a category
+ * @param {Object} changes - Any of ANOMALY_SETTING_KEYS; null resets a value to its default
+ * @returns {Object} Effective settings of the category
+ */
+export const updateAnomalySettingsService = async (category, changes, updatedBy) => {
+  const values = Object.fromEntries(
+    ANOMALY_SETTING_KEYS.filter(key => changes[key] !== undefined).map(key => [key, changes[key]])
+  );
+
+  let setting = await AnomalySetting.findOne({ where: { category } });
+  if (setting) {
+    await setting.update({ ...values, updatedBy });
+  } else {
+    setting = await AnomalySetting.create({ category, ...values, updatedBy });
+  }
+
+  return resolveSettings(category, setting);
+};
@@ -0,0 +1,111 @@
+// Business logic for user accounts and token authentication
+
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import User from '../models/user.js';
+import { UnauthorizedError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { AUTH_SETTINGS } from '../constants/auth.constants.js';
+
+/**
+ * Helper to read the signing secret (required, there is no insecure default)
+ */
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+};
+
+/**
+ * Validate credentials and issue a signed token
+ * @throws {UnauthorizedError} INVALID_CREDENTIALS (unknown user, wrong password or deactivated account alike)
+ */
+export const loginService = async (username, password) => {
+  const user = await User.findOne({ where: { username } });
+  if (!user || !user.active || !(await bcrypt.compare(password, user.passwordHash))) {
+    throw new UnauthorizedError('INVALID_CREDENTIALS', 'Invalid credentials');
+  }
+
+  const token = jwt.sign(
+    { sub: user.id, username: user.username, role: user.role },
+    getJwtSecret(),
+    { expiresIn: AUTH_SETTINGS.tokenExpiresIn }
+  );
+
+  return { token, expiresIn: AUTH_SETTINGS.tokenExpiresIn, user };
+};
+
+/**
+ * Resolve the user behind a token (used by HTTP middleware and the WebSocket handshake)
+ * Looks the user up on every call so deactivated accounts and role changes apply immediately
+ * @returns {Object|null} Plain user ({ id, username, role }) or null if the token is invalid
+ */
+export const verifyTokenService = async (token) => {
+  if (!token) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return null;
+    }
+    throw error;
+  }
+
+  const user = await User.findByPk(payload.sub);
+  if (!user || !user.active) {
+    return null;
+  }
+
+  return { id: user.id, username: user.username, role: user.role };
+};
+
+/**
+ * Create a new user account (fields are validated by the route schema)
+ * @throws {ConflictError} USERNAME_TAKEN
+ */
+export const createUserService = async (data) => {
+  const { username, password, role = 'observer' } = data;
+
+  const existingUser = await User.findOne({ where: { username } });
+  if (existingUser) {
+    throw new ConflictError('USERNAME_TAKEN', 'Username already exists', { userId: existingUser.id });
+  }
+
+  return await User.create({
+    username,
+    passwordHash: await bcrypt.hash(password, AUTH_SETTINGS.saltRounds),
+    role
+  });
+};
+
+/**
+ * Update role, active flag or password of a user
+ * @throws {NotFoundError} USER_NOT_FOUND
+ */
+export const updateUserService = async (id, data) => {
+  const { role, active, password } = data;
+
+  const user = await User.findByPk(id);
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND', 'User not found');
+  }
+
+  if (role !== undefined) user.role = role;
+  if (active !== undefined) user.active = active;
+  if (password !== undefined) user.passwordHash = await bcrypt.hash(password, AUTH_SETTINGS.saltRounds);
+
+  await user.save();
+  return user;
+};
+
+// List all user accounts
+export const getAllUsersService = async () => {
+  return await User.findAll({
+    order: [['username', 'ASC']]
+  });
+};
@@ -0,0 +1,200 @@
+// Business logic for the crew roster and per-capita days-of-supply calculation
+
+import { Op } from 'sequelize';
+import CrewMember from '../models/crewMember.js';
+import ConsumptionRate from '../models/consumptionRate.js';
+import Resource from '../models/resource.js';
+import ResourceData from '../models/resources.model.js';
+import { now } from '../utils/clock.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { getProcessNetRatesService } from './process.service.js';
+import { getTargetHabitatService } from './habitat.service.js';
+import { RESOURCE_LEVELS } from '../constants/resource.constants.js';
+import {
+  CREW_STATUS_MULTIPLIERS,
+  CREW_SUPPLY_THRESHOLDS
+} from '../constants/crew.constants.js';
+
+const VALID_CATEGORIES = ['food', 'oxygen', 'water', 'spare_parts'];
+
+const crewMemberNotFound = () => new NotFoundError('CREW_MEMBER_NOT_FOUND', 'Crew member not found');
+
+/**
+ * Helper to build the condition for crew members present at a given moment
+ * (arrived on or before it and not yet departed)
+ */
+const presentAt = (date) => ({
+  arrivalDate: { [Op.lte]: date },
+  [Op.or]: [
+    { departureDate: null },
+    { departureDate: { [Op.gt]: date } }
+  ]
+});
+
+/**
+ * Helper to classify days of supply into normal/low/critical
+ */
+const getSupplyStatus = (daysOfSupply) => {
+  if (daysOfSupply === null) return null;
+  if (daysOfSupply < CREW_SUPPLY_THRESHOLDS.criticalDays) return 'critical';
+  if (daysOfSupply < CREW_SUPPLY_THRESHOLDS.lowDays) return 'low';
+  return 'normal';
+};
+
+/**
+ * Per-category days of supply for the crew present at a given moment
+ * daysOfSupply = total category quantity / (effective headcount × daily per-capita rate − daily net process production)
+ * Effective headcount weights each member by the multiplier of their status (e.g. EVA uses more oxygen)
+ * Running processes add to the category (recyclers, electrolysis outputs) or draw from it (their inputs)
+ * @param {Date} at - Moment (now by default)
+ * @param {Number} habitatId - Base whose crew, stock and processes are counted (all bases if omitted)
+ * @returns {Object} Summary keyed by category
+ */
+export const getCrewSupplyService = async (at = now(), habitatId) => {
+  const habitatWhere = habitatId ? { habitatId } : {};
+  const [crew, rates, resources, processRates] = await Promise.all([
+    CrewMember.findAll({ where: { ...presentAt(at), ...habitatWhere }, attributes: ['status'] }),
+    ConsumptionRate.findAll(),
+    Resource.findAll({
+      attributes: ['quantity'],
+      include: [{
+        model: ResourceData,
+        as: 'resourceData',
+        attributes: ['category'],
+        where: habitatWhere
+      }]
+    }),
+    getProcessNetRatesService()
+  ]);
+
+  const rateByCategory = Object.fromEntries(rates.map(rate => [rate.category, rate.dailyPerCapita]));
+
+  return VALID_CATEGORIES.reduce((summary, category) => {
+    const effectiveHeadcount = crew.reduce((total, member) => {
+      return total + (CREW_STATUS_MULTIPLIERS[member.status][category] ?? 1);
+    }, 0);
+    const dailyPerCapita = rateByCategory[category] ?? 0;
+    const dailyDemand = effectiveHeadcount * dailyPerCapita;
+    const processDailyNet = Object.values(processRates)
+      .filter(rate => rate.category === category && (!habitatId || rate.habitatId === habitatId))
+      .reduce((total, rate) => total + rate.netPerHour * 24, 0);
+    const netDailyDemand = dailyDemand - processDailyNet;
+    const totalQuantity = resources
+      .filter(resource => resource.resourceData.category === category)
+      .reduce((total, resource) => total + resource.quantity, 0);
+    // null when the category is not being drawn down (no demand or processes cover it)
+    const daysOfSupply = netDailyDemand > 0
+      ? Math.round((totalQuantity / netDailyDemand) * 100) / 100
+      : null;
+
+    summary[category] = {
+      crewCount: crew.length,
+      effectiveHeadcount: Math.round(effectiveHeadcount * 100) / 100,
+      dailyPerCapita,
+      dailyDemand: Math.round(dailyDemand * 100) / 100,
+      processDailyNet: Math.round(processDailyNet * 100) / 100,
+      netDailyDemand: Math.round(netDailyDemand * 100) / 100,
+      totalQuantity,
+      unit: RESOURCE_LEVELS[category].unit,
+      daysOfSupply,
+      supplyStatus: getSupplyStatus(daysOfSupply)
+    };
+    return summary;
+  }, {});
+};
+
+// Get crew roster (optionally only members present now, or of one base)
+export const getAllCrewMembersService = async ({ present, habitatId } = {}) => {
+  return await CrewMember.findAll({
+    where: {
+      ...(present && presentAt(now())),
+      ...(habitatId && { habitatId })
+    },
+    order: [['arrivalDate', 'ASC'], ['name', 'ASC']]
+  });
+};
+
+/**
+ * Get crew member by ID
+ * @throws {NotFoundError} CREW_MEMBER_NOT_FOUND
+ */
+export const getCrewMemberByIdService = async (id) => {
+  const crewMember = await CrewMember.findByPk(id);
+  if (!crewMember) {
+    throw crewMemberNotFound();
+  }
+  return crewMember;
+};
+
+/**
+ * Add a crew member to the roster (fields and date order are validated by the route schema)
+ * @throws {NotFoundError} HABITAT_NOT_FOUND
+ */
+export const createCrewMemberService = async (data) => {
+  const { name, role, status, arrivalDate, departureDate, habitatId } = data;
+
+  // Without a habitat the member joins the default base
+  const habitat = await getTargetHabitatService(habitatId);
+
+  return await CrewMember.create({
+    name,
+    role: role || null,
+    status,
+    arrivalDate,
+    departureDate: departureDate || null,
+    habitatId: habitat.id
+  });
+};
+
+/**
+ * Update a crew member (status changes, departure date, etc.)
+ * @throws {NotFoundError} CREW_MEMBER_NOT_FOUND, HABITAT_NOT_FOUND
+ * @throws {ValidationError} INVALID_DATES when the departure would not be after the arrival
+ */
+export const updateCrewMemberService = async (id, data) => {
+  const crewMember = await CrewMember.findByPk(id);
+  if (!crewMember) {
+    throw crewMemberNotFound();
+  }
+
+  const { name, role, status, arrivalDate, departureDate, habitatId } = data;
+  if (name !== undefined) crewMember.name = name;
+  if (role !== undefined) crewMember.role = role;
+  if (status !== undefined) crewMember.status = status;
+  if (arrivalDate !== undefined) crewMember.arrivalDate = arrivalDate;
+  if (departureDate !== undefined) crewMember.departureDate = departureDate;
+
+  if (crewMember.departureDate && crewMember.departureDate <= crewMember.arrivalDate) {
+    throw new ValidationError('INVALID_DATES', 'departureDate must be after arrivalDate', {
+      arrivalDate: crewMember.arrivalDate,
+      departureDate: crewMember.departureDate
+    });
+  }
+
+  // Relocating a member to another base moves their consumption there
+  if (habitatId !== undefined) {
+    crewMember.habitatId = (await getTargetHabitatService(habitatId)).id;
+  }
+
+  await crewMember.save();
+  return crewMember;
+};
+
+// Get per-category daily per-capita consumption rates
+export const getConsumptionRatesService = async () => {
+  return await ConsumptionRate.findAll({
+    order: [['category', 'ASC']]
+  });
+};
+
+// Create or update the daily per-capita consumption rate of a category (validated by the route schema)
+export const updateConsumptionRateService = async (category, dailyPerCapita) => {
+  const rate = await ConsumptionRate.findOne({ where: { category } });
+  if (!rate) {
+    return await ConsumptionRate.create({ category, dailyPerCapita });
+  }
+
+  rate.dailyPerCapita = dailyPerCapita;
+  await rate.save();
+  return rate;
+};
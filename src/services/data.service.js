@@ -0,0 +1,357 @@
+// Business logic for exporting history/inventory (CSV, NDJSON) and importing historical logs
+
+import { Op } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import ResourceData from '../models/resources.model.js';
+import ChangeHistory from '../models/changeHistory.js';
+import {
+  CHANGE_TYPES,
+  CHANGE_REASONS,
+  DATA_TRANSFER_SETTINGS
+} from '../constants/resource.constants.js';
+import { PART_CHANGE_REASONS } from '../constants/part.constants.js';
+import { parseCsv, parseNdjson } from '../utils/csv.util.js';
+import { now } from '../utils/clock.js';
+import { AppError, ValidationError, NotFoundError } from '../utils/errors.js';
+import { getAllResourcesService } from './resource.service.js';
+import { rollupHistorySinceService } from './history.service.js';
+
+const ALL_REASONS = [...new Set([...Object.values(CHANGE_REASONS), ...Object.values(PART_CHANGE_REASONS)].flat())];
+
+const emptyImport = () => new ValidationError(
+  'EMPTY_IMPORT',
+  'Empty import. Send the file content as text/csv or application/x-ndjson'
+);
+
+// Column order of exported files (import accepts the same columns)
+export const HISTORY_COLUMNS = [
+  'id', 'resourceId', 'resourceName', 'category', 'stock', 'previousStock', 'delta',
+  'changeType', 'reason', 'source', 'operator', 'createdAt'
+];
+
+// levelSource is flattened into one column per level ('resource' or 'category') so CSV cells stay scalar
+export const INVENTORY_COLUMNS = [
+  'id', 'resourceDataId', 'name', 'category', 'quantity', 'unit', 'minimumLevel',
+  'criticalLevel', 'maximumLevel', 'status', 'minimumLevelSource', 'criticalLevelSource',
+  'maximumLevelSource', 'crewDaysOfSupply', 'forecastDaysOfSupply', 'exportedAt'
+];
+
+/**
+ * Helper to read change_history in batches ordered by (createdAt, id)
+ * Keyset pagination keeps memory flat regardless of how many records are exported
+ */
+async function* iterateHistoryRows(where, resourceDataWhere) {
+  let cursor = null;
+
+  while (true) {
+    const records = await ChangeHistory.findAll({
+      where: cursor
+        ? {
+            [Op.and]: [where, {
+              [Op.or]: [
+                { createdAt: { [Op.gt]: cursor.createdAt } },
+                { createdAt: cursor.createdAt, id: { [Op.gt]: cursor.id } }
+              ]
+            }]
+          }
+        : where,
+      include: [{
+        model: ResourceData,
+        as: 'resourceData',
+        attributes: ['id', 'name', 'category'],
+        ...(resourceDataWhere && { where: resourceDataWhere })
+      }],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit: DATA_TRANSFER_SETTINGS.batchSize
+    });
+
+    for (const record of records) {
+      yield {
+        id: record.id,
+        resourceId: record.resourceId,
+        resourceName: record.resourceData.name,
+        category: record.resourceData.category,
+        stock: record.stock,
+        previousStock: record.previousStock,
+        delta: record.delta,
+        changeType: record.changeType,
+        reason: record.reason,
+        source: record.source,
+        operator: record.operator,
+        createdAt: record.createdAt
+      };
+    }
+
+    if (records.length < DATA_TRANSFER_SETTINGS.batchSize) {
+      return;
+    }
+    const last = records[records.length - 1];
+    cursor = { createdAt: last.createdAt, id: last.id };
+  }
+}
+
+/**
+ * Prepare a change_history export (filters are validated by the route schema)
+ * @param {Object} filters - { format, resourceId, habitatId, category, from, to }
+ * @returns {Object} { format, columns, rows (async iterable) }
+ * @throws {NotFoundError} RESOURCE_NOT_FOUND
+ */
+export const getHistoryExportService = async ({ format, resourceId, habitatId, category, from, to }) => {
+  if (resourceId) {
+    const resourceData = await ResourceData.findByPk(resourceId);
+    if (!resourceData) {
+      throw new NotFoundError('RESOURCE_NOT_FOUND', 'Resource not found');
+    }
+  }
+
+  const createdAt = {
+    ...(from && { [Op.gte]: from }),
+    ...(to && { [Op.lte]: to })
+  };
+  const where = {
+    ...(resourceId && { resourceId }),
+    ...((from || to) && { createdAt })
+  };
+
+  return {
+    format,
+    columns: HISTORY_COLUMNS,
+    rows: iterateHistoryRows(where, (category || habitatId) ? {
+      ...(category && { category }),
+      ...(habitatId && { habitatId })
+    } : null)
+  };
+};
+
+/**
+ * Prepare an export of the current inventory (one row per resource with effective levels)
+ * @param {Object} filters - { format, habitatId, category }
+ * @returns {Object} { format, columns, rows }
+ */
+export const getInventoryExportService = async ({ format, habitatId, category }) => {
+  const resources = await getAllResourcesService({ habitatId });
+  const exportedAt = now().toISOString();
+
+  const rows = resources
+    .filter(r => !category || r.resourceData.category === category)
+    .map(r => ({
+      id: r.id,
+      resourceDataId: r.resourceDataId,
+      name: r.resourceData.name,
+      category: r.resourceData.category,
+      quantity: r.quantity,
+      unit: r.unit,
+      minimumLevel: r.minimumLevel,
+      criticalLevel: r.criticalLevel,
+      maximumLevel: r.maximumLevel,
+      status: r.status,
+      minimumLevelSource: r.levelSource.minimumLevel,
+      criticalLevelSource: r.levelSource.criticalLevel,
+      maximumLevelSource: r.levelSource.maximumLevel,
+      crewDaysOfSupply: r.crewSupply ? r.crewSupply.daysOfSupply : null,
+      forecastDaysOfSupply: r.forecast.daysOfSupply,
+      exportedAt
+    }));
+
+  return { format, columns: INVENTORY_COLUMNS, rows };
+};
+
+/**
+ * Helper to read an optional integer field ('' and null mean not provided)
+ * @returns {Object} { value } or { error }
+ */
+const readInteger = (values, field, { required = false, min } = {}) => {
+  const raw = values[field];
+  if (raw === undefined || raw === null || raw === '') {
+    return required ? { error: `${field} is required` } : { value: null };
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || (min !== undefined && value < min)) {
+    return { error: `${field} must be an integer${min !== undefined ? ` >= ${min}` : ''}` };
+  }
+  return { value };
+};
+
+/**
+ * Helper to read an optional string field from a list of allowed values
+ */
+const readOption = (values, field, allowed) => {
+  const raw = values[field];
+  if (raw === undefined || raw === null || raw === '') {
+    return { value: null };
+  }
+  if (!allowed.includes(raw)) {
+    return { error: `Invalid ${field} "${raw}". Use: ${allowed.join(', ')}` };
+  }
+  return { value: raw };
+};
+
+/**
+ * Validate one imported row against ResourceData and the change_history rules
+ * @param {Map} resourceDataById - ResourceData by ID
+ * @param {Map} resourceDataByName - ResourceData list by name (one per base that has it)
+ * @returns {Object} { record } or { errors }
+ */
+const validateImportRow = (values, resourceDataById, resourceDataByName) => {
+  const errors = [];
+
+  // Resource: by resourceId (ResourceData ID) or by resourceName
+  let resourceData = null;
+  const resourceId = readInteger(values, 'resourceId', { min: 1 });
+  if (resourceId.error) {
+    errors.push(resourceId.error);
+  } else if (resourceId.value !== null) {
+    resourceData = resourceDataById.get(resourceId.value);
+    if (!resourceData) {
+      errors.push(`resourceId ${resourceId.value} does not exist`);
+    } else if (values.resourceName && values.resourceName !== resourceData.name) {
+      errors.push(`resourceName "${values.resourceName}" does not match resourceId ${resourceId.value}`);
+    }
+  } else if (values.resourceName) {
+    // Names repeat across bases (transfers create the resource at the destination)
+    const matches = resourceDataByName.get(values.resourceName) || [];
+    if (matches.length === 0) {
+      errors.push(`resourceName "${values.resourceName}" does not exist`);
+    } else if (matches.length > 1) {
+      errors.push(`resourceName "${values.resourceName}" exists in several bases. Use resourceId or select the base`);
+    } else {
+      [resourceData] = matches;
+    }
+  } else {
+    errors.push('resourceId or resourceName is required');
+  }
+
+  if (resourceData && values.category && values.category !== resourceData.category) {
+    errors.push(`category "${values.category}" does not match resource category "${resourceData.category}"`);
+  }
+
+  const stock = readInteger(values, 'stock', { required: true, min: 0 });
+  const previousStock = readInteger(values, 'previousStock', { min: 0 });
+  const delta = readInteger(values, 'delta');
+  const changeType = readOption(values, 'changeType', CHANGE_TYPES);
+  const reason = readOption(values, 'reason', ALL_REASONS);
+  [stock, previousStock, delta, changeType, reason].forEach(result => {
+    if (result.error) errors.push(result.error);
+  });
+
+  const createdAt = values.createdAt ? new Date(values.createdAt) : null;
+  if (!createdAt || isNaN(createdAt.getTime())) {
+    errors.push('createdAt is required (ISO 8601 timestamp)');
+  } else if (createdAt > now()) {
+    errors.push('createdAt cannot be in the future');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    record: {
+      resourceId: resourceData.id,
+      stock: stock.value,
+      previousStock: previousStock.value,
+      delta: delta.value,
+      changeType: changeType.value || 'snapshot',
+      reason: reason.value,
+      source: 'import',
+      operator: values.operator || null,
+      createdAt,
+      updatedAt: createdAt
+    }
+  };
+};
+
+/**
+ * Import historical change_history records from a CSV or NDJSON file
+ * Every row is validated; by default nothing is written if any row fails (fix and re-upload)
+ * @param {Object} params
+ * @param {String} params.format - 'csv' or 'ndjson'
+ * @param {String} params.content - File content
+ * @param {Boolean} params.dryRun - Only validate
+ * @param {Boolean} params.skipInvalid - Import valid rows even if some rows fail
+ * @param {String} params.importedBy - Username stored as operator when the row has none
+ * @param {Number} params.habitatId - Base selected by the request: rows can only reference its resources
+ * @returns {Object} { imported, rejected, total, dryRun, errors: [{ line, errors }] }
+ * @throws {ValidationError} EMPTY_IMPORT
+ * @throws {AppError} TOO_MANY_ROWS (413)
+ */
+export const importHistoryService = async ({ format, content, dryRun = false, skipInvalid = false, importedBy, habitatId }) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw emptyImport();
+  }
+
+  const rows = format === 'csv' ? parseCsv(content) : parseNdjson(content);
+  if (rows.length === 0) {
+    throw emptyImport();
+  }
+  if (rows.length > DATA_TRANSFER_SETTINGS.maxImportRows) {
+    throw new AppError(
+      'TOO_MANY_ROWS',
+      `Too many rows. Maximum ${DATA_TRANSFER_SETTINGS.maxImportRows} per import`,
+      413,
+      { rows: rows.length, maxImportRows: DATA_TRANSFER_SETTINGS.maxImportRows }
+    );
+  }
+
+  const resourceDataList = await ResourceData.findAll({
+    where: habitatId ? { habitatId } : {},
+    attributes: ['id', 'name', 'category']
+  });
+  const resourceDataById = new Map(resourceDataList.map(rd => [rd.id, rd]));
+  const resourceDataByName = resourceDataList.reduce((byName, rd) => {
+    byName.set(rd.name, [...(byName.get(rd.name) || []), rd]);
+    return byName;
+  }, new Map());
+
+  const records = [];
+  const errors = [];
+  for (const row of rows) {
+    if (row.error) {
+      errors.push({ line: row.line, errors: [row.error] });
+      continue;
+    }
+
+    const result = validateImportRow(row.values, resourceDataById, resourceDataByName);
+    if (result.errors) {
+      errors.push({ line: row.line, errors: result.errors });
+    } else {
+      records.push({ ...result.record, operator: result.record.operator || importedBy });
+    }
+  }
+
+  const report = {
+    total: rows.length,
+    valid: records.length,
+    imported: 0,
+    rejected: errors.length,
+    dryRun,
+    errors
+  };
+
+  if (dryRun || records.length === 0 || (errors.length > 0 && !skipInvalid)) {
+    return report;
+  }
+
+  // All valid rows are written or none (transaction)
+  const transaction = await sequelize.transaction();
+  try {
+    for (let i = 0; i < records.length; i += DATA_TRANSFER_SETTINGS.batchSize) {
+      await ChangeHistory.bulkCreate(records.slice(i, i + DATA_TRANSFER_SETTINGS.batchSize), {
+        validate: true,
+        transaction
+      });
+    }
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+  report.imported = records.length;
+
+  // Imported logs are usually older than the stored rollups: recompute aggregates from the oldest row
+  const oldest = records.reduce((min, r) => (r.createdAt < min ? r.createdAt : min), records[0].createdAt);
+  report.rollup = await rollupHistorySinceService(oldest);
+
+  return report;
+};
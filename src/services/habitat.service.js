@@ -0,0 +1,150 @@
+// Business logic for habitats (bases): catalog of bases and resolution of the base selector of requests
+
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+import { DEFAULT_HABITAT_CODE } from '../constants/habitat.constants.js';
+
+const { sequelize, Habitat, ResourceData, CrewMember, StorageLocation } = db;
+
+const habitatNotFound = () => new NotFoundError('HABITAT_NOT_FOUND', 'Habitat not found');
+
+/**
+ * Restricts a query that includes resource.resourceData (alerts, anomalies) to the resources of one base
+ * (no restriction without habitatId)
+ */
+export const habitatWhere = (habitatId) => (habitatId ? { '$resource.resourceData.habitatId$': habitatId } : {});
+
+/**
+ * Helper to count what each base holds (tracked resources, crew members and storage locations)
+ * @returns {Object} Counts keyed by habitat ID
+ */
+const getHabitatCounts = async () => {
+  const countBy = (Model) => Model.findAll({
+    attributes: ['habitatId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['habitatId'],
+    raw: true
+  });
+  const [resources, crew, locations] = await Promise.all([
+    countBy(ResourceData),
+    countBy(CrewMember),
+    countBy(StorageLocation)
+  ]);
+
+  const counts = {};
+  const add = (rows, key) => rows.forEach(row => {
+    counts[row.habitatId] ||= { resources: 0, crew: 0, locations: 0 };
+    counts[row.habitatId][key] = Number(row.count);
+  });
+  add(resources, 'resources');
+  add(crew, 'crew');
+  add(locations, 'locations');
+  return counts;
+};
+
+/**
+ * Helper to attach the counts of a base
+ */
+const withCounts = (habitat, counts) => ({
+  ...habitat.toJSON(),
+  counts: counts[habitat.id] || { resources: 0, crew: 0, locations: 0 }
+});
+
+// Get all habitats with what each one holds
+export const getHabitatsService = async () => {
+  const [habitats, counts] = await Promise.all([
+    Habitat.findAll({ order: [['id', 'ASC']] }),
+    getHabitatCounts()
+  ]);
+
+  return habitats.map(habitat => withCounts(habitat, counts));
+};
+
+// Get a habitat by ID with what it holds
+export const getHabitatByIdService = async (id) => {
+  const habitat = await Habitat.findByPk(id);
+  if (!habitat) {
+    throw habitatNotFound();
+  }
+
+  return withCounts(habitat, await getHabitatCounts());
+};
+
+/**
+ * Find the habitat a selector refers to (numeric ID or code)
+ * @param {String} selector - Value of the X-Habitat header or the habitat query param
+ * @throws {NotFoundError} HABITAT_NOT_FOUND
+ */
+export const resolveHabitatService = async (selector) => {
+  const value = String(selector).trim();
+  const habitat = await Habitat.findOne({
+    where: /^\d+$/.test(value)
+      ? { [Op.or]: [{ id: Number(value) }, { code: value }] }
+      : { code: value.toLowerCase() }
+  });
+
+  if (!habitat) {
+    throw habitatNotFound();
+  }
+  return habitat;
+};
+
+/**
+ * Base that new crew members and storage locations go to when no habitat is given
+ * (the one created for the original inventory, or the oldest base if it was renamed)
+ */
+export const getDefaultHabitatService = async () => {
+  const habitat = await Habitat.findOne({ where: { code: DEFAULT_HABITAT_CODE } })
+    || await Habitat.findOne({ order: [['id', 'ASC']] });
+
+  if (!habitat) {
+    throw habitatNotFound();
+  }
+  return habitat;
+};
+
+/**
+ * Base a new crew member or storage location goes to: the given one, or the default base
+ * @param {Number} habitatId - Optional habitat ID
+ * @throws {NotFoundError} HABITAT_NOT_FOUND
+ */
+export const getTargetHabitatService = async (habitatId) => {
+  if (habitatId === undefined || habitatId === null) {
+    return await getDefaultHabitatService();
+  }
+
+  const habitat = await Habitat.findByPk(habitatId);
+  if (!habitat) {
+    throw habitatNotFound();
+  }
+  return habitat;
+};
+
+// Create a habitat (codes are unique)
+export const createHabitatService = async (data) => {
+  const existing = await Habitat.findOne({ where: { code: data.code } });
+  if (existing) {
+    throw new ConflictError('HABITAT_CODE_TAKEN', 'A habitat with that code already exists', { habitatId: existing.id });
+  }
+
+  const habitat = await Habitat.create({ description: null, ...data });
+  return withCounts(habitat, {});
+};
+
+// Update a habitat's code, name or description
+export const updateHabitatService = async (id, data) => {
+  const habitat = await Habitat.findByPk(id);
+  if (!habitat) {
+    throw habitatNotFound();
+  }
+
+  if (data.code && data.code !== habitat.code) {
+    const existing = await Habitat.findOne({ where: { code: data.code } });
+    if (existing) {
+      throw new ConflictError('HABITAT_CODE_TAKEN', 'A habitat with that code already exists', { habitatId: existing.id });
+    }
+  }
+
+  await habitat.update(data);
+  return withCounts(habitat, await getHabitatCounts());
+};
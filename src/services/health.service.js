@@ -0,0 +1,97 @@
+// Health checks: liveness (process up) and readiness (database reachable, monitoring cron running)
+
+import { sequelize } from '../config/database.config.js';
+import { createGauge } from '../utils/metrics.util.js';
+import { getCronRunsService } from './metrics.service.js';
+import { getCronJob } from '../cron/job.registry.js';
+import { HEALTH_SETTINGS } from '../constants/health.constants.js';
+
+// Cron job whose last successful run decides readiness (records history, alerts and live updates)
+const MONITORING_JOB = 'resource-monitoring';
+
+/**
+ * Check that the database answers within dbTimeoutMs
+ * @returns {Object} { status: 'up' | 'down', latencyMs, error? }
+ */
+export const checkDatabaseService = async () => {
+  const start = Date.now();
+  let timer;
+
+  try {
+    await Promise.race([
+      sequelize.authenticate(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response after ${HEALTH_SETTINGS.dbTimeoutMs} ms`)), HEALTH_SETTINGS.dbTimeoutMs);
+      })
+    ]);
+    return { status: 'up', latencyMs: Date.now() - start };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - start, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+createGauge({
+  name: 'ares_database_up',
+  help: 'Whether the database answered the health check (1) or not (0)',
+  collect: async (gauge) => {
+    const database = await checkDatabaseService();
+    gauge.set({}, database.status === 'up' ? 1 : 0);
+  }
+});
+
+/**
+ * Helper to check the monitoring cron: it must have succeeded within monitoringStaleSeconds
+ * (right after startup, a resume or a new schedule it gets the same grace period to complete a run)
+ * A job paused through /api/jobs is an operator decision, so it is reported but does not fail readiness
+ */
+const checkMonitoringCron = () => {
+  const run = getCronRunsService().find(job => job.job === MONITORING_JOB);
+  if (!run) {
+    return { status: 'down', error: 'Monitoring cron is not scheduled' };
+  }
+
+  const details = {
+    lastSuccessAt: run.lastSuccessAt,
+    secondsSinceLastSuccess: run.lastSuccessAt ? Math.round((Date.now() - run.lastSuccessAt.getTime()) / 1000) : null,
+    lastFailureAt: run.lastFailureAt,
+    lastError: run.lastError
+  };
+
+  if (getCronJob(MONITORING_JOB)?.paused) {
+    return { status: 'paused', ...details };
+  }
+
+  const reference = Math.max(run.lastSuccessAt?.getTime() || 0, run.scheduledAt.getTime());
+  const stale = (Date.now() - reference) / 1000 > HEALTH_SETTINGS.monitoringStaleSeconds;
+
+  return {
+    status: stale ? 'down' : 'up',
+    ...details,
+    ...(stale && {
+      error: `No successful run in the last ${HEALTH_SETTINGS.monitoringStaleSeconds} seconds`
+    })
+  };
+};
+
+// Liveness: the process is up and its event loop answers
+export const getLivenessService = () => ({
+  status: 'ok',
+  uptimeSeconds: Math.round(process.uptime())
+});
+
+/**
+ * Readiness: the instance can serve traffic (database reachable and monitoring cron running)
+ * @returns {Object} { ready, checks: { database, monitoringCron }, crons }
+ */
+export const getReadinessService = async () => {
+  const database = await checkDatabaseService();
+  const monitoringCron = checkMonitoringCron();
+
+  return {
+    ready: database.status === 'up' && monitoringCron.status !== 'down',
+    checks: { database, monitoringCron },
+    crons: getCronRunsService()
+  };
+};
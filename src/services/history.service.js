@@ -0,0 +1,467 @@
+// Business logic for history rollups (hourly/daily aggregates), multi-resolution history reads
+// and point-in-time inventory (stock at a moment, comparison between two moments)
+
+import { Op } from 'sequelize';
+import Resource from '../models/resource.js';
+import ResourceData from '../models/resources.model.js';
+import ChangeHistory from '../models/changeHistory.js';
+import HourlyHistory from '../models/hourlyHistory.js';
+import DailyHistory from '../models/dailyHistory.js';
+import ThresholdChange from '../models/thresholdChange.js';
+import {
+  HISTORY_RESOLUTIONS,
+  HISTORY_SETTINGS,
+  getLevelsByCategory,
+  resolveResourceLevels,
+  getResourceStatus
+} from '../constants/resource.constants.js';
+import {
+  BUCKET_MS,
+  truncateToBucket,
+  aggregateSamples,
+  mergeBuckets,
+  rollupRecords,
+  selectResolution
+} from '../utils/rollup.util.js';
+import { now } from '../utils/clock.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+const ROLLUP_MODELS = {
+  hour: HourlyHistory,
+  day: DailyHistory
+};
+
+const BUCKET_FIELDS = ['min', 'max', 'avg', 'first', 'last', 'samples'];
+
+// Rows loaded per batch while rolling up (one day of raw records, one month of hourly buckets)
+const ROLLUP_CHUNK_MS = {
+  hour: BUCKET_MS.day,
+  day: 31 * BUCKET_MS.day
+};
+
+/**
+ * Helper to load the records a resolution is rolled up from
+ * Hourly buckets come from raw change_history, daily buckets from hourly buckets
+ */
+const loadRollupSource = (resolution, start, end) => {
+  if (resolution === 'hour') {
+    return ChangeHistory.findAll({
+      where: { createdAt: { [Op.gte]: start, [Op.lt]: end } },
+      attributes: ['resourceId', 'stock', 'createdAt'],
+      order: [['createdAt', 'ASC']],
+      raw: true
+    });
+  }
+
+  return HourlyHistory.findAll({
+    where: { bucketStart: { [Op.gte]: start, [Op.lt]: end } },
+    attributes: ['resourceId', 'bucketStart', ...BUCKET_FIELDS],
+    order: [['bucketStart', 'ASC']],
+    raw: true
+  });
+};
+
+/**
+ * Roll up every completed bucket of a resolution that is not stored yet
+ * The latest stored bucket is recomputed so late records are included (upsert)
+ * @param {String} resolution - 'hour' or 'day'
+ * @param {Date} currentTime - Buckets are only written up to the current (incomplete) one
+ * @param {Date} since - Optional start to recompute older buckets (e.g. after an import)
+ * @returns {Number} Buckets written
+ */
+const rollupResolution = async (resolution, currentTime, since) => {
+  const Target = ROLLUP_MODELS[resolution];
+  const Source = resolution === 'hour' ? ChangeHistory : HourlyHistory;
+  const sourceTimeField = resolution === 'hour' ? 'createdAt' : 'bucketStart';
+
+  const latest = since || await Target.max('bucketStart');
+  const earliest = latest || await Source.min(sourceTimeField);
+  if (!earliest) {
+    return 0;
+  }
+
+  const start = truncateToBucket(earliest, resolution);
+  // Only completed buckets: the current hour/day is still receiving records
+  const end = truncateToBucket(currentTime, resolution);
+  let written = 0;
+
+  for (let chunkStart = start.getTime(); chunkStart < end.getTime(); chunkStart += ROLLUP_CHUNK_MS[resolution]) {
+    const chunkEnd = new Date(Math.min(chunkStart + ROLLUP_CHUNK_MS[resolution], end.getTime()));
+    const records = await loadRollupSource(resolution, new Date(chunkStart), chunkEnd);
+    if (records.length === 0) continue;
+
+    const buckets = resolution === 'hour'
+      ? rollupRecords(records, 'hour', r => r.createdAt, aggregateSamples)
+      : rollupRecords(records, 'day', r => r.bucketStart, mergeBuckets);
+
+    await Target.bulkCreate(buckets, {
+      conflictAttributes: ['resourceId', 'bucketStart'],
+      updateOnDuplicate: [...BUCKET_FIELDS, 'updatedAt']
+    });
+    written += buckets.length;
+  }
+
+  return written;
+};
+
+/**
+ * Write hourly then daily aggregates for all completed buckets
+ * Run hourly and always before raw history cleanup, so no data is lost when raw records are deleted
+ * @returns {Object} { hourly, daily } buckets written
+ */
+export const rollupHistoryService = async () => {
+  const currentTime = now();
+  const hourly = await rollupResolution('hour', currentTime);
+  const daily = await rollupResolution('day', currentTime);
+
+  return { hourly, daily };
+};
+
+/**
+ * Recompute hourly and daily aggregates from a given date on
+ * Used after loading historical records older than the latest stored buckets
+ * @param {Date} since - Oldest record that changed
+ * @returns {Object} { hourly, daily } buckets written
+ */
+export const rollupHistorySinceService = async (since) => {
+  const currentTime = now();
+  const hourly = await rollupResolution('hour', currentTime, since);
+  const daily = await rollupResolution('day', currentTime, since);
+
+  return { hourly, daily };
+};
+
+/**
+ * Helper to convert a stored bucket or raw record into a chart point
+ * raw: true rows keep dates as the driver returns them (strings on SQLite), so timestamps are rebuilt as Date
+ */
+const toPoint = (bucket) => ({
+  timestamp: new Date(bucket.bucketStart),
+  min: bucket.min,
+  max: bucket.max,
+  avg: Math.round(bucket.avg * 100) / 100,
+  first: bucket.first,
+  last: bucket.last,
+  samples: bucket.samples
+});
+
+/**
+ * Helper to load rollup points for a range
+ * Stored buckets cover completed hours/days; the newest part of the range that has not been
+ * rolled up yet is aggregated on the fly from raw records
+ */
+const getRollupPoints = async (resourceId, resolution, from, to) => {
+  const Target = ROLLUP_MODELS[resolution];
+  const rangeStart = truncateToBucket(from, resolution);
+
+  const [stored, latest] = await Promise.all([
+    Target.findAll({
+      where: {
+        resourceId,
+        bucketStart: { [Op.gte]: rangeStart, [Op.lte]: to }
+      },
+      order: [['bucketStart', 'ASC']],
+      limit: HISTORY_SETTINGS.maxRangePoints,
+      raw: true
+    }),
+    Target.max('bucketStart', { where: { resourceId } })
+  ]);
+
+  const coveredUntil = latest
+    ? new Date(new Date(latest).getTime() + BUCKET_MS[resolution])
+    : rangeStart;
+  if (coveredUntil >= to) {
+    return stored.map(toPoint);
+  }
+
+  const tailStart = coveredUntil > rangeStart ? coveredUntil : rangeStart;
+  const tailRecords = await ChangeHistory.findAll({
+    where: {
+      resourceId,
+      createdAt: { [Op.gte]: tailStart, [Op.lte]: to }
+    },
+    attributes: ['resourceId', 'stock', 'createdAt'],
+    order: [['createdAt', 'ASC']],
+    raw: true
+  });
+  const tail = rollupRecords(tailRecords, resolution, r => r.createdAt, aggregateSamples);
+
+  return [...stored, ...tail].map(toPoint);
+};
+
+/**
+ * Get history for a resource over a time range at the right resolution
+ * @param {Number} resourceId - ResourceData ID
+ * @param {Object} options - { from, to, resolution ('auto', 'raw', 'hour', 'day'), habitatId (selected base) }
+ * @returns {Object} { resourceData, resolution, from, to, points }
+ * @throws {ValidationError|NotFoundError} INVALID_RESOLUTION, INVALID_DATE_RANGE, RESOURCE_NOT_FOUND
+ */
+export const getHistorySeriesService = async (resourceId, { from, to, resolution = 'auto', habitatId } = {}) => {
+  if (resolution !== 'auto' && !HISTORY_RESOLUTIONS.includes(resolution)) {
+    throw new ValidationError('INVALID_RESOLUTION', `Invalid resolution. Allowed: auto, ${HISTORY_RESOLUTIONS.join(', ')}`);
+  }
+
+  const rangeEnd = to || now();
+  const rangeStart = from || new Date(rangeEnd.getTime() - 24 * BUCKET_MS.hour);
+  if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime()) || rangeStart >= rangeEnd) {
+    throw new ValidationError('INVALID_DATE_RANGE', 'Invalid date range. Use ISO 8601 timestamps with from before to');
+  }
+
+  const resourceData = await ResourceData.findOne({
+    where: { id: resourceId, ...(habitatId && { habitatId }) }
+  });
+  if (!resourceData) {
+    throw new NotFoundError('RESOURCE_NOT_FOUND', 'Resource not found');
+  }
+
+  const selected = resolution === 'auto'
+    ? selectResolution(rangeStart, rangeEnd, now())
+    : resolution;
+
+  let points;
+  if (selected === 'raw') {
+    const records = await ChangeHistory.findAll({
+      where: {
+        resourceId,
+        createdAt: { [Op.gte]: rangeStart, [Op.lte]: rangeEnd }
+      },
+      attributes: ['stock', 'createdAt'],
+      order: [['createdAt', 'ASC']],
+      limit: HISTORY_SETTINGS.maxRangePoints,
+      raw: true
+    });
+    points = records.map(r => toPoint({ bucketStart: r.createdAt, ...aggregateSamples([r]) }));
+  } else {
+    points = await getRollupPoints(resourceId, selected, rangeStart, rangeEnd);
+  }
+
+  return {
+    resourceData,
+    resolution: selected,
+    from: rangeStart,
+    to: rangeEnd,
+    points
+  };
+};
+
+/**
+ * Helper to find the last known stock of a resource at a moment
+ * Raw records are exact (every change and cron snapshot is recorded); once they are past
+ * retention, the last value of the latest hourly (then daily) bucket ending before the moment is used
+ * @param {Number} resourceDataId - ResourceData ID (change_history key)
+ * @param {Date} at - Moment
+ * @returns {Object} { quantity, recordedAt, precision ('raw', 'hour', 'day') }, quantity null if nothing was recorded
+ */
+const getStockAt = async (resourceDataId, at) => {
+  const record = await ChangeHistory.findOne({
+    where: { resourceId: resourceDataId, createdAt: { [Op.lte]: at } },
+    attributes: ['stock', 'createdAt'],
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    raw: true
+  });
+  if (record) {
+    return { quantity: record.stock, recordedAt: new Date(record.createdAt), precision: 'raw' };
+  }
+
+  for (const resolution of ['hour', 'day']) {
+    const bucket = await ROLLUP_MODELS[resolution].findOne({
+      where: {
+        resourceId: resourceDataId,
+        bucketStart: { [Op.lte]: new Date(at.getTime() - BUCKET_MS[resolution]) }
+      },
+      attributes: ['bucketStart', 'last'],
+      order: [['bucketStart', 'DESC']],
+      raw: true
+    });
+    if (bucket) {
+      return {
+        quantity: bucket.last,
+        recordedAt: new Date(new Date(bucket.bucketStart).getTime() + BUCKET_MS[resolution]),
+        precision: resolution
+      };
+    }
+  }
+
+  return { quantity: null, recordedAt: null, precision: null };
+};
+
+/**
+ * Helper to load the per-resource levels in force at a moment, keyed by Resource ID
+ * The first threshold change after the moment holds the levels that applied at it;
+ * resources without later changes still use their current levels (not included)
+ * Not raw: the JSON column is only parsed by the model (raw rows carry a string on SQLite)
+ */
+const getLevelsAt = async (at) => {
+  const later = await ThresholdChange.findAll({
+    where: { createdAt: { [Op.gt]: at } },
+    attributes: ['id', 'resourceId', 'previousLevels'],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  return later.reduce((levels, change) => {
+    levels[change.resourceId] ||= change.previousLevels;
+    return levels;
+  }, {});
+};
+
+/**
+ * Helper to describe a resource at a moment: recorded stock, levels in force and resulting status
+ */
+const toResourceAt = (resource, stock, levelsAt) => {
+  const category = resource.resourceData.category;
+  const levels = levelsAt || resolveResourceLevels(resource, category);
+  const { quantity } = stock;
+
+  return {
+    id: resource.id,
+    resourceDataId: resource.resourceDataId,
+    habitatId: resource.resourceData.habitatId,
+    resourceData: {
+      id: resource.resourceData.id,
+      name: resource.resourceData.name,
+      category
+    },
+    quantity,
+    minimumLevel: levels.minimumLevel,
+    criticalLevel: levels.criticalLevel,
+    maximumLevel: levels.maximumLevel,
+    unit: getLevelsByCategory(category).unit,
+    status: quantity === null ? null : getResourceStatus(quantity, levels),
+    recordedAt: stock.recordedAt,
+    precision: stock.precision
+  };
+};
+
+/**
+ * Helper to reject moments after the current (possibly simulated) time
+ */
+const assertNotFuture = (moment, field) => {
+  if (moment > now()) {
+    throw new ValidationError('INVALID_TIMESTAMP', `${field} cannot be in the future`, { [field]: moment });
+  }
+};
+
+/**
+ * Helper to load resources (with their ResourceData) in a stable order, optionally by category and base
+ */
+const loadResources = (category, habitatId) => Resource.findAll({
+  include: [{
+    model: ResourceData,
+    as: 'resourceData',
+    attributes: ['id', 'name', 'category', 'habitatId'],
+    where: {
+      ...(category && { category }),
+      ...(habitatId && { habitatId })
+    }
+  }],
+  order: [['id', 'ASC']]
+});
+
+/**
+ * Get the inventory as it was at a moment, rebuilt from the history
+ * @param {Date} at - Moment (not in the future)
+ * @param {Number} habitatId - Optional base to rebuild
+ * @returns {Array} Resources with quantity, levels in force and status at that moment
+ *   (quantity/status null for resources with nothing recorded yet)
+ * @throws {ValidationError} INVALID_TIMESTAMP
+ */
+export const getInventoryAtService = async (at, habitatId) => {
+  assertNotFuture(at, 'at');
+
+  const resources = await loadResources(undefined, habitatId);
+  const [stocks, levelsAt] = await Promise.all([
+    Promise.all(resources.map(resource => getStockAt(resource.resourceDataId, at))),
+    getLevelsAt(at)
+  ]);
+
+  return resources.map((resource, i) => toResourceAt(resource, stocks[i], levelsAt[resource.id]));
+};
+
+/**
+ * Helper to keep the per-moment fields of a resource described at a moment
+ */
+const pickMoment = (resourceAt) => ({
+  quantity: resourceAt.quantity,
+  status: resourceAt.status,
+  recordedAt: resourceAt.recordedAt,
+  precision: resourceAt.precision
+});
+
+/**
+ * Compare the inventory between two moments and the recorded changes that explain each delta
+ * explainedDelta sums the ledger entries in (from, to]; unexplainedDelta is what only the snapshots saw
+ * (complete is false when an end falls outside raw retention, so older entries are no longer available)
+ * @param {Date} from - Start moment
+ * @param {Date} to - End moment (now by default)
+ * @param {Object} options - { category, habitatId, limit (entries listed per resource) }
+ * @returns {Object} { from, to, resources: [{ ..., from, to, delta, explainedDelta, unexplainedDelta, breakdown, changes }] }
+ * @throws {ValidationError} INVALID_TIMESTAMP, INVALID_DATE_RANGE
+ */
+export const compareInventoryService = async (from, to = now(), { category, habitatId, limit = 100 } = {}) => {
+  assertNotFuture(to, 'to');
+  if (from >= to) {
+    throw new ValidationError('INVALID_DATE_RANGE', 'Invalid date range. from must be before to');
+  }
+
+  const resources = await loadResources(category, habitatId);
+  const [fromStocks, toStocks, fromLevels, toLevels, entries] = await Promise.all([
+    Promise.all(resources.map(resource => getStockAt(resource.resourceDataId, from))),
+    Promise.all(resources.map(resource => getStockAt(resource.resourceDataId, to))),
+    getLevelsAt(from),
+    getLevelsAt(to),
+    ChangeHistory.findAll({
+      where: {
+        resourceId: { [Op.in]: resources.map(resource => resource.resourceDataId) },
+        changeType: { [Op.ne]: 'snapshot' },
+        createdAt: { [Op.gt]: from, [Op.lte]: to }
+      },
+      attributes: [
+        'id', 'resourceId', 'changeType', 'reason', 'source', 'operator',
+        'previousStock', 'stock', 'delta', 'locationId', 'locationDelta', 'transferId', 'createdAt'
+      ],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      raw: true
+    })
+  ]);
+
+  const entriesByResource = entries.reduce((groups, entry) => {
+    (groups[entry.resourceId] ||= []).push({ ...entry, createdAt: new Date(entry.createdAt) });
+    return groups;
+  }, {});
+
+  const compared = resources.map((resource, i) => {
+    const start = toResourceAt(resource, fromStocks[i], fromLevels[resource.id]);
+    const end = toResourceAt(resource, toStocks[i], toLevels[resource.id]);
+    const changes = entriesByResource[resource.resourceDataId] || [];
+
+    // Totals per kind of movement (e.g. consume/meal, production, replenish/resupply)
+    const breakdown = Object.values(changes.reduce((groups, change) => {
+      const key = `${change.changeType}:${change.reason || ''}`;
+      groups[key] ||= { changeType: change.changeType, reason: change.reason, count: 0, delta: 0 };
+      groups[key].count++;
+      groups[key].delta += change.delta || 0;
+      return groups;
+    }, {}));
+
+    const delta = start.quantity !== null && end.quantity !== null ? end.quantity - start.quantity : null;
+    const explainedDelta = breakdown.reduce((total, group) => total + group.delta, 0);
+
+    return {
+      id: resource.id,
+      resourceDataId: resource.resourceDataId,
+      resourceData: start.resourceData,
+      unit: start.unit,
+      from: pickMoment(start),
+      to: pickMoment(end),
+      delta,
+      explainedDelta,
+      unexplainedDelta: delta !== null ? delta - explainedDelta : null,
+      complete: start.precision === 'raw' && end.precision === 'raw',
+      breakdown,
+      changeCount: changes.length,
+      changes: changes.slice(0, limit)
+    };
+  });
+
+  return { from, to, resources: compared };
+};
@@ -0,0 +1,155 @@
+// Business logic for the cron job API: state of every job and runtime changes (pause, resume, run, reschedule)
+// Changes are saved in cron_jobs first and then applied to the scheduler, so they survive restarts
+
+import CronJob from '../models/cronJob.js';
+import { getCronRunsService } from './metrics.service.js';
+import {
+  getCronJob,
+  getCronJobs,
+  isValidSchedule,
+  pauseCronJob,
+  resumeCronJob,
+  rescheduleCronJob,
+  triggerCronJob
+} from '../cron/job.registry.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+const jobNotFound = () => new NotFoundError('JOB_NOT_FOUND', 'Job not found');
+
+/**
+ * Helper to get a defined job or throw
+ */
+const findJob = (name) => {
+  const job = getCronJob(name);
+  if (!job) {
+    throw jobNotFound();
+  }
+  return job;
+};
+
+/**
+ * Helper to combine the scheduler state, the last run and the persisted setting of a job
+ */
+const toJobState = (job, runs, setting) => {
+  const run = runs.find(entry => entry.job === job.name) || {};
+
+  return {
+    ...job,
+    lastRunAt: run.lastRunAt ?? null,
+    lastResult: run.lastResult ?? null,
+    lastDurationSeconds: run.lastDurationSeconds ?? null,
+    lastSuccessAt: run.lastSuccessAt ?? null,
+    lastFailureAt: run.lastFailureAt ?? null,
+    lastError: run.lastError ?? null,
+    failures: run.failures ?? 0,
+    updatedBy: setting?.updatedBy ?? null,
+    updatedAt: setting?.updatedAt ?? null
+  };
+};
+
+/**
+ * Helper to save the settings of a job (schedule null = default)
+ */
+const saveSetting = async (job, changes, updatedBy) => {
+  await CronJob.upsert({
+    name: job.name,
+    schedule: job.schedule === job.defaultSchedule ? null : job.schedule,
+    paused: job.paused,
+    ...changes,
+    updatedBy
+  });
+};
+
+/**
+ * Persisted settings by job name, applied when the jobs are defined at startup
+ * @returns {Object} { [name]: { schedule, paused } }
+ */
+export const getJobSettingsService = async () => {
+  const settings = await CronJob.findAll();
+  return Object.fromEntries(settings.map(setting => [
+    setting.name,
+    { schedule: setting.schedule, paused: setting.paused }
+  ]));
+};
+
+/**
+ * State of every job: schedule, paused, running, next run and outcome of the last run
+ */
+export const getAllJobsService = async () => {
+  const settings = await CronJob.findAll();
+  const runs = getCronRunsService();
+
+  return getCronJobs().map(job => toJobState(
+    job,
+    runs,
+    settings.find(setting => setting.name === job.name)
+  ));
+};
+
+// Get a job by name
+export const getJobByNameService = async (name) => {
+  const job = findJob(name);
+  return toJobState(job, getCronRunsService(), await CronJob.findByPk(name));
+};
+
+/**
+ * Pause a job: it is not scheduled again until resumed (a run in progress finishes)
+ * @param {String} updatedBy - Username of the operator
+ */
+export const pauseJobService = async (name, updatedBy) => {
+  const job = findJob(name);
+  if (job.paused) {
+    throw new ConflictError('JOB_ALREADY_PAUSED', 'The job is already paused');
+  }
+
+  await saveSetting(job, { paused: true }, updatedBy);
+  await pauseCronJob(name);
+
+  return await getJobByNameService(name);
+};
+
+// Resume a paused job on its current schedule
+export const resumeJobService = async (name, updatedBy) => {
+  const job = findJob(name);
+  if (!job.paused) {
+    throw new ConflictError('JOB_NOT_PAUSED', 'The job is not paused');
+  }
+
+  await saveSetting(job, { paused: false }, updatedBy);
+  await resumeCronJob(name);
+
+  return await getJobByNameService(name);
+};
+
+/**
+ * Change the schedule of a job
+ * @param {String|null} schedule - Cron expression (5 fields, or 6 with seconds); null restores the default
+ */
+export const rescheduleJobService = async (name, schedule, updatedBy) => {
+  const job = findJob(name);
+  if (schedule !== null && !isValidSchedule(schedule)) {
+    throw new ValidationError('INVALID_SCHEDULE', `Invalid cron expression "${schedule}"`);
+  }
+
+  const next = schedule ?? job.defaultSchedule;
+  await saveSetting(job, { schedule: next === job.defaultSchedule ? null : next }, updatedBy);
+  await rescheduleCronJob(name, next);
+
+  return await getJobByNameService(name);
+};
+
+/**
+ * Run a job now, outside its schedule (also while paused); waits for the run to finish
+ * @returns {Object} { job, run: { result, durationSeconds, error } }
+ */
+export const runJobService = async (name) => {
+  findJob(name);
+
+  const running = triggerCronJob(name);
+  if (!running) {
+    throw new ConflictError('JOB_RUNNING', 'The job is already running');
+  }
+
+  const run = await running;
+  return { job: await getJobByNameService(name), run };
+};
@@ -0,0 +1,298 @@
+// Business logic for storage locations (modules, tanks, depots), per-location stock and transfers
+
+import { randomUUID } from 'crypto';
+import { Op } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import StorageLocation from '../models/storageLocation.js';
+import LocationStock from '../models/locationStock.js';
+import Resource from '../models/resource.js';
+import ResourceData from '../models/resources.model.js';
+import ChangeHistory from '../models/changeHistory.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { getTargetHabitatService } from './habitat.service.js';
+
+const locationInclude = [{
+  model: LocationStock,
+  as: 'stocks',
+  attributes: ['id', 'resourceId', 'quantity', 'capacity'],
+  include: [{
+    model: Resource,
+    as: 'resource',
+    attributes: ['id', 'resourceDataId'],
+    include: [{
+      model: ResourceData,
+      as: 'resourceData',
+      attributes: ['id', 'name', 'category']
+    }]
+  }]
+}];
+
+const locationNotFound = () => new NotFoundError('LOCATION_NOT_FOUND', 'Storage location not found');
+const resourceNotFound = () => new NotFoundError('RESOURCE_NOT_FOUND', 'Resource not found');
+
+/**
+ * Helper to restrict a location query to the selected base (no restriction without habitatId)
+ */
+const locationScope = (habitatId) => (habitatId ? { habitatId } : {});
+
+/**
+ * Helper to add fill percentage to each stock of a location
+ */
+const withFillLevels = (location) => {
+  const data = location.toJSON();
+
+  return {
+    ...data,
+    stocks: data.stocks.map(stock => ({
+      ...stock,
+      available: stock.capacity - stock.quantity,
+      fillPercentage: Math.round((stock.quantity / stock.capacity) * 10000) / 100
+    }))
+  };
+};
+
+// Get all storage locations with the stock they hold (optionally of one type or base)
+export const getAllLocationsService = async ({ type, habitatId } = {}) => {
+  const locations = await StorageLocation.findAll({
+    where: {
+      ...(type && { type }),
+      ...locationScope(habitatId)
+    },
+    order: [['name', 'ASC']],
+    include: locationInclude
+  });
+
+  return locations.map(withFillLevels);
+};
+
+/**
+ * Get a storage location by ID with its stock
+ * @throws {NotFoundError} LOCATION_NOT_FOUND (also when it belongs to another base than the selected one)
+ */
+export const getLocationByIdService = async (id, habitatId) => {
+  const location = await StorageLocation.findOne({
+    where: { id, ...locationScope(habitatId) },
+    include: locationInclude
+  });
+
+  if (!location) {
+    throw locationNotFound();
+  }
+
+  return withFillLevels(location);
+};
+
+/**
+ * Create a storage location (in the given base, or the default one; fields are validated by the route schema)
+ * @throws {NotFoundError} HABITAT_NOT_FOUND
+ */
+export const createLocationService = async (data) => {
+  const { name, type, description, habitatId } = data;
+  const habitat = await getTargetHabitatService(habitatId);
+  const location = await StorageLocation.create({
+    name,
+    type,
+    description: description || null,
+    habitatId: habitat.id
+  });
+
+  return await getLocationByIdService(location.id);
+};
+
+/**
+ * Update name, type or description of a storage location (scoped to the selected base)
+ * @throws {NotFoundError} LOCATION_NOT_FOUND
+ */
+export const updateLocationService = async (id, data, habitatId) => {
+  const location = await StorageLocation.findOne({ where: { id, ...locationScope(habitatId) } });
+  if (!location) {
+    throw locationNotFound();
+  }
+
+  const { name, type, description } = data;
+  if (name !== undefined) location.name = name;
+  if (type !== undefined) location.type = type;
+  if (description !== undefined) location.description = description;
+  await location.save();
+
+  return await getLocationByIdService(location.id);
+};
+
+/**
+ * Store a resource in a location or change its capacity
+ * New stock slots start empty: stock is moved in with a transfer (or replenish with locationId)
+ * @param {Number} locationId - StorageLocation ID
+ * @param {Number} resourceId - Resource ID
+ * @param {Number} capacity - Maximum quantity the location can hold of this resource
+ * @param {Number} habitatId - Base selected by the request (any base when omitted)
+ * @throws {NotFoundError} LOCATION_NOT_FOUND, RESOURCE_NOT_FOUND
+ * @throws {ConflictError} HABITAT_MISMATCH, CAPACITY_BELOW_QUANTITY
+ */
+export const setLocationStockService = async (locationId, resourceId, capacity, habitatId) => {
+  const [location, resource] = await Promise.all([
+    StorageLocation.findOne({ where: { id: locationId, ...locationScope(habitatId) } }),
+    Resource.findByPk(resourceId, {
+      include: [{ model: ResourceData, as: 'resourceData', attributes: ['habitatId'] }]
+    })
+  ]);
+  if (!location) {
+    throw locationNotFound();
+  }
+  if (!resource) {
+    throw resourceNotFound();
+  }
+  // Stock can only be kept at the base that tracks the resource (moving it between bases is a habitat transfer)
+  if (resource.resourceData.habitatId !== location.habitatId) {
+    throw new ConflictError(
+      'HABITAT_MISMATCH',
+      'The location and the resource belong to different habitats',
+      { locationHabitatId: location.habitatId, resourceHabitatId: resource.resourceData.habitatId }
+    );
+  }
+
+  const stock = await LocationStock.findOne({ where: { locationId, resourceId } });
+  if (!stock) {
+    await LocationStock.create({ locationId, resourceId, quantity: 0, capacity });
+  } else {
+    if (capacity < stock.quantity) {
+      throw new ConflictError(
+        'CAPACITY_BELOW_QUANTITY',
+        'Capacity cannot be lower than the quantity currently stored',
+        { quantity: stock.quantity }
+      );
+    }
+    stock.capacity = capacity;
+    await stock.save();
+  }
+
+  return await getLocationByIdService(locationId);
+};
+
+/**
+ * Move stock of a resource between two locations atomically (the resource total does not change)
+ * fromLocationId/toLocationId null means the unassigned stock (e.g. cargo just unloaded)
+ * Both sides are recorded in change_history with a shared transferId
+ * @param {Object} data - { resourceId, fromLocationId, toLocationId, quantity, operator }
+ * @returns {Object} { transferId, from, to, entries }
+ * @throws {ValidationError} SAME_LOCATION
+ * @throws {NotFoundError} RESOURCE_NOT_FOUND, LOCATION_STOCK_NOT_FOUND
+ * @throws {ConflictError} INSUFFICIENT_STOCK, CAPACITY_EXCEEDED
+ */
+export const transferStockService = async (data) => {
+  const { resourceId, quantity, operator } = data;
+  const fromLocationId = data.fromLocationId ?? null;
+  const toLocationId = data.toLocationId ?? null;
+
+  if (fromLocationId === toLocationId) {
+    throw new ValidationError('SAME_LOCATION', 'fromLocationId and toLocationId must be different');
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Lock the resource first so concurrent movements of the same resource are serialized
+    const resource = await Resource.findByPk(resourceId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!resource) {
+      throw resourceNotFound();
+    }
+
+    const locationIds = [fromLocationId, toLocationId].filter(id => id !== null);
+    const stocks = await LocationStock.findAll({
+      where: { resourceId, locationId: { [Op.in]: locationIds } },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const source = fromLocationId !== null ? stocks.find(s => s.locationId === fromLocationId) : null;
+    const target = toLocationId !== null ? stocks.find(s => s.locationId === toLocationId) : null;
+
+    if ((fromLocationId !== null && !source) || (toLocationId !== null && !target)) {
+      throw new NotFoundError(
+        'LOCATION_STOCK_NOT_FOUND',
+        'The resource is not stored in that location',
+        { locationId: fromLocationId !== null && !source ? fromLocationId : toLocationId }
+      );
+    }
+
+    // Available at the source: location quantity, or stock not held in any location
+    const allocated = await LocationStock.sum('quantity', { where: { resourceId }, transaction }) || 0;
+    const available = source ? source.quantity : resource.quantity - allocated;
+    if (quantity > available) {
+      throw new ConflictError('INSUFFICIENT_STOCK', 'Insufficient stock at the source', { available, requested: quantity });
+    }
+    if (target && target.quantity + quantity > target.capacity) {
+      throw new ConflictError(
+        'CAPACITY_EXCEEDED',
+        'Transfer would overfill the destination',
+        { available: target.capacity - target.quantity, requested: quantity }
+      );
+    }
+
+    if (source) {
+      source.quantity -= quantity;
+      await source.save({ transaction });
+    }
+    if (target) {
+      target.quantity += quantity;
+      await target.save({ transaction });
+    }
+
+    const transferId = randomUUID();
+    const entry = (locationId, locationDelta, locationStock) => ({
+      stock: resource.quantity,
+      previousStock: resource.quantity,
+      delta: 0,
+      resourceId: resource.resourceDataId,
+      changeType: 'transfer',
+      source: 'api',
+      operator,
+      locationId,
+      locationDelta,
+      locationStock,
+      transferId
+    });
+
+    const entries = await ChangeHistory.bulkCreate([
+      entry(fromLocationId, -quantity, source ? source.quantity : available - quantity),
+      entry(toLocationId, quantity, target ? target.quantity : resource.quantity - allocated + quantity)
+    ], { transaction });
+
+    await transaction.commit();
+
+    return {
+      transferId,
+      resourceId,
+      quantity,
+      from: { locationId: fromLocationId, quantity: entries[0].locationStock },
+      to: { locationId: toLocationId, quantity: entries[1].locationStock },
+      entries
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Get the transfer and location movements log of a storage location (newest first, scoped to the selected base)
+ * @throws {NotFoundError} LOCATION_NOT_FOUND
+ */
+export const getLocationMovementsService = async (id, limit = 100, habitatId) => {
+  const location = await StorageLocation.findOne({ where: { id, ...locationScope(habitatId) } });
+  if (!location) {
+    throw locationNotFound();
+  }
+
+  return await ChangeHistory.findAll({
+    where: { locationId: id },
+    order: [['createdAt', 'DESC']],
+    limit,
+    include: [{
+      model: ResourceData,
+      as: 'resourceData',
+      attributes: ['id', 'name', 'category']
+    }]
+  });
+};
@@ -0,0 +1,195 @@
+// Application metrics: cron runs, HTTP latency and scrape-time gauges (resources, sockets, process)
+
+import db from '../models/index.js';
+import { createCounter, createGauge, createHistogram, renderMetrics } from '../utils/metrics.util.js';
+import { resolveResourceLevels, getResourceStatus, LEVEL_KEYS } from '../constants/resource.constants.js';
+import { METRICS_SETTINGS } from '../constants/health.constants.js';
+
+const { Resource, ResourceData } = db;
+
+const RESOURCE_STATUSES = ['normal', 'low', 'critical'];
+const RESOURCE_LABELS = ['resource_id', 'resource_data_id', 'name', 'category'];
+
+const cronDuration = createHistogram({
+  name: 'ares_cron_job_duration_seconds',
+  help: 'Duration of cron job runs',
+  labelNames: ['job', 'result'],
+  buckets: METRICS_SETTINGS.cronBuckets
+});
+
+const cronFailures = createCounter({
+  name: 'ares_cron_job_failures_total',
+  help: 'Cron job runs that threw an error',
+  labelNames: ['job']
+});
+
+const cronLastSuccess = createGauge({
+  name: 'ares_cron_job_last_success_timestamp_seconds',
+  help: 'Unix time of the last successful run of each cron job',
+  labelNames: ['job']
+});
+
+const httpDuration = createHistogram({
+  name: 'ares_http_request_duration_seconds',
+  help: 'HTTP request latency by route pattern',
+  labelNames: ['method', 'route', 'status'],
+  buckets: METRICS_SETTINGS.httpBuckets
+});
+
+/**
+ * Helper to load resources with their effective levels and status (one query, no forecast)
+ */
+const loadResourceStates = async () => {
+  const resources = await Resource.findAll({
+    include: [{
+      model: ResourceData,
+      as: 'resourceData',
+      attributes: ['id', 'name', 'category']
+    }]
+  });
+
+  return resources.map(resource => {
+    const levels = resolveResourceLevels(resource, resource.resourceData.category);
+    return {
+      labels: {
+        resource_id: resource.id,
+        resource_data_id: resource.resourceDataId,
+        name: resource.resourceData.name,
+        category: resource.resourceData.category
+      },
+      quantity: resource.quantity,
+      levels,
+      status: getResourceStatus(resource.quantity, levels)
+    };
+  });
+};
+
+const resourceLevel = createGauge({
+  name: 'ares_resource_level',
+  help: 'Effective minimum, critical and maximum level of each resource',
+  labelNames: [...RESOURCE_LABELS, 'level']
+});
+
+const resourceStatus = createGauge({
+  name: 'ares_resource_status',
+  help: 'Status of each resource (1 for the current status, 0 for the others)',
+  labelNames: [...RESOURCE_LABELS, 'status']
+});
+
+// The quantity collector refreshes the three resource gauges with a single query per scrape
+createGauge({
+  name: 'ares_resource_quantity',
+  help: 'Current quantity of each resource (in its category unit)',
+  labelNames: [...RESOURCE_LABELS, 'unit'],
+  collect: async (gauge) => {
+    const states = await loadResourceStates();
+
+    // Reset so deleted resources stop being exported
+    [gauge, resourceLevel, resourceStatus].forEach(metric => metric.reset());
+    states.forEach(state => {
+      gauge.set({ ...state.labels, unit: state.levels.unit }, state.quantity);
+      LEVEL_KEYS.forEach(key => {
+        resourceLevel.set({ ...state.labels, level: key.replace('Level', '') }, state.levels[key]);
+      });
+      RESOURCE_STATUSES.forEach(status => {
+        resourceStatus.set({ ...state.labels, status }, state.status === status ? 1 : 0);
+      });
+    });
+  }
+});
+
+createGauge({
+  name: 'ares_socket_clients',
+  help: 'Connected WebSocket clients',
+  collect: (gauge) => gauge.set({}, global.io ? global.io.engine.clientsCount : 0)
+});
+
+createGauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: (gauge) => gauge.set({}, process.memoryUsage().rss)
+});
+
+createGauge({
+  name: 'process_start_time_seconds',
+  help: 'Start time of the process since unix epoch in seconds',
+  collect: (gauge) => gauge.set({}, Math.round(Date.now() / 1000 - process.uptime()))
+});
+
+// Last outcome of every cron job, keyed by job name (used by /health/ready)
+const cronRuns = new Map();
+
+/**
+ * Register a cron job so it is reported before its first run
+ * @param {String} job - Job name (e.g. resource-monitoring)
+ */
+export const registerCronJob = (job) => {
+  cronRuns.set(job, {
+    job,
+    scheduledAt: new Date(),
+    lastRunAt: null,
+    lastResult: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    lastDurationSeconds: null,
+    failures: 0
+  });
+};
+
+/**
+ * Restart the grace period of a job whose schedule changed or that was resumed (see /health/ready)
+ * @param {String} job - Job name
+ */
+export const markCronJobScheduled = (job) => {
+  const run = cronRuns.get(job);
+  if (run) {
+    run.scheduledAt = new Date();
+  }
+};
+
+/**
+ * Start timing a cron run
+ * @param {String} job - Job name
+ * @returns {Function} done(error?) records duration, result and last success/failure
+ */
+export const startCronRun = (job) => {
+  const endTimer = cronDuration.startTimer({ job });
+
+  return (error) => {
+    const result = error ? 'failure' : 'success';
+    const run = cronRuns.get(job) || {};
+    const finishedAt = new Date();
+
+    run.lastRunAt = finishedAt;
+    run.lastResult = result;
+    run.lastDurationSeconds = Math.round(endTimer({ result }) * 1000) / 1000;
+    if (error) {
+      cronFailures.inc({ job });
+      run.lastFailureAt = finishedAt;
+      run.lastError = error.message;
+      run.failures = (run.failures || 0) + 1;
+    } else {
+      cronLastSuccess.set({ job }, Math.round(finishedAt.getTime() / 1000));
+      run.lastSuccessAt = finishedAt;
+    }
+    cronRuns.set(job, { job, ...run });
+  };
+};
+
+// Last outcome of each registered cron job
+export const getCronRunsService = () => [...cronRuns.values()];
+
+/**
+ * Record the latency of an HTTP request
+ * @param {Object} labels - { method, route, status }
+ * @param {Number} seconds - Duration
+ */
+export const observeHttpRequest = (labels, seconds) => {
+  httpDuration.observe(labels, seconds);
+};
+
+// Prometheus exposition of all metrics
+export const getMetricsService = async () => {
+  return await renderMetrics();
+};
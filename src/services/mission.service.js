@@ -0,0 +1,355 @@
+// Business logic for the base-wide mission state: rules over all resources, logged transitions and rationing plans
+
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { now } from '../utils/clock.js';
+import { toDeliveryOffsets } from '../utils/forecast.util.js';
+import { emitWebhookEvent } from './webhook.service.js';
+import { getAllResourcesService } from './resource.service.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import {
+  MISSION_STATES,
+  RATIONING_CATEGORIES,
+  RATIONING_STATES,
+  RATIONING_SETTINGS
+} from '../constants/mission.constants.js';
+
+const { MissionRule, MissionStateChange, Anomaly } = db;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Resource statuses from least to most severe (a 'low' rule is also met by critical resources)
+const STATUS_RANK = { normal: 0, low: 1, critical: 2 };
+
+const ruleNotFound = () => new NotFoundError('RULE_NOT_FOUND', 'Mission rule not found');
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Helper to check the fields a rule condition needs and clear the ones it does not use
+ */
+const normalizeRule = (rule) => {
+  if (rule.condition === 'status' && !rule.status) {
+    throw new ValidationError('RULE_STATUS_REQUIRED', 'status (low or critical) is required for status rules');
+  }
+  if (rule.condition === 'days_of_supply' && (rule.days === null || rule.days === undefined)) {
+    throw new ValidationError('RULE_DAYS_REQUIRED', 'days is required for days_of_supply rules');
+  }
+
+  return {
+    ...rule,
+    status: rule.condition === 'status' ? rule.status : null,
+    days: rule.condition === 'days_of_supply' ? rule.days : null
+  };
+};
+
+/**
+ * Helper to find what meets a rule: resources (status, open_anomaly) or categories (days_of_supply)
+ * @returns {Object|null} Reason ({ ruleId, name, state, condition, matches }) or null if the rule is not met
+ */
+const evaluateRule = (rule, resources, anomaliesByResource) => {
+  const inScope = resources.filter(resource => !rule.category || resource.resourceData.category === rule.category);
+  let matches = [];
+
+  if (rule.condition === 'status') {
+    matches = inScope
+      .filter(resource => STATUS_RANK[resource.status] >= STATUS_RANK[rule.status])
+      .map(resource => ({
+        resourceId: resource.id,
+        name: resource.resourceData.name,
+        category: resource.resourceData.category,
+        value: resource.status
+      }));
+  } else if (rule.condition === 'open_anomaly') {
+    matches = inScope
+      .filter(resource => anomaliesByResource[resource.id])
+      .map(resource => ({
+        resourceId: resource.id,
+        name: resource.resourceData.name,
+        category: resource.resourceData.category,
+        value: anomaliesByResource[resource.id]
+      }));
+  } else if (rule.condition === 'days_of_supply') {
+    // Days of supply are per base and category (every store of a category at a base shares them)
+    const supplyByCategory = new Map(inScope
+      .filter(resource => resource.crewSupply)
+      .map(resource => [`${resource.habitatId}:${resource.resourceData.category}`, {
+        habitatId: resource.habitatId,
+        category: resource.resourceData.category,
+        value: resource.crewSupply.daysOfSupply
+      }]));
+
+    matches = [...supplyByCategory.values()]
+      .filter(({ value }) => value !== null && value < rule.days);
+  }
+
+  if (matches.length < rule.minMatches) {
+    return null;
+  }
+
+  return { ruleId: rule.id, name: rule.name, state: rule.state, condition: rule.condition, matches };
+};
+
+/**
+ * Derive the mission state from the enabled rules: the most severe state among the rules that are met
+ * @param {Array} resources - Resources enriched with levels and crew supply
+ * @returns {Object} { state, reasons } (reasons ordered from most to least severe)
+ */
+export const evaluateMissionStateService = async (resources) => {
+  const [rules, anomalies] = await Promise.all([
+    MissionRule.findAll({ where: { enabled: true }, order: [['id', 'ASC']] }),
+    Anomaly.findAll({
+      where: { status: { [Op.in]: ['open', 'acknowledged'] } },
+      attributes: ['resourceId']
+    })
+  ]);
+
+  const anomaliesByResource = anomalies.reduce((counts, anomaly) => {
+    counts[anomaly.resourceId] = (counts[anomaly.resourceId] || 0) + 1;
+    return counts;
+  }, {});
+
+  const reasons = rules
+    .map(rule => evaluateRule(rule, resources, anomaliesByResource))
+    .filter(Boolean)
+    .sort((a, b) => MISSION_STATES.indexOf(b.state) - MISSION_STATES.indexOf(a.state));
+
+  return {
+    state: reasons.length > 0 ? reasons[0].state : 'nominal',
+    reasons
+  };
+};
+
+/**
+ * Helper to get the latest transition (null while the base has always been nominal)
+ */
+const getLatestTransition = async () => {
+  return await MissionStateChange.findOne({ order: [['changedAt', 'DESC'], ['id', 'DESC']] });
+};
+
+/**
+ * Re-evaluate the mission state and log and broadcast the transition if it changed
+ * Called by the monitoring cron and after rule changes
+ * @param {Array} resources - Resources enriched with levels and crew supply
+ * @returns {Object|null} The transition, or null if the state did not change
+ */
+export const syncMissionStateService = async (resources) => {
+  const [{ state, reasons }, latest] = await Promise.all([
+    evaluateMissionStateService(resources),
+    getLatestTransition()
+  ]);
+  const current = latest ? latest.toState : 'nominal';
+
+  if (state === current) {
+    return null;
+  }
+
+  const transition = await MissionStateChange.create({
+    fromState: current,
+    toState: state,
+    reasons,
+    changedAt: now()
+  });
+
+  const payload = { transition: transition.toJSON(), timestamp: now().toISOString() };
+  // Not a base event (see emitHabitatEvent): there is one mission state for every base,
+  // so sockets scoped to a base also get it
+  if (global.io) {
+    global.io.emit('mission:state_changed', payload);
+  }
+  emitWebhookEvent('mission:state_changed', payload);
+
+  return transition;
+};
+
+// Current mission state, since when and the rules that caused it
+export const getMissionStateService = async () => {
+  const latest = await getLatestTransition();
+
+  return {
+    state: latest ? latest.toState : 'nominal',
+    since: latest ? latest.changedAt : null,
+    reasons: latest ? latest.reasons : []
+  };
+};
+
+/**
+ * Get the log of mission state transitions (newest first)
+ * @param {Object} filters - { from, to, limit }
+ */
+export const getMissionTransitionsService = async ({ from, to, limit = 100 } = {}) => {
+  const changedAt = {
+    ...(from && { [Op.gte]: from }),
+    ...(to && { [Op.lte]: to })
+  };
+
+  return await MissionStateChange.findAll({
+    where: (from || to) ? { changedAt } : {},
+    order: [['changedAt', 'DESC'], ['id', 'DESC']],
+    limit
+  });
+};
+
+// Get all mission rules
+export const getMissionRulesService = async () => {
+  return await MissionRule.findAll({ order: [['id', 'ASC']] });
+};
+
+// Create a mission rule
+export const createMissionRuleService = async (data, updatedBy) => {
+  return await MissionRule.create({ ...normalizeRule(data), updatedBy });
+};
+
+// Update a mission rule (condition fields are checked against the resulting rule)
+export const updateMissionRuleService = async (id, data, updatedBy) => {
+  const rule = await MissionRule.findByPk(id);
+  if (!rule) {
+    throw ruleNotFound();
+  }
+
+  const values = normalizeRule({ ...rule.get(), ...data });
+  await rule.update({
+    name: values.name,
+    state: values.state,
+    condition: values.condition,
+    category: values.category,
+    status: values.status,
+    days: values.days,
+    minMatches: values.minMatches,
+    enabled: values.enabled,
+    updatedBy
+  });
+
+  return rule;
+};
+
+// Delete a mission rule
+export const deleteMissionRuleService = async (id) => {
+  const rule = await MissionRule.findByPk(id);
+  if (!rule) {
+    throw ruleNotFound();
+  }
+
+  await rule.destroy();
+};
+
+/**
+ * Helper to compute the highest daily draw that keeps a store from running out before the target
+ * The stock has to last until each pending delivery arrives and until the target itself:
+ * quantity + delivered before t + process flow × t − allowance × t ≥ 0 at every checkpoint t
+ */
+const planStore = (resource, hours, currentTime) => {
+  const { forecast } = resource;
+  const flowPerHour = forecast.processFlowPerHour || 0;
+  const deliveries = toDeliveryOffsets(forecast.pendingDeliveries, currentTime).filter(d => d.hours <= hours);
+  const checkpoints = [...deliveries, { hours, quantity: 0 }];
+
+  let received = 0;
+  let allowedPerHour = Infinity;
+  let limitingHours = hours;
+  checkpoints.forEach(checkpoint => {
+    if (checkpoint.hours > 0) {
+      const rate = (resource.quantity + received) / checkpoint.hours + flowPerHour;
+      if (rate < allowedPerHour) {
+        allowedPerHour = rate;
+        limitingHours = checkpoint.hours;
+      }
+    }
+    received += checkpoint.quantity;
+  });
+
+  const dailyAllowance = round(Math.max(0, allowedPerHour * 24));
+  const currentDailyConsumption = forecast.grossConsumptionPerHour !== null
+    ? round(Math.max(0, forecast.grossConsumptionPerHour * 24))
+    : null;
+
+  return {
+    resourceId: resource.id,
+    resourceDataId: resource.resourceDataId,
+    habitatId: resource.habitatId,
+    name: resource.resourceData.name,
+    category: resource.resourceData.category,
+    unit: resource.unit,
+    quantity: resource.quantity,
+    incomingQuantity: deliveries.reduce((total, delivery) => total + delivery.quantity, 0),
+    processDailyNet: round(flowPerHour * 24),
+    currentDailyConsumption,
+    dailyAllowance,
+    // null when there is not enough history to know the current draw
+    reductionPct: currentDailyConsumption > 0
+      ? round(Math.max(0, (1 - dailyAllowance / currentDailyConsumption) * 100), 1)
+      : null,
+    rationingRequired: currentDailyConsumption !== null ? dailyAllowance < currentDailyConsumption : null,
+    // Moment the stock would reach zero drawing exactly the allowance (a delivery arrival or the target)
+    limitingDate: new Date(currentTime.getTime() + limitingHours * MS_PER_HOUR).toISOString()
+  };
+};
+
+/**
+ * Reduced daily allowances per food and water store so the stock lasts until a target date
+ * Pending resupply deliveries arriving before the target and running production processes are counted in
+ * Only available in caution or emergency
+ * @param {Date} until - Target date (e.g. the next resupply window)
+ * @param {Number} habitatId - Optional base to plan for (all bases when omitted)
+ * @returns {Object} { state, until, days, stores, categories }
+ */
+export const getRationingPlanService = async (until, habitatId) => {
+  const { state } = await getMissionStateService();
+  if (!RATIONING_STATES.includes(state)) {
+    throw new ConflictError(
+      'RATIONING_NOT_AVAILABLE',
+      `Rationing plans are only available in ${RATIONING_STATES.join(' or ')} (current state: ${state})`,
+      { state }
+    );
+  }
+
+  const currentTime = now();
+  const hours = (until.getTime() - currentTime.getTime()) / MS_PER_HOUR;
+  if (hours <= 0) {
+    throw new ValidationError('INVALID_TARGET_DATE', 'until must be in the future');
+  }
+  if (hours > RATIONING_SETTINGS.maxDays * 24) {
+    throw new ValidationError('INVALID_TARGET_DATE', `until must be at most ${RATIONING_SETTINGS.maxDays} days ahead`);
+  }
+
+  const resources = (await getAllResourcesService({ habitatId }))
+    .filter(resource => RATIONING_CATEGORIES.includes(resource.resourceData.category));
+  const stores = resources.map(resource => planStore(resource, hours, currentTime));
+
+  // Category totals against the nominal per-capita rate of the crew present (at every base planned for)
+  const categories = Object.fromEntries(RATIONING_CATEGORIES.map(category => {
+    const supplyByHabitat = new Map(resources
+      .filter(resource => resource.resourceData.category === category && resource.crewSupply)
+      .map(resource => [resource.habitatId, resource.crewSupply]));
+    const crewSupply = supplyByHabitat.values().next().value;
+    const dailyAllowance = round(stores
+      .filter(store => store.category === category)
+      .reduce((total, store) => total + store.dailyAllowance, 0));
+    const headcount = [...supplyByHabitat.values()]
+      .reduce((total, supply) => total + (supply.effectiveHeadcount || 0), 0);
+    const allowancePerCapita = headcount > 0 ? round(dailyAllowance / headcount) : null;
+    const nominalPerCapita = crewSupply?.dailyPerCapita ?? null;
+
+    return [category, {
+      unit: crewSupply?.unit ?? null,
+      effectiveHeadcount: headcount,
+      dailyAllowance,
+      allowancePerCapita,
+      nominalPerCapita,
+      reductionPct: allowancePerCapita !== null && nominalPerCapita > 0
+        ? round(Math.max(0, (1 - allowancePerCapita / nominalPerCapita) * 100), 1)
+        : null
+    }];
+  }));
+
+  return {
+    state,
+    until: until.toISOString(),
+    days: round(hours / 24),
+    stores,
+    categories
+  };
+};
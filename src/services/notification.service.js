@@ -0,0 +1,20 @@
+// Side effects of inventory writes: alert lifecycle sync and live resource:changed events
+
+import { getAllResourcesService } from './resource.service.js';
+import { syncAlertsService } from './alert.service.js';
+import { publishResourceChanges } from '../sockets/resource.socket.js';
+
+/**
+ * Open/resolve alerts and send resource:changed events to subscribed WebSocket clients
+ * Called by the controllers after a write that changes stock or levels has been committed,
+ * so failures are logged instead of thrown (the next monitoring cron run catches up)
+ */
+export const notifyResourcesChanged = async () => {
+  try {
+    const allResources = await getAllResourcesService();
+    await syncAlertsService(allResources);
+    publishResourceChanges(global.io, allResources);
+  } catch (error) {
+    console.error('[NOTIFY] Error notifying resource changes:', error.message);
+  }
+};
@@ -0,0 +1,463 @@
+// Business logic for the spare parts catalog: parts, serial-tracked units and their stock movements
+// A spare_parts resource with parts in the catalog is catalog-managed: its total is the sum of its parts
+// and every part movement is posted to its ledger (change_history with partId)
+
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { now } from '../utils/clock.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { PART_CATEGORY, PART_ITEM_STATUS_BY_REASON, PART_STOCK_STATUSES } from '../constants/part.constants.js';
+
+const { sequelize, Resource, ResourceData, SparePart, SparePartItem, LocationStock, ChangeHistory } = db;
+
+const partInclude = [{
+  model: Resource,
+  as: 'resource',
+  attributes: ['id', 'resourceDataId', 'quantity'],
+  include: [{
+    model: ResourceData,
+    as: 'resourceData',
+    attributes: ['id', 'name', 'category', 'habitatId']
+  }]
+}];
+
+const partNotFound = () => new NotFoundError('PART_NOT_FOUND', 'Spare part not found');
+
+/**
+ * Helper to get the stock status of a part (critical <= criticalLevel, low <= reorderLevel)
+ */
+const getStockStatus = (part) => {
+  if (part.criticalLevel !== null && part.quantity <= part.criticalLevel) {
+    return 'critical';
+  }
+  if (part.reorderLevel !== null && part.quantity <= part.reorderLevel) {
+    return 'low';
+  }
+  return 'normal';
+};
+
+const withStockStatus = (part) => ({ ...part.toJSON(), status: getStockStatus(part) });
+
+/**
+ * Helper to validate the thresholds of a part (the critical level cannot be above the reorder level)
+ * @throws {ValidationError} INVALID_PART_LEVELS
+ */
+const validatePartLevels = ({ reorderLevel, criticalLevel }) => {
+  if (reorderLevel !== null && reorderLevel !== undefined
+    && criticalLevel !== null && criticalLevel !== undefined
+    && criticalLevel > reorderLevel) {
+    throw new ValidationError('INVALID_PART_LEVELS', 'criticalLevel cannot be above reorderLevel');
+  }
+};
+
+/**
+ * Helper to check the serial numbers sent for a movement against the kind of part
+ * @throws {ValidationError} SERIAL_NUMBERS_REQUIRED, SERIAL_NUMBERS_NOT_TRACKED, DUPLICATE_SERIAL_NUMBERS
+ * @returns {Number} Units moved
+ */
+const getMovedUnits = (part, { quantity, serialNumbers }) => {
+  if (!part.serialTracked) {
+    if (serialNumbers !== undefined) {
+      throw new ValidationError('SERIAL_NUMBERS_NOT_TRACKED', 'This part is not serial-tracked. Send quantity');
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new ValidationError('INVALID_QUANTITY', 'Invalid quantity. Must be a positive integer');
+    }
+    return quantity;
+  }
+
+  if (!Array.isArray(serialNumbers) || serialNumbers.length === 0) {
+    throw new ValidationError('SERIAL_NUMBERS_REQUIRED', 'This part is serial-tracked. Send serialNumbers');
+  }
+  if (new Set(serialNumbers).size !== serialNumbers.length) {
+    throw new ValidationError('DUPLICATE_SERIAL_NUMBERS', 'Each serial number can only be sent once');
+  }
+  if (quantity !== undefined && quantity !== serialNumbers.length) {
+    throw new ValidationError('INVALID_QUANTITY', 'quantity must match the number of serial numbers');
+  }
+  return serialNumbers.length;
+};
+
+/**
+ * Helper to apply a change of the total of a catalog-managed resource and record it in the ledger
+ * (inside the caller's transaction, with row lock). The total cannot drop below the stock held in storage locations
+ * @param {Object} entry - { changeType, reason, operator, source, partId }
+ */
+const postResourceChange = async (resourceId, delta, entry, transaction) => {
+  const resource = await Resource.findByPk(resourceId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  const previousStock = resource.quantity;
+  const newStock = previousStock + delta;
+
+  if (delta < 0) {
+    const allocated = await LocationStock.sum('quantity', { where: { resourceId }, transaction }) || 0;
+    if (newStock < allocated) {
+      throw new ConflictError(
+        'LOCATION_REQUIRED',
+        'Not enough unassigned stock. Move the parts out of their storage locations first',
+        { unassigned: previousStock - allocated }
+      );
+    }
+  }
+
+  resource.quantity = newStock;
+  await resource.save({ transaction });
+
+  return await ChangeHistory.create({
+    stock: newStock,
+    previousStock,
+    delta,
+    resourceId: resource.resourceDataId,
+    reason: null,
+    source: 'api',
+    ...entry
+  }, { transaction });
+};
+
+/**
+ * Helper to lock a part for a stock movement
+ * @throws {NotFoundError} PART_NOT_FOUND
+ */
+const lockPart = async (id, transaction) => {
+  const part = await SparePart.findByPk(id, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!part) {
+    throw partNotFound();
+  }
+  return part;
+};
+
+/**
+ * Throw when the total of a resource is derived from the spare parts catalog
+ * (catalog-managed resources only change through part movements)
+ * @throws {ConflictError} PART_CATALOG_MANAGED
+ */
+export const assertNotCatalogManagedService = async (resourceId, transaction) => {
+  const parts = await SparePart.count({ where: { resourceId }, transaction });
+  if (parts > 0) {
+    throw new ConflictError(
+      'PART_CATALOG_MANAGED',
+      'The stock of this resource is the sum of its spare parts. Move the parts through /api/parts',
+      { parts }
+    );
+  }
+};
+
+// ResourceData IDs of the catalog-managed resources (their resupply cargo must name the part)
+export const getCatalogManagedResourceDataIdsService = async () => {
+  const parts = await SparePart.findAll({
+    attributes: ['resourceId'],
+    include: [{ model: Resource, as: 'resource', attributes: ['resourceDataId'] }]
+  });
+
+  return new Set(parts.map(part => part.resource.resourceDataId));
+};
+
+/**
+ * List catalog parts by part number
+ * @param {Object} filters - { habitatId, resourceId, system, status (low includes critical), search (part number or name) }
+ */
+export const getPartsService = async ({ habitatId, resourceId, system, status, search } = {}) => {
+  const where = {
+    ...(resourceId && { resourceId }),
+    ...(habitatId && { '$resource.resourceData.habitatId$': habitatId })
+  };
+  if (search) {
+    const pattern = `%${search.toLowerCase()}%`;
+    where[Op.or] = [
+      sequelize.where(sequelize.fn('LOWER', sequelize.col('SparePart.partNumber')), Op.like, pattern),
+      sequelize.where(sequelize.fn('LOWER', sequelize.col('SparePart.name')), Op.like, pattern)
+    ];
+  }
+
+  const parts = await SparePart.findAll({
+    where,
+    include: partInclude,
+    order: [['partNumber', 'ASC'], ['id', 'ASC']]
+  });
+
+  const minRank = status ? PART_STOCK_STATUSES.indexOf(status) : 0;
+  return parts
+    .map(withStockStatus)
+    .filter(part => !system || part.compatibleSystems.includes(system))
+    .filter(part => PART_STOCK_STATUSES.indexOf(part.status) >= minRank);
+};
+
+/**
+ * Systems covered by the catalog, with how many parts fit each one and how many need reordering
+ * @param {Number} habitatId - Optional base
+ */
+export const getPartSystemsService = async (habitatId) => {
+  const parts = await getPartsService({ habitatId });
+  const systems = new Map();
+
+  parts.forEach(part => part.compatibleSystems.forEach(system => {
+    const summary = systems.get(system) || { system, parts: 0, quantity: 0, belowReorder: 0 };
+    summary.parts += 1;
+    summary.quantity += part.quantity;
+    if (part.status !== 'normal') {
+      summary.belowReorder += 1;
+    }
+    systems.set(system, summary);
+  }));
+
+  return [...systems.values()].sort((a, b) => a.system.localeCompare(b.system));
+};
+
+// Get a part with its serial-tracked units
+export const getPartByIdService = async (id) => {
+  const part = await SparePart.findByPk(id, {
+    include: [
+      ...partInclude,
+      { model: SparePartItem, as: 'items', attributes: ['id', 'serialNumber', 'status', 'installedIn', 'installedAt', 'retiredAt'] }
+    ],
+    order: [[{ model: SparePartItem, as: 'items' }, 'serialNumber', 'ASC']]
+  });
+  if (!part) {
+    throw partNotFound();
+  }
+
+  return withStockStatus(part);
+};
+
+/**
+ * Add a part to the catalog of a spare_parts resource (uses transaction)
+ * From its first part on, the resource total is the sum of its parts; the change is recorded in its ledger
+ * @param {Object} data - { resourceId, partNumber, name, description?, compatibleSystems, serialTracked?,
+ *   quantity? (not serial-tracked), serialNumbers? (serial-tracked), reorderLevel?, criticalLevel? }
+ * @param {String} operator - Username adding the part
+ */
+export const createPartService = async (data, operator) => {
+  const { resourceId, serialTracked = false, serialNumbers = [], ...fields } = data;
+  validatePartLevels(fields);
+
+  const resource = await Resource.findByPk(resourceId, { include: partInclude[0].include });
+  if (!resource) {
+    throw new NotFoundError('RESOURCE_NOT_FOUND', 'Resource not found');
+  }
+  if (resource.resourceData.category !== PART_CATEGORY) {
+    throw new ValidationError('INVALID_PART_RESOURCE', `Parts can only be added to ${PART_CATEGORY} resources`);
+  }
+  if (serialTracked && fields.quantity) {
+    throw new ValidationError('SERIAL_NUMBERS_REQUIRED', 'The stock of serial-tracked parts comes from serialNumbers');
+  }
+  if (!serialTracked && serialNumbers.length > 0) {
+    throw new ValidationError('SERIAL_NUMBERS_NOT_TRACKED', 'serialNumbers requires serialTracked: true');
+  }
+  if (new Set(serialNumbers).size !== serialNumbers.length) {
+    throw new ValidationError('DUPLICATE_SERIAL_NUMBERS', 'Each serial number can only be sent once');
+  }
+
+  const existing = await SparePart.findOne({ where: { resourceId, partNumber: fields.partNumber } });
+  if (existing) {
+    throw new ConflictError('PART_NUMBER_TAKEN', 'The resource already has a part with that number', { partId: existing.id });
+  }
+
+  const transaction = await sequelize.transaction();
+  let part;
+
+  try {
+    part = await SparePart.create({
+      ...fields,
+      resourceId,
+      serialTracked,
+      quantity: serialTracked ? serialNumbers.length : fields.quantity || 0
+    }, { transaction });
+
+    if (serialTracked && serialNumbers.length > 0) {
+      await SparePartItem.bulkCreate(
+        serialNumbers.map(serialNumber => ({ partId: part.id, serialNumber })),
+        { transaction }
+      );
+    }
+
+    // The total becomes (or stays) the sum of the catalog
+    const total = await SparePart.sum('quantity', { where: { resourceId }, transaction }) || 0;
+    const delta = total - resource.quantity;
+    if (delta !== 0) {
+      await postResourceChange(resourceId, delta, {
+        changeType: delta > 0 ? 'increase' : 'decrease',
+        operator,
+        partId: part.id
+      }, transaction);
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return await getPartByIdService(part.id);
+};
+
+/**
+ * Update the catalog data or thresholds of a part (stock only changes through consume/replenish)
+ * @param {Object} data - Any of { partNumber, name, description, compatibleSystems, reorderLevel, criticalLevel }
+ */
+export const updatePartService = async (id, data) => {
+  const part = await SparePart.findByPk(id);
+  if (!part) {
+    throw partNotFound();
+  }
+
+  validatePartLevels({
+    reorderLevel: data.reorderLevel !== undefined ? data.reorderLevel : part.reorderLevel,
+    criticalLevel: data.criticalLevel !== undefined ? data.criticalLevel : part.criticalLevel
+  });
+
+  if (data.partNumber && data.partNumber !== part.partNumber) {
+    const existing = await SparePart.findOne({ where: { resourceId: part.resourceId, partNumber: data.partNumber } });
+    if (existing) {
+      throw new ConflictError('PART_NUMBER_TAKEN', 'The resource already has a part with that number', { partId: existing.id });
+    }
+  }
+
+  await part.update(data);
+  return await getPartByIdService(part.id);
+};
+
+/**
+ * Take units of a part out of stock (uses transaction with row locks) and post the movement to its resource
+ * Serial-tracked units end up installed (reason installation, with the system in installedIn) or retired
+ * @param {Object} data - { quantity? | serialNumbers?, reason, installedIn? }
+ * @returns {Object} { part, entry }
+ */
+export const consumePartService = async (id, data, operator) => {
+  const { reason, installedIn } = data;
+  const transaction = await sequelize.transaction();
+  let part;
+  let entry;
+
+  try {
+    part = await lockPart(id, transaction);
+    const units = getMovedUnits(part, data);
+
+    if (installedIn !== undefined) {
+      if (reason !== 'installation') {
+        throw new ValidationError('INVALID_REASON', 'installedIn is only allowed with reason installation');
+      }
+      if (!part.compatibleSystems.includes(installedIn)) {
+        throw new ValidationError(
+          'INCOMPATIBLE_SYSTEM',
+          `The part does not fit ${installedIn}. Compatible systems: ${part.compatibleSystems.join(', ') || 'none'}`
+        );
+      }
+    }
+
+    if (units > part.quantity) {
+      throw new ConflictError(
+        'INSUFFICIENT_STOCK',
+        'Insufficient stock. Withdrawal would leave the part below zero',
+        { available: part.quantity }
+      );
+    }
+
+    if (part.serialTracked) {
+      const items = await SparePartItem.findAll({
+        where: { partId: part.id, serialNumber: { [Op.in]: data.serialNumbers } },
+        transaction
+      });
+      const missing = data.serialNumbers.filter(serial => !items.some(item => item.serialNumber === serial));
+      if (missing.length > 0) {
+        throw new NotFoundError('PART_ITEM_NOT_FOUND', 'Serial number not found for this part', { serialNumbers: missing });
+      }
+      const unavailable = items.filter(item => item.status !== 'in_stock').map(item => item.serialNumber);
+      if (unavailable.length > 0) {
+        throw new ConflictError('PART_ITEM_NOT_IN_STOCK', 'Serial number is not in stock', { serialNumbers: unavailable });
+      }
+
+      const status = PART_ITEM_STATUS_BY_REASON[reason];
+      for (const item of items) {
+        item.status = status;
+        item.installedIn = status === 'installed' ? installedIn || null : null;
+        item.installedAt = status === 'installed' ? now() : null;
+        item.retiredAt = status === 'retired' ? now() : null;
+        await item.save({ transaction });
+      }
+    }
+
+    part.quantity -= units;
+    await part.save({ transaction });
+
+    entry = await postResourceChange(part.resourceId, -units, {
+      changeType: 'consume',
+      reason,
+      operator,
+      partId: part.id
+    }, transaction);
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return { part: await getPartByIdService(part.id), entry };
+};
+
+/**
+ * Put units of a part into stock (uses transaction with row locks) and post the movement to its resource
+ * Serial numbers not seen before are added; installed or retired units return to stock (e.g. repaired)
+ * @param {Object} data - { quantity? | serialNumbers?, reason }
+ * @param {String} source - 'api' by default, 'cron' for resupply arrivals
+ * @returns {Object} { part, entry }
+ */
+export const replenishPartService = async (id, data, operator, source = 'api') => {
+  const { reason } = data;
+  const transaction = await sequelize.transaction();
+  let part;
+  let entry;
+
+  try {
+    part = await lockPart(id, transaction);
+    const units = getMovedUnits(part, data);
+
+    if (part.serialTracked) {
+      const items = await SparePartItem.findAll({
+        where: { partId: part.id, serialNumber: { [Op.in]: data.serialNumbers } },
+        transaction
+      });
+      const inStock = items.filter(item => item.status === 'in_stock').map(item => item.serialNumber);
+      if (inStock.length > 0) {
+        throw new ConflictError('PART_ITEM_IN_STOCK', 'Serial number is already in stock', { serialNumbers: inStock });
+      }
+
+      for (const item of items) {
+        item.status = 'in_stock';
+        item.installedIn = null;
+        item.installedAt = null;
+        item.retiredAt = null;
+        await item.save({ transaction });
+      }
+      const added = data.serialNumbers.filter(serial => !items.some(item => item.serialNumber === serial));
+      await SparePartItem.bulkCreate(
+        added.map(serialNumber => ({ partId: part.id, serialNumber })),
+        { transaction }
+      );
+    }
+
+    part.quantity += units;
+    await part.save({ transaction });
+
+    entry = await postResourceChange(part.resourceId, units, {
+      changeType: 'replenish',
+      reason,
+      operator,
+      source,
+      partId: part.id
+    }, transaction);
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return { part: await getPartByIdService(part.id), entry };
+};
@@ -0,0 +1,423 @@
+// Business logic for production processes (electrolysis, recycling, ISRU) that convert resources at defined rates
+
+import { Op } from 'sequelize';
+import { sequelize } from '../config/database.config.js';
+import ProductionProcess from '../models/productionProcess.js';
+import ProcessFlow from '../models/processFlow.js';
+import Resource from '../models/resource.js';
+import ResourceData from '../models/resources.model.js';
+import ChangeHistory from '../models/changeHistory.js';
+import LocationStock from '../models/locationStock.js';
+import { now } from '../utils/clock.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { ACTIVE_PROCESS_STATUSES, PROCESS_SETTINGS } from '../constants/process.constants.js';
+import { assertNotCatalogManagedService } from './part.service.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const processInclude = [{
+  model: ProcessFlow,
+  as: 'flows',
+  attributes: ['id', 'resourceId', 'direction', 'ratePerHour', 'carry'],
+  include: [{
+    model: Resource,
+    as: 'resource',
+    attributes: ['id', 'quantity', 'resourceDataId'],
+    include: [{
+      model: ResourceData,
+      as: 'resourceData',
+      attributes: ['id', 'name', 'category', 'habitatId']
+    }]
+  }]
+}];
+
+const processNotFound = () => new NotFoundError('PROCESS_NOT_FOUND', 'Production process not found');
+const processNotRunning = () => new ConflictError('PROCESS_NOT_RUNNING', 'The process is not running');
+
+/**
+ * Helper to get the signed effective rate of a flow (inputs negative, outputs scaled by efficiency)
+ */
+const getFlowRate = (flow, efficiency) => {
+  return flow.direction === 'input' ? -flow.ratePerHour : flow.ratePerHour * efficiency;
+};
+
+/**
+ * Helper to add the effective rate of each flow to a process
+ */
+const withFlowRates = (process) => {
+  const data = process.toJSON();
+
+  return {
+    ...data,
+    flows: data.flows.map(flow => ({
+      ...flow,
+      effectiveRatePerHour: Math.round(getFlowRate(flow, data.efficiency) * 10000) / 10000
+    }))
+  };
+};
+
+/**
+ * Helper to check that every flow references an existing resource that is not catalog-managed, once per process
+ * (the shape of each flow is validated by the route schema)
+ */
+const validateFlows = async (flows) => {
+  const ids = [...new Set(flows.map(flow => flow.resourceId))];
+  if (ids.length !== flows.length) {
+    throw new ValidationError('DUPLICATE_FLOW_RESOURCE', 'Each resource can only appear once in the flows of a process');
+  }
+
+  const found = await Resource.findAll({ where: { id: { [Op.in]: ids } }, attributes: ['id'] });
+  if (found.length !== ids.length) {
+    const missing = ids.filter(id => !found.some(resource => resource.id === id));
+    throw new NotFoundError('RESOURCE_NOT_FOUND', 'Resource not found for a process flow', { resourceIds: missing });
+  }
+
+  // Catalog-managed spare parts only move per part
+  for (const id of ids) {
+    await assertNotCatalogManagedService(id);
+  }
+};
+
+/**
+ * Helper to update the status of a process and who changed it
+ */
+const setStatus = (process, status, changedBy, reason = null) => {
+  process.status = status;
+  process.statusReason = reason;
+  process.statusChangedBy = changedBy;
+  process.statusChangedAt = now();
+};
+
+/**
+ * Apply the flows of a process for the time elapsed since its last run in one transaction
+ * Amounts are rate × hours (outputs × efficiency) plus the carried fraction; only whole units are posted
+ * Inputs draw from unassigned stock; if any input is short nothing is posted and the process is starved
+ * @param {Object} process - ProductionProcess loaded with its flows (state is re-read under lock)
+ * @param {String} source - 'cron' for ticks, 'api' for the final run when a process is stopped
+ * @param {Object} stop - { stoppedBy, reason } for the final run: the process is stopped in the same transaction
+ * @returns {Object} { processId, name, status, previousStatus, entries }
+ * @throws {ConflictError} PROCESS_NOT_RUNNING when stopping a process that is no longer active
+ */
+const runProcess = async (process, source, stop = null) => {
+  const result = {
+    processId: process.id,
+    name: process.name,
+    previousStatus: process.status,
+    status: process.status,
+    // Bases whose resources the process consumes or produces
+    habitatIds: [...new Set(process.flows.map(flow => flow.resource.resourceData.habitatId))],
+    entries: []
+  };
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Lock the process and re-read its state so a tick and a stop never post the same interval twice
+    const locked = await ProductionProcess.findByPk(process.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!ACTIVE_PROCESS_STATUSES.includes(locked.status)) {
+      if (stop) {
+        throw processNotRunning();
+      }
+      await transaction.commit();
+      return { ...result, status: locked.status };
+    }
+    const flows = await ProcessFlow.findAll({
+      where: { processId: locked.id },
+      order: [['id', 'ASC']],
+      transaction
+    });
+
+    const currentTime = now();
+    const elapsed = currentTime.getTime() - new Date(locked.lastRunAt || currentTime).getTime();
+    const hours = Math.min(Math.max(elapsed, 0) / MS_PER_HOUR, PROCESS_SETTINGS.maxCatchUpHours);
+
+    // Lock the linked resources in a stable order so concurrent movements are serialized
+    const resourceIds = flows.map(flow => flow.resourceId);
+    const resources = await Resource.findAll({
+      where: { id: { [Op.in]: resourceIds } },
+      order: [['id', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const resourceById = new Map(resources.map(resource => [resource.id, resource]));
+
+    const stocks = await LocationStock.findAll({
+      where: { resourceId: { [Op.in]: resourceIds } },
+      attributes: ['resourceId', 'quantity'],
+      transaction
+    });
+    const allocatedById = stocks.reduce((totals, stock) => {
+      totals[stock.resourceId] = (totals[stock.resourceId] || 0) + stock.quantity;
+      return totals;
+    }, {});
+
+    const movements = flows.map(flow => {
+      const rate = flow.direction === 'input' ? flow.ratePerHour : flow.ratePerHour * locked.efficiency;
+      const exact = rate * hours + flow.carry;
+      const amount = Math.floor(exact);
+      return { flow, resource: resourceById.get(flow.resourceId), amount, carry: exact - amount };
+    });
+
+    // Inputs can only use stock that is not held in storage locations
+    const shortage = movements.find(({ flow, resource, amount }) => {
+      return flow.direction === 'input'
+        && amount > resource.quantity - (allocatedById[resource.id] || 0);
+    });
+
+    if (shortage) {
+      // Starved time is not carried over: production resumes from the next tick with enough inputs
+      if (locked.status !== 'starved') {
+        const input = process.flows.find(flow => flow.resourceId === shortage.resource.id);
+        const inputName = input ? input.resource.resourceData.name : `resource ${shortage.resource.id}`;
+        setStatus(locked, 'starved', 'system', `Insufficient ${inputName}`);
+      }
+    } else {
+      for (const { flow, resource, amount, carry } of movements) {
+        if (amount > 0) {
+          const previousStock = resource.quantity;
+          const delta = flow.direction === 'input' ? -amount : amount;
+          resource.quantity = previousStock + delta;
+          await resource.save({ transaction });
+
+          result.entries.push(await ChangeHistory.create({
+            stock: resource.quantity,
+            previousStock,
+            delta,
+            resourceId: resource.resourceDataId,
+            changeType: 'production',
+            source,
+            operator: `process:${locked.id} ${locked.name}`
+          }, { transaction }));
+        }
+
+        flow.carry = carry;
+        await flow.save({ transaction });
+      }
+
+      if (locked.status === 'starved') {
+        setStatus(locked, 'running', 'system');
+      }
+    }
+
+    // Stopped under the same lock, so no tick can post production between the final run and the stop
+    if (stop) {
+      setStatus(locked, 'stopped', stop.stoppedBy, stop.reason || null);
+    }
+
+    locked.lastRunAt = currentTime;
+    await locked.save({ transaction });
+
+    await transaction.commit();
+
+    return { ...result, status: locked.status };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// Get production processes (optionally filtered by status or type)
+export const getAllProcessesService = async ({ status, type } = {}) => {
+  const processes = await ProductionProcess.findAll({
+    where: {
+      ...(status && { status }),
+      ...(type && { type })
+    },
+    order: [['name', 'ASC']],
+    include: processInclude
+  });
+
+  return processes.map(withFlowRates);
+};
+
+// Get a production process with its flows
+export const getProcessByIdService = async (id) => {
+  const process = await ProductionProcess.findByPk(id, { include: processInclude });
+
+  if (!process) {
+    throw processNotFound();
+  }
+
+  return withFlowRates(process);
+};
+
+/**
+ * Create a production process (stopped until started)
+ * @param {Object} data - { name, type, description?, efficiency, flows: [{ resourceId, direction, ratePerHour }] }
+ */
+export const createProcessService = async (data) => {
+  const { name, type, description, efficiency, flows } = data;
+  await validateFlows(flows);
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const process = await ProductionProcess.create({
+      name: name.trim(),
+      type,
+      description: description || null,
+      efficiency
+    }, { transaction });
+
+    await ProcessFlow.bulkCreate(flows.map(flow => ({
+      processId: process.id,
+      resourceId: flow.resourceId,
+      direction: flow.direction,
+      ratePerHour: flow.ratePerHour
+    })), { transaction });
+
+    await transaction.commit();
+
+    return await getProcessByIdService(process.id);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Update a production process; flows can only be replaced while it is stopped
+ * @param {Object} data - { name?, type?, description?, efficiency?, flows? }
+ */
+export const updateProcessService = async (id, data) => {
+  const process = await ProductionProcess.findByPk(id);
+  if (!process) {
+    throw processNotFound();
+  }
+
+  const { name, type, description, efficiency, flows } = data;
+
+  if (flows !== undefined) {
+    if (process.status !== 'stopped') {
+      throw new ConflictError('PROCESS_RUNNING', 'Stop the process before changing its flows');
+    }
+    await validateFlows(flows);
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    if (flows !== undefined) {
+      await ProcessFlow.destroy({ where: { processId: process.id }, transaction });
+      await ProcessFlow.bulkCreate(flows.map(flow => ({
+        processId: process.id,
+        resourceId: flow.resourceId,
+        direction: flow.direction,
+        ratePerHour: flow.ratePerHour
+      })), { transaction });
+    }
+
+    if (name !== undefined) process.name = name.trim();
+    if (type !== undefined) process.type = type;
+    if (description !== undefined) process.description = description;
+    if (efficiency !== undefined) process.efficiency = efficiency;
+    await process.save({ transaction });
+
+    await transaction.commit();
+
+    return await getProcessByIdService(process.id);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Start a production process; the monitoring cron applies its flows from now on
+ * @param {String} startedBy - Username of the operator
+ */
+export const startProcessService = async (id, startedBy) => {
+  const process = await ProductionProcess.findByPk(id);
+  if (!process) {
+    throw processNotFound();
+  }
+  if (ACTIVE_PROCESS_STATUSES.includes(process.status)) {
+    throw new ConflictError('PROCESS_ALREADY_RUNNING', 'The process is already running');
+  }
+
+  setStatus(process, 'running', startedBy);
+  process.lastRunAt = now();
+  await process.save();
+
+  return await getProcessByIdService(process.id);
+};
+
+/**
+ * Stop a production process; the flows of the time since the last tick are posted first
+ * @param {String} stoppedBy - Username of the operator
+ * @param {String} reason - Optional note (maintenance, failure...)
+ * @returns {Object} { process, entries }
+ */
+export const stopProcessService = async (id, stoppedBy, reason) => {
+  const process = await ProductionProcess.findByPk(id, { include: processInclude });
+  if (!process) {
+    throw processNotFound();
+  }
+  if (!ACTIVE_PROCESS_STATUSES.includes(process.status)) {
+    throw processNotRunning();
+  }
+
+  const { entries } = await runProcess(process, 'api', { stoppedBy, reason });
+
+  return { process: await getProcessByIdService(process.id), entries };
+};
+
+/**
+ * Run every active process for the time elapsed since its last run (called by the monitoring cron)
+ * Starved processes are retried so they resume as soon as their inputs are available
+ * @returns {Array} [{ processId, name, status, previousStatus, habitatIds, entries }]
+ */
+export const runProductionProcessesService = async () => {
+  const processes = await ProductionProcess.findAll({
+    where: { status: { [Op.in]: ACTIVE_PROCESS_STATUSES } },
+    order: [['id', 'ASC']],
+    include: processInclude
+  });
+
+  const results = [];
+  for (const process of processes) {
+    results.push(await runProcess(process, 'cron'));
+  }
+
+  return results;
+};
+
+/**
+ * Net flow of running processes on each resource (positive = net production), keyed by Resource ID
+ * Starved processes are listed but do not count, since they are not producing
+ * @param {Object} options - { resourceIds } to load only the flows of those resources (all when omitted)
+ * @returns {Object} { [resourceId]: { category, habitatId, netPerHour, processes: [{ id, name, status, ratePerHour }] } }
+ */
+export const getProcessNetRatesService = async ({ resourceIds } = {}) => {
+  const [flowInclude] = processInclude;
+  const processes = await ProductionProcess.findAll({
+    where: { status: { [Op.in]: ACTIVE_PROCESS_STATUSES } },
+    include: resourceIds !== undefined
+      ? [{ ...flowInclude, where: { resourceId: { [Op.in]: resourceIds } } }]
+      : processInclude
+  });
+
+  return processes.reduce((rates, process) => {
+    process.flows.forEach(flow => {
+      const rate = getFlowRate(flow, process.efficiency);
+      const entry = rates[flow.resourceId] ||= {
+        category: flow.resource.resourceData.category,
+        habitatId: flow.resource.resourceData.habitatId,
+        netPerHour: 0,
+        processes: []
+      };
+      if (process.status === 'running') {
+        entry.netPerHour += rate;
+      }
+      entry.processes.push({
+        id: process.id,
+        name: process.name,
+        status: process.status,
+        ratePerHour: Math.round(rate * 10000) / 10000
+      });
+    });
+    return rates;
+  }, {});
+};
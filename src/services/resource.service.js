@@ -5,19 +5,80 @@ import { Op } from 'sequelize';
 import ResourceData from '../models/resources.model.js';
 import Resource from '../models/resource.js';
 import ChangeHistory from '../models/changeHistory.js';
-import { getLevelsByCategory, isResourceCritical } from '../constants/resource.constants.js';
+import ThresholdChange from '../models/thresholdChange.js';
+import ResupplyMission from '../models/resupplyMission.js';
+import ManifestItem from '../models/manifestItem.js';
+import StorageLocation from '../models/storageLocation.js';
+import LocationStock from '../models/locationStock.js';
+import {
+  getLevelsByCategory,
+  resolveResourceLevels,
+  areLevelsOrdered,
+  isResourceCritical,
+  getResourceStatus,
+  isResourceAboveMaximum,
+  LEVEL_KEYS,
+  FORECAST_SETTINGS,
+  CHANGE_REASONS,
+  HISTORY_SETTINGS
+} from '../constants/resource.constants.js';
+import { PENDING_RESUPPLY_STATUSES } from '../constants/resupply.constants.js';
+import { buildForecast } from '../utils/forecast.util.js';
+import { now } from '../utils/clock.js';
+import { encodeCursor } from '../utils/cursor.util.js';
+import { getCrewSupplyService } from './crew.service.js';
+import { getHistorySeriesService } from './history.service.js';
+import { getProcessNetRatesService } from './process.service.js';
+import { assertNotCatalogManagedService } from './part.service.js';
+import { mergeBuckets } from '../utils/rollup.util.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+// habitatId scopes each resource to its base
+const resourceDataAttributes = ['id', 'name', 'category', 'habitatId'];
+
+const resourceNotFound = () => new NotFoundError('RESOURCE_NOT_FOUND', 'Resource not found');
 
 /**
- * Helper function to enrich resources with levels from constants
+ * Helper to restrict the ResourceData of a query to one base (no restriction without habitatId)
+ */
+const habitatScope = (habitatId) => (habitatId ? { habitatId } : {});
+
+/**
+ * Helper to load a resource with its ResourceData, only if it belongs to the selected base
+ * @param {Number} habitatId - Base selected by the request (any base when omitted)
+ * @param {Object} transaction - Optional transaction to read within
+ * @throws {NotFoundError} RESOURCE_NOT_FOUND
+ */
+const findScopedResource = async (id, habitatId, transaction) => {
+  const resource = await Resource.findByPk(id, {
+    transaction,
+    include: [{
+      model: ResourceData,
+      as: 'resourceData',
+      attributes: resourceDataAttributes,
+      where: habitatScope(habitatId)
+    }]
+  });
+
+  if (!resource) {
+    throw resourceNotFound();
+  }
+  return resource;
+};
+
+/**
+ * Helper function to enrich resources with their effective levels
+ * (per-resource overrides stored in DB, category defaults from constants as fallback)
  */
 const enrichResourceWithLevels = (resource) => {
   const resourceData = resource.resourceData;
-  const levels = getLevelsByCategory(resourceData.category);
+  const levels = resolveResourceLevels(resource, resourceData.category);
   
   return {
     id: resource.id,
     quantity: resource.quantity,
     resourceDataId: resource.resourceDataId,
+    habitatId: resourceData.habitatId,
     resourceData: {
       id: resourceData.id,
       name: resourceData.name,
@@ -27,89 +88,243 @@ const enrichResourceWithLevels = (resource) => {
     criticalLevel: levels.criticalLevel,
     maximumLevel: levels.maximumLevel,
     unit: levels.unit,
-    status: resource.quantity <= levels.criticalLevel ? 'critical' : 
-            resource.quantity <= levels.minimumLevel ? 'low' : 'normal'
+    levelSource: levels.levelSource,
+    aboveMaximum: isResourceAboveMaximum(resource.quantity, levels),
+    status: getResourceStatus(resource.quantity, levels)
   };
 };
 
-// Get all resources with dynamically applied levels from constants
-export const getAllResourcesService = async () => {
-  const resources = await Resource.findAll({
+/**
+ * Helper to load the stock held in storage locations, grouped by Resource ID
+ * @param {Number|Array} resourceIds - Resource ID(s) to load
+ */
+const getLocationStocks = async (resourceIds) => {
+  const stocks = await LocationStock.findAll({
+    where: { resourceId: resourceIds },
+    attributes: ['resourceId', 'locationId', 'quantity', 'capacity'],
     include: [{
-      model: ResourceData,
-      as: 'resourceData',
-      attributes: ['id', 'name', 'category']
-    }]
+      model: StorageLocation,
+      as: 'location',
+      attributes: ['id', 'name', 'type']
+    }],
+    order: [['locationId', 'ASC']]
   });
-  
-  return resources.map(r => enrichResourceWithLevels(r));
+
+  return stocks.reduce((groups, stock) => {
+    (groups[stock.resourceId] ||= []).push(stock);
+    return groups;
+  }, {});
 };
 
-// Filter resources by category and apply standard levels
-export const getResourcesByCategoryService = async (category) => {
-  const validCategories = ['food', 'oxygen', 'water', 'spare_parts'];
-  if (!validCategories.includes(category)) {
-    return 'INVALID_CATEGORY';
-  }
+/**
+ * Helper to attach per-location stock and totals aggregated across locations
+ * (allocated = held in locations, unassigned = total quantity not held in any location)
+ */
+const attachLocations = (enriched, stocksByResource) => {
+  const stocks = stocksByResource[enriched.id] || [];
+  const allocated = stocks.reduce((total, stock) => total + stock.quantity, 0);
+
+  enriched.storage = {
+    allocated,
+    unassigned: enriched.quantity - allocated,
+    capacity: stocks.reduce((total, stock) => total + stock.capacity, 0),
+    locations: stocks.map(stock => ({
+      locationId: stock.locationId,
+      name: stock.location.name,
+      type: stock.location.type,
+      quantity: stock.quantity,
+      capacity: stock.capacity
+    }))
+  };
+  return enriched;
+};
 
-  const resources = await Resource.findAll({
+/**
+ * Helper to get the crew days of supply of each base, keyed by habitat ID
+ * (each base's crew draws only on the stock kept there)
+ */
+const getCrewSupplyByHabitat = async (resources) => {
+  const habitatIds = [...new Set(resources.map(resource => resource.resourceData.habitatId))];
+  const supplies = await Promise.all(habitatIds.map(habitatId => getCrewSupplyService(now(), habitatId)));
+
+  return Object.fromEntries(habitatIds.map((habitatId, i) => [habitatId, supplies[i]]));
+};
+
+/**
+ * Helper to attach the crew days of supply of the resource's category at its base
+ * (days the whole category stock of the base lasts for the crew currently there)
+ */
+const attachCrewSupply = (enriched, crewSupplyByHabitat) => {
+  enriched.crewSupply = crewSupplyByHabitat[enriched.habitatId]?.[enriched.resourceData.category] || null;
+  return enriched;
+};
+
+/**
+ * Helper to load history (oldest to newest) inside a forecast window, grouped by resourceDataId
+ * changeType/delta/reason let the forecast separate consumption from every other movement
+ * @param {Number|Array} resourceDataIds - ResourceData ID(s) to load (change_history key)
+ */
+const getForecastHistory = async (windowHours, resourceDataIds) => {
+  const since = new Date(now().getTime() - windowHours * 60 * 60 * 1000);
+
+  const history = await ChangeHistory.findAll({
+    where: {
+      resourceId: resourceDataIds,
+      createdAt: {
+        [Op.gte]: since
+      }
+    },
+    attributes: ['resourceId', 'stock', 'changeType', 'delta', 'reason', 'createdAt'],
+    order: [['createdAt', 'ASC']]
+  });
+
+  return history.reduce((groups, record) => {
+    (groups[record.resourceId] ||= []).push(record);
+    return groups;
+  }, {});
+};
+
+/**
+ * Helper to load undelivered cargo of pending resupply missions, grouped by resourceDataId
+ * @param {Number|Array} resourceDataIds - ResourceData ID(s) to load
+ */
+const getPendingDeliveries = async (resourceDataIds) => {
+  const items = await ManifestItem.findAll({
+    where: {
+      deliveredAt: null,
+      resourceDataId: resourceDataIds
+    },
+    attributes: ['resourceDataId', 'quantity'],
     include: [{
-      model: ResourceData,
-      as: 'resourceData',
-      attributes: ['id', 'name', 'category'],
-      where: { category }
+      model: ResupplyMission,
+      as: 'mission',
+      attributes: ['id', 'name', 'status', 'arrivalDate'],
+      where: { status: { [Op.in]: PENDING_RESUPPLY_STATUSES } }
     }]
   });
 
-  return resources.map(r => enrichResourceWithLevels(r));
+  return items.reduce((groups, item) => {
+    (groups[item.resourceDataId] ||= []).push({
+      missionId: item.mission.id,
+      name: item.mission.name,
+      status: item.mission.status,
+      arrivalDate: item.mission.arrivalDate,
+      quantity: item.quantity
+    });
+    return groups;
+  }, {});
 };
 
-// Get single resource by ID with applied levels
-export const getResourceByIdService = async (id) => {
-  const resource = await Resource.findByPk(id, {
+/**
+ * Get all resources with dynamically applied levels, crew days of supply and depletion forecast (net of running processes)
+ * @param {Object} options - { habitatId } to list only the resources of one base
+ */
+export const getAllResourcesService = async ({ habitatId } = {}) => {
+  const resources = await Resource.findAll({
     include: [{
       model: ResourceData,
       as: 'resourceData',
-      attributes: ['id', 'name', 'category']
+      attributes: resourceDataAttributes,
+      where: habitatScope(habitatId)
     }]
   });
 
-  if (!resource) {
-    return null;
-  }
-
-  return enrichResourceWithLevels(resource);
+  // Only the rows of the resources listed (this runs every cron tick and after every write)
+  const resourceIds = resources.map(r => r.id);
+  const resourceDataIds = resources.map(r => r.resourceDataId);
+  const windowHours = FORECAST_SETTINGS.windowHours;
+  const [historyByResource, crewSupply, deliveriesByResource, stocksByResource, processRates] = await Promise.all([
+    getForecastHistory(windowHours, resourceDataIds),
+    getCrewSupplyByHabitat(resources),
+    getPendingDeliveries(resourceDataIds),
+    getLocationStocks(resourceIds),
+    getProcessNetRatesService({ resourceIds })
+  ]);
+
+  return resources.map(r => {
+    const enriched = attachLocations(attachCrewSupply(enrichResourceWithLevels(r), crewSupply), stocksByResource);
+    enriched.forecast = buildForecast({
+      quantity: enriched.quantity,
+      levels: enriched,
+      history: historyByResource[r.resourceDataId] || [],
+      windowHours,
+      deliveries: deliveriesByResource[r.resourceDataId] || [],
+      processFlow: processRates[r.id] || null
+    });
+    return enriched;
+  });
 };
 
-// Update resource quantity and log to history (uses transaction for consistency)
-export const updateResourceQuantityService = async (id, quantity) => {
-  if (quantity === undefined || quantity === null || quantity < 0) {
-    return 'INVALID_QUANTITY';
+// Filter resources by category (and base) and apply levels and crew days of supply
+export const getResourcesByCategoryService = async (category, habitatId) => {
+  const validCategories = ['food', 'oxygen', 'water', 'spare_parts'];
+  if (!validCategories.includes(category)) {
+    throw new ValidationError('INVALID_CATEGORY', 'Invalid category. Use: food, oxygen, water, or spare_parts');
   }
 
-  const resource = await Resource.findByPk(id, {
+  const resources = await Resource.findAll({
     include: [{
       model: ResourceData,
       as: 'resourceData',
-      attributes: ['id', 'name', 'category']
+      attributes: resourceDataAttributes,
+      where: { category, ...habitatScope(habitatId) }
     }]
   });
-  
-  if (!resource) {
-    return 'RESOURCE_NOT_FOUND';
+
+  const [crewSupply, stocksByResource] = await Promise.all([
+    getCrewSupplyByHabitat(resources),
+    getLocationStocks(resources.map(r => r.id))
+  ]);
+  return resources.map(r => attachLocations(attachCrewSupply(enrichResourceWithLevels(r), crewSupply), stocksByResource));
+};
+
+// Get single resource by ID (of the selected base) with applied levels and crew days of supply
+export const getResourceByIdService = async (id, habitatId) => {
+  const resource = await findScopedResource(id, habitatId);
+
+  const [crewSupply, stocksByResource] = await Promise.all([
+    getCrewSupplyByHabitat([resource]),
+    getLocationStocks(resource.id)
+  ]);
+  return attachLocations(attachCrewSupply(enrichResourceWithLevels(resource), crewSupply), stocksByResource);
+};
+
+// Update resource quantity (of the selected base) and log to history (uses transaction for consistency)
+export const updateResourceQuantityService = async (id, quantity, operator, habitatId) => {
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new ValidationError('INVALID_QUANTITY', 'Invalid quantity. Must be a non-negative integer');
   }
 
   const transaction = await sequelize.transaction();
-  
+
   try {
+    // Lock the resource first so consume/replenish and location transfers cannot change the allocated stock meanwhile
+    await Resource.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    const resource = await findScopedResource(id, habitatId, transaction);
+    await assertNotCatalogManagedService(resource.id, transaction);
+
+    // Stock held in storage locations must be moved out (transfer/consume) before lowering the total below it
+    const allocated = await LocationStock.sum('quantity', { where: { resourceId: resource.id }, transaction }) || 0;
+    if (quantity < allocated) {
+      throw new ConflictError(
+        'QUANTITY_BELOW_ALLOCATED',
+        'Quantity cannot be lower than the stock held in storage locations',
+        { allocated }
+      );
+    }
+
     const oldQuantity = resource.quantity;
     resource.quantity = quantity;
     await resource.save({ transaction });
 
     await ChangeHistory.create({
       stock: quantity,
+      previousStock: oldQuantity,
+      delta: quantity - oldQuantity,
       resourceId: resource.resourceDataId,
-      changeType: quantity > oldQuantity ? 'increase' : quantity < oldQuantity ? 'decrease' : 'update'
+      changeType: quantity > oldQuantity ? 'increase' : quantity < oldQuantity ? 'decrease' : 'update',
+      source: 'api',
+      operator: operator || null
     }, { transaction });
 
     await transaction.commit();
@@ -122,34 +337,268 @@ export const updateResourceQuantityService = async (id, quantity) => {
   }
 };
 
-// Get resources at or below critical levels (defined in constants)
-export const getCriticalResourcesService = async () => {
+/**
+ * Apply a signed delta to a resource and record it in the ledger (uses transaction with row lock)
+ * With a locationId the movement is also applied to that location (capacity enforced on replenish);
+ * without it, it applies to the unassigned stock
+ * @param {Number} id - Resource ID
+ * @param {String} operation - 'consume' (delta < 0) or 'replenish' (delta > 0)
+ * @param {Object} data - { delta, reason, operator, locationId?, source ('api' by default, 'cron' for resupply arrivals),
+ *   habitatId? (base selected by the request) }
+ */
+export const applyResourceDeltaService = async (id, operation, data) => {
+  const { delta, reason, operator, locationId, source = 'api', habitatId } = data;
+
+  if (!Number.isInteger(delta) || delta === 0) {
+    throw new ValidationError('INVALID_DELTA', 'Invalid delta. Must be a non-zero integer');
+  }
+  if ((operation === 'consume' && delta > 0) || (operation === 'replenish' && delta < 0)) {
+    throw new ValidationError(
+      'INVALID_DELTA_SIGN',
+      operation === 'consume' ? 'Invalid delta. Must be negative for consume' : 'Invalid delta. Must be positive for replenish'
+    );
+  }
+  if (!CHANGE_REASONS[operation].includes(reason)) {
+    throw new ValidationError('INVALID_REASON', `Invalid reason. Use: ${CHANGE_REASONS[operation].join(', ')}`);
+  }
+  if (!operator || typeof operator !== 'string' || !operator.trim()) {
+    throw new ValidationError('OPERATOR_REQUIRED', 'operator is required');
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const resource = await Resource.findByPk(id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!resource) {
+      throw resourceNotFound();
+    }
+    if (habitatId) {
+      const resourceData = await ResourceData.findByPk(resource.resourceDataId, { transaction });
+      if (resourceData.habitatId !== habitatId) {
+        throw resourceNotFound();
+      }
+    }
+    await assertNotCatalogManagedService(resource.id, transaction);
+
+    const previousStock = resource.quantity;
+    const newStock = previousStock + delta;
+
+    if (newStock < 0) {
+      throw new ConflictError(
+        'INSUFFICIENT_STOCK',
+        'Insufficient stock. Withdrawal would leave the resource below zero',
+        { available: previousStock }
+      );
+    }
+
+    let locationStock = null;
+    if (locationId !== undefined && locationId !== null) {
+      locationStock = await LocationStock.findOne({
+        where: { locationId, resourceId: resource.id },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!locationStock) {
+        throw new NotFoundError('LOCATION_STOCK_NOT_FOUND', 'The resource is not stored in that location');
+      }
+      if (locationStock.quantity + delta < 0) {
+        throw new ConflictError(
+          'INSUFFICIENT_STOCK',
+          'Insufficient stock. Withdrawal would leave the location below zero',
+          { available: locationStock.quantity }
+        );
+      }
+      if (locationStock.quantity + delta > locationStock.capacity) {
+        throw new ConflictError(
+          'CAPACITY_EXCEEDED',
+          'Replenish would overfill the location',
+          { available: locationStock.capacity - locationStock.quantity }
+        );
+      }
+      locationStock.quantity += delta;
+      await locationStock.save({ transaction });
+    } else if (delta < 0) {
+      // Withdrawals without a location can only use stock that is not held in any location
+      const allocated = await LocationStock.sum('quantity', { where: { resourceId: resource.id }, transaction }) || 0;
+      if (newStock < allocated) {
+        throw new ConflictError(
+          'LOCATION_REQUIRED',
+          'Not enough unassigned stock. Specify the locationId to withdraw from',
+          { unassigned: previousStock - allocated }
+        );
+      }
+    }
+
+    resource.quantity = newStock;
+    await resource.save({ transaction });
+
+    const entry = await ChangeHistory.create({
+      stock: newStock,
+      previousStock,
+      delta,
+      resourceId: resource.resourceDataId,
+      changeType: operation,
+      reason,
+      source,
+      operator: operator.trim(),
+      ...(locationStock && {
+        locationId: locationStock.locationId,
+        locationDelta: delta,
+        locationStock: locationStock.quantity
+      })
+    }, { transaction });
+
+    await transaction.commit();
+
+    // Reload with associations outside the lock
+    await resource.reload({
+      include: [{
+        model: ResourceData,
+        as: 'resourceData',
+        attributes: resourceDataAttributes
+      }]
+    });
+
+    return { resource: enrichResourceWithLevels(resource), entry };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Get resources in critical state: at or below their critical level (per-resource or category default)
+ * or whose category lasts fewer than the critical days for the current crew of their base
+ * @param {Number} habitatId - Optional base to check
+ */
+export const getCriticalResourcesService = async (habitatId) => {
   const resources = await Resource.findAll({
     include: [{
       model: ResourceData,
       as: 'resourceData',
-      attributes: ['id', 'name', 'category']
+      attributes: resourceDataAttributes,
+      where: habitatScope(habitatId)
     }]
   });
 
-  // Filter and enrich critical resources
+  const crewSupply = await getCrewSupplyByHabitat(resources);
+
+  // Enrich first so each resource is checked against its own levels
   return resources
-    .filter(resource => isResourceCritical(resource.quantity, resource.resourceData.category))
-    .map(r => enrichResourceWithLevels(r));
+    .map(r => attachCrewSupply(enrichResourceWithLevels(r), crewSupply))
+    .filter(resource => isResourceCritical(resource.quantity, resource)
+      || resource.crewSupply?.supplyStatus === 'critical');
+};
+
+/**
+ * Helper to pick only the level values (used for threshold audit records)
+ */
+const pickLevels = (enriched) => ({
+  minimumLevel: enriched.minimumLevel,
+  criticalLevel: enriched.criticalLevel,
+  maximumLevel: enriched.maximumLevel,
+  levelSource: enriched.levelSource
+});
+
+// Get effective levels of a resource (of the selected base), its category defaults and recent threshold changes
+export const getResourceLevelsService = async (id, habitatId) => {
+  const resource = await findScopedResource(id, habitatId);
+
+  const enriched = enrichResourceWithLevels(resource);
+  const changes = await ThresholdChange.findAll({
+    where: { resourceId: resource.id },
+    order: [['createdAt', 'DESC']],
+    limit: 20
+  });
+
+  return {
+    resourceId: enriched.id,
+    resourceData: enriched.resourceData,
+    levels: {
+      ...pickLevels(enriched),
+      unit: enriched.unit
+    },
+    categoryDefaults: getLevelsByCategory(enriched.resourceData.category),
+    changes
+  };
+};
+
+/**
+ * Update per-resource levels and record who changed them (uses transaction for consistency)
+ * A level sent as null resets it to the category default
+ */
+export const updateResourceLevelsService = async (id, data, changedBy, habitatId) => {
+  const providedKeys = LEVEL_KEYS.filter(key => data[key] !== undefined);
+  if (providedKeys.length === 0) {
+    throw new ValidationError('LEVELS_REQUIRED', 'At least one of minimumLevel, criticalLevel or maximumLevel is required');
+  }
+
+  const invalidLevel = providedKeys.some(key => {
+    const value = data[key];
+    return value !== null && (!Number.isInteger(value) || value < 0);
+  });
+  if (invalidLevel) {
+    throw new ValidationError('INVALID_LEVELS', 'Invalid levels. Must be non-negative integers or null to use the category default');
+  }
+
+  if (!changedBy || typeof changedBy !== 'string' || !changedBy.trim()) {
+    throw new ValidationError('CHANGED_BY_REQUIRED', 'changedBy is required');
+  }
+
+  const resource = await findScopedResource(id, habitatId);
+
+  const previous = enrichResourceWithLevels(resource);
+  providedKeys.forEach(key => {
+    resource[key] = data[key];
+  });
+  const updated = enrichResourceWithLevels(resource);
+
+  if (!areLevelsOrdered(updated)) {
+    throw new ValidationError(
+      'INVALID_LEVEL_ORDER',
+      'Invalid levels. Must satisfy minimumLevel < criticalLevel < maximumLevel',
+      pickLevels(updated)
+    );
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    await resource.save({ transaction });
+
+    const change = await ThresholdChange.create({
+      resourceId: resource.id,
+      previousLevels: pickLevels(previous),
+      newLevels: pickLevels(updated),
+      changedBy: changedBy.trim()
+    }, { transaction });
+
+    await transaction.commit();
+
+    return { resource: updated, change };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
 };
 
 // Manually create history record (cron job creates them automatically every minute)
 export const createChangeHistoryService = async (data) => {
-  if (!data.stock || data.stock < 0) {
-    return 'INVALID_STOCK';
+  // A stock of 0 is valid (depleted resource)
+  if (!Number.isInteger(data.stock) || data.stock < 0) {
+    throw new ValidationError('INVALID_STOCK', 'Invalid stock. Must be a non-negative integer');
   }
   if (!data.resourceId) {
-    return 'RESOURCE_ID_REQUIRED';
+    throw new ValidationError('RESOURCE_ID_REQUIRED', 'resourceId is required');
   }
 
   const resourceData = await ResourceData.findByPk(data.resourceId);
   if (!resourceData) {
-    return 'RESOURCE_NOT_FOUND';
+    throw resourceNotFound();
   }
 
   return await ChangeHistory.create({
@@ -158,71 +607,104 @@ export const createChangeHistoryService = async (data) => {
   });
 };
 
-// Get history for specific resource (newest to oldest)
-export const getResourceHistoryService = async (resourceId, limit = 100) => {
-  const resourceData = await ResourceData.findByPk(resourceId);
+/**
+ * Helper to read one page of change_history with keyset pagination over (createdAt, id)
+ * total counts every record matching the filters; nextCursor is null on the last page
+ * @param {Object} where - Record filters (resourceId, createdAt range)
+ * @param {Object} options - { habitatId, category, changeType, source, sort, cursor, limit }
+ * @returns {Object} { history, total, nextCursor }
+ */
+const getHistoryPage = async (where, { habitatId, category, changeType, source, sort = 'desc', cursor, limit = HISTORY_SETTINGS.pageSize }) => {
+  const filters = {
+    ...where,
+    ...(changeType && { changeType }),
+    ...(source && { source })
+  };
+  const resourceDataInclude = {
+    model: ResourceData,
+    as: 'resourceData',
+    where: { ...(category && { category }), ...habitatScope(habitatId) }
+  };
+  const direction = sort === 'asc' ? 'ASC' : 'DESC';
+  const after = sort === 'asc' ? Op.gt : Op.lt;
+
+  const [total, records] = await Promise.all([
+    ChangeHistory.count({ where: filters, include: [{ ...resourceDataInclude, attributes: [] }] }),
+    ChangeHistory.findAll({
+      where: cursor
+        ? {
+            [Op.and]: [filters, {
+              [Op.or]: [
+                { createdAt: { [after]: cursor.createdAt } },
+                { createdAt: cursor.createdAt, id: { [after]: cursor.id } }
+              ]
+            }]
+          }
+        : filters,
+      order: [['createdAt', direction], ['id', direction]],
+      // One extra record tells whether there is a next page
+      limit: limit + 1,
+      include: [{ ...resourceDataInclude, attributes: resourceDataAttributes }]
+    })
+  ]);
+
+  const history = records.slice(0, limit);
+  return {
+    history,
+    total,
+    nextCursor: records.length > limit ? encodeCursor(history[history.length - 1]) : null
+  };
+};
+
+/**
+ * Get a page of history records of a resource (newest first by default)
+ * @param {Number} resourceId - ResourceData ID
+ * @param {Object} filters - { from, to, habitatId (selected base), changeType, source, sort, cursor, limit }
+ * @returns {Object} { history, total, nextCursor }
+ */
+export const getResourceHistoryService = async (resourceId, { from, to, habitatId, ...options } = {}) => {
+  const resourceData = await ResourceData.findOne({ where: { id: resourceId, ...habitatScope(habitatId) } });
   if (!resourceData) {
-    return 'RESOURCE_NOT_FOUND';
+    throw resourceNotFound();
   }
 
-  const history = await ChangeHistory.findAll({
-    where: { resourceId },
-    order: [['createdAt', 'DESC']],
-    limit: limit,
-    include: [{
-      model: ResourceData,
-      as: 'resourceData',
-      attributes: ['id', 'name', 'category']
-    }]
-  });
+  const createdAt = {
+    ...(from && { [Op.gte]: from }),
+    ...(to && { [Op.lte]: to })
+  };
 
-  return history;
+  return await getHistoryPage({ resourceId, ...((from || to) && { createdAt }) }, options);
 };
 
-// Get recent history for all resources within time window (useful for graphs)
-export const getRecentHistoryService = async (minutes = 60) => {
-  const timeAgo = new Date();
-  timeAgo.setMinutes(timeAgo.getMinutes() - minutes);
-
-  const history = await ChangeHistory.findAll({
-    where: {
-      createdAt: {
-        [Op.gte]: timeAgo
-      }
-    },
-    order: [['createdAt', 'DESC']],
-    include: [{
-      model: ResourceData,
-      as: 'resourceData',
-      attributes: ['id', 'name', 'category']
-    }]
-  });
+/**
+ * Get a page of history records of all resources in a time window (the last `minutes` minutes unless from is given)
+ * @param {Object} filters - { minutes, from, to, habitatId, category, changeType, source, sort, cursor, limit }
+ * @returns {Object} { history, total, nextCursor, from, to }
+ */
+export const getRecentHistoryService = async ({ minutes = 60, from, to, ...options } = {}) => {
+  const since = from || new Date(now().getTime() - minutes * 60 * 1000);
+  const createdAt = {
+    [Op.gte]: since,
+    ...(to && { [Op.lte]: to })
+  };
 
-  return history;
+  const page = await getHistoryPage({ createdAt }, options);
+  return { ...page, from: since, to: to || null };
 };
 
-// Calculate statistics (avg, min, max, trend) for resource over last 24h
-export const getHistoryStatsService = async (resourceId) => {
-  const resourceData = await ResourceData.findByPk(resourceId);
-  if (!resourceData) {
-    return 'RESOURCE_NOT_FOUND';
-  }
-
-  // Get history from last 24 hours
-  const oneDayAgo = new Date();
-  oneDayAgo.setHours(oneDayAgo.getHours() - 24);
-
-  const history = await ChangeHistory.findAll({
-    where: { 
-      resourceId,
-      createdAt: {
-        [Op.gte]: oneDayAgo
-      }
-    },
-    order: [['createdAt', 'ASC']]
-  });
+/**
+ * Calculate statistics (avg, min, max, trend) for a resource over a time range (last 24h by default)
+ * Long ranges are computed from hourly/daily rollups, so raw records older than 30 days are not needed
+ * @param {Number} resourceId - ResourceData ID
+ * @param {Object} range - { from, to, resolution, habitatId } (see getHistorySeriesService)
+ */
+export const getHistoryStatsService = async (resourceId, range = {}) => {
+  const series = await getHistorySeriesService(resourceId, range);
+  const { resourceData, resolution, from, to, points } = series;
+  const hours = Math.round((to.getTime() - from.getTime()) / (60 * 60 * 1000) * 100) / 100;
+  const timeRange = `${hours}h`;
 
-  if (history.length === 0) {
+  if (points.length === 0) {
     return {
       resourceData,
       stats: {
@@ -231,18 +713,20 @@ export const getHistoryStatsService = async (resourceId) => {
         max: 0,
         current: 0,
         trend: 'stable',
-        totalRecords: 0
+        percentageChange: 0,
+        totalRecords: 0,
+        timeRange,
+        resolution,
+        from,
+        to
       }
     };
   }
 
-  // Calculate statistics
-  const values = history.map(h => h.stock);
-  const average = values.reduce((a, b) => a + b, 0) / values.length;
-  const min = Math.min(...values);
-  const max = Math.max(...values);
-  const current = values[values.length - 1];
-  const firstValue = values[0];
+  // Calculate statistics (averages weighted by the samples in each bucket)
+  const summary = mergeBuckets(points);
+  const current = summary.last;
+  const firstValue = summary.first;
 
   // Determine trend
   let trend = 'stable';
@@ -258,33 +742,67 @@ export const getHistoryStatsService = async (resourceId) => {
   return {
     resourceData,
     stats: {
-      average: Math.round(average),
-      min,
-      max,
+      average: Math.round(summary.avg),
+      min: summary.min,
+      max: summary.max,
       current,
       trend,
       percentageChange: Math.round(percentageChange * 100) / 100,
-      totalRecords: history.length,
-      timeRange: '24h'
+      totalRecords: summary.samples,
+      timeRange,
+      resolution,
+      from,
+      to
     }
   };
 };
 
-// Create a new resource entry (for adding new resources to track)
+// Forecast depletion of a resource (of the selected base): consumption rate and projected threshold crossings
+export const getResourceForecastService = async (id, windowHours = FORECAST_SETTINGS.windowHours, habitatId) => {
+  if (!Number.isFinite(windowHours) || windowHours <= 0 || windowHours > FORECAST_SETTINGS.maxWindowHours) {
+    throw new ValidationError(
+      'INVALID_WINDOW',
+      `Invalid hours. Must be greater than 0 and at most ${FORECAST_SETTINGS.maxWindowHours}`
+    );
+  }
+
+  const resource = await findScopedResource(id, habitatId);
+
+  const enriched = enrichResourceWithLevels(resource);
+  const [historyByResource, deliveriesByResource, processRates] = await Promise.all([
+    getForecastHistory(windowHours, resource.resourceDataId),
+    getPendingDeliveries(resource.resourceDataId),
+    getProcessNetRatesService({ resourceIds: [resource.id] })
+  ]);
+
+  return {
+    resource: enriched,
+    forecast: buildForecast({
+      quantity: enriched.quantity,
+      levels: enriched,
+      history: historyByResource[resource.resourceDataId] || [],
+      windowHours,
+      deliveries: deliveriesByResource[resource.resourceDataId] || [],
+      processFlow: processRates[resource.id] || null
+    })
+  };
+};
+
+// Create a new resource entry (for adding new resources to track); with habitatId the ResourceData must belong to that base
 export const createResourceService = async (data) => {
-  const { resourceDataId, quantity } = data;
+  const { resourceDataId, quantity, habitatId } = data;
   
   if (!resourceDataId) {
-    return 'RESOURCE_DATA_ID_REQUIRED';
+    throw new ValidationError('RESOURCE_DATA_ID_REQUIRED', 'resourceDataId is required');
   }
   
-  if (quantity === undefined || quantity === null || quantity < 0) {
-    return 'INVALID_QUANTITY';
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new ValidationError('INVALID_QUANTITY', 'Invalid quantity. Must be a non-negative integer');
   }
   
-  const resourceData = await ResourceData.findByPk(resourceDataId);
+  const resourceData = await ResourceData.findOne({ where: { id: resourceDataId, ...habitatScope(habitatId) } });
   if (!resourceData) {
-    return 'RESOURCE_DATA_NOT_FOUND';
+    throw new NotFoundError('RESOURCE_DATA_NOT_FOUND', 'ResourceData not found');
   }
   
   // Check if resource already exists
@@ -293,7 +811,11 @@ export const createResourceService = async (data) => {
   });
   
   if (existingResource) {
-    return 'RESOURCE_ALREADY_EXISTS';
+    throw new ConflictError(
+      'RESOURCE_ALREADY_EXISTS',
+      'Resource already exists for this ResourceData',
+      { resourceId: existingResource.id }
+    );
   }
   
   const resource = await Resource.create({
@@ -306,17 +828,18 @@ export const createResourceService = async (data) => {
     include: [{
       model: ResourceData,
       as: 'resourceData',
-      attributes: ['id', 'name', 'category']
+      attributes: resourceDataAttributes
     }]
   });
   
   return enrichResourceWithLevels(enrichedResource);
 };
 
-// Get all available ResourceData (for dropdown/selection in frontend)
-export const getAllResourceDataService = async () => {
+// Get all available ResourceData, optionally of one base (for dropdown/selection in frontend)
+export const getAllResourceDataService = async (habitatId) => {
   return await ResourceData.findAll({
-    attributes: ['id', 'name', 'category'],
+    where: habitatScope(habitatId),
+    attributes: resourceDataAttributes,
     order: [['category', 'ASC'], ['name', 'ASC']]
   });
 };
@@ -0,0 +1,371 @@
+// Business logic for resupply missions: scheduling, status lifecycle and posting cargo on arrival
+
+import { Op } from 'sequelize';
+import ResupplyMission from '../models/resupplyMission.js';
+import ManifestItem from '../models/manifestItem.js';
+import Resource from '../models/resource.js';
+import ResourceData from '../models/resources.model.js';
+import SparePart from '../models/sparePart.js';
+import { now } from '../utils/clock.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { projectStockAt, toDeliveryOffsets } from '../utils/forecast.util.js';
+import {
+  PENDING_RESUPPLY_STATUSES,
+  RESUPPLY_STATUS_TRANSITIONS
+} from '../constants/resupply.constants.js';
+import {
+  getAllResourcesService,
+  applyResourceDeltaService,
+  createResourceService
+} from './resource.service.js';
+import { getCatalogManagedResourceDataIdsService, replenishPartService } from './part.service.js';
+
+const missionInclude = [{
+  model: ManifestItem,
+  as: 'manifest',
+  attributes: ['id', 'resourceDataId', 'partId', 'quantity', 'deliveredAt'],
+  include: [{
+    model: ResourceData,
+    as: 'resourceData',
+    attributes: ['id', 'name', 'category', 'habitatId']
+  }, {
+    model: SparePart,
+    as: 'part',
+    attributes: ['id', 'partNumber', 'name']
+  }]
+}];
+
+const missionNotFound = () => new NotFoundError('MISSION_NOT_FOUND', 'Resupply mission not found');
+const invalidManifest = (message) => new ValidationError('INVALID_MANIFEST', message);
+
+/**
+ * Helper to validate a manifest ([{ resourceDataId, quantity }] or [{ partId, quantity }] for spare parts)
+ * Catalog-managed spare parts travel per part (the resource comes from the part); serial-tracked parts
+ * are received with their serial numbers through the parts catalog instead
+ * (the shape of each item is validated by the route schema)
+ * @returns {Array} [{ resourceDataId, partId, quantity }]
+ * @throws {ValidationError} INVALID_MANIFEST, PART_REQUIRED, SERIAL_PART_IN_MANIFEST
+ * @throws {NotFoundError} PART_NOT_FOUND, RESOURCE_DATA_NOT_FOUND
+ */
+const prepareManifest = async (manifest) => {
+  const partIds = [...new Set(manifest.filter(item => item.partId !== undefined).map(item => item.partId))];
+  const parts = await SparePart.findAll({
+    where: { id: { [Op.in]: partIds } },
+    include: [{ model: Resource, as: 'resource', attributes: ['resourceDataId'] }]
+  });
+  if (parts.length !== partIds.length) {
+    const missing = partIds.filter(id => !parts.some(part => part.id === id));
+    throw new NotFoundError('PART_NOT_FOUND', 'Spare part not found for a manifest item', { partIds: missing });
+  }
+  if (parts.some(part => part.serialTracked)) {
+    throw new ValidationError(
+      'SERIAL_PART_IN_MANIFEST',
+      'Serial-tracked parts are received with their serial numbers through /api/parts/:id/replenish',
+      { partIds: parts.filter(part => part.serialTracked).map(part => part.id) }
+    );
+  }
+
+  const items = [];
+  for (const item of manifest) {
+    const part = parts.find(p => p.id === item.partId);
+    if (part && item.resourceDataId !== undefined && item.resourceDataId !== part.resource.resourceDataId) {
+      throw invalidManifest(`Part ${part.id} does not belong to resourceDataId ${item.resourceDataId}`);
+    }
+    items.push({
+      resourceDataId: part ? part.resource.resourceDataId : item.resourceDataId,
+      partId: part ? part.id : null,
+      quantity: item.quantity
+    });
+  }
+
+  const keys = new Set(items.map(item => item.partId ? `part:${item.partId}` : item.resourceDataId));
+  if (keys.size !== items.length) {
+    throw invalidManifest('Each resourceDataId or partId can only appear once in a manifest');
+  }
+  const ids = [...new Set(items.filter(item => !item.partId).map(item => item.resourceDataId))];
+  const found = await ResourceData.findAll({ where: { id: { [Op.in]: ids } }, attributes: ['id'] });
+  if (found.length !== ids.length) {
+    const missing = ids.filter(id => !found.some(resourceData => resourceData.id === id));
+    throw new NotFoundError('RESOURCE_DATA_NOT_FOUND', 'ResourceData not found for a manifest item', { resourceDataIds: missing });
+  }
+  const catalogManaged = await getCatalogManagedResourceDataIdsService();
+  const managed = ids.filter(id => catalogManaged.has(id));
+  if (managed.length > 0) {
+    throw new ValidationError(
+      'PART_REQUIRED',
+      'Spare parts stock is managed per part. Send partId for that resource',
+      { resourceDataIds: managed }
+    );
+  }
+
+  return items;
+};
+
+/**
+ * Helper to check mission dates (arrival must be after launch)
+ * @throws {ValidationError} INVALID_DATES
+ */
+const assertFlightOrdered = (launchDate, arrivalDate) => {
+  if (arrivalDate <= launchDate) {
+    throw new ValidationError('INVALID_DATES', 'arrivalDate must be after launchDate', { launchDate, arrivalDate });
+  }
+};
+
+/**
+ * Post the undelivered cargo of a mission into inventory through the ledger
+ * (replenish with reason 'resupply', per part for spare parts); resources not tracked yet are created with quantity 0
+ * Each item is marked as delivered right after posting so a retry never posts it twice
+ * @returns {Array} Ledger entries created
+ */
+const deliverManifest = async (mission, source) => {
+  const entries = [];
+
+  for (const item of mission.manifest.filter(i => !i.deliveredAt)) {
+    let resource = await Resource.findOne({ where: { resourceDataId: item.resourceDataId } });
+    if (!resource) {
+      resource = await createResourceService({ resourceDataId: item.resourceDataId, quantity: 0 });
+    }
+
+    // Domain errors propagate and leave the item pending, so the next run retries it
+    const operator = `resupply:${mission.id} ${mission.name}`;
+    const result = item.partId
+      ? await replenishPartService(item.partId, { quantity: item.quantity, reason: 'resupply' }, operator, source)
+      : await applyResourceDeltaService(resource.id, 'replenish', {
+        delta: item.quantity,
+        reason: 'resupply',
+        operator,
+        source
+      });
+
+    item.deliveredAt = now();
+    await item.save();
+    entries.push(result.entry);
+  }
+
+  mission.status = 'arrived';
+  mission.arrivedAt = now();
+  await mission.save();
+
+  return entries;
+};
+
+// Get resupply missions (optionally filtered by status), soonest arrival first
+export const getAllMissionsService = async ({ status } = {}) => {
+  return await ResupplyMission.findAll({
+    where: status ? { status } : {},
+    order: [['arrivalDate', 'ASC']],
+    include: missionInclude
+  });
+};
+
+/**
+ * Get a resupply mission with its manifest
+ * @throws {NotFoundError} MISSION_NOT_FOUND
+ */
+export const getMissionByIdService = async (id) => {
+  const mission = await ResupplyMission.findByPk(id, { include: missionInclude });
+  if (!mission) {
+    throw missionNotFound();
+  }
+  return mission;
+};
+
+/**
+ * Schedule a resupply mission (fields and date order are validated by the route schema)
+ * @param {Object} data - { name, launchDate, arrivalDate, notes?, manifest: [{ resourceDataId | partId, quantity }] }
+ * @param {String} createdBy - Username of the quartermaster
+ */
+export const createMissionService = async (data, createdBy) => {
+  const { name, launchDate, arrivalDate, notes, manifest } = data;
+  const items = await prepareManifest(manifest);
+
+  const mission = await ResupplyMission.create({
+    name,
+    launchDate,
+    arrivalDate,
+    notes: notes || null,
+    createdBy
+  });
+  await ManifestItem.bulkCreate(items.map(item => ({ missionId: mission.id, ...item })));
+
+  return await getMissionByIdService(mission.id);
+};
+
+/**
+ * Update mission details; the manifest can only be changed before launch (scheduled)
+ * @param {Object} data - { name?, launchDate?, arrivalDate?, notes?, manifest? }
+ * @throws {NotFoundError} MISSION_NOT_FOUND
+ * @throws {ConflictError} MISSION_CLOSED, MANIFEST_LOCKED
+ */
+export const updateMissionService = async (id, data) => {
+  const mission = await ResupplyMission.findByPk(id);
+  if (!mission) {
+    throw missionNotFound();
+  }
+  if (!PENDING_RESUPPLY_STATUSES.includes(mission.status)) {
+    throw new ConflictError('MISSION_CLOSED', 'Mission already arrived or was lost', { status: mission.status });
+  }
+
+  const { name, launchDate, arrivalDate, notes, manifest } = data;
+  const nextLaunch = launchDate ?? mission.launchDate;
+  const nextArrival = arrivalDate ?? mission.arrivalDate;
+  assertFlightOrdered(nextLaunch, nextArrival);
+
+  if (manifest !== undefined) {
+    if (mission.status !== 'scheduled') {
+      throw new ConflictError(
+        'MANIFEST_LOCKED',
+        'The manifest can only be changed before launch (scheduled)',
+        { status: mission.status }
+      );
+    }
+    const items = await prepareManifest(manifest);
+    await ManifestItem.destroy({ where: { missionId: mission.id } });
+    await ManifestItem.bulkCreate(items.map(item => ({ missionId: mission.id, ...item })));
+  }
+
+  if (name !== undefined) mission.name = name;
+  if (notes !== undefined) mission.notes = notes;
+  mission.launchDate = nextLaunch;
+  mission.arrivalDate = nextArrival;
+  await mission.save();
+
+  return await getMissionByIdService(mission.id);
+};
+
+/**
+ * Change the status of a mission (delayed with a new arrivalDate, lost, early arrival...)
+ * Setting 'arrived' posts the manifest into inventory immediately
+ * @param {Object} data - { status, arrivalDate?, notes? }
+ * @returns {Object} { mission, entries }
+ * @throws {NotFoundError} MISSION_NOT_FOUND
+ * @throws {ConflictError} INVALID_TRANSITION
+ * @throws {ValidationError} INVALID_DATES
+ */
+export const updateMissionStatusService = async (id, data) => {
+  const { status, arrivalDate, notes } = data;
+
+  const mission = await ResupplyMission.findByPk(id, { include: missionInclude });
+  if (!mission) {
+    throw missionNotFound();
+  }
+  if (!RESUPPLY_STATUS_TRANSITIONS[mission.status].includes(status)) {
+    throw new ConflictError(
+      'INVALID_TRANSITION',
+      `Status change not allowed from ${mission.status} to ${status}`,
+      { status: mission.status, allowed: RESUPPLY_STATUS_TRANSITIONS[mission.status] }
+    );
+  }
+
+  if (arrivalDate !== undefined) {
+    assertFlightOrdered(mission.launchDate, arrivalDate);
+    mission.arrivalDate = arrivalDate;
+  }
+  if (notes !== undefined) mission.notes = notes;
+
+  if (status === 'arrived') {
+    const entries = await deliverManifest(mission, 'api');
+    return { mission: await getMissionByIdService(mission.id), entries };
+  }
+
+  mission.status = status;
+  await mission.save();
+
+  return { mission: await getMissionByIdService(mission.id), entries: [] };
+};
+
+/**
+ * Advance missions with the clock (called by the resupply cron)
+ * scheduled -> in_transit once launched; in_transit/delayed -> arrived once the arrival date has passed
+ * @returns {Object} { launched, arrived: [{ missionId, name, habitatIds, entries }] }
+ */
+export const processResupplyArrivalsService = async () => {
+  const currentTime = now();
+
+  const [launched] = await ResupplyMission.update(
+    { status: 'in_transit' },
+    { where: { status: 'scheduled', launchDate: { [Op.lte]: currentTime } } }
+  );
+
+  const due = await ResupplyMission.findAll({
+    where: {
+      status: { [Op.in]: ['in_transit', 'delayed'] },
+      launchDate: { [Op.lte]: currentTime },
+      arrivalDate: { [Op.lte]: currentTime }
+    },
+    order: [['arrivalDate', 'ASC']],
+    include: missionInclude
+  });
+
+  const arrived = [];
+  for (const mission of due) {
+    const entries = await deliverManifest(mission, 'cron');
+    // Bases that received cargo (a mission can carry cargo for several)
+    const habitatIds = [...new Set(mission.manifest.map(item => item.resourceData.habitatId))];
+    arrived.push({ missionId: mission.id, name: mission.name, habitatIds, entries: entries.length });
+  }
+
+  return { launched, arrived };
+};
+
+/**
+ * Survival outlook: projected stock of every resource at a date, counting pending deliveries
+ * @param {Date} until - Horizon; defaults to the launch date of the next scheduled mission (next launch window)
+ * @param {Number} habitatId - Optional base to project (all bases when omitted)
+ * @returns {Object} { until, nextLaunch, allSurvive, resources }
+ * @throws {ValidationError} UNTIL_REQUIRED, INVALID_UNTIL
+ */
+export const getResupplyOutlookService = async (until, habitatId) => {
+  const currentTime = now();
+  const nextLaunch = await ResupplyMission.findOne({
+    where: { status: 'scheduled', launchDate: { [Op.gt]: currentTime } },
+    order: [['launchDate', 'ASC']],
+    attributes: ['id', 'name', 'launchDate', 'arrivalDate']
+  });
+
+  const horizon = until || (nextLaunch && nextLaunch.launchDate);
+  if (!horizon) {
+    throw new ValidationError('UNTIL_REQUIRED', 'No scheduled launch ahead. Provide until (ISO 8601)');
+  }
+  if (horizon <= currentTime) {
+    throw new ValidationError('INVALID_UNTIL', 'until must be in the future', { until: horizon, now: currentTime });
+  }
+
+  const hours = (horizon.getTime() - currentTime.getTime()) / (60 * 60 * 1000);
+  const resources = await getAllResourcesService({ habitatId });
+
+  const outlook = resources.map(resource => {
+    const { forecast } = resource;
+    const rate = forecast.consumptionPerHour;
+    const deliveries = forecast.pendingDeliveries
+      .filter(d => new Date(d.arrivalDate) <= horizon);
+    const empty = forecast.projections && forecast.projections.empty;
+    const critical = forecast.projections && forecast.projections.critical;
+
+    return {
+      id: resource.id,
+      habitatId: resource.habitatId,
+      resourceData: resource.resourceData,
+      quantity: resource.quantity,
+      unit: resource.unit,
+      criticalLevel: resource.criticalLevel,
+      consumptionPerHour: rate,
+      deliveriesBeforeHorizon: deliveries,
+      projectedStock: rate !== null
+        ? projectStockAt(resource.quantity, rate, toDeliveryOffsets(deliveries, currentTime), hours)
+        : null,
+      emptyAt: empty ? empty.projectedAt : null,
+      criticalAt: critical ? critical.projectedAt : null,
+      // null when there is not enough history to estimate consumption
+      survives: rate === null ? null : !empty.projectedAt || new Date(empty.projectedAt) > horizon,
+      staysAboveCritical: rate === null ? null : !critical.projectedAt || new Date(critical.projectedAt) > horizon
+    };
+  });
+
+  return {
+    until: horizon,
+    nextLaunch,
+    allSurvive: outlook.every(r => r.survives !== false),
+    resources: outlook
+  };
+};
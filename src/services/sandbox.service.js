@@ -0,0 +1,391 @@
+// Business logic for training drills in sandbox mode: simulated clock, scenarios and injected events
+
+import { sequelize } from '../config/database.config.js';
+import db from '../models/index.js';
+import { now, setClock, getClockState } from '../utils/clock.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+
+const { Resource, ChangeHistory, Scenario, DrillRun } = db;
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+
+const drillNotFound = () => new NotFoundError('DRILL_NOT_FOUND', 'Drill not found');
+const drillAlreadyRunning = (running) => new ConflictError(
+  'DRILL_ALREADY_RUNNING',
+  'A drill is already running',
+  { drillId: running.id }
+);
+
+// Fractional units not yet applied per drill event (continuous events accumulate between ticks)
+const carryByEvent = new Map();
+
+/**
+ * Stamp createdAt/updatedAt with the simulated clock so history, stats and forecasts follow drill time
+ * Explicitly provided timestamps (e.g. imported data) are kept
+ */
+export const registerSimulatedTimestamps = () => {
+  const stamp = (instance) => {
+    const { createdAt, updatedAt } = instance.constructor._timestampAttributes;
+    const simulatedNow = now();
+
+    if (createdAt && instance.isNewRecord && !instance.changed(createdAt)) {
+      instance.dataValues[createdAt] = simulatedNow;
+    }
+    if (updatedAt) {
+      instance.dataValues[updatedAt] = simulatedNow;
+    }
+  };
+
+  sequelize.addHook('beforeCreate', stamp);
+  sequelize.addHook('beforeUpdate', stamp);
+  sequelize.addHook('beforeBulkCreate', (instances) => instances.forEach(stamp));
+};
+
+/**
+ * Helper to check that the resources of drill events exist (the shape of each event is validated by the route schema)
+ * @throws {NotFoundError} RESOURCE_NOT_FOUND
+ */
+const assertEventResources = async (events) => {
+  const resourceIds = [...new Set(events.map(event => event.resourceId))];
+  const found = await Resource.findAll({ where: { id: resourceIds }, attributes: ['id'] });
+  if (found.length !== resourceIds.length) {
+    const missing = resourceIds.filter(id => !found.some(resource => resource.id === id));
+    throw new NotFoundError('RESOURCE_NOT_FOUND', 'Resource not found for a drill event', { resourceIds: missing });
+  }
+};
+
+/**
+ * Helper to keep only the known fields of an event (with defaults)
+ */
+const normalizeEvent = (event) => ({
+  type: event.type,
+  resourceId: event.resourceId,
+  label: event.label || null,
+  startMinute: event.startMinute || 0,
+  durationMinutes: event.durationMinutes ?? null,
+  ...(event.type === 'leak' && { percentPerHour: event.percentPerHour }),
+  ...(event.type === 'drain' && { unitsPerHour: event.unitsPerHour }),
+  ...(event.type === 'step' && { amount: event.amount })
+});
+
+/**
+ * Helper to compute the raw (fractional) stock change of an event between two simulated instants
+ * Positive values remove stock, negative values add it
+ */
+const getEventLoss = (event, quantity, drillStart, from, to) => {
+  const start = drillStart + event.startMinute * MS_PER_MINUTE;
+
+  if (event.type === 'step') {
+    return start >= from && start < to ? -event.amount : 0;
+  }
+
+  const end = event.durationMinutes !== null ? start + event.durationMinutes * MS_PER_MINUTE : Infinity;
+  const overlap = Math.min(to, end) - Math.max(from, start);
+  if (overlap <= 0) {
+    return 0;
+  }
+
+  const hours = overlap / MS_PER_HOUR;
+  if (event.type === 'leak') {
+    return quantity * (1 - (1 - event.percentPerHour / 100) ** hours);
+  }
+  return event.unitsPerHour * hours;
+};
+
+/**
+ * Helper to apply a drill event delta through the ledger (stock never goes below zero)
+ */
+const applyEventDelta = async (drill, event, delta) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const resource = await Resource.findByPk(event.resourceId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!resource) {
+      await transaction.rollback();
+      return;
+    }
+
+    const previousStock = resource.quantity;
+    const newStock = Math.max(0, previousStock + delta);
+    if (newStock === previousStock) {
+      await transaction.rollback();
+      return;
+    }
+
+    resource.quantity = newStock;
+    await resource.save({ transaction });
+
+    await ChangeHistory.create({
+      stock: newStock,
+      previousStock,
+      delta: newStock - previousStock,
+      resourceId: resource.resourceDataId,
+      changeType: newStock < previousStock ? 'consume' : 'replenish',
+      reason: event.type === 'leak' ? 'leak' : null,
+      source: 'sandbox',
+      operator: `drill:${drill.id}${event.label ? ` ${event.label}` : ''}`
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Advance the running drill up to the current simulated time
+ * Called by the monitoring cron on every sandbox tick, before the snapshot is recorded
+ * @returns {Object|null} Summary of the tick or null if no drill is running
+ */
+export const advanceDrillService = async () => {
+  const drill = await DrillRun.findOne({ where: { status: 'running' } });
+  if (!drill) {
+    return null;
+  }
+
+  const drillStart = new Date(drill.simStartedAt).getTime();
+  const from = new Date(drill.lastTickAt).getTime();
+  const endAt = drill.durationMinutes !== null ? drillStart + drill.durationMinutes * MS_PER_MINUTE : Infinity;
+  const to = Math.min(now().getTime(), endAt);
+
+  if (to <= from) {
+    return { drillId: drill.id, applied: 0 };
+  }
+
+  let applied = 0;
+  for (const [index, event] of drill.events.entries()) {
+    const resource = await Resource.findByPk(event.resourceId, { attributes: ['quantity'] });
+    if (!resource) continue;
+
+    const key = `${drill.id}:${index}`;
+    const loss = getEventLoss(event, resource.quantity, drillStart, from, to) + (carryByEvent.get(key) || 0);
+    const units = loss > 0 ? Math.floor(loss) : Math.ceil(loss);
+    carryByEvent.set(key, loss - units);
+
+    if (units !== 0) {
+      await applyEventDelta(drill, event, -units);
+      applied++;
+    }
+  }
+
+  drill.lastTickAt = new Date(to);
+  if (to >= endAt) {
+    drill.status = 'completed';
+    drill.simEndedAt = new Date(to);
+  }
+  await drill.save();
+
+  return { drillId: drill.id, applied, status: drill.status };
+};
+
+// Get the simulated clock state
+export const getClockService = () => getClockState();
+
+// Change the simulated clock speed (and optionally jump to a given time)
+export const updateClockService = ({ speed, time }) => {
+  return setClock({ speed, time });
+};
+
+// List scenarios
+export const getAllScenariosService = async () => {
+  return await Scenario.findAll({
+    order: [['name', 'ASC']]
+  });
+};
+
+/**
+ * Get scenario by ID
+ * @throws {NotFoundError} SCENARIO_NOT_FOUND
+ */
+export const getScenarioByIdService = async (id) => {
+  const scenario = await Scenario.findByPk(id);
+  if (!scenario) {
+    throw new NotFoundError('SCENARIO_NOT_FOUND', 'Scenario not found');
+  }
+  return scenario;
+};
+
+/**
+ * Create a reusable scenario
+ * @throws {NotFoundError} RESOURCE_NOT_FOUND
+ */
+export const createScenarioService = async (data) => {
+  const { name, description, events } = data;
+  await assertEventResources(events);
+
+  return await Scenario.create({
+    name,
+    description: description || null,
+    events: events.map(normalizeEvent)
+  });
+};
+
+/**
+ * Helper to create a running drill: captures the inventory baseline and sets the clock speed
+ */
+const createDrill = async ({ name, events, speed, durationMinutes, scenarioId = null, replayOfId = null }) => {
+  const resources = await Resource.findAll({ attributes: ['id', 'quantity'] });
+  setClock({ speed });
+  const simStartedAt = now();
+
+  return await DrillRun.create({
+    scenarioId,
+    replayOfId,
+    name,
+    status: 'running',
+    clockSpeed: speed,
+    durationMinutes: durationMinutes ?? null,
+    simStartedAt,
+    lastTickAt: simStartedAt,
+    baseline: resources.map(r => ({ resourceId: r.id, quantity: r.quantity })),
+    events
+  });
+};
+
+/**
+ * Start a drill, optionally from a scenario
+ * @param {Object} data - { scenarioId?, name?, speed?, durationMinutes? }
+ * @throws {ConflictError} DRILL_ALREADY_RUNNING
+ * @throws {NotFoundError} SCENARIO_NOT_FOUND
+ */
+export const startDrillService = async (data) => {
+  const { scenarioId, name, speed = getClockState().speed, durationMinutes } = data;
+
+  const running = await DrillRun.findOne({ where: { status: 'running' } });
+  if (running) {
+    throw drillAlreadyRunning(running);
+  }
+
+  const scenario = scenarioId ? await getScenarioByIdService(scenarioId) : null;
+
+  return await createDrill({
+    name: name || (scenario ? scenario.name : 'Ad-hoc drill'),
+    events: scenario ? scenario.events : [],
+    speed,
+    durationMinutes,
+    scenarioId: scenario ? scenario.id : null
+  });
+};
+
+/**
+ * Inject an event into the running drill
+ * Without startMinute the event starts now (offset from the drill start), so replays reproduce it
+ * @throws {ConflictError} NO_RUNNING_DRILL
+ * @throws {NotFoundError} RESOURCE_NOT_FOUND
+ */
+export const injectEventService = async (event) => {
+  const drill = await DrillRun.findOne({ where: { status: 'running' } });
+  if (!drill) {
+    throw new ConflictError('NO_RUNNING_DRILL', 'No drill is running');
+  }
+  await assertEventResources([event]);
+
+  const elapsedMinutes = (now().getTime() - new Date(drill.simStartedAt).getTime()) / MS_PER_MINUTE;
+  const candidate = { ...event, startMinute: event.startMinute ?? Math.round(elapsedMinutes * 100) / 100 };
+
+  // Reassign so Sequelize detects the JSON change
+  drill.events = [...drill.events, normalizeEvent(candidate)];
+  await drill.save();
+
+  return drill;
+};
+
+/**
+ * Stop a running drill
+ * @throws {NotFoundError} DRILL_NOT_FOUND
+ * @throws {ConflictError} DRILL_NOT_RUNNING
+ */
+export const stopDrillService = async (id) => {
+  const drill = await DrillRun.findByPk(id);
+  if (!drill) {
+    throw drillNotFound();
+  }
+  if (drill.status !== 'running') {
+    throw new ConflictError('DRILL_NOT_RUNNING', 'Drill is not running', { status: drill.status });
+  }
+
+  drill.status = 'stopped';
+  drill.simEndedAt = now();
+  await drill.save();
+
+  return drill;
+};
+
+/**
+ * Replay a finished drill: restore its inventory baseline and run the same events again
+ * (scenario events plus the ones injected during the original run, at their recorded offsets)
+ * @throws {NotFoundError} DRILL_NOT_FOUND
+ * @throws {ConflictError} DRILL_ALREADY_RUNNING
+ */
+export const replayDrillService = async (id, { speed } = {}) => {
+  const original = await DrillRun.findByPk(id);
+  if (!original) {
+    throw drillNotFound();
+  }
+
+  const running = await DrillRun.findOne({ where: { status: 'running' } });
+  if (running) {
+    throw drillAlreadyRunning(running);
+  }
+
+  // Restore the baseline through the ledger so the reset is visible in history
+  for (const { resourceId, quantity } of original.baseline) {
+    const resource = await Resource.findByPk(resourceId);
+    if (!resource || resource.quantity === quantity) continue;
+
+    const transaction = await sequelize.transaction();
+    try {
+      const previousStock = resource.quantity;
+      resource.quantity = quantity;
+      await resource.save({ transaction });
+      await ChangeHistory.create({
+        stock: quantity,
+        previousStock,
+        delta: quantity - previousStock,
+        resourceId: resource.resourceDataId,
+        changeType: 'update',
+        reason: 'correction',
+        source: 'sandbox',
+        operator: `drill:${original.id} replay reset`
+      }, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  return await createDrill({
+    name: `Replay of ${original.name}`,
+    events: original.events,
+    speed: speed ?? original.clockSpeed,
+    durationMinutes: original.durationMinutes,
+    scenarioId: original.scenarioId,
+    replayOfId: original.id
+  });
+};
+
+// List drill runs (newest first)
+export const getAllDrillsService = async () => {
+  return await DrillRun.findAll({
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+/**
+ * Get drill run by ID
+ * @throws {NotFoundError} DRILL_NOT_FOUND
+ */
+export const getDrillByIdService = async (id) => {
+  const drill = await DrillRun.findByPk(id);
+  if (!drill) {
+    throw drillNotFound();
+  }
+  return drill;
+};
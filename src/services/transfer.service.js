@@ -0,0 +1,345 @@
+// Business logic for transfers between bases: dispatch debits the origin, receipt credits the destination
+// Both ledger entries are 'transfer' movements of the unassigned stock that share the transfer's transferId
+
+import { randomUUID } from 'crypto';
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { now } from '../utils/clock.js';
+import { emitWebhookEvent } from './webhook.service.js';
+import { assertNotCatalogManagedService } from './part.service.js';
+import { emitHabitatEvent } from '../sockets/resource.socket.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import {
+  PENDING_TRANSFER_STATUSES,
+  TRANSFER_STATUS_TRANSITIONS
+} from '../constants/habitat.constants.js';
+
+const { sequelize, Habitat, HabitatTransfer, Resource, ResourceData, LocationStock, ChangeHistory } = db;
+
+const habitatAttributes = ['id', 'code', 'name'];
+
+const transferResourceInclude = (as) => ({
+  model: Resource,
+  as,
+  attributes: ['id', 'resourceDataId', 'quantity'],
+  include: [{
+    model: ResourceData,
+    as: 'resourceData',
+    attributes: ['id', 'name', 'category', 'habitatId']
+  }]
+});
+
+const transferInclude = [
+  { model: Habitat, as: 'fromHabitat', attributes: habitatAttributes },
+  { model: Habitat, as: 'toHabitat', attributes: habitatAttributes },
+  transferResourceInclude('fromResource'),
+  transferResourceInclude('toResource')
+];
+
+const transferNotFound = () => new NotFoundError('TRANSFER_NOT_FOUND', 'Transfer not found');
+
+/**
+ * Helper to publish a status change of a transfer (WebSocket clients of both bases and webhooks)
+ */
+const emitTransferStatusChanged = (transfer, previousStatus) => {
+  const payload = {
+    transfer: transfer.toJSON(),
+    previousStatus,
+    timestamp: now().toISOString()
+  };
+
+  emitHabitatEvent(global.io, 'transfer:status_changed', payload, [transfer.fromHabitatId, transfer.toHabitatId]);
+  emitWebhookEvent('transfer:status_changed', payload);
+};
+
+/**
+ * Helper to record a transfer movement of the unassigned stock of a resource (inside the caller's transaction)
+ * Withdrawals can only use stock that is not held in any storage location
+ */
+const applyTransferMovement = async (resource, delta, { transferId, operator, transaction }) => {
+  const previousStock = resource.quantity;
+  const newStock = previousStock + delta;
+
+  if (newStock < 0) {
+    throw new ConflictError(
+      'INSUFFICIENT_STOCK',
+      'Insufficient stock. The transfer would leave the resource below zero',
+      { available: previousStock }
+    );
+  }
+  if (delta < 0) {
+    const allocated = await LocationStock.sum('quantity', { where: { resourceId: resource.id }, transaction }) || 0;
+    if (newStock < allocated) {
+      throw new ConflictError(
+        'LOCATION_REQUIRED',
+        'Not enough unassigned stock. Move the cargo out of its storage locations first',
+        { unassigned: previousStock - allocated }
+      );
+    }
+  }
+
+  resource.quantity = newStock;
+  await resource.save({ transaction });
+
+  return await ChangeHistory.create({
+    stock: newStock,
+    previousStock,
+    delta,
+    resourceId: resource.resourceDataId,
+    changeType: 'transfer',
+    source: 'api',
+    operator,
+    transferId
+  }, { transaction });
+};
+
+/**
+ * Helper to find the resource of the destination base with the same name and category
+ */
+const findMatchingResource = async (resourceData, habitatId, transaction) => {
+  const match = await ResourceData.findOne({
+    where: { name: resourceData.name, category: resourceData.category, habitatId },
+    include: [{ model: Resource, as: 'resource', attributes: ['id'] }],
+    transaction
+  });
+
+  return match?.resource || null;
+};
+
+/**
+ * Helper to lock a transfer and check that it can move to the next status
+ * @throws {NotFoundError} TRANSFER_NOT_FOUND
+ * @throws {ConflictError} INVALID_TRANSFER_STATUS
+ */
+const lockTransferFor = async (id, status, transaction) => {
+  const transfer = await HabitatTransfer.findByPk(id, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!transfer) {
+    throw transferNotFound();
+  }
+  if (!TRANSFER_STATUS_TRANSITIONS[transfer.status].includes(status)) {
+    throw new ConflictError(
+      'INVALID_TRANSFER_STATUS',
+      `Cannot move a transfer from ${transfer.status} to ${status}`,
+      { status: transfer.status, allowed: TRANSFER_STATUS_TRANSITIONS[transfer.status] }
+    );
+  }
+  return transfer;
+};
+
+/**
+ * Helper to run a status change in a transaction, then reload the transfer and publish the change
+ * @param {Function} apply - async (transfer, transaction) => void; updates the locked transfer
+ */
+const changeTransferStatus = async (id, status, apply) => {
+  const transaction = await sequelize.transaction();
+  let previousStatus;
+  let transfer;
+
+  try {
+    transfer = await lockTransferFor(id, status, transaction);
+    previousStatus = transfer.status;
+    await apply(transfer, transaction);
+    transfer.status = status;
+    await transfer.save({ transaction });
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await transfer.reload({ include: transferInclude });
+  emitTransferStatusChanged(transfer, previousStatus);
+  return transfer;
+};
+
+/**
+ * List transfers, most recent first
+ * @param {Object} filters - { habitatId (from or to the base), direction (outgoing, incoming), status (or pending), resourceId, limit }
+ */
+export const getTransfersService = async ({ habitatId, direction, status, resourceId, limit } = {}) => {
+  const where = {};
+
+  if (habitatId) {
+    if (direction === 'outgoing') {
+      where.fromHabitatId = habitatId;
+    } else if (direction === 'incoming') {
+      where.toHabitatId = habitatId;
+    } else {
+      where[Op.or] = [{ fromHabitatId: habitatId }, { toHabitatId: habitatId }];
+    }
+  }
+  if (status) {
+    where.status = status === 'pending' ? { [Op.in]: PENDING_TRANSFER_STATUSES } : status;
+  }
+  if (resourceId) {
+    where[Op.and] = [{ [Op.or]: [{ fromResourceId: resourceId }, { toResourceId: resourceId }] }];
+  }
+
+  return await HabitatTransfer.findAll({
+    where,
+    include: transferInclude,
+    order: [['dispatchedAt', 'DESC'], ['id', 'DESC']],
+    limit
+  });
+};
+
+// Get a transfer with its ledger entries at both bases
+export const getTransferByIdService = async (id) => {
+  const transfer = await HabitatTransfer.findByPk(id, { include: transferInclude });
+  if (!transfer) {
+    throw transferNotFound();
+  }
+
+  const entries = await ChangeHistory.findAll({
+    where: { transferId: transfer.transferId },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  return { ...transfer.toJSON(), entries };
+};
+
+/**
+ * Dispatch cargo to another base: debits the unassigned stock of the origin resource right away
+ * (uses transaction with row lock). The destination resource is the one with the same name and category
+ * at the destination base; if that base does not track it yet, it is created on receipt
+ * @param {Object} data - { resourceId, toHabitatId, quantity, notes? }
+ * @param {String} operator - Username dispatching the cargo
+ * @returns {Object} { transfer, entry }
+ */
+export const dispatchTransferService = async (data, operator) => {
+  const { resourceId, toHabitatId, quantity, notes = null } = data;
+
+  const destination = await Habitat.findByPk(toHabitatId);
+  if (!destination) {
+    throw new NotFoundError('HABITAT_NOT_FOUND', 'Destination habitat not found');
+  }
+
+  const transaction = await sequelize.transaction();
+  let transfer;
+  let entry;
+
+  try {
+    const resource = await Resource.findByPk(resourceId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!resource) {
+      throw new NotFoundError('RESOURCE_NOT_FOUND', 'Resource not found');
+    }
+    await assertNotCatalogManagedService(resource.id, transaction);
+
+    const resourceData = await ResourceData.findByPk(resource.resourceDataId, { transaction });
+    if (resourceData.habitatId === destination.id) {
+      throw new ValidationError('SAME_HABITAT', 'The resource is already at the destination habitat');
+    }
+
+    const transferId = randomUUID();
+    entry = await applyTransferMovement(resource, -quantity, { transferId, operator, transaction });
+
+    const target = await findMatchingResource(resourceData, destination.id, transaction);
+    transfer = await HabitatTransfer.create({
+      transferId,
+      fromHabitatId: resourceData.habitatId,
+      toHabitatId: destination.id,
+      fromResourceId: resource.id,
+      toResourceId: target ? target.id : null,
+      quantity,
+      status: 'dispatched',
+      dispatchedAt: now(),
+      dispatchedBy: operator,
+      notes
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await transfer.reload({ include: transferInclude });
+  emitTransferStatusChanged(transfer, null);
+  return { transfer, entry };
+};
+
+// Mark dispatched cargo as on its way (it can no longer be cancelled)
+export const departTransferService = async (id) => {
+  return await changeTransferStatus(id, 'in_transit', async (transfer) => {
+    transfer.departedAt = now();
+  });
+};
+
+/**
+ * Receive cargo at the destination base: credits the destination resource with a 'transfer' entry
+ * sharing the transferId. A resource the destination base does not track yet is created
+ * (same name, category and levels as the origin, starting at zero)
+ */
+export const receiveTransferService = async (id, operator) => {
+  return await changeTransferStatus(id, 'received', async (transfer, transaction) => {
+    let targetId = transfer.toResourceId;
+
+    if (!targetId) {
+      const origin = await Resource.findByPk(transfer.fromResourceId, {
+        include: [{ model: ResourceData, as: 'resourceData' }],
+        transaction
+      });
+      const existing = await findMatchingResource(origin.resourceData, transfer.toHabitatId, transaction);
+
+      if (existing) {
+        targetId = existing.id;
+      } else {
+        const resourceData = await ResourceData.create({
+          name: origin.resourceData.name,
+          category: origin.resourceData.category,
+          habitatId: transfer.toHabitatId
+        }, { transaction });
+        const created = await Resource.create({
+          resourceDataId: resourceData.id,
+          quantity: 0,
+          minimumLevel: origin.minimumLevel,
+          criticalLevel: origin.criticalLevel,
+          maximumLevel: origin.maximumLevel
+        }, { transaction });
+        targetId = created.id;
+      }
+    }
+
+    const target = await Resource.findByPk(targetId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    await applyTransferMovement(target, transfer.quantity, {
+      transferId: transfer.transferId,
+      operator,
+      transaction
+    });
+
+    transfer.toResourceId = target.id;
+    transfer.receivedAt = now();
+    transfer.receivedBy = operator;
+  });
+};
+
+/**
+ * Cancel a transfer that has not departed: the cargo goes back to the origin resource
+ * with a 'transfer' entry sharing the transferId
+ */
+export const cancelTransferService = async (id, operator) => {
+  return await changeTransferStatus(id, 'cancelled', async (transfer, transaction) => {
+    const origin = await Resource.findByPk(transfer.fromResourceId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    await applyTransferMovement(origin, transfer.quantity, {
+      transferId: transfer.transferId,
+      operator,
+      transaction
+    });
+
+    transfer.cancelledAt = now();
+    transfer.cancelledBy = operator;
+  });
+};
@@ -0,0 +1,348 @@
+// Business logic for outbound webhooks: subscriptions, signed deliveries, retries with backoff and redelivery
+
+import { randomBytes, randomUUID } from 'crypto';
+import { Op } from 'sequelize';
+import Webhook from '../models/webhook.js';
+import WebhookDelivery from '../models/webhookDelivery.js';
+import { now } from '../utils/clock.js';
+import { signWebhookPayload, getRetryDelayMs } from '../utils/webhook.util.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+import { ALL_WEBHOOK_EVENTS, WEBHOOK_SETTINGS } from '../constants/webhook.constants.js';
+
+const webhookNotFound = () => new NotFoundError('WEBHOOK_NOT_FOUND', 'Webhook not found');
+
+const generateSecret = () => randomBytes(32).toString('hex');
+
+/**
+ * Helper to check whether a webhook is subscribed to an event type
+ */
+const isSubscribed = (webhook, event) => {
+  return webhook.events.includes(ALL_WEBHOOK_EVENTS) || webhook.events.includes(event);
+};
+
+/**
+ * Helper for the lease taken while an attempt is in flight (keeps the retry cron from picking it up)
+ * Delivery scheduling uses real time, also in sandbox mode: retries wait for real receivers
+ */
+const leaseUntil = () => new Date(Date.now() + WEBHOOK_SETTINGS.timeoutMs * 2);
+
+/**
+ * Helper to renew the lease of a pending delivery right before attempting it
+ * Only succeeds if nobody else took it in the meantime (retry cron, manual redelivery)
+ * @returns {Boolean} Whether the delivery was claimed
+ */
+const claimDelivery = async (delivery) => {
+  const [claimed] = await WebhookDelivery.update(
+    { nextAttemptAt: leaseUntil() },
+    { where: { id: delivery.id, status: 'pending', nextAttemptAt: delivery.nextAttemptAt } }
+  );
+  return claimed > 0;
+};
+
+/**
+ * POST a delivery to its webhook and record the outcome
+ * 2xx = succeeded; otherwise retried with exponential backoff until maxAttempts, then failed
+ * @param {Object} delivery - WebhookDelivery
+ * @param {Object} webhook - Webhook (with secret)
+ */
+const attemptDelivery = async (delivery, webhook) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AresFrontier-Webhooks/1.0',
+        'X-Ares-Event': delivery.event,
+        'X-Ares-Delivery': delivery.eventId,
+        'X-Ares-Timestamp': String(timestamp),
+        'X-Ares-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_SETTINGS.timeoutMs)
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(0, WEBHOOK_SETTINGS.maxResponseBodyLength);
+    delivery.error = response.ok ? null : `Receiver responded with HTTP ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.responseBody = null;
+    delivery.error = error.name === 'TimeoutError'
+      ? `No response after ${WEBHOOK_SETTINGS.timeoutMs} ms`
+      : error.cause?.message || error.message;
+  }
+
+  if (!delivery.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts >= WEBHOOK_SETTINGS.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(delivery.attempts));
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Create a delivery per subscribed active webhook for each event and attempt them right away
+ * @param {Array} events - [{ event, data }]
+ * @returns {Array} Deliveries created
+ */
+export const queueWebhookEventsService = async (events) => {
+  if (events.length === 0) {
+    return [];
+  }
+
+  const webhooks = await Webhook.findAll({ where: { active: true } });
+  if (webhooks.length === 0) {
+    return [];
+  }
+
+  const createdAt = now().toISOString();
+  const rows = [];
+  const targets = [];
+
+  events.forEach(({ event, data }) => {
+    const payload = { id: randomUUID(), event, createdAt, data };
+    webhooks.filter(webhook => isSubscribed(webhook, event)).forEach(webhook => {
+      rows.push({
+        webhookId: webhook.id,
+        eventId: payload.id,
+        event,
+        payload,
+        nextAttemptAt: leaseUntil()
+      });
+      targets.push(webhook);
+    });
+  });
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const deliveries = await WebhookDelivery.bulkCreate(rows);
+
+  // One receiver at a time, so a slow endpoint cannot flood the event loop with requests
+  // Each lease is renewed just before its attempt: the creation lease of the last rows can expire
+  // while earlier receivers are slow, and the retry cron may have picked them up by then
+  for (let i = 0; i < deliveries.length; i++) {
+    if (!(await claimDelivery(deliveries[i]))) continue;
+    await attemptDelivery(deliveries[i], targets[i]);
+  }
+
+  return deliveries;
+};
+
+/**
+ * Fire-and-forget version for event sources (sockets, alerts, cron): delivery never blocks or breaks them
+ * @param {String} event - Event type (see WEBHOOK_EVENTS)
+ * @param {Object} data - Event data
+ */
+export const emitWebhookEvent = (event, data) => {
+  emitWebhookEvents([{ event, data }]);
+};
+
+export const emitWebhookEvents = (events) => {
+  queueWebhookEventsService(events).catch(error => {
+    console.error('[WEBHOOK] Error queueing deliveries:', error.message);
+  });
+};
+
+/**
+ * Retry pending deliveries whose backoff has elapsed (called by the webhook cron)
+ * @returns {Object} { attempted, succeeded, failed }
+ */
+export const retryWebhookDeliveriesService = async () => {
+  const due = await WebhookDelivery.findAll({
+    where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+    order: [['nextAttemptAt', 'ASC']],
+    limit: WEBHOOK_SETTINGS.retryBatchSize,
+    include: [{ model: Webhook, as: 'webhook' }]
+  });
+
+  const summary = { attempted: 0, succeeded: 0, failed: 0 };
+
+  for (const delivery of due) {
+    if (!(await claimDelivery(delivery))) continue;
+
+    // Deactivated webhooks keep their pending deliveries until reactivated
+    if (!delivery.webhook.active) continue;
+
+    const result = await attemptDelivery(delivery, delivery.webhook);
+    summary.attempted++;
+    if (result.status === 'succeeded') summary.succeeded++;
+    if (result.status === 'failed') summary.failed++;
+  }
+
+  return summary;
+};
+
+/**
+ * Delete finished deliveries (succeeded or failed) older than the retention (called by the cleanup cron)
+ * Pending deliveries are kept whatever their age, so nothing still to be retried is lost
+ * @returns {Number} Deliveries deleted
+ */
+export const pruneWebhookDeliveriesService = async () => {
+  const cutoff = new Date(Date.now() - WEBHOOK_SETTINGS.deliveryRetentionDays * 24 * 60 * 60 * 1000);
+
+  return await WebhookDelivery.destroy({
+    where: {
+      status: { [Op.in]: ['succeeded', 'failed'] },
+      createdAt: { [Op.lt]: cutoff }
+    }
+  });
+};
+
+// Get all webhooks (secrets are never returned)
+export const getAllWebhooksService = async () => {
+  return await Webhook.findAll({ order: [['id', 'ASC']] });
+};
+
+// Get a webhook by ID
+export const getWebhookByIdService = async (id) => {
+  const webhook = await Webhook.findByPk(id);
+
+  if (!webhook) {
+    throw webhookNotFound();
+  }
+
+  return webhook;
+};
+
+/**
+ * Create a webhook subscription; a secret is generated when not provided
+ * @param {Object} data - { url, events, secret?, description?, active? }
+ * @returns {Object} Webhook including the secret (only shown here and when rotated)
+ */
+export const createWebhookService = async (data, createdBy) => {
+  const { url, events, secret, description, active } = data;
+
+  const webhook = await Webhook.create({
+    url,
+    events: [...new Set(events)],
+    secret: secret || generateSecret(),
+    description: description || null,
+    active,
+    createdBy
+  });
+
+  return { ...webhook.toJSON(), secret: webhook.secret };
+};
+
+/**
+ * Update a webhook subscription
+ * @param {Object} data - { url?, events?, description?, active?, rotateSecret? }
+ * @returns {Object} Webhook, including the new secret when rotated
+ */
+export const updateWebhookService = async (id, data) => {
+  const webhook = await Webhook.findByPk(id);
+  if (!webhook) {
+    throw webhookNotFound();
+  }
+
+  const { url, events, description, active, rotateSecret } = data;
+  if (url !== undefined) webhook.url = url;
+  if (events !== undefined) webhook.events = [...new Set(events)];
+  if (description !== undefined) webhook.description = description;
+  if (active !== undefined) webhook.active = active;
+  if (rotateSecret) webhook.secret = generateSecret();
+  await webhook.save();
+
+  return rotateSecret ? { ...webhook.toJSON(), secret: webhook.secret } : webhook;
+};
+
+// Delete a webhook and its delivery log
+export const deleteWebhookService = async (id) => {
+  const webhook = await Webhook.findByPk(id);
+  if (!webhook) {
+    throw webhookNotFound();
+  }
+
+  await webhook.destroy();
+};
+
+/**
+ * Send a ping event to a webhook regardless of its subscriptions (to test a receiver)
+ * @returns {Object} The delivery with the receiver's response
+ */
+export const pingWebhookService = async (id, requestedBy) => {
+  const webhook = await Webhook.findByPk(id);
+  if (!webhook) {
+    throw webhookNotFound();
+  }
+
+  const payload = {
+    id: randomUUID(),
+    event: 'ping',
+    createdAt: now().toISOString(),
+    data: { webhookId: webhook.id, requestedBy }
+  };
+  const delivery = await WebhookDelivery.create({
+    webhookId: webhook.id,
+    eventId: payload.id,
+    event: payload.event,
+    payload,
+    nextAttemptAt: leaseUntil()
+  });
+
+  return await attemptDelivery(delivery, webhook);
+};
+
+/**
+ * Get the delivery log of a webhook (newest first)
+ * @param {Object} filters - { status, event, limit }
+ */
+export const getWebhookDeliveriesService = async (id, { status, event, limit = 100 } = {}) => {
+  const webhook = await Webhook.findByPk(id);
+  if (!webhook) {
+    throw webhookNotFound();
+  }
+
+  return await WebhookDelivery.findAll({
+    where: {
+      webhookId: id,
+      ...(status && { status }),
+      ...(event && { event })
+    },
+    order: [['createdAt', 'DESC']],
+    limit
+  });
+};
+
+/**
+ * Manually redeliver an event: a new delivery with the same payload is attempted now
+ * (same event id, so receivers that already processed it can skip it)
+ * @returns {Object} The new delivery with the receiver's response
+ */
+export const redeliverWebhookDeliveryService = async (deliveryId) => {
+  const original = await WebhookDelivery.findByPk(deliveryId, {
+    include: [{ model: Webhook, as: 'webhook' }]
+  });
+  if (!original) {
+    throw new NotFoundError('DELIVERY_NOT_FOUND', 'Webhook delivery not found');
+  }
+  if (!original.webhook.active) {
+    throw new ConflictError('WEBHOOK_INACTIVE', 'Activate the webhook before redelivering');
+  }
+
+  const delivery = await WebhookDelivery.create({
+    webhookId: original.webhookId,
+    eventId: original.eventId,
+    event: original.event,
+    payload: original.payload,
+    nextAttemptAt: leaseUntil(),
+    redeliveryOf: original.id
+  });
+
+  return await attemptDelivery(delivery, original.webhook);
+};
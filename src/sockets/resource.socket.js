@@ -0,0 +1,280 @@
+// Real-time resource updates: room subscriptions (global and per base), diff-based change events and resync by sequence number
+
+import { now } from '../utils/clock.js';
+import { emitWebhookEvents } from '../services/webhook.service.js';
+
+const VALID_CATEGORIES = ['food', 'oxygen', 'water', 'spare_parts'];
+
+// Fields compared between snapshots to build resource:changed events
+const TRACKED_FIELDS = ['quantity', 'status', 'minimumLevel', 'criticalLevel', 'maximumLevel'];
+
+// Number of past events kept in memory so reconnecting clients can catch up
+const EVENT_BUFFER_SIZE = 1000;
+
+const ALL_ROOM = 'resources:all';
+
+// Sockets not scoped to a base receive the base events (alerts, anomalies, transfers) of every base
+const ALL_HABITATS_EVENTS_ROOM = 'habitats:all:events';
+
+let sequence = 0;
+const lastSnapshot = new Map();
+const eventBuffer = [];
+
+const resourceRoom = (id) => `resource:${id}`;
+const categoryRoom = (category) => `category:${category}`;
+const habitatRoom = (habitatId) => `habitat:${habitatId}`;
+const habitatCategoryRoom = (habitatId, category) => `habitat:${habitatId}:category:${category}`;
+const habitatEventsRoom = (habitatId) => `habitat:${habitatId}:events`;
+
+/**
+ * Helper to build the rooms an event for this resource is delivered to
+ */
+const roomsForResource = (resourceId, category, habitatId) => [
+  ALL_ROOM,
+  resourceRoom(resourceId),
+  categoryRoom(category),
+  habitatRoom(habitatId),
+  habitatCategoryRoom(habitatId, category)
+];
+
+/**
+ * Helper to check whether a socket is subscribed to any room of an event
+ */
+const isSubscribedTo = (socket, event) => {
+  return roomsForResource(event.resourceId, event.category, event.habitatId).some(room => socket.rooms.has(room));
+};
+
+/**
+ * Helper to validate and translate a subscription payload into room names
+ * Sockets connected to a base (handshake auth.habitat) get that base's rooms for all and categories,
+ * and can only name their own base in habitatIds (resourceIds are checked by the caller)
+ * @param {Object} payload - { all?: boolean, categories?: string[], resourceIds?: number[], habitatIds?: number[] }
+ * @param {Number} habitatId - Base selected in the handshake, if any
+ * @returns {Object} { rooms, resourceIds } or { error }
+ */
+const parseSubscription = (payload, habitatId = null) => {
+  const { all, categories = [], resourceIds = [], habitatIds = [] } = payload ?? {};
+
+  if (!Array.isArray(categories) || categories.some(c => !VALID_CATEGORIES.includes(c))) {
+    return { error: `Invalid categories. Use: ${VALID_CATEGORIES.join(', ')}` };
+  }
+  if (!Array.isArray(resourceIds) || resourceIds.some(id => !Number.isInteger(id))) {
+    return { error: 'Invalid resourceIds. Must be an array of integers' };
+  }
+  if (!Array.isArray(habitatIds) || habitatIds.some(id => !Number.isInteger(id))) {
+    return { error: 'Invalid habitatIds. Must be an array of integers' };
+  }
+
+  const scoped = habitatId !== null;
+  if (scoped && habitatIds.some(id => id !== habitatId)) {
+    return { error: `Invalid habitatIds. This connection is scoped to habitat ${habitatId}` };
+  }
+
+  return {
+    resourceIds,
+    rooms: [
+      ...(all ? [scoped ? habitatRoom(habitatId) : ALL_ROOM] : []),
+      ...categories.map(category => scoped ? habitatCategoryRoom(habitatId, category) : categoryRoom(category)),
+      ...resourceIds.map(resourceRoom),
+      ...habitatIds.map(habitatRoom)
+    ]
+  };
+};
+
+/**
+ * Emit an event that belongs to one or more bases (alerts, anomalies, transfers) to the sockets of those bases
+ * and to the sockets not scoped to a base
+ * @param {Object} io - Socket.IO server instance
+ * @param {Array} habitatIds - Bases the event belongs to (a transfer belongs to both ends)
+ */
+export const emitHabitatEvent = (io, event, payload, habitatIds) => {
+  if (!io) return;
+  const rooms = [...new Set(habitatIds.filter(Boolean))].map(habitatEventsRoom);
+  io.to([ALL_HABITATS_EVENTS_ROOM, ...rooms]).emit(event, payload);
+};
+
+/**
+ * Helper to get a callable acknowledgement: clients may emit without a callback or with a non-function last argument
+ */
+const toAck = (ack) => (typeof ack === 'function' ? ack : () => {});
+
+// Current sequence number (sent with resources:initial so clients know where they start)
+export const getCurrentSequence = () => sequence;
+
+// Helper to pick the tracked fields of an enriched resource
+const pickTracked = (resource) => Object.fromEntries(TRACKED_FIELDS.map(field => [field, resource[field]]));
+
+/**
+ * Store the current state without emitting (called on startup so the first diff is meaningful)
+ * @param {Array} resources - Resources enriched with levels
+ */
+export const primeResourceSnapshot = (resources) => {
+  resources.forEach(resource => lastSnapshot.set(resource.id, pickTracked(resource)));
+};
+
+/**
+ * Helper to translate resource:changed events into the webhook events they imply
+ * (a single change event can be both a status and a quantity change)
+ */
+const toWebhookEvents = (events) => events.flatMap(event => {
+  const base = {
+    resourceId: event.resourceId,
+    resourceDataId: event.resourceDataId,
+    habitatId: event.habitatId,
+    name: event.name,
+    category: event.category,
+    timestamp: event.timestamp
+  };
+
+  return [
+    ...(event.changes.status ? [{ event: 'resource:status_changed', data: { ...base, ...event.changes.status } }] : []),
+    ...(event.changes.quantity ? [{ event: 'resource:quantity_changed', data: { ...base, ...event.changes.quantity } }] : [])
+  ];
+});
+
+/**
+ * Compare enriched resources with the last published snapshot and emit resource:changed
+ * to the rooms of each changed resource (resources never seen before report previous: null)
+ * Status and quantity changes are also sent to webhook subscribers
+ * @param {Object} io - Socket.IO server instance
+ * @param {Array} resources - Resources enriched with levels
+ */
+export const publishResourceChanges = (io, resources) => {
+  const timestamp = now().toISOString();
+  const events = [];
+
+  resources.forEach(resource => {
+    const previous = lastSnapshot.get(resource.id);
+    const current = pickTracked(resource);
+    lastSnapshot.set(resource.id, current);
+
+    const changes = {};
+    TRACKED_FIELDS.forEach(field => {
+      const before = previous ? previous[field] : null;
+      if (before !== current[field]) {
+        changes[field] = { previous: before, current: current[field] };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) return;
+
+    events.push({
+      sequence: ++sequence,
+      resourceId: resource.id,
+      resourceDataId: resource.resourceDataId,
+      habitatId: resource.habitatId,
+      name: resource.resourceData.name,
+      category: resource.resourceData.category,
+      changes,
+      timestamp
+    });
+  });
+
+  events.forEach(event => {
+    eventBuffer.push(event);
+    if (eventBuffer.length > EVENT_BUFFER_SIZE) {
+      eventBuffer.shift();
+    }
+
+    if (io) {
+      io.to(roomsForResource(event.resourceId, event.category, event.habitatId)).emit('resource:changed', event);
+    }
+  });
+
+  emitWebhookEvents(toWebhookEvents(events));
+
+  return events;
+};
+
+/**
+ * Register subscription and resync handlers for a connected socket
+ * The socket also joins the room of the base events it receives: its base's, or every base's when not scoped
+ * @param {Object} socket - Connected socket
+ * @param {Function} getResources - Loads the current enriched resources of the socket's base, or of every base
+ *   (used for full resyncs and to check the resourceIds a scoped socket subscribes to)
+ */
+export const registerResourceSocketHandlers = (socket, getResources) => {
+  const habitatId = socket.data.habitat ? socket.data.habitat.id : null;
+
+  socket.join(habitatId !== null ? habitatEventsRoom(habitatId) : ALL_HABITATS_EVENTS_ROOM);
+
+  /**
+   * Helper to check that a scoped socket only subscribes to resources of its own base
+   * @returns {Array} IDs in resourceIds that are not resources of the socket's base
+   */
+  const findForeignResources = async (resourceIds) => {
+    if (habitatId === null || resourceIds.length === 0) return [];
+    const ownIds = new Set((await getResources()).map(resource => resource.id));
+    return resourceIds.filter(id => !ownIds.has(id));
+  };
+
+  // subscribe: { all?, categories?, resourceIds?, habitatIds? } -> joins the matching rooms
+  socket.on('subscribe', async (payload, callback) => {
+    const ack = toAck(callback);
+    try {
+      const { rooms, resourceIds, error } = parseSubscription(payload, habitatId);
+      if (error) {
+        return ack({ success: false, message: error });
+      }
+
+      const foreign = await findForeignResources(resourceIds);
+      if (foreign.length > 0) {
+        return ack({ success: false, message: `Invalid resourceIds. Not resources of habitat ${habitatId}: ${foreign.join(', ')}` });
+      }
+
+      socket.join(rooms);
+      ack({ success: true, rooms, sequence });
+    } catch (error) {
+      console.error('[WebSocket] Error during subscribe:', error.message);
+      ack({ success: false, message: 'Subscribe failed' });
+    }
+  });
+
+  // unsubscribe: same payload as subscribe -> leaves the matching rooms
+  socket.on('unsubscribe', (payload, callback) => {
+    const ack = toAck(callback);
+    try {
+      const { rooms, error } = parseSubscription(payload, habitatId);
+      if (error) {
+        return ack({ success: false, message: error });
+      }
+
+      rooms.forEach(room => socket.leave(room));
+      ack({ success: true, rooms, sequence });
+    } catch (error) {
+      console.error('[WebSocket] Error during unsubscribe:', error.message);
+      ack({ success: false, message: 'Unsubscribe failed' });
+    }
+  });
+
+  /**
+   * resync: { lastSequence } -> missed events for the socket's subscriptions,
+   * or a full snapshot when the buffer no longer covers lastSequence
+   */
+  socket.on('resync', async (payload, callback) => {
+    const ack = toAck(callback);
+    try {
+      const { lastSequence } = payload ?? {};
+      const oldestBuffered = eventBuffer.length ? eventBuffer[0].sequence : sequence + 1;
+      const canReplay = Number.isInteger(lastSequence)
+        && lastSequence <= sequence
+        && lastSequence >= oldestBuffered - 1;
+
+      if (canReplay) {
+        const events = eventBuffer.filter(event => event.sequence > lastSequence && isSubscribedTo(socket, event));
+        return ack({ success: true, full: false, events, sequence });
+      }
+
+      const resources = (await getResources()).filter(resource => isSubscribedTo(socket, {
+        resourceId: resource.id,
+        category: resource.resourceData.category,
+        habitatId: resource.habitatId
+      }));
+
+      ack({ success: true, full: true, resources, sequence });
+    } catch (error) {
+      console.error('[WebSocket] Error during resync:', error.message);
+      ack({ success: false, message: 'Resync failed' });
+    }
+  });
+};
@@ -0,0 +1,155 @@
+// Anomaly detection on the ledger: consumption between cron snapshots, unexplained drops and rate spikes
+
+import { ANOMALY_SETTINGS } from '../constants/anomaly.constants.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const round = (value, decimals = 4) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Whether a movement accounts for the change it made (a recorded reason, a process flow or a transfer)
+ */
+const isExplained = (record) => {
+  return Boolean(record.reason) || ANOMALY_SETTINGS.explainedChangeTypes.includes(record.changeType);
+};
+
+/**
+ * Split the ledger of a resource into intervals between consecutive cron snapshots
+ * change: stock difference; inflow: stock added by movements; explained: net change of explained movements
+ * consumption: stock that left the resource (inflow - change); unexplained: change no movement accounts for
+ * @param {Array} records - History records ({ stock, changeType, delta, reason, createdAt }) ordered oldest to newest
+ * @returns {Array} [{ start, end, stockStart, stockEnd, change, inflow, explained, consumption, unexplained }]
+ */
+export const buildSnapshotIntervals = (records) => {
+  const intervals = [];
+  let previous = null;
+  let inflow = 0;
+  let explained = 0;
+
+  (records || []).forEach(record => {
+    if (record.changeType !== 'snapshot') {
+      const delta = Number(record.delta) || 0;
+      if (delta > 0) inflow += delta;
+      if (isExplained(record)) explained += delta;
+      return;
+    }
+
+    if (previous) {
+      const change = Number(record.stock) - Number(previous.stock);
+      intervals.push({
+        start: new Date(previous.createdAt),
+        end: new Date(record.createdAt),
+        stockStart: Number(previous.stock),
+        stockEnd: Number(record.stock),
+        change,
+        inflow,
+        explained,
+        consumption: Math.max(0, inflow - change),
+        unexplained: change - explained
+      });
+    }
+
+    previous = record;
+    inflow = 0;
+    explained = 0;
+  });
+
+  return intervals;
+};
+
+/**
+ * Consumption rate (units/hour) of the intervals ending inside (start, end]
+ * Drops already reported as unexplained steps are left out, so one event is not reported twice
+ * @returns {Number|null} null when the intervals cover less than minWindowCoverage of the window
+ */
+const windowRate = (intervals, start, end, stepThreshold) => {
+  let consumption = 0;
+  let coveredMs = 0;
+
+  intervals.forEach(interval => {
+    if (interval.end <= start || interval.end > end) return;
+    const step = -interval.unexplained >= stepThreshold ? -interval.unexplained : 0;
+    consumption += Math.max(0, interval.consumption - step);
+    coveredMs += interval.end.getTime() - interval.start.getTime();
+  });
+
+  if (coveredMs === 0 || coveredMs < (end.getTime() - start.getTime()) * ANOMALY_SETTINGS.minWindowCoverage) {
+    return null;
+  }
+
+  return consumption / (coveredMs / MS_PER_HOUR);
+};
+
+/**
+ * Check the latest snapshot interval for a drop that no recorded movement explains
+ * @param {Array} intervals - From buildSnapshotIntervals
+ * @param {Number} threshold - Minimum unexplained drop (units)
+ * @returns {Object|null} { windowStart, windowEnd, dropQuantity, quantity } or null
+ */
+export const detectUnexplainedDrop = (intervals, threshold) => {
+  const latest = intervals[intervals.length - 1];
+  if (!latest || latest.unexplained >= 0 || -latest.unexplained < threshold) {
+    return null;
+  }
+
+  return {
+    windowStart: latest.start,
+    windowEnd: latest.end,
+    dropQuantity: round(-latest.unexplained, 2),
+    quantity: latest.stockEnd
+  };
+};
+
+/**
+ * Compare the consumption rate of the recent window with the same-size windows of the baseline before it
+ * A spike needs the recent rate to be rateFactor times the baseline mean, zScore deviations above it
+ * and minExcess units consumed above the baseline during the window
+ * @param {Array} intervals - From buildSnapshotIntervals
+ * @param {Object} options - { now, windowMinutes, rateFactor, zScore, minExcess, stepThreshold }
+ * @returns {Object} { status: 'insufficient_data' | 'normal' | 'spike', observedRate, baselineRate, baselineStdDev, ... }
+ */
+export const evaluateConsumptionRate = (intervals, { now, windowMinutes, rateFactor, zScore, minExcess, stepThreshold }) => {
+  const windowMs = windowMinutes * 60 * 1000;
+  const windowStart = new Date(now.getTime() - windowMs);
+  const baselineWindows = Math.floor(ANOMALY_SETTINGS.baselineHours * MS_PER_HOUR / windowMs);
+
+  const baseline = [];
+  for (let i = 1; i <= baselineWindows; i++) {
+    const end = new Date(windowStart.getTime() - (i - 1) * windowMs);
+    const rate = windowRate(intervals, new Date(end.getTime() - windowMs), end, stepThreshold);
+    if (rate !== null) baseline.push(rate);
+  }
+
+  const observedRate = windowRate(intervals, windowStart, now, stepThreshold);
+  const result = { windowStart, windowEnd: now, baselineWindows: baseline.length };
+
+  if (observedRate === null || baseline.length < ANOMALY_SETTINGS.minBaselineWindows) {
+    return {
+      ...result,
+      status: 'insufficient_data',
+      observedRate: observedRate !== null ? round(observedRate) : null,
+      baselineRate: null,
+      baselineStdDev: null
+    };
+  }
+
+  const mean = baseline.reduce((a, b) => a + b, 0) / baseline.length;
+  const stdDev = Math.sqrt(baseline.reduce((sum, rate) => sum + (rate - mean) ** 2, 0) / baseline.length);
+  const excess = (observedRate - mean) * windowMinutes / 60;
+
+  const isSpike = observedRate >= mean * rateFactor
+    && observedRate >= mean + zScore * stdDev
+    && excess >= minExcess;
+
+  return {
+    ...result,
+    status: isSpike ? 'spike' : 'normal',
+    observedRate: round(observedRate),
+    baselineRate: round(mean),
+    baselineStdDev: round(stdDev),
+    dropQuantity: round(Math.max(0, excess), 2)
+  };
+};
@@ -0,0 +1,47 @@
+// Application clock: real time in production, accelerated and adjustable in sandbox (drill) mode
+
+// Sandbox mode is enabled per instance with SANDBOX_MODE=true
+export const isSandboxMode = () => process.env.SANDBOX_MODE === 'true';
+
+const state = {
+  speed: isSandboxMode() ? Number(process.env.SIM_CLOCK_SPEED) || 60 : 1,
+  anchorReal: Date.now(),
+  anchorSim: Date.now()
+};
+
+/**
+ * Current time as seen by the application
+ * In sandbox mode, simulated time advances `speed` times faster than real time
+ */
+export const now = () => {
+  if (!isSandboxMode()) {
+    return new Date();
+  }
+  return new Date(state.anchorSim + (Date.now() - state.anchorReal) * state.speed);
+};
+
+/**
+ * Change the simulated clock speed and/or jump to a given time (sandbox mode only)
+ * @param {Object} options - { speed?: number, time?: Date }
+ */
+export const setClock = ({ speed, time } = {}) => {
+  if (!isSandboxMode()) {
+    throw new Error('The clock can only be changed in sandbox mode');
+  }
+
+  // Re-anchor so time already elapsed keeps the previous speed
+  state.anchorSim = (time || now()).getTime();
+  state.anchorReal = Date.now();
+  if (speed !== undefined) {
+    state.speed = speed;
+  }
+
+  return getClockState();
+};
+
+// Current clock state (for the sandbox API)
+export const getClockState = () => ({
+  now: now().toISOString(),
+  speed: isSandboxMode() ? state.speed : 1,
+  simulated: isSandboxMode()
+});
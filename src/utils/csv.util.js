@@ -0,0 +1,116 @@
+// Minimal CSV (RFC 4180) and NDJSON helpers for data export/import
+
+/**
+ * Escape a single value for a CSV field (quotes fields with commas, quotes or line breaks)
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row as a CSV line
+ * @param {Array} values - Field values in column order
+ * @returns {String} Line terminated with \n
+ */
+export const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\n`;
+
+/**
+ * Format an object as an NDJSON line
+ * @returns {String} Line terminated with \n
+ */
+export const toNdjsonLine = (record) => `${JSON.stringify(record)}\n`;
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * Supports quoted fields, escaped quotes ("") and CRLF line endings; blank lines are skipped
+ * @param {String} text - CSV content with a header row
+ * @returns {Array} [{ line, values }] where line is the 1-based line number of the row
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push({ line: rowLine, fields: row });
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].fields.map(name => name.trim());
+  return rows.slice(1).map(({ line: rowLineNumber, fields }) => ({
+    line: rowLineNumber,
+    values: Object.fromEntries(header.map((name, index) => [name, fields[index] ?? '']))
+  }));
+};
+
+/**
+ * Parse NDJSON text into objects (one JSON object per line, blank lines skipped)
+ * Lines that are not valid JSON objects are returned with an error instead of values
+ * @returns {Array} [{ line, values }] or [{ line, error }]
+ */
+export const parseNdjson = (text) => {
+  return text.split(/\r?\n/).reduce((rows, content, index) => {
+    if (!content.trim()) {
+      return rows;
+    }
+
+    try {
+      const values = JSON.parse(content);
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        rows.push({ line: index + 1, error: 'Line is not a JSON object' });
+      } else {
+        rows.push({ line: index + 1, values });
+      }
+    } catch {
+      rows.push({ line: index + 1, error: 'Invalid JSON' });
+    }
+    return rows;
+  }, []);
+};
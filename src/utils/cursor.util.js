@@ -0,0 +1,29 @@
+// Opaque cursors for keyset pagination over (createdAt, id)
+
+/**
+ * Encode the position of a record as an opaque cursor
+ * @param {Object} record - Any record with createdAt and id
+ * @returns {String} base64url token
+ */
+export const encodeCursor = (record) => {
+  const createdAt = new Date(record.createdAt).toISOString();
+  return Buffer.from(JSON.stringify([createdAt, record.id])).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @returns {Object|null} { createdAt, id } or null if the token is not a valid cursor
+ */
+export const decodeCursor = (token) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+
+    if (Number.isNaN(date.getTime()) || !Number.isInteger(id) || id <= 0) {
+      return null;
+    }
+    return { createdAt: date, id };
+  } catch {
+    return null;
+  }
+};
@@ -1,35 +1,57 @@
+import { AppError } from './errors.js';
+
 /**
  * Centralized error handler for API responses
+ * Domain errors (AppError) keep their own status, code and message; anything else is mapped here
+ * Response body: { success: false, code, message, details }
  * @param {Object} res - Express response object
  * @param {String} message - User-friendly error message
  * @param {Error} error - Original error object
  */
 export const errorHandler = (res, message = 'Server error', error) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({
+      success: false,
+      code: error.code,
+      message: error.message,
+      details: error.details
+    });
+  }
+
   console.error(`[ERROR] ${message}:`, error);
-  
+
   // Determine status code based on error type
   let statusCode = 500;
-  
+  let code = 'INTERNAL_ERROR';
+  let details = null;
+
   if (error.name === 'SequelizeValidationError') {
     statusCode = 400;
+    code = 'VALIDATION_ERROR';
     message = 'Validation error: ' + error.errors.map(e => e.message).join(', ');
+    details = error.errors.map(e => ({ path: e.path, message: e.message }));
   } else if (error.name === 'SequelizeUniqueConstraintError') {
     statusCode = 409;
+    code = 'ALREADY_EXISTS';
     message = 'Resource already exists';
   } else if (error.name === 'SequelizeForeignKeyConstraintError') {
     statusCode = 400;
+    code = 'INVALID_REFERENCE';
     message = 'Invalid reference to related resource';
   } else if (error.name === 'SequelizeDatabaseError') {
     statusCode = 500;
+    code = 'DATABASE_ERROR';
     message = 'Database error occurred';
   }
-  
-  res.status(statusCode).json({ 
+
+  res.status(statusCode).json({
     success: false,
+    code,
     message,
-    ...(process.env.NODE_ENV === 'development' && { 
+    details,
+    ...(process.env.NODE_ENV === 'development' && {
       error: error.message,
-      stack: error.stack 
+      stack: error.stack
     })
   });
 };
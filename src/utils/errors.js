@@ -0,0 +1,56 @@
+/**
+ * Typed domain errors thrown by services and validation middlewares
+ * errorHandler turns them into { success: false, code, message, details } with their status code,
+ * so clients can switch on a stable code instead of parsing messages
+ */
+
+export class AppError extends Error {
+  /**
+   * @param {String} code - Stable machine-readable code (e.g. RESOURCE_NOT_FOUND)
+   * @param {String} message - Human-readable description
+   * @param {Number} status - HTTP status code
+   * @param {*} details - Optional extra data (e.g. invalid fields)
+   */
+  constructor(code, message, status = 500, details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Invalid input: bad params, query or body values (400)
+export class ValidationError extends AppError {
+  constructor(code, message, details = null) {
+    super(code, message, 400, details);
+  }
+}
+
+// Missing, invalid or expired credentials (401)
+export class UnauthorizedError extends AppError {
+  constructor(code, message, details = null) {
+    super(code, message, 401, details);
+  }
+}
+
+// Authenticated, but the role is not allowed to do this (403)
+export class ForbiddenError extends AppError {
+  constructor(code, message, details = null) {
+    super(code, message, 403, details);
+  }
+}
+
+// The requested entity or a referenced one does not exist (404)
+export class NotFoundError extends AppError {
+  constructor(code, message, details = null) {
+    super(code, message, 404, details);
+  }
+}
+
+// The request is valid but conflicts with the current state (409)
+export class ConflictError extends AppError {
+  constructor(code, message, details = null) {
+    super(code, message, 409, details);
+  }
+}
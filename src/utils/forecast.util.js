@@ -0,0 +1,264 @@
+// Depletion forecasting: least-squares consumption rate and threshold crossing projections
+
+import { SOL_HOURS, FORECAST_SETTINGS } from '../constants/resource.constants.js';
+import { now as clockNow } from './clock.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const addHours = (date, hours) => new Date(date.getTime() + hours * MS_PER_HOUR).toISOString();
+
+/**
+ * Fit a linear trend to history samples (ordinary least squares)
+ * Needs minSamples records spanning at least minSpanHours: over shorter spans a single movement
+ * would be extrapolated to a huge hourly rate
+ * @param {Array} samples - History records ({ stock, createdAt }) ordered oldest to newest
+ * @returns {Object} { sufficient: true, slope (units/hour), standardError, samples, spanHours }
+ *   or { sufficient: false, reason ('too_few_samples', 'span_too_short'), samples, spanHours }
+ */
+export const fitConsumptionRate = (samples = []) => {
+  const n = samples.length;
+  const origin = n ? new Date(samples[0].createdAt).getTime() : 0;
+  const xs = samples.map(s => (new Date(s.createdAt).getTime() - origin) / MS_PER_HOUR);
+  const spanHours = n ? xs[n - 1] : 0;
+
+  if (n < FORECAST_SETTINGS.minSamples) {
+    return { sufficient: false, reason: 'too_few_samples', samples: n, spanHours };
+  }
+  if (spanHours < FORECAST_SETTINGS.minSpanHours) {
+    return { sufficient: false, reason: 'span_too_short', samples: n, spanHours };
+  }
+
+  const ys = samples.map(s => Number(s.stock));
+
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - meanX) ** 2;
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+  }
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+
+  let sse = 0;
+  for (let i = 0; i < n; i++) {
+    sse += (ys[i] - (intercept + slope * xs[i])) ** 2;
+  }
+  const standardError = n > 2 ? Math.sqrt(sse / (n - 2) / sxx) : 0;
+
+  return {
+    sufficient: true,
+    slope,
+    standardError,
+    samples: n,
+    spanHours
+  };
+};
+
+/**
+ * Whether a ledger movement is consumption by the crew or a leak
+ * Snapshots carry no delta, so the drift between them (unrecorded use, leaks) stays in the series
+ */
+const isConsumption = (sample) => {
+  return FORECAST_SETTINGS.consumptionChangeTypes.includes(sample.changeType)
+    && !FORECAST_SETTINGS.nonConsumptionReasons.includes(sample.reason);
+};
+
+/**
+ * Remove every movement that is not consumption from history samples
+ * Each sample is shifted by the replenishments, deliveries, transfers, corrections and production
+ * posted up to it, so the fitted rate is the consumption of the crew and leaks alone; the current
+ * process flow is added back as a known rate
+ * @param {Array} samples - History records ({ stock, createdAt, changeType, delta, reason }) ordered oldest to newest
+ * @returns {Array} [{ stock, createdAt }]
+ */
+export const removeNonConsumptionFlow = (samples) => {
+  let offset = 0;
+
+  return (samples || []).map(sample => {
+    if (!isConsumption(sample)) {
+      offset += Number(sample.delta) || 0;
+    }
+    return { stock: Number(sample.stock) - offset, createdAt: sample.createdAt };
+  });
+};
+
+/**
+ * Hours until a quantity falls to a level, adding scheduled deliveries as they arrive
+ * @param {Array} deliveries - [{ hours, quantity }] ordered by arrival (hours from now)
+ * @returns {Number|null} null if the level is never reached
+ */
+const hoursUntilLevel = (quantity, level, rate, deliveries) => {
+  let stock = quantity;
+  let elapsed = 0;
+
+  for (const delivery of deliveries) {
+    const span = delivery.hours - elapsed;
+    if (rate > 0 && stock - rate * span <= level) {
+      return elapsed + (stock - level) / rate;
+    }
+    stock = stock - rate * span + delivery.quantity;
+    elapsed = delivery.hours;
+  }
+
+  return rate > 0 ? elapsed + (stock - level) / rate : null;
+};
+
+/**
+ * Project the stock at a future moment given a consumption rate and scheduled deliveries
+ * Stock cannot go below zero: deliveries arriving after depletion start from empty
+ * @param {Number} quantity - Current quantity
+ * @param {Number} rate - Consumption per hour (positive when consuming)
+ * @param {Array} deliveries - [{ hours, quantity }] ordered by arrival
+ * @param {Number} hours - Hours from now
+ */
+export const projectStockAt = (quantity, rate, deliveries, hours) => {
+  let stock = quantity;
+  let elapsed = 0;
+
+  for (const delivery of deliveries) {
+    if (delivery.hours > hours) break;
+    stock = Math.max(0, stock - rate * (delivery.hours - elapsed)) + delivery.quantity;
+    elapsed = delivery.hours;
+  }
+
+  return round(Math.max(0, stock - rate * (hours - elapsed)));
+};
+
+/**
+ * Project when a quantity will cross a level given a consumption rate band
+ * Rates are positive when the resource is being consumed
+ */
+const projectLevel = (quantity, level, rate, rateLow, rateHigh, now, deliveries) => {
+  if (quantity <= level) {
+    const reachedAt = now.toISOString();
+    return { level, reached: true, hoursRemaining: 0, projectedAt: reachedAt, earliestAt: reachedAt, latestAt: reachedAt };
+  }
+
+  const hours = hoursUntilLevel(quantity, level, rate, deliveries);
+  const earliestHours = hoursUntilLevel(quantity, level, rateHigh, deliveries);
+  const latestHours = hoursUntilLevel(quantity, level, rateLow, deliveries);
+
+  return {
+    level,
+    reached: false,
+    hoursRemaining: hours !== null ? round(hours) : null,
+    projectedAt: hours !== null ? addHours(now, hours) : null,
+    earliestAt: earliestHours !== null ? addHours(now, earliestHours) : null,
+    // null means the level may never be reached within the confidence band
+    latestAt: latestHours !== null ? addHours(now, latestHours) : null
+  };
+};
+
+/**
+ * Convert pending deliveries into hour offsets from now (overdue deliveries count as arriving now)
+ * @param {Array} deliveries - [{ arrivalDate, quantity }]
+ */
+export const toDeliveryOffsets = (deliveries, now) => deliveries
+  .map(d => ({
+    hours: Math.max(0, (new Date(d.arrivalDate).getTime() - now.getTime()) / MS_PER_HOUR),
+    quantity: d.quantity
+  }))
+  .sort((a, b) => a.hours - b.hours);
+
+/**
+ * Build a depletion forecast for a resource
+ * @param {Object} params
+ * @param {Number} params.quantity - Current quantity (projection origin)
+ * @param {Object} params.levels - { minimumLevel, criticalLevel }
+ * @param {Array} params.history - History records ordered oldest to newest
+ * @param {Number} params.windowHours - Window the history was taken from
+ * @param {Array} params.deliveries - Pending resupply deliveries ({ missionId, name, arrivalDate, quantity })
+ * @param {Object} params.processFlow - Running processes on the resource ({ netPerHour, processes }), null if none
+ * @param {Date} params.now - Reference time for projections
+ */
+export const buildForecast = ({
+  quantity,
+  levels,
+  history,
+  windowHours = FORECAST_SETTINGS.windowHours,
+  deliveries = [],
+  processFlow = null,
+  now = clockNow()
+}) => {
+  const fit = fitConsumptionRate(removeNonConsumptionFlow(history));
+  const processFlowPerHour = processFlow ? round(processFlow.netPerHour, 4) : 0;
+  const processes = processFlow ? processFlow.processes : [];
+  const pendingDeliveries = [...deliveries].sort((a, b) => new Date(a.arrivalDate) - new Date(b.arrivalDate));
+  const nextDelivery = pendingDeliveries[0] || null;
+
+  if (!fit.sufficient) {
+    return {
+      status: 'insufficient_data',
+      insufficientReason: fit.reason,
+      consumptionPerHour: null,
+      grossConsumptionPerHour: null,
+      processFlowPerHour,
+      processes,
+      consumptionPerSol: null,
+      confidence: null,
+      daysOfSupply: null,
+      solsOfSupply: null,
+      projections: null,
+      samples: fit.samples,
+      spanHours: round(fit.spanHours),
+      windowHours,
+      pendingDeliveries,
+      nextDelivery,
+      survivesUntilNextDelivery: null
+    };
+  }
+
+  // Negative slope = stock going down = positive consumption; running processes offset it (net flow)
+  const grossRate = round(-fit.slope, 4);
+  const rate = round(grossRate - processFlowPerHour, 4);
+  const margin = FORECAST_SETTINGS.confidenceZ * fit.standardError;
+  const rateLow = rate - margin;
+  const rateHigh = rate + margin;
+
+  // Projections include the cargo of pending resupply missions on their arrival dates
+  const offsets = toDeliveryOffsets(pendingDeliveries, now);
+  const projections = {
+    critical: projectLevel(quantity, levels.criticalLevel, rate, rateLow, rateHigh, now, offsets),
+    minimum: projectLevel(quantity, levels.minimumLevel, rate, rateLow, rateHigh, now, offsets),
+    empty: projectLevel(quantity, 0, rate, rateLow, rateHigh, now, offsets)
+  };
+
+  const hoursToEmpty = projections.empty.hoursRemaining;
+  // Empty before the next delivery arrives (nominal rate)?
+  const survivesUntilNextDelivery = nextDelivery
+    ? hoursToEmpty === null || hoursToEmpty > offsets[0].hours
+    : null;
+
+  return {
+    status: rate > 0 ? 'depleting' : rate < 0 ? 'increasing' : 'stable',
+    insufficientReason: null,
+    consumptionPerHour: round(rate, 4),
+    consumptionPerSol: round(rate * SOL_HOURS),
+    grossConsumptionPerHour: grossRate,
+    processFlowPerHour,
+    processes,
+    confidence: {
+      level: 0.95,
+      perHour: { low: round(rateLow, 4), high: round(rateHigh, 4) },
+      perSol: { low: round(rateLow * SOL_HOURS), high: round(rateHigh * SOL_HOURS) }
+    },
+    daysOfSupply: hoursToEmpty !== null ? round(hoursToEmpty / 24) : null,
+    solsOfSupply: hoursToEmpty !== null ? round(hoursToEmpty / SOL_HOURS) : null,
+    projections,
+    samples: fit.samples,
+    spanHours: round(fit.spanHours),
+    windowHours,
+    pendingDeliveries,
+    nextDelivery,
+    survivesUntilNextDelivery
+  };
+};
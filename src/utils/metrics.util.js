@@ -0,0 +1,149 @@
+// In-process metrics registry (counters, gauges, histograms) rendered in the Prometheus text format
+
+const registry = new Map();
+
+/**
+ * Helper to escape a label value (backslash, double quote and newline)
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Helper to render a label set as {a="1",b="2"} (empty string without labels)
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+/**
+ * Helper to keep only the declared labels, in declaration order (same series for the same values)
+ */
+const pickLabels = (labelNames, labels = {}) => Object.fromEntries(
+  labelNames.map(name => [name, labels[name] ?? ''])
+);
+
+/**
+ * Helper to register a metric; registering the same name twice returns the existing one
+ */
+const register = (name, build) => {
+  if (!registry.has(name)) {
+    registry.set(name, build());
+  }
+  return registry.get(name).api;
+};
+
+/**
+ * Counter: value that only goes up (e.g. failures)
+ * @param {Object} options - { name, help, labelNames }
+ * @returns {Object} { inc(labels, value = 1) }
+ */
+export const createCounter = ({ name, help, labelNames = [] }) => register(name, () => {
+  const series = new Map();
+
+  return {
+    type: 'counter',
+    help,
+    render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    api: {
+      inc: (labels, value = 1) => {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const current = series.get(key) || { labels: picked, value: 0 };
+        current.value += value;
+        series.set(key, current);
+      }
+    }
+  };
+});
+
+/**
+ * Gauge: value that can go up and down (e.g. stock, connected clients)
+ * collect runs before each render to refresh values that are read on scrape
+ * @param {Object} options - { name, help, labelNames, collect?(gauge) }
+ * @returns {Object} { set(labels, value), reset() }
+ */
+export const createGauge = ({ name, help, labelNames = [], collect }) => register(name, () => {
+  const series = new Map();
+
+  const api = {
+    set: (labels, value) => {
+      const picked = pickLabels(labelNames, labels);
+      series.set(JSON.stringify(picked), { labels: picked, value });
+    },
+    reset: () => series.clear()
+  };
+
+  return {
+    type: 'gauge',
+    help,
+    collect: collect ? () => collect(api) : null,
+    render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    api
+  };
+});
+
+/**
+ * Histogram: distribution of observed values in cumulative buckets (e.g. durations in seconds)
+ * @param {Object} options - { name, help, labelNames, buckets }
+ * @returns {Object} { observe(labels, value), startTimer(labels) -> end(extraLabels) }
+ */
+export const createHistogram = ({ name, help, labelNames = [], buckets }) => register(name, () => {
+  const series = new Map();
+  const bounds = [...buckets].sort((a, b) => a - b);
+
+  const observe = (labels, value) => {
+    const picked = pickLabels(labelNames, labels);
+    const key = JSON.stringify(picked);
+    const current = series.get(key) || { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 };
+    bounds.forEach((bound, i) => {
+      if (value <= bound) current.counts[i]++;
+    });
+    current.sum += value;
+    current.count++;
+    series.set(key, current);
+  };
+
+  return {
+    type: 'histogram',
+    help,
+    render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...bounds.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ]),
+    api: {
+      observe,
+      startTimer: (labels = {}) => {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          observe({ ...labels, ...extraLabels }, seconds);
+          return seconds;
+        };
+      }
+    }
+  };
+});
+
+/**
+ * Render every registered metric in the Prometheus text exposition format (version 0.0.4)
+ * Scrape-time gauges are collected first; a failing collector is logged and its previous values are kept
+ * @returns {String} Exposition body
+ */
+export const renderMetrics = async () => {
+  const metrics = [...registry.entries()];
+
+  await Promise.all(metrics
+    .filter(([, metric]) => metric.collect)
+    .map(([name, metric]) => Promise.resolve(metric.collect()).catch(error => {
+      console.error(`[METRICS] Error collecting ${name}:`, error.message);
+    })));
+
+  return metrics.map(([name, metric]) => [
+    `# HELP ${name} ${metric.help}`,
+    `# TYPE ${name} ${metric.type}`,
+    ...metric.render()
+  ].join('\n')).join('\n') + '\n';
+};
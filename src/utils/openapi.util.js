@@ -0,0 +1,122 @@
+// OpenAPI helpers: converts the zod request schemas into OpenAPI 3.0 schemas and parameters,
+// so the published spec always matches what the validate middleware enforces
+
+/**
+ * Helper to apply zod number checks (int, min, max) to a JSON schema
+ */
+const numberSchema = (def) => {
+  const schema = { type: def.checks.some(check => check.kind === 'int') ? 'integer' : 'number' };
+
+  def.checks.forEach(check => {
+    if (check.kind === 'min') {
+      schema.minimum = check.value;
+      if (!check.inclusive) schema.exclusiveMinimum = true;
+    }
+    if (check.kind === 'max') {
+      schema.maximum = check.value;
+      if (!check.inclusive) schema.exclusiveMaximum = true;
+    }
+  });
+
+  return schema;
+};
+
+/**
+ * Helper to apply zod string checks (min, max, url, datetime) to a JSON schema
+ */
+const stringSchema = (def) => {
+  const schema = { type: 'string' };
+
+  def.checks.forEach(check => {
+    if (check.kind === 'min') schema.minLength = check.value;
+    if (check.kind === 'max') schema.maxLength = check.value;
+    if (check.kind === 'url') schema.format = 'uri';
+    if (check.kind === 'datetime') schema.format = 'date-time';
+  });
+
+  return schema;
+};
+
+/**
+ * Convert a zod schema into an OpenAPI 3.0 schema object
+ * Covers the types used by src/schemas; refinements are not expressible and are left to the description
+ * @param {Object} schema - zod schema
+ * @returns {Object} OpenAPI schema
+ */
+export const zodToOpenApi = (schema) => {
+  const def = schema._def;
+
+  switch (def.typeName) {
+    case 'ZodObject': {
+      const shape = schema.shape;
+      const required = Object.keys(shape).filter(key => !isOptional(shape[key]));
+      return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, zodToOpenApi(value)])),
+        ...(required.length > 0 && { required })
+      };
+    }
+    case 'ZodString':
+      return stringSchema(def);
+    case 'ZodNumber':
+      return numberSchema(def);
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+    case 'ZodDate':
+      return { type: 'string', format: 'date-time' };
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+    case 'ZodArray':
+      return {
+        type: 'array',
+        items: zodToOpenApi(def.type),
+        ...(def.minLength && { minItems: def.minLength.value }),
+        ...(def.maxLength && { maxItems: def.maxLength.value })
+      };
+    case 'ZodOptional':
+      return zodToOpenApi(def.innerType);
+    case 'ZodNullable':
+      return { ...zodToOpenApi(def.innerType), nullable: true };
+    case 'ZodDefault':
+      return { ...zodToOpenApi(def.innerType), default: def.defaultValue() };
+    case 'ZodEffects':
+      return zodToOpenApi(def.schema);
+    default:
+      return {};
+  }
+};
+
+/**
+ * Whether a zod schema accepts a missing value (optional or with a default)
+ */
+const isOptional = (schema) => schema.isOptional() || schema._def.typeName === 'ZodDefault';
+
+/**
+ * Helper to reach the object schema behind refinements (.refine wraps it in ZodEffects)
+ */
+const unwrapObject = (schema) => {
+  let current = schema;
+  while (current._def.typeName === 'ZodEffects') {
+    current = current._def.schema;
+  }
+  return current;
+};
+
+/**
+ * Convert a zod object schema of params or query into OpenAPI parameters
+ * @param {Object} schema - zod object schema (may be refined)
+ * @param {String} location - 'path' or 'query'
+ * @param {Object} descriptions - Optional description per parameter name
+ * @returns {Array} OpenAPI parameter objects
+ */
+export const zodToParameters = (schema, location, descriptions = {}) => {
+  const shape = unwrapObject(schema).shape;
+
+  return Object.entries(shape).map(([name, value]) => ({
+    name,
+    in: location,
+    required: location === 'path' || !isOptional(value),
+    schema: zodToOpenApi(value),
+    ...(descriptions[name] && { description: descriptions[name] })
+  }));
+};
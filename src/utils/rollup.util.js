@@ -0,0 +1,107 @@
+// History rollups: bucket truncation, min/max/avg/first/last aggregation and resolution selection
+
+import { HISTORY_SETTINGS } from '../constants/resource.constants.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Bucket size of each rollup resolution (buckets are aligned to UTC)
+export const BUCKET_MS = {
+  hour: MS_PER_HOUR,
+  day: 24 * MS_PER_HOUR
+};
+
+/**
+ * Truncate a date to the start of its hour/day bucket (UTC)
+ * @param {Date|String} date
+ * @param {String} resolution - 'hour' or 'day'
+ * @returns {Date}
+ */
+export const truncateToBucket = (date, resolution) => {
+  const size = BUCKET_MS[resolution];
+  return new Date(Math.floor(new Date(date).getTime() / size) * size);
+};
+
+/**
+ * Aggregate raw history records into a single bucket summary
+ * @param {Array} records - History records ({ stock }) ordered oldest to newest
+ * @returns {Object} { min, max, avg, first, last, samples }
+ */
+export const aggregateSamples = (records) => {
+  const values = records.map(r => Number(r.stock));
+
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    avg: values.reduce((a, b) => a + b, 0) / values.length,
+    first: values[0],
+    last: values[values.length - 1],
+    samples: values.length
+  };
+};
+
+/**
+ * Merge finer bucket summaries into a coarser one (averages weighted by samples)
+ * @param {Array} buckets - Bucket summaries ordered oldest to newest
+ * @returns {Object} { min, max, avg, first, last, samples }
+ */
+export const mergeBuckets = (buckets) => {
+  const samples = buckets.reduce((total, b) => total + b.samples, 0);
+
+  return {
+    min: Math.min(...buckets.map(b => b.min)),
+    max: Math.max(...buckets.map(b => b.max)),
+    avg: buckets.reduce((total, b) => total + b.avg * b.samples, 0) / samples,
+    first: buckets[0].first,
+    last: buckets[buckets.length - 1].last,
+    samples
+  };
+};
+
+/**
+ * Group records by resource and bucket, then summarize each group
+ * @param {Array} records - Records ordered oldest to newest
+ * @param {String} resolution - Target bucket resolution
+ * @param {Function} getTime - Returns the timestamp of a record
+ * @param {Function} summarize - aggregateSamples or mergeBuckets
+ * @returns {Array} [{ resourceId, bucketStart, min, max, avg, first, last, samples }]
+ */
+export const rollupRecords = (records, resolution, getTime, summarize) => {
+  const groups = new Map();
+
+  for (const record of records) {
+    const bucketStart = truncateToBucket(getTime(record), resolution);
+    const key = `${record.resourceId}:${bucketStart.getTime()}`;
+    if (!groups.has(key)) {
+      groups.set(key, { resourceId: record.resourceId, bucketStart, records: [] });
+    }
+    groups.get(key).records.push(record);
+  }
+
+  return [...groups.values()].map(({ resourceId, bucketStart, records: group }) => ({
+    resourceId,
+    bucketStart,
+    ...summarize(group)
+  }));
+};
+
+/**
+ * Pick the history resolution for a time range
+ * Raw records only for short ranges still inside the raw retention window,
+ * hourly rollups for ranges up to hourlyMaxSpanDays, daily rollups beyond that
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Date} now - Reference time for the raw retention window
+ * @returns {String} 'raw', 'hour' or 'day'
+ */
+export const selectResolution = (from, to, now) => {
+  const spanHours = (to.getTime() - from.getTime()) / MS_PER_HOUR;
+  const rawCutoff = now.getTime() - HISTORY_SETTINGS.rawRetentionDays * BUCKET_MS.day;
+
+  if (spanHours <= HISTORY_SETTINGS.rawMaxSpanHours && from.getTime() >= rawCutoff) {
+    return 'raw';
+  }
+  if (spanHours <= HISTORY_SETTINGS.hourlyMaxSpanDays * 24) {
+    return 'hour';
+  }
+  return 'day';
+};
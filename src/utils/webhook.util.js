@@ -0,0 +1,39 @@
+// Webhook delivery helpers: HMAC payload signing and exponential backoff
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { WEBHOOK_SETTINGS } from '../constants/webhook.constants.js';
+
+/**
+ * Sign a webhook body: HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+ * Receivers recompute it and reject old timestamps to prevent replays
+ * @param {String} secret - Webhook secret
+ * @param {Number} timestamp - Unix seconds sent in X-Ares-Timestamp
+ * @param {String} body - Raw JSON body
+ * @returns {String} "sha256=<hex>" (value of X-Ares-Signature)
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Check a received signature in constant time (reference implementation for receivers)
+ */
+export const verifyWebhookSignature = (secret, timestamp, body, signature) => {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
+
+/**
+ * Delay before the next attempt: base × 2^(attempts − 1), capped (30s, 60s, 120s... up to 1h)
+ * @param {Number} attempts - Attempts made so far (>= 1)
+ * @returns {Number} Milliseconds
+ */
+export const getRetryDelayMs = (attempts) => {
+  const seconds = Math.min(
+    WEBHOOK_SETTINGS.baseDelaySeconds * 2 ** (attempts - 1),
+    WEBHOOK_SETTINGS.maxDelaySeconds
+  );
+  return seconds * 1000;
+};
@@ -0,0 +1,56 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const configPath = require.resolve('../../src/config/database.cjs');
+
+const VARIABLES = ['DB_DIALECT', 'DB_STORAGE', 'DB_SCHEMA', 'SANDBOX_MODE'];
+
+/**
+ * Load the sequelize-cli config with the given environment (the module reads it on load)
+ * Unset variables are left empty rather than deleted, so dotenv does not fill them from a local .env
+ */
+const loadConfig = (values) => {
+  VARIABLES.forEach(name => { process.env[name] = ''; });
+  Object.assign(process.env, values);
+  delete require.cache[configPath];
+  return require(configPath);
+};
+
+describe('sequelize-cli database config', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    VARIABLES.forEach(name => {
+      if (env[name] === undefined) delete process.env[name];
+      else process.env[name] = env[name];
+    });
+    delete require.cache[configPath];
+  });
+
+  it('selects SQLite with its storage file and immediate transactions', () => {
+    const { production } = loadConfig({ DB_DIALECT: 'sqlite', DB_STORAGE: 'data/rover.sqlite' });
+
+    assert.equal(production.dialect, 'sqlite');
+    assert.equal(production.storage, 'data/rover.sqlite');
+    assert.equal(production.transactionType, 'IMMEDIATE');
+  });
+
+  it('gives the SQLite sandbox its own database file', () => {
+    assert.equal(loadConfig({ DB_DIALECT: 'sqlite', SANDBOX_MODE: 'true' }).production.storage, 'data/ares-sandbox.sqlite');
+    assert.throws(
+      () => loadConfig({ DB_DIALECT: 'sqlite', SANDBOX_MODE: 'true', DB_STORAGE: 'data/ares.sqlite' }),
+      /dedicated DB_STORAGE/
+    );
+  });
+
+  it('rejects schemas on SQLite and unknown dialects', () => {
+    assert.throws(() => loadConfig({ DB_DIALECT: 'sqlite', DB_SCHEMA: 'sandbox' }), /only supported on PostgreSQL/);
+    assert.throws(() => loadConfig({ DB_DIALECT: 'mysql' }), /Unsupported DB_DIALECT "mysql"/);
+  });
+
+  it('keeps PostgreSQL as the default backend', () => {
+    assert.equal(loadConfig({}).production.dialect, 'postgres');
+  });
+});
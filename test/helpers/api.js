@@ -0,0 +1,53 @@
+// Route test harness: the application server on an in-memory SQLite database
+// The environment is set before the app modules are loaded, since the database config reads it on import
+
+import jwt from 'jsonwebtoken';
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.JWT_SECRET ||= 'test-secret';
+
+/**
+ * Start the server on a random port with a fresh schema and one user per role
+ * @returns {Object} { db, request(method, path, { role, body, headers }), close() }
+ */
+export const startTestApi = async () => {
+  const { default: db } = await import('../../src/models/index.js');
+  const { Server } = await import('../../src/server.js');
+
+  await db.sequelize.sync({ force: true });
+
+  const tokens = {};
+  for (const role of ['observer', 'crew', 'quartermaster', 'commander']) {
+    const user = await db.User.create({ username: `test-${role}`, passwordHash: 'x', role });
+    tokens[role] = jwt.sign({ sub: user.id, username: user.username, role }, process.env.JWT_SECRET);
+  }
+
+  const server = new Server();
+  await new Promise(resolve => server.httpServer.listen(0, resolve));
+  const baseUrl = `http://127.0.0.1:${server.httpServer.address().port}`;
+
+  const request = async (method, path, { role = 'commander', body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${tokens[role]}`,
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      // String bodies (CSV/NDJSON uploads) are sent as they are, with the Content-Type given in headers
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    // Non-JSON responses (e.g. the Prometheus exposition) are returned as text
+    const json = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, body: json ? await response.json() : await response.text() };
+  };
+
+  const close = async () => {
+    server.io.close();
+    await new Promise(resolve => server.httpServer.close(resolve));
+    await db.sequelize.close();
+  };
+
+  return { db, request, close };
+};
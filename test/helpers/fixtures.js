@@ -0,0 +1,23 @@
+// Test data builders for route and service tests (see startTestApi)
+
+let sequence = 0;
+
+/**
+ * Create a habitat with a unique code
+ */
+export const createHabitat = (db, values = {}) => {
+  sequence++;
+  return db.Habitat.create({ code: `base-${sequence}`, name: `Base ${sequence}`, ...values });
+};
+
+/**
+ * Create a catalog entry and its inventory row
+ * @returns {Object} the Resource with its resourceData
+ */
+export const createResource = async (db, { habitatId, name, category = 'water', quantity = 100, ...levels } = {}) => {
+  sequence++;
+  const resourceData = await db.ResourceData.create({ name: name || `Resource ${sequence}`, category, habitatId });
+  const resource = await db.Resource.create({ resourceDataId: resourceData.id, quantity, ...levels });
+  resource.resourceData = resourceData;
+  return resource;
+};
@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { readdirSync } from 'fs';
+import { Sequelize } from 'sequelize';
+
+// The models are only loaded for their attributes; they get their own in-memory database
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+
+const require = createRequire(import.meta.url);
+const srcDir = new URL('../../src/', import.meta.url);
+
+/**
+ * Load the migration or seeder modules of a directory in the order sequelize-cli runs them
+ */
+const loadSteps = (dir) => readdirSync(new URL(`${dir}/`, srcDir))
+  .filter(file => file.endsWith('.cjs'))
+  .sort()
+  .map(file => ({ file, step: require(new URL(`${dir}/${file}`, srcDir).pathname) }));
+
+describe('migrations and seeders on SQLite', () => {
+  const env = { ...process.env };
+  const sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+  const queryInterface = sequelize.getQueryInterface();
+  const migrations = loadSteps('migrations');
+  const seeders = loadSteps('seeders');
+
+  before(() => {
+    process.env.SEED_USER_PASSWORD = 'test-seed-password';
+  });
+
+  after(async () => {
+    process.env.SEED_USER_PASSWORD = env.SEED_USER_PASSWORD;
+    if (env.SEED_USER_PASSWORD === undefined) delete process.env.SEED_USER_PASSWORD;
+    await sequelize.close();
+  });
+
+  it('runs every migration up', async () => {
+    for (const { file, step } of migrations) {
+      await assert.doesNotReject(step.up(queryInterface, Sequelize), file);
+    }
+  });
+
+  it('creates the tables and columns the models expect', async () => {
+    const { default: db } = await import('../../src/models/index.js');
+
+    for (const model of Object.values(db.sequelize.models)) {
+      const columns = Object.keys(await queryInterface.describeTable(model.getTableName())).sort();
+      const attributes = Object.values(model.rawAttributes).map(attribute => attribute.field).sort();
+
+      assert.deepEqual(columns, attributes, model.name);
+    }
+    await db.sequelize.close();
+  });
+
+  it('seeds the initial data', async () => {
+    for (const { file, step } of seeders) {
+      await assert.doesNotReject(step.up(queryInterface, Sequelize), file);
+    }
+
+    const [[{ resources }]] = await sequelize.query('SELECT COUNT(*) AS resources FROM resources');
+    const [[{ users }]] = await sequelize.query('SELECT COUNT(*) AS users FROM users');
+    assert.ok(resources > 0);
+    assert.ok(users > 0);
+  });
+
+  it('undoes every seeder and migration down to an empty database', async () => {
+    for (const { file, step } of [...seeders].reverse()) {
+      await assert.doesNotReject(step.down(queryInterface, Sequelize), file);
+    }
+    for (const { file, step } of [...migrations].reverse()) {
+      await assert.doesNotReject(step.down(queryInterface, Sequelize), file);
+    }
+
+    assert.deepEqual(await queryInterface.showAllTables(), []);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('alert routes', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApi();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('rejects a non-numeric alert ID with 400 VALIDATION_ERROR', async () => {
+    const { status, body } = await api.request('GET', '/api/alerts/abc');
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.equal(body.details[0].path, 'params.id');
+  });
+
+  it('rejects a non-numeric history limit with 400 VALIDATION_ERROR', async () => {
+    const { status, body } = await api.request('GET', '/api/alerts/history?limit=abc');
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.equal(body.details[0].path, 'query.limit');
+  });
+
+  it('rejects acknowledging a non-numeric alert ID with 400 VALIDATION_ERROR', async () => {
+    const { status, body } = await api.request('PUT', '/api/alerts/abc/acknowledge', { role: 'crew', body: {} });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+  });
+
+  it('responds 404 ALERT_NOT_FOUND for an unknown alert', async () => {
+    const { status, body } = await api.request('GET', '/api/alerts/999');
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'ALERT_NOT_FOUND');
+  });
+
+  describe('with a base selector', () => {
+    let home;
+    let alert;
+
+    before(async () => {
+      home = await createHabitat(api.db);
+      const other = await createHabitat(api.db);
+      const resource = await createResource(api.db, { habitatId: other.id });
+      alert = await api.db.Alert.create({
+        resourceId: resource.id,
+        severity: 'low',
+        status: 'open',
+        openedQuantity: 10,
+        thresholdLevel: 50,
+        openedAt: new Date()
+      });
+    });
+
+    it('does not return an alert of another base', async () => {
+      const { status, body } = await api.request('GET', `/api/alerts/${alert.id}`, { headers: { 'X-Habitat': home.code } });
+
+      assert.equal(status, 404);
+      assert.equal(body.code, 'ALERT_NOT_FOUND');
+    });
+
+    it('does not acknowledge an alert of another base', async () => {
+      const { status } = await api.request('PUT', `/api/alerts/${alert.id}/acknowledge`, {
+        role: 'crew',
+        body: {},
+        headers: { 'X-Habitat': home.code }
+      });
+
+      assert.equal(status, 404);
+      await alert.reload();
+      assert.equal(alert.status, 'open');
+    });
+
+    it('returns the alert without a selector', async () => {
+      const { status, body } = await api.request('GET', `/api/alerts/${alert.id}`);
+
+      assert.equal(status, 200);
+      assert.equal(body.alert.id, alert.id);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+
+describe('auth routes', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApi();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('responds 401 INVALID_CREDENTIALS for an unknown user', async () => {
+    const { status, body } = await api.request('POST', '/api/auth/login', {
+      body: { username: 'nobody', password: 'secret-password' }
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_CREDENTIALS');
+  });
+
+  it('rejects a login without password with 400 VALIDATION_ERROR', async () => {
+    const { status, body } = await api.request('POST', '/api/auth/login', { body: { username: 'nobody' } });
+
+    assert.equal(status, 400);
+    assert.equal(body.details[0].path, 'body.password');
+  });
+
+  it('responds 401 AUTHENTICATION_REQUIRED without a valid token', async () => {
+    const { status, body } = await api.request('GET', '/api/auth/me', { headers: { Authorization: 'Bearer nope' } });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'AUTHENTICATION_REQUIRED');
+  });
+
+  it('responds 403 FORBIDDEN below the required role', async () => {
+    const { status, body } = await api.request('GET', '/api/auth/users', { role: 'crew' });
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'FORBIDDEN');
+  });
+
+  it('responds 409 USERNAME_TAKEN for an existing username', async () => {
+    const { status, body } = await api.request('POST', '/api/auth/users', {
+      body: { username: 'test-crew', password: 'long-enough-password' }
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'USERNAME_TAKEN');
+  });
+
+  it('logs in with the password of a created user and authenticates with the issued token', async () => {
+    await api.request('POST', '/api/auth/users', {
+      body: { username: 'ada', password: 'long-enough-password', role: 'crew' }
+    });
+
+    const login = await api.request('POST', '/api/auth/login', {
+      body: { username: 'ada', password: 'long-enough-password' }
+    });
+    assert.equal(login.status, 200);
+
+    const { status, body } = await api.request('GET', '/api/auth/me', {
+      headers: { Authorization: `Bearer ${login.body.token}` }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.user.username, 'ada');
+    assert.equal(body.user.role, 'crew');
+  });
+
+  it('rejects the login of a deactivated user', async () => {
+    const { body: created } = await api.request('POST', '/api/auth/users', {
+      body: { username: 'grace', password: 'long-enough-password' }
+    });
+    await api.request('PUT', `/api/auth/users/${created.user.id}`, { body: { active: false } });
+
+    const { status, body } = await api.request('POST', '/api/auth/login', {
+      body: { username: 'grace', password: 'long-enough-password' }
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_CREDENTIALS');
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('crew routes', () => {
+  let api;
+  let member;
+
+  before(async () => {
+    api = await startTestApi();
+    const habitat = await createHabitat(api.db);
+    member = await api.db.CrewMember.create({
+      name: 'Ada',
+      status: 'active',
+      arrivalDate: new Date('2026-01-01T00:00:00Z'),
+      departureDate: new Date('2026-06-01T00:00:00Z'),
+      habitatId: habitat.id
+    });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('rejects a non-numeric crew member ID with 400 VALIDATION_ERROR', async () => {
+    const { status, body } = await api.request('GET', '/api/crew/abc');
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.equal(body.details[0].path, 'params.id');
+  });
+
+  it('responds 404 CREW_MEMBER_NOT_FOUND for an unknown crew member', async () => {
+    const { status, body } = await api.request('GET', '/api/crew/999');
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'CREW_MEMBER_NOT_FOUND');
+  });
+
+  it('rejects a new member whose departure is not after the arrival', async () => {
+    const { status, body } = await api.request('POST', '/api/crew', {
+      body: { name: 'Grace', arrivalDate: '2026-03-01T00:00:00Z', departureDate: '2026-02-01T00:00:00Z' }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.equal(body.details[0].path, 'body.departureDate');
+  });
+
+  it('rejects moving the arrival past the stored departure with 400 INVALID_DATES', async () => {
+    const { status, body } = await api.request('PUT', `/api/crew/${member.id}`, {
+      body: { arrivalDate: '2026-07-01T00:00:00Z' }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_DATES');
+  });
+
+  it('rejects an unknown consumption rate category', async () => {
+    const { status, body } = await api.request('PUT', '/api/crew/rates/fuel', { body: { dailyPerCapita: 1 } });
+
+    assert.equal(status, 400);
+    assert.equal(body.details[0].path, 'params.category');
+  });
+
+  it('computes days of supply from the crew present at the base, weighted by status', async () => {
+    const [base, other] = await Promise.all([createHabitat(api.db), createHabitat(api.db)]);
+    const arrived = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await api.db.CrewMember.bulkCreate([
+      { name: 'Mae', status: 'active', arrivalDate: arrived, habitatId: base.id },
+      { name: 'Yuri', status: 'on_eva', arrivalDate: arrived, habitatId: base.id },
+      // Already departed, and on another base: not counted
+      { name: 'Neil', status: 'active', arrivalDate: new Date('2026-01-01T00:00:00Z'), departureDate: arrived, habitatId: base.id },
+      { name: 'Sally', status: 'active', arrivalDate: arrived, habitatId: other.id }
+    ]);
+    await createResource(api.db, { habitatId: base.id, category: 'water', quantity: 84 });
+    await api.request('PUT', '/api/crew/rates/water', { body: { dailyPerCapita: 3 } });
+
+    const { status, body } = await api.request('GET', '/api/crew/supply', { headers: { 'X-Habitat': base.code } });
+
+    assert.equal(status, 200);
+    const water = body.supply.water;
+    assert.equal(water.crewCount, 2);
+    // active 1 + on_eva 1.2 (water multiplier)
+    assert.equal(water.effectiveHeadcount, 2.2);
+    assert.equal(water.dailyDemand, 6.6);
+    assert.equal(water.totalQuantity, 84);
+    assert.equal(water.daysOfSupply, 12.73);
+    assert.equal(water.supplyStatus, 'normal');
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+const CONTENT_TYPES = { csv: 'text/csv', ndjson: 'application/x-ndjson' };
+
+// Fields a re-import must keep (id and source change: imported rows get new IDs and source 'import')
+const KEPT_FIELDS = ['resourceId', 'resourceName', 'category', 'stock', 'previousStock', 'delta', 'changeType', 'reason', 'operator', 'createdAt'];
+
+describe('data routes', () => {
+  let api;
+  let habitat;
+  let resource;
+
+  const parseExport = (format, text) => {
+    const lines = text.trim().split('\n');
+    if (format === 'ndjson') {
+      return lines.map(line => JSON.parse(line));
+    }
+    const [header, ...rows] = lines.map(line => line.split(','));
+    return rows.map(cells => Object.fromEntries(header.map((column, i) => [column, cells[i]])));
+  };
+
+  const exportHistory = async (format) => {
+    const { status, body } = await api.request('GET', `/api/data/export/history?format=${format}`, {
+      headers: { 'X-Habitat': habitat.code }
+    });
+    assert.equal(status, 200);
+    return body;
+  };
+
+  const keptFields = (row) => KEPT_FIELDS.map(field => String(row[field] ?? ''));
+
+  before(async () => {
+    api = await startTestApi();
+    habitat = await createHabitat(api.db);
+    // Another base whose history must stay out of the export
+    const other = await createHabitat(api.db);
+    resource = await createResource(api.db, { habitatId: habitat.id, name: 'Potable water' });
+    await createResource(api.db, { habitatId: other.id, name: 'Potable water' });
+  });
+
+  beforeEach(async () => {
+    await api.db.ChangeHistory.destroy({ where: {} });
+    await api.db.ChangeHistory.bulkCreate([
+      { resourceId: resource.resourceDataId, stock: 120, previousStock: 100, delta: 20, changeType: 'replenish', reason: 'resupply', source: 'api', operator: 'quartermaster', createdAt: new Date('2026-01-01T08:00:00.000Z') },
+      { resourceId: resource.resourceDataId, stock: 95, previousStock: 120, delta: -25, changeType: 'consume', reason: 'leak', source: 'api', operator: 'crew', createdAt: new Date('2026-01-01T09:30:00.000Z') },
+      { resourceId: resource.resourceDataId, stock: 95, changeType: 'snapshot', source: 'cron', createdAt: new Date('2026-01-01T10:00:00.000Z') }
+    ]);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  for (const format of ['ndjson', 'csv']) {
+    it(`re-imports an exported ${format} history file as the same records`, async () => {
+      const exported = await exportHistory(format);
+      const original = parseExport(format, exported);
+      assert.equal(original.length, 3);
+
+      await api.db.ChangeHistory.destroy({ where: {} });
+      const { status, body } = await api.request('POST', `/api/data/import/history?format=${format}`, {
+        role: 'quartermaster',
+        body: exported,
+        headers: { 'Content-Type': CONTENT_TYPES[format], 'X-Habitat': habitat.code }
+      });
+
+      assert.equal(status, 201);
+      assert.equal(body.data.imported, 3);
+      assert.deepEqual(body.data.errors, []);
+      const reimported = parseExport(format, await exportHistory(format));
+      // Rows without an operator are attributed to the importing user
+      const expected = original.map(row => keptFields({ ...row, operator: row.operator || 'test-quartermaster' }));
+      assert.deepEqual(reimported.map(keptFields), expected);
+      assert.ok(reimported.every(row => row.source === 'import'));
+    });
+  }
+
+  it('validates a dry run without writing and reports errors per line', async () => {
+    const content = [
+      JSON.stringify({ resourceName: 'Potable water', stock: 80, createdAt: '2026-01-02T00:00:00.000Z' }),
+      JSON.stringify({ resourceName: 'Potable water', stock: -1, createdAt: '2999-01-01T00:00:00.000Z' })
+    ].join('\n');
+
+    const { status, body } = await api.request('POST', '/api/data/import/history?dryRun=true', {
+      role: 'quartermaster',
+      body: content,
+      headers: { 'Content-Type': CONTENT_TYPES.ndjson, 'X-Habitat': habitat.code }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.valid, 1);
+    assert.equal(body.data.imported, 0);
+    assert.deepEqual(body.data.errors, [{
+      line: 2,
+      errors: ['stock must be an integer >= 0', 'createdAt cannot be in the future']
+    }]);
+    assert.equal(await api.db.ChangeHistory.count(), 3);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+
+/**
+ * Collect every $ref of a document
+ */
+const collectRefs = (node, refs = []) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectRefs(child, refs));
+  } else if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string') refs.push(node.$ref);
+    Object.values(node).forEach(child => collectRefs(child, refs));
+  }
+  return refs;
+};
+
+/**
+ * Assert that every local $ref (#/components/...) points to an entry of the same document
+ */
+const assertRefsResolve = (document) => {
+  const unresolved = [...new Set(collectRefs(document))]
+    .filter(ref => !ref.slice(2).split('/').reduce((node, key) => node?.[key], document));
+
+  assert.deepEqual(unresolved, []);
+};
+
+describe('docs routes', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApi();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('serves the OpenAPI document without a token', async () => {
+    const { status, body } = await api.request('GET', '/api/docs/openapi.json', { headers: { Authorization: '' } });
+
+    assert.equal(status, 200);
+    assert.match(body.openapi, /^3\.0\./);
+    assertRefsResolve(body);
+  });
+
+  it('documents exactly the routes of the resource API', async () => {
+    const { router } = await import('../../src/routes/resource.routes.js');
+    const { body } = await api.request('GET', '/api/docs/openapi.json');
+
+    const routes = router.stack
+      .filter(layer => layer.route)
+      .flatMap(layer => Object.keys(layer.route.methods).map(method => {
+        const path = `/api/resources${layer.route.path}`.replace(/:(\w+)/g, '{$1}').replace(/\/$/, '');
+        return `${method} ${path}`;
+      }));
+    const documented = Object.entries(body.paths)
+      .flatMap(([path, operations]) => Object.keys(operations).map(method => `${method} ${path}`));
+
+    assert.deepEqual([...documented].sort(), [...routes].sort());
+  });
+
+  it('serves the AsyncAPI document of the Socket.IO events without a token', async () => {
+    const { status, body } = await api.request('GET', '/api/docs/asyncapi.json', { headers: { Authorization: '' } });
+
+    assert.equal(status, 200);
+    assert.equal(body.asyncapi, '2.6.0');
+    assert.ok(body.channels['resource:changed']);
+    assertRefsResolve(body);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('habitat transfer routes', () => {
+  let api;
+  let home;
+  let outpost;
+  let water;
+
+  const dispatch = (body) => api.request('POST', '/api/habitats/transfers', { role: 'quartermaster', body });
+  const changeStatus = (id, action) => api.request('PUT', `/api/habitats/transfers/${id}/${action}`, { role: 'quartermaster' });
+
+  before(async () => {
+    api = await startTestApi();
+    [home, outpost] = await Promise.all([createHabitat(api.db), createHabitat(api.db)]);
+    water = await createResource(api.db, { habitatId: home.id, name: 'Potable water', quantity: 200, criticalLevel: 90 });
+    // 20 units held in a tank cannot be sent without moving them out first
+    const location = await api.db.StorageLocation.create({ name: 'Tank A', type: 'tank', habitatId: home.id });
+    await api.db.LocationStock.create({ locationId: location.id, resourceId: water.id, quantity: 20, capacity: 100 });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('rejects transfers to the same base, to unknown bases and beyond the unassigned stock', async () => {
+    const same = await dispatch({ resourceId: water.id, toHabitatId: home.id, quantity: 10 });
+    assert.equal(same.status, 400);
+    assert.equal(same.body.code, 'SAME_HABITAT');
+
+    const unknown = await dispatch({ resourceId: water.id, toHabitatId: 999, quantity: 10 });
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'HABITAT_NOT_FOUND');
+
+    const tooMuch = await dispatch({ resourceId: water.id, toHabitatId: outpost.id, quantity: 201 });
+    assert.equal(tooMuch.status, 409);
+    assert.equal(tooMuch.body.code, 'INSUFFICIENT_STOCK');
+
+    const allocated = await dispatch({ resourceId: water.id, toHabitatId: outpost.id, quantity: 181 });
+    assert.equal(allocated.status, 409);
+    assert.equal(allocated.body.code, 'LOCATION_REQUIRED');
+    assert.deepEqual(allocated.body.details, { unassigned: 180 });
+
+    await water.reload();
+    assert.equal(water.quantity, 200);
+  });
+
+  it('debits the origin on dispatch and creates the resource at a base that did not track it on receipt', async () => {
+    const dispatched = await dispatch({ resourceId: water.id, toHabitatId: outpost.id, quantity: 50, notes: 'Rover run' });
+    assert.equal(dispatched.status, 201);
+    assert.equal(dispatched.body.transfer.status, 'dispatched');
+    assert.equal(dispatched.body.transfer.toResourceId, null);
+    assert.equal(dispatched.body.entry.delta, -50);
+    assert.equal(dispatched.body.entry.changeType, 'transfer');
+    await water.reload();
+    assert.equal(water.quantity, 150);
+    const { id } = dispatched.body.transfer;
+
+    const early = await changeStatus(id, 'receive');
+    assert.equal(early.status, 409);
+    assert.equal(early.body.code, 'INVALID_TRANSFER_STATUS');
+
+    assert.equal((await changeStatus(id, 'depart')).body.transfer.status, 'in_transit');
+    // Cargo on its way can no longer be cancelled
+    assert.equal((await changeStatus(id, 'cancel')).body.code, 'INVALID_TRANSFER_STATUS');
+
+    const received = await changeStatus(id, 'receive');
+    assert.equal(received.status, 200);
+    assert.equal(received.body.transfer.status, 'received');
+    assert.equal(received.body.transfer.receivedBy, 'test-quartermaster');
+
+    const target = await api.db.Resource.findByPk(received.body.transfer.toResourceId, { include: ['resourceData'] });
+    assert.equal(target.resourceData.habitatId, outpost.id);
+    assert.equal(target.resourceData.name, 'Potable water');
+    assert.equal(target.quantity, 50);
+    assert.equal(target.criticalLevel, 90);
+
+    const { body } = await api.request('GET', `/api/habitats/transfers/${id}`);
+    assert.deepEqual(body.transfer.entries.map(entry => [entry.resourceId, entry.delta]), [
+      [water.resourceDataId, -50],
+      [target.resourceDataId, 50]
+    ]);
+    assert.ok(body.transfer.entries.every(entry => entry.transferId === body.transfer.transferId));
+  });
+
+  it('credits the matching resource of the destination once it tracks it', async () => {
+    const dispatched = await dispatch({ resourceId: water.id, toHabitatId: outpost.id, quantity: 10 });
+    const target = await api.db.Resource.findByPk(dispatched.body.transfer.toResourceId);
+    assert.equal(target.quantity, 50);
+
+    await changeStatus(dispatched.body.transfer.id, 'depart');
+    await changeStatus(dispatched.body.transfer.id, 'receive');
+
+    await target.reload();
+    assert.equal(target.quantity, 60);
+    assert.equal(await api.db.ResourceData.count({ where: { name: 'Potable water', habitatId: outpost.id } }), 1);
+  });
+
+  it('returns the cargo of a cancelled transfer to the origin', async () => {
+    const dispatched = await dispatch({ resourceId: water.id, toHabitatId: outpost.id, quantity: 30 });
+    await water.reload();
+    assert.equal(water.quantity, 110);
+
+    const cancelled = await changeStatus(dispatched.body.transfer.id, 'cancel');
+
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.transfer.status, 'cancelled');
+    await water.reload();
+    assert.equal(water.quantity, 140);
+    assert.equal((await changeStatus(dispatched.body.transfer.id, 'depart')).body.code, 'INVALID_TRANSFER_STATUS');
+  });
+
+  it('lists the transfers of the selected base by direction and status', async () => {
+    await dispatch({ resourceId: water.id, toHabitatId: outpost.id, quantity: 5 });
+
+    const incoming = await api.request('GET', '/api/habitats/transfers?direction=incoming', {
+      headers: { 'X-Habitat': outpost.code }
+    });
+    assert.equal(incoming.body.count, 4);
+
+    const pending = await api.request('GET', '/api/habitats/transfers?status=pending', {
+      headers: { 'X-Habitat': home.code }
+    });
+    assert.deepEqual(pending.body.transfers.map(transfer => [transfer.quantity, transfer.status]), [[5, 'dispatched']]);
+
+    const outgoing = await api.request('GET', '/api/habitats/transfers?direction=outgoing', {
+      headers: { 'X-Habitat': outpost.code }
+    });
+    assert.equal(outgoing.body.count, 0);
+  });
+});
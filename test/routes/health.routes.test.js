@@ -0,0 +1,77 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('health and metrics routes', () => {
+  let api;
+  let resource;
+
+  before(async () => {
+    api = await startTestApi();
+    const habitat = await createHabitat(api.db);
+    // Water levels are 50 (minimum) and 80 (critical), so 60 units is 'low'
+    resource = await createResource(api.db, { habitatId: habitat.id, name: 'Tank "A"', quantity: 60 });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('answers the liveness probe', async () => {
+    const { status, body } = await api.request('GET', '/health/live');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+  });
+
+  it('is not ready until the monitoring cron has run, then ready', async () => {
+    const { registerCronJob, startCronRun } = await import('../../src/services/metrics.service.js');
+
+    const notReady = await api.request('GET', '/health/ready');
+    assert.equal(notReady.status, 503);
+    assert.equal(notReady.body.status, 'not_ready');
+    assert.equal(notReady.body.checks.database.status, 'up');
+    assert.equal(notReady.body.checks.monitoringCron.status, 'down');
+
+    registerCronJob('resource-monitoring');
+    startCronRun('resource-monitoring')();
+
+    const { status, body } = await api.request('GET', '/health/ready');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ready');
+    assert.equal(body.checks.monitoringCron.status, 'up');
+    assert.equal(body.crons[0].lastResult, 'success');
+  });
+
+  it('exports resource gauges and route-labelled HTTP latency in the Prometheus format', async () => {
+    await api.request('GET', `/api/resources/${resource.id}`);
+
+    const { status, body } = await api.request('GET', '/metrics');
+
+    assert.equal(status, 200);
+    const labels = `resource_id="${resource.id}",resource_data_id="${resource.resourceDataId}",name="Tank \\"A\\"",category="water"`;
+    assert.ok(body.includes(`ares_resource_quantity{${labels},unit="L"} 60`));
+    assert.ok(body.includes(`ares_resource_level{${labels},level="critical"} 80`));
+    assert.ok(body.includes(`ares_resource_status{${labels},status="low"} 1`));
+    assert.ok(body.includes(`ares_resource_status{${labels},status="critical"} 0`));
+    assert.ok(body.includes('ares_database_up 1'));
+    assert.ok(body.includes('ares_http_request_duration_seconds_count{method="GET",route="/api/resources/:id",status="200"} 1'));
+  });
+
+  it('requires the scrape token when METRICS_TOKEN is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-token';
+
+    try {
+      const denied = await api.request('GET', '/metrics');
+      assert.equal(denied.status, 401);
+      assert.equal(denied.body.code, 'AUTHENTICATION_REQUIRED');
+
+      const allowed = await api.request('GET', '/metrics', { headers: { Authorization: 'Bearer scrape-token' } });
+      assert.equal(allowed.status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+
+// Once a year, so the scheduler never fires during the tests (runs are triggered through the API)
+const YEARLY = '0 0 1 1 *';
+
+describe('job routes', () => {
+  let api;
+  let registry;
+  let runs = 0;
+  let release;
+
+  before(async () => {
+    api = await startTestApi();
+    registry = await import('../../src/cron/job.registry.js');
+
+    registry.defineCronJob({
+      name: 'test-counter',
+      label: 'Test counter',
+      description: 'Counts its runs',
+      schedule: YEARLY,
+      task: async () => { runs++; }
+    });
+    registry.defineCronJob({
+      name: 'test-failing',
+      label: 'Test failing',
+      description: 'Always fails',
+      schedule: YEARLY,
+      task: async () => { throw new Error('Sensor bus offline'); }
+    });
+    registry.defineCronJob({
+      name: 'test-slow',
+      label: 'Test slow',
+      description: 'Runs until released',
+      schedule: YEARLY,
+      task: () => new Promise(resolve => { release = resolve; })
+    });
+  });
+
+  after(async () => {
+    await registry.stopAllCronJobs(1000);
+    await api.close();
+  });
+
+  it('lists the jobs with their schedule and next run', async () => {
+    const { status, body } = await api.request('GET', '/api/jobs', { role: 'observer' });
+
+    assert.equal(status, 200);
+    const job = body.jobs.find(entry => entry.name === 'test-counter');
+    assert.equal(job.schedule, YEARLY);
+    assert.equal(job.paused, false);
+    assert.ok(job.nextRunAt);
+  });
+
+  it('responds 404 JOB_NOT_FOUND for an unknown job', async () => {
+    const { status, body } = await api.request('POST', '/api/jobs/unknown/run');
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'JOB_NOT_FOUND');
+  });
+
+  it('forbids changing jobs to non-commanders', async () => {
+    const { status } = await api.request('POST', '/api/jobs/test-counter/pause', { role: 'quartermaster' });
+
+    assert.equal(status, 403);
+  });
+
+  it('runs a job on demand and reports the outcome of the last run', async () => {
+    const { status, body } = await api.request('POST', '/api/jobs/test-counter/run');
+
+    assert.equal(status, 200);
+    assert.equal(body.run.result, 'success');
+    assert.equal(body.job.lastResult, 'success');
+    assert.equal(runs, 1);
+
+    const failed = await api.request('POST', '/api/jobs/test-failing/run');
+    assert.equal(failed.body.run.result, 'failure');
+    const { body: state } = await api.request('GET', '/api/jobs/test-failing');
+    assert.equal(state.job.lastError, 'Sensor bus offline');
+    assert.equal(state.job.failures, 1);
+  });
+
+  it('refuses to start a job that is already running', async () => {
+    const first = api.request('POST', '/api/jobs/test-slow/run');
+    // Let the first request reach the job before the second one
+    while (!release) await new Promise(resolve => setTimeout(resolve, 10));
+
+    const { status, body } = await api.request('POST', '/api/jobs/test-slow/run');
+    assert.equal(status, 409);
+    assert.equal(body.code, 'JOB_RUNNING');
+
+    release();
+    assert.equal((await first).body.run.result, 'success');
+  });
+
+  it('pauses and resumes a job and persists the setting', async () => {
+    const paused = await api.request('POST', '/api/jobs/test-counter/pause');
+    assert.equal(paused.status, 200);
+    assert.equal(paused.body.job.paused, true);
+    assert.equal(paused.body.job.nextRunAt, null);
+    assert.equal(paused.body.job.updatedBy, 'test-commander');
+    assert.equal((await api.db.CronJob.findByPk('test-counter')).paused, true);
+
+    const again = await api.request('POST', '/api/jobs/test-counter/pause');
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'JOB_ALREADY_PAUSED');
+
+    // A paused job can still be run on demand
+    await api.request('POST', '/api/jobs/test-counter/run');
+    assert.equal(runs, 2);
+
+    const resumed = await api.request('POST', '/api/jobs/test-counter/resume');
+    assert.equal(resumed.body.job.paused, false);
+    assert.ok(resumed.body.job.nextRunAt);
+    assert.equal((await api.db.CronJob.findByPk('test-counter')).paused, false);
+  });
+
+  it('reschedules a job and restores its default schedule', async () => {
+    const invalid = await api.request('PUT', '/api/jobs/test-counter/schedule', { body: { schedule: 'every minute' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'INVALID_SCHEDULE');
+
+    const changed = await api.request('PUT', '/api/jobs/test-counter/schedule', { body: { schedule: '0 0 1 7 *' } });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.job.schedule, '0 0 1 7 *');
+    assert.equal(changed.body.job.defaultSchedule, YEARLY);
+    assert.equal((await api.db.CronJob.findByPk('test-counter')).schedule, '0 0 1 7 *');
+
+    const restored = await api.request('PUT', '/api/jobs/test-counter/schedule', { body: { schedule: null } });
+    assert.equal(restored.body.job.schedule, YEARLY);
+    assert.equal((await api.db.CronJob.findByPk('test-counter')).schedule, null);
+  });
+
+  it('applies persisted settings when a job is defined at startup', async () => {
+    await api.request('POST', '/api/jobs/test-failing/pause');
+    await api.request('PUT', '/api/jobs/test-failing/schedule', { body: { schedule: '0 0 1 7 *' } });
+    const { getJobSettingsService } = await import('../../src/services/job.service.js');
+
+    const job = registry.defineCronJob({
+      name: 'test-failing',
+      label: 'Test failing',
+      description: 'Always fails',
+      schedule: YEARLY,
+      task: async () => {}
+    }, await getJobSettingsService());
+
+    assert.equal(job.paused, true);
+    assert.equal(job.schedule, '0 0 1 7 *');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat } from '../helpers/fixtures.js';
+
+describe('location routes', () => {
+  let api;
+  let home;
+  let location;
+
+  before(async () => {
+    api = await startTestApi();
+    home = await createHabitat(api.db);
+    const other = await createHabitat(api.db);
+    location = await api.db.StorageLocation.create({ name: 'Tank B', type: 'tank', habitatId: other.id });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('rejects a non-numeric location ID with 400 VALIDATION_ERROR', async () => {
+    const { status, body } = await api.request('GET', '/api/locations/abc');
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.equal(body.details[0].path, 'params.id');
+  });
+
+  it('rejects the movements of a non-numeric location ID with 400 VALIDATION_ERROR', async () => {
+    const { status, body } = await api.request('GET', '/api/locations/abc/movements');
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+  });
+
+  it('rejects a transfer between the same location', async () => {
+    const { status, body } = await api.request('POST', '/api/locations/transfers', {
+      role: 'crew',
+      body: { resourceId: 1, fromLocationId: null, quantity: 5 }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.details[0].path, 'body.toLocationId');
+  });
+
+  it('does not return a location of another base', async () => {
+    const { status, body } = await api.request('GET', `/api/locations/${location.id}`, { headers: { 'X-Habitat': home.code } });
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'LOCATION_NOT_FOUND');
+  });
+
+  it('does not list the movements of a location of another base', async () => {
+    const { status } = await api.request('GET', `/api/locations/${location.id}/movements`, { headers: { 'X-Habitat': home.code } });
+
+    assert.equal(status, 404);
+  });
+
+  it('returns the location without a selector', async () => {
+    const { status, body } = await api.request('GET', `/api/locations/${location.id}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.location.name, 'Tank B');
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('spare parts routes', () => {
+  let api;
+  let spares;
+  let water;
+  let filter;
+  let valve;
+
+  const createPart = (body) => api.request('POST', '/api/parts', { role: 'quartermaster', body: { resourceId: spares.id, ...body } });
+  const consume = (part, body) => api.request('POST', `/api/parts/${part.id}/consume`, { role: 'crew', body });
+  const replenish = (part, body) => api.request('POST', `/api/parts/${part.id}/replenish`, { role: 'quartermaster', body });
+  const total = async () => (await spares.reload()).quantity;
+
+  before(async () => {
+    api = await startTestApi();
+    const habitat = await createHabitat(api.db);
+    // Total counted by hand before the catalog existed
+    spares = await createResource(api.db, { habitatId: habitat.id, name: 'Scrubber spares', category: 'spare_parts', quantity: 7 });
+    water = await createResource(api.db, { habitatId: habitat.id });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('rejects a critical level above the reorder level and parts of other categories', async () => {
+    const levels = await createPart({ partNumber: 'FLT-100', name: 'Filter', quantity: 10, reorderLevel: 2, criticalLevel: 4 });
+    assert.equal(levels.status, 400);
+    assert.equal(levels.body.code, 'INVALID_PART_LEVELS');
+
+    const category = await createPart({ resourceId: water.id, partNumber: 'FLT-100', name: 'Filter', quantity: 10 });
+    assert.equal(category.status, 400);
+    assert.equal(category.body.code, 'INVALID_PART_RESOURCE');
+  });
+
+  it('derives the resource total from its parts from the first part on', async () => {
+    const created = await createPart({
+      partNumber: 'flt-100',
+      name: 'Filter cartridge',
+      compatibleSystems: ['co2_scrubber'],
+      quantity: 10,
+      reorderLevel: 4,
+      criticalLevel: 2
+    });
+    assert.equal(created.status, 201);
+    filter = created.body.part;
+    assert.equal(filter.partNumber, 'FLT-100');
+    assert.equal(filter.status, 'normal');
+    assert.equal(await total(), 10);
+
+    const serial = await createPart({
+      partNumber: 'VLV-220',
+      name: 'Relief valve',
+      compatibleSystems: ['co2_scrubber', 'water_recovery'],
+      serialTracked: true,
+      serialNumbers: ['SN-1', 'SN-2', 'SN-3']
+    });
+    valve = serial.body.part;
+    assert.equal(valve.quantity, 3);
+    assert.equal(await total(), 13);
+
+    const entries = await api.db.ChangeHistory.findAll({ where: { resourceId: spares.resourceDataId }, order: [['id', 'ASC']] });
+    assert.deepEqual(entries.map(entry => [entry.changeType, entry.delta, entry.partId]), [
+      ['increase', 3, filter.id],
+      ['increase', 3, valve.id]
+    ]);
+
+    const taken = await createPart({ partNumber: 'FLT-100', name: 'Filter', quantity: 1 });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, 'PART_NUMBER_TAKEN');
+  });
+
+  it('only changes the total of a catalog-managed resource through its parts', async () => {
+    const { status, body } = await api.request('POST', `/api/resources/${spares.id}/consume`, {
+      role: 'crew',
+      body: { delta: -1, reason: 'meal' }
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'PART_CATALOG_MANAGED');
+    assert.equal(await total(), 13);
+  });
+
+  it('installs and returns serial-tracked units by serial number', async () => {
+    assert.equal((await consume(valve, { quantity: 1, reason: 'installation' })).body.code, 'SERIAL_NUMBERS_REQUIRED');
+    const incompatible = await consume(valve, { serialNumbers: ['SN-1'], reason: 'installation', installedIn: 'airlock' });
+    assert.equal(incompatible.body.code, 'INCOMPATIBLE_SYSTEM');
+
+    const installed = await consume(valve, { serialNumbers: ['SN-1'], reason: 'installation', installedIn: 'water_recovery' });
+    assert.equal(installed.status, 200);
+    assert.equal(installed.body.part.quantity, 2);
+    const item = installed.body.part.items.find(unit => unit.serialNumber === 'SN-1');
+    assert.equal(item.status, 'installed');
+    assert.equal(item.installedIn, 'water_recovery');
+    assert.equal(installed.body.entry.reason, 'installation');
+    assert.equal(await total(), 12);
+
+    const again = await consume(valve, { serialNumbers: ['SN-1'], reason: 'damaged' });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'PART_ITEM_NOT_IN_STOCK');
+
+    const returned = await replenish(valve, { serialNumbers: ['SN-1', 'SN-4'], reason: 'repaired' });
+    assert.equal(returned.status, 200);
+    assert.deepEqual(
+      returned.body.part.items.map(unit => [unit.serialNumber, unit.status]),
+      [['SN-1', 'in_stock'], ['SN-2', 'in_stock'], ['SN-3', 'in_stock'], ['SN-4', 'in_stock']]
+    );
+    assert.equal(await total(), 14);
+
+    const inStock = await replenish(valve, { serialNumbers: ['SN-2'], reason: 'resupply' });
+    assert.equal(inStock.body.code, 'PART_ITEM_IN_STOCK');
+  });
+
+  it('reports parts at or below their reorder and critical levels', async () => {
+    assert.equal((await consume(filter, { quantity: 11, reason: 'damaged' })).body.code, 'INSUFFICIENT_STOCK');
+
+    const low = await consume(filter, { quantity: 7, reason: 'damaged' });
+    assert.equal(low.body.part.status, 'low');
+    const reorder = await api.request('GET', '/api/parts?status=low');
+    assert.deepEqual(reorder.body.parts.map(part => part.partNumber), ['FLT-100']);
+
+    const critical = await consume(filter, { quantity: 1, reason: 'installation', installedIn: 'co2_scrubber' });
+    assert.equal(critical.body.part.status, 'critical');
+    assert.equal(await total(), 6);
+
+    const { body } = await api.request('GET', '/api/parts/systems');
+    assert.deepEqual(body.systems, [
+      { system: 'co2_scrubber', parts: 2, quantity: 6, belowReorder: 1 },
+      { system: 'water_recovery', parts: 1, quantity: 4, belowReorder: 0 }
+    ]);
+  });
+});
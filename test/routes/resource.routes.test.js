@@ -0,0 +1,219 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('resource routes', () => {
+  let api;
+  let habitat;
+  let resource;
+
+  before(async () => {
+    api = await startTestApi();
+    habitat = await createHabitat(api.db);
+    resource = await createResource(api.db, { habitatId: habitat.id, quantity: 100 });
+    const location = await api.db.StorageLocation.create({ name: 'Tank A', type: 'tank', habitatId: habitat.id });
+    await api.db.LocationStock.create({ locationId: location.id, resourceId: resource.id, quantity: 60, capacity: 80 });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('rejects a quantity below the stock held in locations with 409 QUANTITY_BELOW_ALLOCATED', async () => {
+    const { status, body } = await api.request('PUT', `/api/resources/${resource.id}/update-quantity`, {
+      body: { quantity: 50 }
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'QUANTITY_BELOW_ALLOCATED');
+    assert.deepEqual(body.details, { allocated: 60 });
+
+    await resource.reload();
+    assert.equal(resource.quantity, 100);
+  });
+
+  it('updates the quantity and records it in the history', async () => {
+    const { status, body } = await api.request('PUT', `/api/resources/${resource.id}/update-quantity`, {
+      body: { quantity: 70 }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.resource.quantity, 70);
+
+    const entry = await api.db.ChangeHistory.findOne({ where: { resourceId: resource.resourceDataId } });
+    assert.equal(entry.delta, -30);
+    assert.equal(entry.changeType, 'decrease');
+  });
+
+  // Water defaults: minimumLevel 50 < criticalLevel 80 < maximumLevel 500
+  it('derives critical at or below the minimum level and low at or below the critical level', async () => {
+    const expected = { 30: 'critical', 50: 'critical', 51: 'low', 80: 'low', 81: 'normal' };
+
+    for (const [quantity, status] of Object.entries(expected)) {
+      const water = await createResource(api.db, { habitatId: habitat.id, category: 'water', quantity: Number(quantity) });
+      const { body } = await api.request('GET', `/api/resources/${water.id}`);
+
+      assert.equal(body.resource.status, status, `quantity ${quantity}`);
+    }
+  });
+
+  it('derives the status from the per-resource levels', async () => {
+    const water = await createResource(api.db, { habitatId: habitat.id, category: 'water', quantity: 100 });
+
+    const { status, body } = await api.request('PUT', `/api/resources/${water.id}/levels`, {
+      role: 'quartermaster',
+      body: { minimumLevel: 100, criticalLevel: 150 }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.resource.status, 'critical');
+  });
+
+  it('rejects levels that are not ordered minimum < critical < maximum', async () => {
+    const { status, body } = await api.request('PUT', `/api/resources/${resource.id}/levels`, {
+      role: 'quartermaster',
+      body: { minimumLevel: 90, criticalLevel: 80 }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_LEVEL_ORDER');
+  });
+
+  it('rebuilds the levels in force at a past moment after a threshold change', async () => {
+    const water = await createResource(api.db, { habitatId: habitat.id, category: 'water', quantity: 60 });
+    await api.db.ChangeHistory.create({ resourceId: water.resourceDataId, stock: 60, changeType: 'snapshot' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const before = new Date();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await api.request('PUT', `/api/resources/${water.id}/levels`, {
+      role: 'quartermaster',
+      body: { minimumLevel: 70, criticalLevel: 90 }
+    });
+
+    const { status, body } = await api.request('GET', `/api/resources?at=${before.toISOString()}`);
+    assert.equal(status, 200);
+    const atBefore = body.resources.find(r => r.id === water.id);
+    assert.equal(atBefore.minimumLevel, 50);
+    assert.equal(atBefore.criticalLevel, 80);
+    assert.equal(atBefore.maximumLevel, 500);
+    assert.equal(atBefore.status, 'low');
+
+    const compared = await api.request('GET', `/api/resources/compare?from=${before.toISOString()}`);
+    const change = compared.body.resources.find(r => r.id === water.id);
+    assert.equal(change.from.status, 'low');
+    assert.equal(change.to.status, 'critical');
+  });
+
+  it('lists a base with the storage, deliveries and process flows of its own resources only', async () => {
+    const other = await createHabitat(api.db);
+    const [own, foreign] = await Promise.all([
+      createResource(api.db, { habitatId: habitat.id, category: 'oxygen', quantity: 9000 }),
+      createResource(api.db, { habitatId: other.id, category: 'oxygen', quantity: 9000 })
+    ]);
+    const electrolysis = await api.db.ProductionProcess.create({
+      name: 'OGA', type: 'electrolysis', efficiency: 1, status: 'running', lastRunAt: new Date()
+    });
+    await api.db.ProcessFlow.bulkCreate([
+      { processId: electrolysis.id, resourceId: own.id, direction: 'output', ratePerHour: 10 },
+      { processId: electrolysis.id, resourceId: foreign.id, direction: 'output', ratePerHour: 20 }
+    ]);
+
+    const { status, body } = await api.request('GET', '/api/resources', { headers: { 'X-Habitat': habitat.code } });
+
+    assert.equal(status, 200);
+    assert.ok(body.resources.every(r => r.habitatId === habitat.id));
+    const listed = body.resources.find(r => r.id === own.id);
+    assert.equal(listed.forecast.processFlowPerHour, 10);
+    assert.equal(body.resources.find(r => r.id === resource.id).storage.allocated, 60);
+  });
+
+  describe('consume and replenish', () => {
+    it('withdraws stock and records the movement in the ledger', async () => {
+      const water = await createResource(api.db, { habitatId: habitat.id, category: 'water', quantity: 200 });
+
+      const { status, body } = await api.request('POST', `/api/resources/${water.id}/consume`, {
+        role: 'crew',
+        body: { delta: -30, reason: 'meal' }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.resource.quantity, 170);
+      assert.equal(body.entry.changeType, 'consume');
+      assert.equal(body.entry.reason, 'meal');
+      assert.equal(body.entry.previousStock, 200);
+      assert.equal(body.entry.stock, 170);
+      assert.equal(body.entry.delta, -30);
+      assert.equal(body.entry.operator, 'test-crew');
+    });
+
+    it('adds stock with a replenish reason', async () => {
+      const water = await createResource(api.db, { habitatId: habitat.id, category: 'water', quantity: 200 });
+
+      const { status, body } = await api.request('POST', `/api/resources/${water.id}/replenish`, {
+        role: 'quartermaster',
+        body: { delta: 50, reason: 'resupply' }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.resource.quantity, 250);
+      assert.equal(body.entry.changeType, 'replenish');
+    });
+
+    it('rejects a withdrawal below zero with 409 INSUFFICIENT_STOCK and leaves the stock untouched', async () => {
+      const water = await createResource(api.db, { habitatId: habitat.id, category: 'water', quantity: 20 });
+
+      const { status, body } = await api.request('POST', `/api/resources/${water.id}/consume`, {
+        role: 'crew',
+        body: { delta: -21, reason: 'leak' }
+      });
+
+      assert.equal(status, 409);
+      assert.equal(body.code, 'INSUFFICIENT_STOCK');
+      assert.deepEqual(body.details, { available: 20 });
+      await water.reload();
+      assert.equal(water.quantity, 20);
+    });
+
+    it('rejects a delta with the wrong sign or a reason of the other operation', async () => {
+      const wrongSign = await api.request('POST', `/api/resources/${resource.id}/consume`, {
+        role: 'crew',
+        body: { delta: 5, reason: 'meal' }
+      });
+      const wrongReason = await api.request('POST', `/api/resources/${resource.id}/consume`, {
+        role: 'crew',
+        body: { delta: -5, reason: 'resupply' }
+      });
+
+      assert.equal(wrongSign.status, 400);
+      assert.equal(wrongSign.body.details[0].path, 'body.delta');
+      assert.equal(wrongReason.status, 400);
+      assert.equal(wrongReason.body.details[0].path, 'body.reason');
+    });
+
+    it('requires a location to withdraw stock that is held in storage locations', async () => {
+      const { body } = await api.request('GET', `/api/resources/${resource.id}`);
+      const unassigned = body.resource.storage.unassigned;
+
+      const { status, body: error } = await api.request('POST', `/api/resources/${resource.id}/consume`, {
+        role: 'crew',
+        body: { delta: -(unassigned + 1), reason: 'meal' }
+      });
+
+      assert.equal(status, 409);
+      assert.equal(error.code, 'LOCATION_REQUIRED');
+    });
+
+    it('lets crew consume but only quartermasters replenish', async () => {
+      const { status, body } = await api.request('POST', `/api/resources/${resource.id}/replenish`, {
+        role: 'crew',
+        body: { delta: 5, reason: 'resupply' }
+      });
+
+      assert.equal(status, 403);
+      assert.equal(body.code, 'FORBIDDEN');
+    });
+  });
+});
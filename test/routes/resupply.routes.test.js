@@ -0,0 +1,148 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('resupply routes', () => {
+  let api;
+  let habitat;
+  let resource;
+
+  before(async () => {
+    api = await startTestApi();
+    habitat = await createHabitat(api.db);
+    resource = await createResource(api.db, { habitatId: habitat.id });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('rejects a non-numeric mission ID with 400 VALIDATION_ERROR', async () => {
+    const { status, body } = await api.request('GET', '/api/resupply/abc');
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.equal(body.details[0].path, 'params.id');
+  });
+
+  it('responds 404 MISSION_NOT_FOUND for an unknown mission', async () => {
+    const { status, body } = await api.request('GET', '/api/resupply/999');
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'MISSION_NOT_FOUND');
+  });
+
+  it('rejects an unknown status filter', async () => {
+    const { status, body } = await api.request('GET', '/api/resupply?status=docked');
+
+    assert.equal(status, 400);
+    assert.equal(body.details[0].path, 'query.status');
+  });
+
+  it('responds 404 RESOURCE_DATA_NOT_FOUND for a manifest item of an unknown catalog entry', async () => {
+    const { status, body } = await api.request('POST', '/api/resupply', {
+      role: 'quartermaster',
+      body: {
+        name: 'Cargo 7',
+        launchDate: '2030-01-01T00:00:00Z',
+        arrivalDate: '2030-03-01T00:00:00Z',
+        manifest: [{ resourceDataId: 999, quantity: 10 }]
+      }
+    });
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'RESOURCE_DATA_NOT_FOUND');
+    assert.deepEqual(body.details, { resourceDataIds: [999] });
+  });
+
+  it('rejects a status change the mission lifecycle does not allow with 409 INVALID_TRANSITION', async () => {
+    const mission = await api.db.ResupplyMission.create({
+      name: 'Cargo 8',
+      launchDate: new Date('2030-01-01T00:00:00Z'),
+      arrivalDate: new Date('2030-03-01T00:00:00Z'),
+      status: 'lost',
+      createdBy: 'test-quartermaster'
+    });
+    await api.db.ManifestItem.create({ missionId: mission.id, resourceDataId: resource.resourceDataId, quantity: 5 });
+
+    const { status, body } = await api.request('PUT', `/api/resupply/${mission.id}/status`, {
+      role: 'quartermaster',
+      body: { status: 'arrived' }
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'INVALID_TRANSITION');
+  });
+
+  it('posts the manifest into inventory through the ledger when a mission arrives', async () => {
+    const created = await api.request('POST', '/api/resupply', {
+      role: 'quartermaster',
+      body: {
+        name: 'Cargo 9',
+        launchDate: '2030-01-01T00:00:00Z',
+        arrivalDate: '2030-03-01T00:00:00Z',
+        manifest: [{ resourceDataId: resource.resourceDataId, quantity: 25 }]
+      }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.mission.status, 'scheduled');
+    const missionId = created.body.mission.id;
+
+    const launched = await api.request('PUT', `/api/resupply/${missionId}/status`, {
+      role: 'quartermaster',
+      body: { status: 'in_transit' }
+    });
+    assert.equal(launched.status, 200);
+    assert.deepEqual(launched.body.entries, []);
+
+    const { status, body } = await api.request('PUT', `/api/resupply/${missionId}/status`, {
+      role: 'quartermaster',
+      body: { status: 'arrived' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.mission.status, 'arrived');
+    assert.ok(body.mission.arrivedAt);
+    assert.ok(body.mission.manifest[0].deliveredAt);
+    assert.equal(body.entries.length, 1);
+    assert.equal(body.entries[0].changeType, 'replenish');
+    assert.equal(body.entries[0].reason, 'resupply');
+    assert.equal(body.entries[0].delta, 25);
+    assert.equal(body.entries[0].operator, `resupply:${missionId} Cargo 9`);
+    await resource.reload();
+    assert.equal(resource.quantity, 125);
+  });
+
+  it('launches and delivers due missions with the clock, creating resources not tracked yet', async () => {
+    const { processResupplyArrivalsService } = await import('../../src/services/resupply.service.js');
+    const oxygen = await api.db.ResourceData.create({ name: 'Oxygen', category: 'oxygen', habitatId: habitat.id });
+    const due = await api.db.ResupplyMission.create({
+      name: 'Cargo 10',
+      launchDate: new Date(Date.now() - 2 * 86400000),
+      arrivalDate: new Date(Date.now() - 86400000),
+      createdBy: 'test-quartermaster'
+    });
+    await api.db.ManifestItem.create({ missionId: due.id, resourceDataId: oxygen.id, quantity: 30 });
+    const upcoming = await api.db.ResupplyMission.create({
+      name: 'Cargo 11',
+      launchDate: new Date(Date.now() - 86400000),
+      arrivalDate: new Date(Date.now() + 86400000),
+      createdBy: 'test-quartermaster'
+    });
+
+    const result = await processResupplyArrivalsService();
+
+    assert.equal(result.launched, 2);
+    assert.deepEqual(result.arrived, [{ missionId: due.id, name: 'Cargo 10', habitatIds: [habitat.id], entries: 1 }]);
+    assert.equal((await due.reload()).status, 'arrived');
+    assert.equal((await upcoming.reload()).status, 'in_transit');
+    const delivered = await api.db.Resource.findOne({ where: { resourceDataId: oxygen.id } });
+    assert.equal(delivered.quantity, 30);
+
+    // A second run finds nothing left to post
+    assert.deepEqual(await processResupplyArrivalsService(), { launched: 0, arrived: [] });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+// The sandbox routes are only mounted (and records only stamped with the simulated clock) in sandbox mode
+process.env.SANDBOX_MODE = 'true';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+describe('sandbox routes', () => {
+  let api;
+  let sandboxService;
+  let water;
+
+  before(async () => {
+    api = await startTestApi();
+    sandboxService = await import('../../src/services/sandbox.service.js');
+    const habitat = await createHabitat(api.db);
+    water = await createResource(api.db, { habitatId: habitat.id, quantity: 500 });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('forbids changing the clock to non-commanders', async () => {
+    const { status, body } = await api.request('PUT', '/api/sandbox/clock', { role: 'crew', body: { speed: 10 } });
+
+    assert.equal(status, 403);
+    assert.equal(body.success, false);
+  });
+
+  it('jumps the simulated clock to a given time', async () => {
+    const time = '2031-03-01T08:00:00.000Z';
+    const { status, body } = await api.request('PUT', '/api/sandbox/clock', { body: { speed: 1, time } });
+
+    assert.equal(status, 200);
+    assert.equal(body.clock.simulated, true);
+    assert.equal(body.clock.speed, 1);
+    assert.ok(Date.parse(body.clock.now) - Date.parse(time) < MS_PER_MINUTE);
+  });
+
+  it('applies an injected event on the drill tick and records it in simulated time', async () => {
+    const started = await api.request('POST', '/api/sandbox/drills', { body: { name: 'Water drain', speed: 1 } });
+    assert.equal(started.status, 201);
+    assert.equal(started.body.drill.status, 'running');
+    const drill = started.body.drill;
+
+    const again = await api.request('POST', '/api/sandbox/drills', { body: { speed: 1 } });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'DRILL_ALREADY_RUNNING');
+
+    const injected = await api.request('POST', '/api/sandbox/events', {
+      body: { type: 'drain', resourceId: water.id, unitsPerHour: 60, startMinute: 0 }
+    });
+    assert.equal(injected.status, 201);
+    assert.equal(injected.body.drill.events.length, 1);
+
+    // One simulated hour later the drain has taken 60 units
+    const oneHourLater = new Date(Date.parse(drill.simStartedAt) + 60 * MS_PER_MINUTE);
+    await api.request('PUT', '/api/sandbox/clock', { body: { time: oneHourLater.toISOString() } });
+    const tick = await sandboxService.advanceDrillService();
+
+    assert.equal(tick.drillId, drill.id);
+    assert.equal(tick.applied, 1);
+    await water.reload();
+    assert.equal(water.quantity, 440);
+
+    const entry = await api.db.ChangeHistory.findOne({ where: { resourceId: water.resourceDataId, source: 'sandbox' } });
+    assert.equal(entry.changeType, 'consume');
+    assert.equal(entry.delta, -60);
+    assert.equal(entry.operator, `drill:${drill.id}`);
+    assert.ok(Math.abs(entry.createdAt.getTime() - oneHourLater.getTime()) < MS_PER_MINUTE);
+
+    const stopped = await api.request('POST', `/api/sandbox/drills/${drill.id}/stop`);
+    assert.equal(stopped.status, 200);
+    assert.equal(stopped.body.drill.status, 'stopped');
+
+    const stoppedAgain = await api.request('POST', `/api/sandbox/drills/${drill.id}/stop`);
+    assert.equal(stoppedAgain.status, 409);
+    assert.equal(stoppedAgain.body.code, 'DRILL_NOT_RUNNING');
+  });
+
+  it('replays a drill from its inventory baseline with the same events', async () => {
+    const [original] = (await api.request('GET', '/api/sandbox/drills')).body.drills;
+
+    const { status, body } = await api.request('POST', `/api/sandbox/drills/${original.id}/replay`, { body: {} });
+
+    assert.equal(status, 201);
+    assert.equal(body.drill.replayOfId, original.id);
+    assert.deepEqual(body.drill.events, original.events);
+    await water.reload();
+    assert.equal(water.quantity, 500);
+
+    await api.request('POST', `/api/sandbox/drills/${body.drill.id}/stop`);
+  });
+
+  it('rejects injecting an event when no drill is running', async () => {
+    const { status, body } = await api.request('POST', '/api/sandbox/events', {
+      body: { type: 'step', resourceId: water.id, amount: -5 }
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'NO_RUNNING_DRILL');
+  });
+});
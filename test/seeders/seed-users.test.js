@@ -0,0 +1,63 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import bcrypt from 'bcryptjs';
+
+const require = createRequire(import.meta.url);
+const seeder = require('../../src/seeders/20251129000004-seed-users.cjs');
+
+describe('users seeder', () => {
+  const env = { ...process.env };
+  let inserted;
+
+  // Records the rows instead of writing them
+  const queryInterface = {
+    bulkInsert: async (table, rows) => {
+      inserted = rows;
+    }
+  };
+
+  beforeEach(() => {
+    inserted = null;
+    delete process.env.SEED_USER_PASSWORD;
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = env.NODE_ENV;
+    process.env.SEED_USER_PASSWORD = env.SEED_USER_PASSWORD;
+    if (env.NODE_ENV === undefined) delete process.env.NODE_ENV;
+    if (env.SEED_USER_PASSWORD === undefined) delete process.env.SEED_USER_PASSWORD;
+  });
+
+  it('fails outside development without SEED_USER_PASSWORD', async () => {
+    process.env.NODE_ENV = 'production';
+
+    await assert.rejects(seeder.up(queryInterface), /SEED_USER_PASSWORD is required/);
+    assert.equal(inserted, null);
+  });
+
+  it('rejects the development default outside development', async () => {
+    process.env.NODE_ENV = 'production';
+    process.env.SEED_USER_PASSWORD = 'ares-frontier';
+
+    await assert.rejects(seeder.up(queryInterface), /SEED_USER_PASSWORD is required/);
+  });
+
+  it('seeds one account per role with SEED_USER_PASSWORD', async () => {
+    process.env.NODE_ENV = 'production';
+    process.env.SEED_USER_PASSWORD = 'a-strong-seed-password';
+
+    await seeder.up(queryInterface);
+
+    assert.deepEqual(inserted.map(user => user.role), ['observer', 'crew', 'quartermaster', 'commander']);
+    assert.ok(await bcrypt.compare('a-strong-seed-password', inserted[0].passwordHash));
+  });
+
+  it('falls back to the development password in development', async () => {
+    process.env.NODE_ENV = 'development';
+
+    await seeder.up(queryInterface);
+
+    assert.ok(await bcrypt.compare('ares-frontier', inserted[0].passwordHash));
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('alert lifecycle', () => {
+  let api;
+  let alertService;
+  let resourceService;
+  let resource;
+
+  // Set the stock and enrich the resource as the monitoring cron passes it to syncAlertsService
+  // (water defaults: minimumLevel 50, criticalLevel 80)
+  const withQuantity = async (quantity) => {
+    await resource.update({ quantity });
+    const enriched = await resourceService.getResourceByIdService(resource.id);
+    return [enriched];
+  };
+
+  const activeAlerts = () => api.db.Alert.findAll({ where: { resourceId: resource.id, status: ['open', 'acknowledged'] } });
+
+  before(async () => {
+    api = await startTestApi();
+    alertService = await import('../../src/services/alert.service.js');
+    resourceService = await import('../../src/services/resource.service.js');
+    const habitat = await createHabitat(api.db);
+    resource = await createResource(api.db, { habitatId: habitat.id });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('opens, escalates and resolves an alert as the resource status changes', async () => {
+    let summary = await alertService.syncAlertsService(await withQuantity(60));
+    assert.deepEqual(summary, { opened: 1, updated: 0, resolved: 0 });
+    const [alert] = await activeAlerts();
+    assert.equal(alert.severity, 'low');
+    assert.equal(alert.thresholdLevel, 80);
+
+    summary = await alertService.syncAlertsService(await withQuantity(40));
+    assert.deepEqual(summary, { opened: 0, updated: 1, resolved: 0 });
+    await alert.reload();
+    assert.equal(alert.severity, 'critical');
+    assert.equal(alert.thresholdLevel, 50);
+
+    summary = await alertService.syncAlertsService(await withQuantity(120));
+    assert.deepEqual(summary, { opened: 0, updated: 0, resolved: 1 });
+    await alert.reload();
+    assert.equal(alert.status, 'resolved');
+    assert.equal(alert.resolvedQuantity, 120);
+  });
+
+  it('acknowledges open alerts only', async () => {
+    await alertService.syncAlertsService(await withQuantity(60));
+    const [alert] = await activeAlerts();
+
+    const acknowledged = await alertService.acknowledgeAlertService(alert.id, 'test-crew', 'On it');
+    assert.equal(acknowledged.status, 'acknowledged');
+    assert.equal(acknowledged.acknowledgedBy, 'test-crew');
+
+    await assert.rejects(
+      alertService.acknowledgeAlertService(alert.id, 'test-crew'),
+      { code: 'ALERT_NOT_OPEN', status: 409 }
+    );
+
+    await alertService.syncAlertsService(await withQuantity(120));
+  });
+
+  it('opens a single alert when two syncs overlap', async () => {
+    const resources = await withQuantity(60);
+    await Promise.all([
+      alertService.syncAlertsService(resources),
+      alertService.syncAlertsService(resources)
+    ]);
+
+    assert.equal((await activeAlerts()).length, 1);
+  });
+});
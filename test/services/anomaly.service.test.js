@@ -0,0 +1,133 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+describe('anomaly detection', () => {
+  let api;
+  let anomalyService;
+  let resourceService;
+  let dropTank;
+  let leakTank;
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * MS_PER_MINUTE);
+  const snapshot = (resource, minutes, stock) => ({
+    resourceId: resource.resourceDataId,
+    stock,
+    changeType: 'snapshot',
+    source: 'cron',
+    createdAt: minutesAgo(minutes)
+  });
+
+  // Enrich the resources as the monitoring cron passes them to detectAnomaliesService
+  // (water defaults: maximumLevel 500, so drops from 10 units and spikes from 2.5 units above the baseline)
+  const detect = async () => anomalyService.detectAnomaliesService(await Promise.all(
+    [dropTank, leakTank].map(resource => resourceService.getResourceByIdService(resource.id))
+  ));
+
+  const findAnomaly = (resource, type) => api.db.Anomaly.findOne({ where: { resourceId: resource.id, type } });
+
+  before(async () => {
+    api = await startTestApi();
+    anomalyService = await import('../../src/services/anomaly.service.js');
+    resourceService = await import('../../src/services/resource.service.js');
+    const habitat = await createHabitat(api.db);
+    dropTank = await createResource(api.db, { habitatId: habitat.id, quantity: 280 });
+    leakTank = await createResource(api.db, { habitatId: habitat.id, quantity: 9000 });
+
+    // 20 units missing between the last two snapshots, only 5 of them recorded as a meal
+    const dropHistory = [
+      snapshot(dropTank, 20, 300),
+      { resourceId: dropTank.resourceDataId, stock: 295, previousStock: 300, delta: -5, changeType: 'consume', reason: 'meal', source: 'api', createdAt: minutesAgo(15) },
+      snapshot(dropTank, 10, 280)
+    ];
+
+    // A day of snapshots every 10 minutes using 1 unit each, then 5 units each during the last hour
+    const leakHistory = [];
+    let stock = 10000;
+    for (let minutes = 25 * 60; minutes >= 0; minutes -= 10) {
+      stock -= minutes < 60 ? 5 : 1;
+      leakHistory.push(snapshot(leakTank, minutes, stock));
+    }
+
+    await api.db.ChangeHistory.bulkCreate([...dropHistory, ...leakHistory]);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('opens an unexplained drop and a rate spike', async () => {
+    const summary = await detect();
+
+    assert.deepEqual(summary, { detected: 2, updated: 0, resolved: 0 });
+    const drop = await findAnomaly(dropTank, 'unexplained_drop');
+    assert.equal(drop.status, 'open');
+    assert.equal(drop.dropQuantity, 15);
+    assert.equal(drop.quantity, 280);
+    const spike = await findAnomaly(leakTank, 'rate_spike');
+    assert.equal(spike.status, 'open');
+    assert.equal(spike.observedRate, 30);
+    assert.equal(spike.baselineRate, 6);
+    assert.equal(await findAnomaly(leakTank, 'unexplained_drop'), null);
+  });
+
+  it('does not report the same drop twice and updates the ongoing spike', async () => {
+    const summary = await detect();
+
+    assert.deepEqual(summary, { detected: 0, updated: 1, resolved: 0 });
+    assert.equal(await api.db.Anomaly.count(), 2);
+  });
+
+  it('moves an anomaly through acknowledged to resolved', async () => {
+    const drop = await findAnomaly(dropTank, 'unexplained_drop');
+
+    const acknowledged = await api.request('PUT', `/api/anomalies/${drop.id}/acknowledge`, {
+      role: 'crew',
+      body: { note: 'Checking the valve log' }
+    });
+    assert.equal(acknowledged.status, 200);
+    assert.equal(acknowledged.body.anomaly.status, 'acknowledged');
+    assert.equal(acknowledged.body.anomaly.acknowledgedBy, 'test-crew');
+
+    const again = await api.request('PUT', `/api/anomalies/${drop.id}/acknowledge`, { role: 'crew', body: {} });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'ANOMALY_NOT_OPEN');
+
+    const resolved = await api.request('PUT', `/api/anomalies/${drop.id}/resolve`, { role: 'crew' });
+    assert.equal(resolved.body.anomaly.status, 'resolved');
+
+    const resolvedAgain = await api.request('PUT', `/api/anomalies/${drop.id}/resolve`, { role: 'crew' });
+    assert.equal(resolvedAgain.status, 409);
+    assert.equal(resolvedAgain.body.code, 'ANOMALY_ALREADY_RESOLVED');
+  });
+
+  it('resolves the spike once the category sensitivity no longer flags the rate', async () => {
+    const { status, body } = await api.request('PUT', '/api/anomalies/settings/water', {
+      role: 'quartermaster',
+      body: { rateFactor: 10 }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.settings.rateFactor, 10);
+    assert.equal(body.settings.settingSource.rateFactor, 'custom');
+
+    const summary = await detect();
+
+    assert.deepEqual(summary, { detected: 0, updated: 0, resolved: 1 });
+    const spike = await findAnomaly(leakTank, 'rate_spike');
+    assert.equal(spike.status, 'resolved');
+    assert.equal(spike.resolvedBy, null);
+  });
+
+  it('skips disabled categories', async () => {
+    await api.request('PUT', '/api/anomalies/settings/water', {
+      role: 'quartermaster',
+      body: { enabled: false, rateFactor: null }
+    });
+
+    assert.deepEqual(await detect(), { detected: 0, updated: 0, resolved: 0 });
+  });
+});
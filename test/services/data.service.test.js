@@ -0,0 +1,68 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('history import', () => {
+  let api;
+  let dataService;
+  let home;
+  let outpost;
+  let homeWater;
+  let outpostWater;
+
+  const ndjson = (rows) => rows.map(row => JSON.stringify(row)).join('\n');
+  const row = (values) => ({ stock: 40, createdAt: '2026-01-01T00:00:00.000Z', ...values });
+
+  before(async () => {
+    api = await startTestApi();
+    dataService = await import('../../src/services/data.service.js');
+    [home, outpost] = await Promise.all([createHabitat(api.db), createHabitat(api.db)]);
+    // Same name in both bases, as an inter-base transfer leaves it
+    homeWater = await createResource(api.db, { habitatId: home.id, name: 'Potable water' });
+    outpostWater = await createResource(api.db, { habitatId: outpost.id, name: 'Potable water' });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('rejects a resource name that exists in several bases when no base is selected', async () => {
+    const report = await dataService.importHistoryService({
+      format: 'ndjson',
+      content: ndjson([row({ resourceName: 'Potable water' })]),
+      importedBy: 'test-quartermaster'
+    });
+
+    assert.equal(report.imported, 0);
+    assert.equal(report.errors[0].line, 1);
+    assert.match(report.errors[0].errors[0], /exists in several bases/);
+  });
+
+  it('matches resource names in the selected base only', async () => {
+    const report = await dataService.importHistoryService({
+      format: 'ndjson',
+      content: ndjson([row({ resourceName: 'Potable water' })]),
+      importedBy: 'test-quartermaster',
+      habitatId: outpost.id
+    });
+
+    assert.equal(report.imported, 1);
+    const imported = await api.db.ChangeHistory.findAll({ where: { source: 'import' } });
+    assert.deepEqual(imported.map(record => record.resourceId), [outpostWater.resourceDataId]);
+  });
+
+  it('rejects resource IDs of another base when a base is selected', async () => {
+    const report = await dataService.importHistoryService({
+      format: 'ndjson',
+      content: ndjson([row({ resourceId: homeWater.resourceDataId })]),
+      dryRun: true,
+      importedBy: 'test-quartermaster',
+      habitatId: outpost.id
+    });
+
+    assert.equal(report.valid, 0);
+    assert.match(report.errors[0].errors[0], /does not exist/);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('mission state', () => {
+  let api;
+  let missionService;
+  let resourceService;
+  let habitat;
+  let water;
+  let food;
+  const rules = {};
+
+  // Set the stock and re-evaluate as the monitoring cron does (water levels: minimum 50, critical 80)
+  const syncWith = async (quantities) => {
+    for (const [resource, quantity] of quantities) {
+      await resource.update({ quantity });
+    }
+    return missionService.syncMissionStateService(await resourceService.getAllResourcesService());
+  };
+
+  const createRule = async (body) => {
+    const response = await api.request('POST', '/api/mission/rules', { body });
+    assert.equal(response.status, 201);
+    return response.body;
+  };
+
+  before(async () => {
+    api = await startTestApi();
+    missionService = await import('../../src/services/mission.service.js');
+    resourceService = await import('../../src/services/resource.service.js');
+    habitat = await createHabitat(api.db);
+    water = await createResource(api.db, { habitatId: habitat.id, quantity: 300 });
+    food = await createResource(api.db, { habitatId: habitat.id, category: 'food', quantity: 1000 });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('rejects rules without the field their condition needs', async () => {
+    const status = await api.request('POST', '/api/mission/rules', {
+      body: { name: 'Water low', state: 'caution', condition: 'status' }
+    });
+    assert.equal(status.status, 400);
+    assert.equal(status.body.code, 'RULE_STATUS_REQUIRED');
+
+    const days = await api.request('POST', '/api/mission/rules', {
+      body: { name: 'Short on supply', state: 'caution', condition: 'days_of_supply' }
+    });
+    assert.equal(days.status, 400);
+    assert.equal(days.body.code, 'RULE_DAYS_REQUIRED');
+  });
+
+  it('stays nominal while no rule is met', async () => {
+    assert.equal(await syncWith([[water, 60]]), null);
+
+    const { body } = await api.request('GET', '/api/mission/state', { role: 'observer' });
+    assert.deepEqual(body.mission, { state: 'nominal', since: null, reasons: [] });
+  });
+
+  it('re-evaluates the state as soon as a rule is created', async () => {
+    const { rule, mission } = await createRule({
+      name: 'Water low', state: 'caution', condition: 'status', category: 'water', status: 'low'
+    });
+    rules.caution = rule;
+
+    assert.equal(mission.state, 'caution');
+    assert.deepEqual(mission.reasons, [{
+      ruleId: rule.id,
+      name: 'Water low',
+      state: 'caution',
+      condition: 'status',
+      matches: [{ resourceId: water.id, name: water.resourceData.name, category: 'water', value: 'low' }]
+    }]);
+  });
+
+  it('moves to the most severe state among the rules that are met, once per change', async () => {
+    ({ rule: rules.emergency } = await createRule({
+      name: 'Water critical', state: 'emergency', condition: 'status', category: 'water', status: 'critical'
+    }));
+
+    const transition = await syncWith([[water, 40]]);
+
+    assert.equal(transition.fromState, 'caution');
+    assert.equal(transition.toState, 'emergency');
+    // A 'low' rule is also met by critical resources
+    assert.deepEqual(transition.reasons.map(reason => reason.state), ['emergency', 'caution']);
+    assert.equal(await syncWith([]), null);
+  });
+
+  it('ignores disabled rules and applies them once enabled', async () => {
+    ({ rule: rules.evacuation } = await createRule({
+      name: 'Anomaly', state: 'evacuation', condition: 'open_anomaly', enabled: false
+    }));
+    await api.db.Anomaly.create({
+      resourceId: food.id,
+      type: 'unexplained_drop',
+      status: 'open',
+      detectedAt: new Date(),
+      lastDetectedAt: new Date(),
+      windowStart: new Date(Date.now() - 600000),
+      windowEnd: new Date(),
+      quantity: 1000,
+      dropQuantity: 30
+    });
+    assert.equal(await syncWith([]), null);
+
+    const { status, body } = await api.request('PUT', `/api/mission/rules/${rules.evacuation.id}`, {
+      body: { enabled: true }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.mission.state, 'evacuation');
+    assert.deepEqual(body.mission.reasons[0].matches.map(match => match.resourceId), [food.id]);
+  });
+
+  it('steps back down as rules are removed and stocks recover', async () => {
+    const deleted = await api.request('DELETE', `/api/mission/rules/${rules.evacuation.id}`);
+    assert.equal(deleted.body.mission.state, 'emergency');
+
+    const transition = await syncWith([[water, 300]]);
+    assert.equal(transition.toState, 'nominal');
+    assert.deepEqual(transition.reasons, []);
+
+    const { body } = await api.request('GET', '/api/mission/transitions', { role: 'observer' });
+    assert.deepEqual(
+      body.transitions.map(entry => `${entry.fromState}->${entry.toState}`),
+      ['emergency->nominal', 'evacuation->emergency', 'emergency->evacuation', 'caution->emergency', 'nominal->caution']
+    );
+  });
+
+  it('counts categories whose crew days of supply fall below the rule', async () => {
+    await api.db.ConsumptionRate.create({ category: 'water', dailyPerCapita: 3 });
+    await api.db.CrewMember.create({
+      name: 'Ada',
+      status: 'active',
+      arrivalDate: new Date('2026-01-01T00:00:00Z'),
+      habitatId: habitat.id
+    });
+
+    const { mission } = await createRule({ name: 'Water for a month', state: 'caution', condition: 'days_of_supply', days: 30 });
+    // 300 L for one member drinking 3 L a day
+    assert.equal(mission.state, 'nominal');
+
+    const transition = await syncWith([[water, 84]]);
+    assert.equal(transition.toState, 'caution');
+    assert.deepEqual(transition.reasons[0].matches, [{ habitatId: habitat.id, category: 'water', value: 28 }]);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { createHabitat, createResource } from '../helpers/fixtures.js';
+
+describe('production process status', () => {
+  let api;
+  let processService;
+  let water;
+  let oxygen;
+  let processId;
+
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  // Pretend the last tick was an hour ago, so the next run posts one hour of flows
+  const rewindLastRun = () => api.db.ProductionProcess.update({ lastRunAt: hoursAgo(1) }, { where: { id: processId } });
+
+  const runOnce = async () => {
+    const results = await processService.runProductionProcessesService();
+    return results.find(result => result.processId === processId);
+  };
+
+  before(async () => {
+    api = await startTestApi();
+    processService = await import('../../src/services/process.service.js');
+    const habitat = await createHabitat(api.db);
+    water = await createResource(api.db, { habitatId: habitat.id, category: 'water', quantity: 5 });
+    oxygen = await createResource(api.db, { habitatId: habitat.id, category: 'oxygen', quantity: 0 });
+
+    const process = await processService.createProcessService({
+      name: 'Electrolysis A',
+      type: 'electrolysis',
+      efficiency: 1,
+      flows: [
+        { resourceId: water.id, direction: 'input', ratePerHour: 10 },
+        { resourceId: oxygen.id, direction: 'output', ratePerHour: 8 }
+      ]
+    });
+    processId = process.id;
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('is created stopped and starts running', async () => {
+    assert.equal((await processService.getProcessByIdService(processId)).status, 'stopped');
+
+    const process = await processService.startProcessService(processId, 'test-crew');
+
+    assert.equal(process.status, 'running');
+    assert.equal(process.statusChangedBy, 'test-crew');
+    await assert.rejects(processService.startProcessService(processId, 'test-crew'), { code: 'PROCESS_ALREADY_RUNNING' });
+  });
+
+  it('starves without posting anything when an input is short', async () => {
+    await rewindLastRun();
+
+    const result = await runOnce();
+
+    assert.equal(result.previousStatus, 'running');
+    assert.equal(result.status, 'starved');
+    assert.deepEqual(result.entries, []);
+    const process = await processService.getProcessByIdService(processId);
+    assert.equal(process.statusChangedBy, 'system');
+    assert.match(process.statusReason, /^Insufficient /);
+    await water.reload();
+    assert.equal(water.quantity, 5);
+  });
+
+  it('does not count starved processes in the net rates', async () => {
+    const rates = await processService.getProcessNetRatesService();
+
+    assert.equal(rates[oxygen.id].netPerHour, 0);
+    assert.equal(rates[oxygen.id].processes[0].status, 'starved');
+  });
+
+  it('resumes running once the inputs are available again', async () => {
+    await water.update({ quantity: 50 });
+    await rewindLastRun();
+
+    const result = await runOnce();
+
+    assert.equal(result.previousStatus, 'starved');
+    assert.equal(result.status, 'running');
+    await Promise.all([water.reload(), oxygen.reload()]);
+    assert.equal(water.quantity, 40);
+    assert.equal(oxygen.quantity, 8);
+  });
+
+  it('posts the final interval and stops in the same run, and cannot be stopped twice', async () => {
+    await rewindLastRun();
+
+    const { process, entries } = await processService.stopProcessService(processId, 'test-commander', 'maintenance');
+
+    assert.deepEqual(entries.map(entry => entry.delta), [-10, 8]);
+    assert.equal(process.status, 'stopped');
+    assert.equal(process.statusChangedBy, 'test-commander');
+    assert.equal(process.statusReason, 'maintenance');
+    await assert.rejects(processService.stopProcessService(processId, 'test-commander'), { code: 'PROCESS_NOT_RUNNING' });
+  });
+
+  it('is not run by the cron while stopped', async () => {
+    await rewindLastRun();
+
+    assert.equal(await runOnce(), undefined);
+  });
+});
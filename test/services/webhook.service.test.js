@@ -0,0 +1,59 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestApi } from '../helpers/api.js';
+import { WEBHOOK_SETTINGS } from '../../src/constants/webhook.constants.js';
+
+describe('webhook delivery retention', () => {
+  let api;
+  let webhookService;
+  let webhook;
+
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const createDelivery = async (status, createdAt) => {
+    const delivery = await api.db.WebhookDelivery.create({
+      webhookId: webhook.id,
+      eventId: `evt-${status}-${createdAt.getTime()}`,
+      event: 'resource:snapshot',
+      payload: {},
+      status
+    });
+    await api.db.sequelize.query('UPDATE webhook_deliveries SET "createdAt" = ? WHERE id = ?', {
+      replacements: [createdAt, delivery.id]
+    });
+    return delivery;
+  };
+
+  before(async () => {
+    api = await startTestApi();
+    webhookService = await import('../../src/services/webhook.service.js');
+    webhook = await api.db.Webhook.create({
+      url: 'http://localhost:3999/hook',
+      events: ['*'],
+      secret: 'test-secret',
+      createdBy: 'test-commander'
+    });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('deletes finished deliveries older than the retention and keeps pending and recent ones', async () => {
+    const old = daysAgo(WEBHOOK_SETTINGS.deliveryRetentionDays + 1);
+    const kept = await Promise.all([
+      createDelivery('pending', old),
+      createDelivery('succeeded', daysAgo(1)),
+      createDelivery('failed', daysAgo(1))
+    ]);
+    await createDelivery('succeeded', old);
+    await createDelivery('failed', old);
+
+    const deleted = await webhookService.pruneWebhookDeliveriesService();
+
+    assert.equal(deleted, 2);
+    const remaining = await api.db.WebhookDelivery.findAll({ order: [['id', 'ASC']] });
+    assert.deepEqual(remaining.map(delivery => delivery.id), kept.map(delivery => delivery.id));
+  });
+});
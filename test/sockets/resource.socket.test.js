@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { registerResourceSocketHandlers } from '../../src/sockets/resource.socket.js';
+
+// Minimal stand-in for a Socket.IO socket: records handlers and joined rooms
+const createSocket = (habitat = null) => {
+  const handlers = {};
+  const rooms = new Set();
+
+  return {
+    data: { habitat },
+    rooms,
+    on: (event, handler) => { handlers[event] = handler; },
+    join: (room) => [].concat(room).forEach(r => rooms.add(r)),
+    leave: (room) => rooms.delete(room),
+    // Emit a client event and resolve with the ack payload
+    emit: (event, payload) => new Promise(resolve => handlers[event](payload, resolve)),
+    // Emit a client event with arbitrary arguments (e.g. without an ack callback)
+    trigger: (event, ...args) => handlers[event](...args)
+  };
+};
+
+const resourcesOf = (habitatId, ids) => async () => ids.map(id => ({
+  id,
+  habitatId,
+  resourceData: { category: 'water' }
+}));
+
+describe('resource socket subscriptions', () => {
+  it('joins the global rooms on a socket not scoped to a base', async () => {
+    const socket = createSocket();
+    registerResourceSocketHandlers(socket, resourcesOf(1, [1, 2]));
+
+    const ack = await socket.emit('subscribe', { all: true, categories: ['water'], habitatIds: [2], resourceIds: [9] });
+
+    assert.equal(ack.success, true);
+    assert.deepEqual(ack.rooms, ['resources:all', 'category:water', 'resource:9', 'habitat:2']);
+    assert.ok(socket.rooms.has('habitats:all:events'));
+  });
+
+  it('maps all and categories to the base rooms of a scoped socket', async () => {
+    const socket = createSocket({ id: 1 });
+    registerResourceSocketHandlers(socket, resourcesOf(1, [1, 2]));
+
+    const ack = await socket.emit('subscribe', { all: true, categories: ['water'], habitatIds: [1], resourceIds: [2] });
+
+    assert.equal(ack.success, true);
+    assert.deepEqual(ack.rooms, ['habitat:1', 'habitat:1:category:water', 'resource:2', 'habitat:1']);
+    assert.ok(socket.rooms.has('habitat:1:events'));
+  });
+
+  it('refuses another base in habitatIds on a scoped socket', async () => {
+    const socket = createSocket({ id: 1 });
+    registerResourceSocketHandlers(socket, resourcesOf(1, [1, 2]));
+
+    const ack = await socket.emit('subscribe', { habitatIds: [2] });
+
+    assert.equal(ack.success, false);
+    assert.ok(!socket.rooms.has('habitat:2'));
+  });
+
+  it('refuses resources of another base on a scoped socket', async () => {
+    const socket = createSocket({ id: 1 });
+    registerResourceSocketHandlers(socket, resourcesOf(1, [1, 2]));
+
+    const ack = await socket.emit('subscribe', { resourceIds: [2, 7] });
+
+    assert.equal(ack.success, false);
+    assert.match(ack.message, /7/);
+    assert.ok(!socket.rooms.has('resource:2'));
+    assert.ok(!socket.rooms.has('resource:7'));
+  });
+
+  it('rejects invalid categories', async () => {
+    const socket = createSocket();
+    registerResourceSocketHandlers(socket, resourcesOf(1, []));
+
+    const ack = await socket.emit('subscribe', { categories: ['plutonium'] });
+
+    assert.equal(ack.success, false);
+  });
+
+  it('treats a null payload as an empty subscription', async () => {
+    const socket = createSocket();
+    registerResourceSocketHandlers(socket, resourcesOf(1, [1]));
+
+    const subscribed = await socket.emit('subscribe', null);
+    const unsubscribed = await socket.emit('unsubscribe', null);
+    const resynced = await socket.emit('resync', null);
+
+    assert.equal(subscribed.success, true);
+    assert.deepEqual(subscribed.rooms, []);
+    assert.equal(unsubscribed.success, true);
+    assert.equal(resynced.success, true);
+    assert.equal(resynced.full, true);
+  });
+
+  it('handles events sent without an ack callback', async () => {
+    const socket = createSocket();
+    registerResourceSocketHandlers(socket, resourcesOf(1, [1]));
+
+    await socket.trigger('subscribe', { all: true });
+    socket.trigger('unsubscribe', { all: true }, 'not-a-callback');
+    await socket.trigger('resync');
+
+    assert.ok(!socket.rooms.has('resources:all'));
+  });
+
+  it('acks a failure when loading the resources throws', async () => {
+    const socket = createSocket({ id: 1 });
+    registerResourceSocketHandlers(socket, async () => { throw new Error('database unavailable'); });
+
+    const subscribed = await socket.emit('subscribe', { resourceIds: [1] });
+    const resynced = await socket.emit('resync', {});
+
+    assert.deepEqual(subscribed, { success: false, message: 'Subscribe failed' });
+    assert.deepEqual(resynced, { success: false, message: 'Resync failed' });
+  });
+});
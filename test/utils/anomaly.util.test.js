@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSnapshotIntervals, detectUnexplainedDrop, evaluateConsumptionRate } from '../../src/utils/anomaly.util.js';
+
+const T0 = Date.parse('2026-03-01T00:00:00.000Z');
+const at = (minute) => new Date(T0 + minute * 60 * 1000);
+
+const snapshot = (minute, stock) => ({ changeType: 'snapshot', stock, delta: null, reason: null, createdAt: at(minute) });
+const movement = (minute, changeType, delta, reason = null) => ({ changeType, delta, reason, createdAt: at(minute) });
+
+/**
+ * Snapshots every 10 minutes from minute 0 to `minutes`, consuming `perSnapshot(minute)` units between them
+ */
+const steadySeries = (minutes, perSnapshot, stock = 10000) => {
+  const records = [];
+  for (let minute = 0; minute <= minutes; minute += 10) {
+    if (minute > 0) stock -= perSnapshot(minute);
+    records.push(snapshot(minute, stock));
+  }
+  return records;
+};
+
+const RATE_OPTIONS = { windowMinutes: 60, rateFactor: 2, zScore: 3, minExcess: 10, stepThreshold: 50 };
+
+describe('buildSnapshotIntervals', () => {
+  it('splits the ledger between snapshots and separates explained from unexplained change', () => {
+    const intervals = buildSnapshotIntervals([
+      snapshot(0, 300),
+      movement(2, 'replenish', 40, 'resupply'),
+      movement(4, 'consume', -30, 'meal'),
+      movement(6, 'production', 5),
+      movement(7, 'update', -20),
+      snapshot(10, 280)
+    ]);
+
+    assert.equal(intervals.length, 1);
+    assert.deepEqual(intervals[0], {
+      start: at(0),
+      end: at(10),
+      stockStart: 300,
+      stockEnd: 280,
+      change: -20,
+      inflow: 45,
+      explained: 15,
+      consumption: 65,
+      unexplained: -35
+    });
+  });
+
+  it('returns no intervals without two snapshots', () => {
+    assert.deepEqual(buildSnapshotIntervals(undefined), []);
+    assert.deepEqual(buildSnapshotIntervals([snapshot(0, 10), movement(1, 'consume', -1, 'meal')]), []);
+  });
+});
+
+describe('detectUnexplainedDrop', () => {
+  it('reports the latest interval when its unexplained drop reaches the threshold', () => {
+    const intervals = buildSnapshotIntervals([snapshot(0, 300), movement(5, 'consume', -5, 'meal'), snapshot(10, 280)]);
+
+    assert.deepEqual(detectUnexplainedDrop(intervals, 15), {
+      windowStart: at(0),
+      windowEnd: at(10),
+      dropQuantity: 15,
+      quantity: 280
+    });
+    assert.equal(detectUnexplainedDrop(intervals, 16), null);
+  });
+
+  it('ignores drops that recorded movements explain', () => {
+    const intervals = buildSnapshotIntervals([snapshot(0, 300), movement(5, 'consume', -20, 'leak'), snapshot(10, 280)]);
+
+    assert.equal(detectUnexplainedDrop(intervals, 1), null);
+  });
+});
+
+describe('evaluateConsumptionRate', () => {
+  const end = 25 * 60;
+
+  it('needs enough baseline windows with data', () => {
+    const intervals = buildSnapshotIntervals(steadySeries(120, () => 1));
+
+    const result = evaluateConsumptionRate(intervals, { now: at(120), ...RATE_OPTIONS });
+
+    assert.equal(result.status, 'insufficient_data');
+    assert.equal(result.observedRate, 6);
+    assert.equal(result.baselineRate, null);
+  });
+
+  it('keeps a steady rate normal', () => {
+    const intervals = buildSnapshotIntervals(steadySeries(end, () => 1));
+
+    const result = evaluateConsumptionRate(intervals, { now: at(end), ...RATE_OPTIONS });
+
+    assert.equal(result.status, 'normal');
+    assert.equal(result.baselineWindows, 24);
+    assert.equal(result.observedRate, 6);
+    assert.equal(result.baselineRate, 6);
+  });
+
+  it('flags a sustained rate well above the baseline as a spike', () => {
+    const intervals = buildSnapshotIntervals(steadySeries(end, minute => (minute > end - 60 ? 5 : 1)));
+
+    const result = evaluateConsumptionRate(intervals, { now: at(end), ...RATE_OPTIONS });
+
+    assert.equal(result.status, 'spike');
+    assert.equal(result.observedRate, 30);
+    assert.equal(result.baselineRate, 6);
+    assert.equal(result.dropQuantity, 24);
+  });
+
+  it('leaves a single step drop to detectUnexplainedDrop', () => {
+    const intervals = buildSnapshotIntervals(steadySeries(end, minute => (minute === end ? 101 : 1)));
+
+    const result = evaluateConsumptionRate(intervals, { now: at(end), ...RATE_OPTIONS });
+
+    assert.equal(result.status, 'normal');
+    assert.equal(result.observedRate, 5);
+  });
+});
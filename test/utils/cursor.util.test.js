@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeCursor, decodeCursor } from '../../src/utils/cursor.util.js';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips the createdAt and id of a record', () => {
+    const cursor = decodeCursor(encodeCursor({ createdAt: new Date('2026-03-14T12:00:00.123Z'), id: 42, stock: 7 }));
+
+    assert.deepEqual(cursor, { createdAt: new Date('2026-03-14T12:00:00.123Z'), id: 42 });
+  });
+
+  it('accepts a createdAt string as stored by the database', () => {
+    const cursor = decodeCursor(encodeCursor({ createdAt: '2026-03-14 12:00:00.123 +00:00', id: 1 }));
+
+    assert.equal(cursor.createdAt.toISOString(), '2026-03-14T12:00:00.123Z');
+  });
+
+  it('produces URL-safe tokens', () => {
+    const token = encodeCursor({ createdAt: new Date('2026-03-14T12:00:00Z'), id: 1 });
+
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+  });
+});
+
+describe('decodeCursor', () => {
+  it('returns null for tokens that are not JSON', () => {
+    assert.equal(decodeCursor('not-a-cursor'), null);
+    assert.equal(decodeCursor(''), null);
+  });
+
+  it('returns null for an invalid date', () => {
+    assert.equal(decodeCursor(encode(['yesterday', 1])), null);
+  });
+
+  it('returns null for an id that is not a positive integer', () => {
+    const createdAt = '2026-03-14T12:00:00.000Z';
+
+    assert.equal(decodeCursor(encode([createdAt, 0])), null);
+    assert.equal(decodeCursor(encode([createdAt, 1.5])), null);
+    assert.equal(decodeCursor(encode([createdAt, '1'])), null);
+  });
+
+  it('returns null for JSON that is not a [createdAt, id] pair', () => {
+    assert.equal(decodeCursor(encode({ createdAt: '2026-03-14T12:00:00.000Z', id: 1 })), null);
+    assert.equal(decodeCursor(encode(null)), null);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  fitConsumptionRate,
+  removeNonConsumptionFlow,
+  projectStockAt,
+  toDeliveryOffsets,
+  buildForecast
+} from '../../src/utils/forecast.util.js';
+
+const NOW = new Date('2026-03-14T12:00:00.000Z');
+const LEVELS = { minimumLevel: 100, criticalLevel: 200 };
+
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000);
+const hoursAhead = (hours) => new Date(NOW.getTime() + hours * 60 * 60 * 1000);
+
+// One cron snapshot per hour over the last `hours` hours, losing `rate` units per hour
+const snapshots = (hours, start, rate) => Array.from({ length: hours + 1 }, (_, i) => ({
+  stock: start - rate * i,
+  changeType: 'snapshot',
+  delta: null,
+  createdAt: hoursAgo(hours - i)
+}));
+
+describe('fitConsumptionRate', () => {
+  it('fits the slope of a linear series', () => {
+    const fit = fitConsumptionRate(snapshots(10, 1000, 5));
+
+    assert.equal(fit.sufficient, true);
+    assert.ok(Math.abs(fit.slope + 5) < 1e-9);
+    assert.ok(fit.standardError < 1e-9);
+    assert.equal(fit.samples, 11);
+    assert.equal(fit.spanHours, 10);
+  });
+
+  it('needs a minimum number of samples', () => {
+    const fit = fitConsumptionRate(snapshots(1, 1000, 5));
+
+    assert.equal(fit.sufficient, false);
+    assert.equal(fit.reason, 'too_few_samples');
+  });
+
+  it('needs a minimum span between the first and last sample', () => {
+    const samples = [0, 1, 2].map(minutes => ({
+      stock: 1000 - minutes,
+      createdAt: new Date(NOW.getTime() + minutes * 60 * 1000)
+    }));
+
+    const fit = fitConsumptionRate(samples);
+
+    assert.equal(fit.sufficient, false);
+    assert.equal(fit.reason, 'span_too_short');
+  });
+});
+
+describe('removeNonConsumptionFlow', () => {
+  it('shifts later samples by replenishments, transfers, corrections and production', () => {
+    const samples = removeNonConsumptionFlow([
+      { stock: 1000, changeType: 'snapshot', createdAt: hoursAgo(4) },
+      { stock: 1500, changeType: 'replenish', reason: 'resupply', delta: 500, createdAt: hoursAgo(3) },
+      { stock: 1450, changeType: 'production', delta: -50, createdAt: hoursAgo(2) },
+      { stock: 1470, changeType: 'consume', reason: 'correction', delta: 20, createdAt: hoursAgo(1) },
+      { stock: 1570, changeType: 'increase', delta: 100, createdAt: hoursAgo(0) }
+    ]);
+
+    assert.deepEqual(samples.map(s => s.stock), [1000, 1000, 1000, 1000, 1000]);
+  });
+
+  it('keeps crew consumption, leaks and snapshot drift in the series', () => {
+    const samples = removeNonConsumptionFlow([
+      { stock: 1000, changeType: 'snapshot', createdAt: hoursAgo(3) },
+      { stock: 990, changeType: 'consume', reason: 'meal', delta: -10, createdAt: hoursAgo(2) },
+      { stock: 970, changeType: 'consume', reason: 'leak', delta: -20, createdAt: hoursAgo(1) },
+      { stock: 960, changeType: 'snapshot', createdAt: hoursAgo(0) }
+    ]);
+
+    assert.deepEqual(samples.map(s => s.stock), [1000, 990, 970, 960]);
+  });
+});
+
+describe('projectStockAt', () => {
+  it('adds deliveries on arrival and never goes below zero', () => {
+    const deliveries = [{ hours: 20, quantity: 300 }];
+
+    assert.equal(projectStockAt(100, 10, deliveries, 5), 50);
+    // Empty at hour 10, the delivery at hour 20 starts from zero
+    assert.equal(projectStockAt(100, 10, deliveries, 20), 300);
+    assert.equal(projectStockAt(100, 10, deliveries, 25), 250);
+  });
+});
+
+describe('toDeliveryOffsets', () => {
+  it('converts arrival dates to sorted hour offsets, overdue ones arriving now', () => {
+    const offsets = toDeliveryOffsets([
+      { arrivalDate: hoursAhead(10), quantity: 5 },
+      { arrivalDate: hoursAgo(2), quantity: 7 }
+    ], NOW);
+
+    assert.deepEqual(offsets, [{ hours: 0, quantity: 7 }, { hours: 10, quantity: 5 }]);
+  });
+});
+
+describe('buildForecast', () => {
+  it('keeps depleting when a replenish lands inside the window', () => {
+    const history = snapshots(10, 1000, 10);
+    // Restock of 400 five hours ago: every later snapshot sits 400 higher
+    history.forEach((sample, i) => {
+      if (i >= 5) sample.stock += 400;
+    });
+    history.splice(5, 0, {
+      stock: history[4].stock - 5 + 400,
+      changeType: 'replenish',
+      reason: 'resupply',
+      delta: 400,
+      createdAt: new Date(history[4].createdAt.getTime() + 30 * 60 * 1000)
+    });
+
+    const forecast = buildForecast({ quantity: 1300, levels: LEVELS, history, windowHours: 24, now: NOW });
+
+    assert.equal(forecast.status, 'depleting');
+    assert.equal(forecast.consumptionPerHour, 10);
+    assert.equal(forecast.projections.empty.hoursRemaining, 130);
+    assert.equal(forecast.daysOfSupply, 5.42);
+  });
+
+  it('nets the flow of running processes against the fitted consumption', () => {
+    const forecast = buildForecast({
+      quantity: 1000,
+      levels: LEVELS,
+      history: snapshots(10, 1100, 10),
+      processFlow: { netPerHour: 4, processes: [] },
+      now: NOW
+    });
+
+    assert.equal(forecast.grossConsumptionPerHour, 10);
+    assert.equal(forecast.processFlowPerHour, 4);
+    assert.equal(forecast.consumptionPerHour, 6);
+  });
+
+  it('pushes depletion past the arrival of a pending delivery', () => {
+    const forecast = buildForecast({
+      quantity: 1000,
+      levels: LEVELS,
+      history: snapshots(10, 1100, 10),
+      deliveries: [{ missionId: 1, name: 'Cargo', arrivalDate: hoursAhead(50), quantity: 500 }],
+      now: NOW
+    });
+
+    assert.equal(forecast.projections.empty.hoursRemaining, 150);
+    assert.equal(forecast.survivesUntilNextDelivery, true);
+    assert.equal(forecast.nextDelivery.missionId, 1);
+  });
+
+  it('reports insufficient data with too few samples', () => {
+    const forecast = buildForecast({ quantity: 1000, levels: LEVELS, history: [], now: NOW });
+
+    assert.equal(forecast.status, 'insufficient_data');
+    assert.equal(forecast.insufficientReason, 'too_few_samples');
+    assert.equal(forecast.daysOfSupply, null);
+  });
+});
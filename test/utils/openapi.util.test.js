@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+
+import { zodToOpenApi, zodToParameters } from '../../src/utils/openapi.util.js';
+
+describe('zodToOpenApi', () => {
+  it('converts objects with their required keys and field checks', () => {
+    const schema = z.object({
+      name: z.string().min(1).max(40),
+      quantity: z.number().int().nonnegative(),
+      note: z.string().nullable().optional(),
+      category: z.enum(['water', 'food'])
+    });
+
+    assert.deepEqual(zodToOpenApi(schema), {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 40 },
+        quantity: { type: 'integer', minimum: 0 },
+        note: { type: 'string', nullable: true },
+        category: { type: 'string', enum: ['water', 'food'] }
+      },
+      required: ['name', 'quantity', 'category']
+    });
+  });
+
+  it('keeps defaults and looks through refinements', () => {
+    const schema = z.number().positive().default(24).refine(hours => hours < 1000);
+
+    assert.deepEqual(zodToOpenApi(schema), {
+      type: 'number',
+      minimum: 0,
+      exclusiveMinimum: true,
+      default: 24
+    });
+  });
+});
+
+describe('zodToParameters', () => {
+  it('marks path parameters as required and query parameters by optionality', () => {
+    const query = z.object({ from: z.coerce.date(), limit: z.coerce.number().int().optional() })
+      .refine(data => data.from !== undefined);
+
+    assert.deepEqual(zodToParameters(query, 'query', { from: 'Start of the window' }), [
+      { name: 'from', in: 'query', required: true, schema: { type: 'string', format: 'date-time' }, description: 'Start of the window' },
+      { name: 'limit', in: 'query', required: false, schema: { type: 'integer' } }
+    ]);
+    assert.equal(zodToParameters(z.object({ id: z.coerce.number() }), 'path')[0].required, true);
+  });
+});
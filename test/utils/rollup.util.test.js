@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  truncateToBucket,
+  aggregateSamples,
+  mergeBuckets,
+  rollupRecords,
+  selectResolution
+} from '../../src/utils/rollup.util.js';
+import { HISTORY_SETTINGS } from '../../src/constants/resource.constants.js';
+
+const NOW = new Date('2026-03-14T12:00:00.000Z');
+
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000);
+const daysAgo = (days) => hoursAgo(days * 24);
+
+describe('truncateToBucket', () => {
+  it('truncates to the start of the UTC hour or day', () => {
+    assert.equal(truncateToBucket('2026-03-14T12:34:56.789Z', 'hour').toISOString(), '2026-03-14T12:00:00.000Z');
+    assert.equal(truncateToBucket('2026-03-14T23:59:59.999Z', 'day').toISOString(), '2026-03-14T00:00:00.000Z');
+  });
+
+  it('leaves a date already on a bucket boundary unchanged', () => {
+    assert.equal(truncateToBucket(NOW, 'hour').getTime(), NOW.getTime());
+  });
+});
+
+describe('aggregateSamples', () => {
+  it('summarizes the stock of the records in order', () => {
+    const summary = aggregateSamples([{ stock: 10 }, { stock: 4 }, { stock: '16' }]);
+
+    assert.deepEqual(summary, { min: 4, max: 16, avg: 10, first: 10, last: 16, samples: 3 });
+  });
+});
+
+describe('mergeBuckets', () => {
+  it('weights the average by the samples of each bucket', () => {
+    const merged = mergeBuckets([
+      { min: 5, max: 15, avg: 10, first: 15, last: 5, samples: 3 },
+      { min: 1, max: 40, avg: 20, first: 40, last: 1, samples: 1 }
+    ]);
+
+    assert.deepEqual(merged, { min: 1, max: 40, avg: 12.5, first: 15, last: 1, samples: 4 });
+  });
+
+  it('gives the same result as aggregating the raw records at once', () => {
+    const records = [9, 7, 8, 3, 6].map(stock => ({ stock }));
+
+    assert.deepEqual(
+      mergeBuckets([aggregateSamples(records.slice(0, 2)), aggregateSamples(records.slice(2))]),
+      aggregateSamples(records)
+    );
+  });
+});
+
+describe('rollupRecords', () => {
+  it('groups records by resource and bucket', () => {
+    const records = [
+      { resourceId: 1, stock: 10, createdAt: '2026-03-14T10:05:00Z' },
+      { resourceId: 2, stock: 50, createdAt: '2026-03-14T10:10:00Z' },
+      { resourceId: 1, stock: 8, createdAt: '2026-03-14T10:55:00Z' },
+      { resourceId: 1, stock: 6, createdAt: '2026-03-14T11:00:00Z' }
+    ];
+
+    const rows = rollupRecords(records, 'hour', r => r.createdAt, aggregateSamples);
+
+    assert.equal(rows.length, 3);
+    assert.deepEqual(
+      rows.map(r => [r.resourceId, r.bucketStart.toISOString(), r.first, r.last, r.samples]),
+      [
+        [1, '2026-03-14T10:00:00.000Z', 10, 8, 2],
+        [2, '2026-03-14T10:00:00.000Z', 50, 50, 1],
+        [1, '2026-03-14T11:00:00.000Z', 6, 6, 1]
+      ]
+    );
+  });
+
+  it('merges hourly buckets into daily ones with mergeBuckets', () => {
+    const hourly = [
+      { resourceId: 1, bucketStart: new Date('2026-03-13T22:00:00Z'), min: 2, max: 4, avg: 3, first: 4, last: 2, samples: 2 },
+      { resourceId: 1, bucketStart: new Date('2026-03-14T01:00:00Z'), min: 1, max: 1, avg: 1, first: 1, last: 1, samples: 1 },
+      { resourceId: 1, bucketStart: new Date('2026-03-14T05:00:00Z'), min: 3, max: 5, avg: 4, first: 5, last: 3, samples: 1 }
+    ];
+
+    const rows = rollupRecords(hourly, 'day', r => r.bucketStart, mergeBuckets);
+
+    assert.deepEqual(rows.map(r => [r.bucketStart.toISOString(), r.samples, r.avg]), [
+      ['2026-03-13T00:00:00.000Z', 2, 3],
+      ['2026-03-14T00:00:00.000Z', 2, 2.5]
+    ]);
+  });
+});
+
+describe('selectResolution', () => {
+  it('uses raw records for short ranges inside the raw retention window', () => {
+    assert.equal(selectResolution(hoursAgo(HISTORY_SETTINGS.rawMaxSpanHours), NOW, NOW), 'raw');
+  });
+
+  it('uses hourly rollups for short ranges older than the raw retention', () => {
+    const from = daysAgo(HISTORY_SETTINGS.rawRetentionDays + 1);
+
+    assert.equal(selectResolution(from, new Date(from.getTime() + 60 * 60 * 1000), NOW), 'hour');
+  });
+
+  it('uses hourly rollups up to hourlyMaxSpanDays and daily rollups beyond', () => {
+    assert.equal(selectResolution(daysAgo(HISTORY_SETTINGS.hourlyMaxSpanDays), NOW, NOW), 'hour');
+    assert.equal(selectResolution(daysAgo(HISTORY_SETTINGS.hourlyMaxSpanDays + 1), NOW, NOW), 'day');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+
+import { signWebhookPayload, verifyWebhookSignature, getRetryDelayMs } from '../../src/utils/webhook.util.js';
+import { WEBHOOK_SETTINGS } from '../../src/constants/webhook.constants.js';
+
+const SECRET = 'test-secret';
+const TIMESTAMP = 1773489600;
+const BODY = JSON.stringify({ id: 'evt-1', event: 'ping', data: {} });
+
+describe('signWebhookPayload', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256 of the secret', () => {
+    const expected = createHmac('sha256', SECRET).update(`${TIMESTAMP}.${BODY}`).digest('hex');
+
+    assert.equal(signWebhookPayload(SECRET, TIMESTAMP, BODY), `sha256=${expected}`);
+  });
+
+  it('changes with the secret, the timestamp and the body', () => {
+    const signature = signWebhookPayload(SECRET, TIMESTAMP, BODY);
+
+    assert.notEqual(signWebhookPayload('other-secret', TIMESTAMP, BODY), signature);
+    assert.notEqual(signWebhookPayload(SECRET, TIMESTAMP + 1, BODY), signature);
+    assert.notEqual(signWebhookPayload(SECRET, TIMESTAMP, `${BODY} `), signature);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  it('accepts the signature of the same secret, timestamp and body', () => {
+    const signature = signWebhookPayload(SECRET, TIMESTAMP, BODY);
+
+    assert.equal(verifyWebhookSignature(SECRET, TIMESTAMP, BODY, signature), true);
+  });
+
+  it('rejects a signature made with another secret or for a tampered body', () => {
+    assert.equal(verifyWebhookSignature(SECRET, TIMESTAMP, BODY, signWebhookPayload('other-secret', TIMESTAMP, BODY)), false);
+    assert.equal(verifyWebhookSignature(SECRET, TIMESTAMP, '{}', signWebhookPayload(SECRET, TIMESTAMP, BODY)), false);
+  });
+
+  it('rejects missing or malformed signatures without throwing', () => {
+    assert.equal(verifyWebhookSignature(SECRET, TIMESTAMP, BODY, undefined), false);
+    assert.equal(verifyWebhookSignature(SECRET, TIMESTAMP, BODY, 'sha256=abc'), false);
+  });
+});
+
+describe('getRetryDelayMs', () => {
+  it('doubles the base delay after each attempt', () => {
+    const base = WEBHOOK_SETTINGS.baseDelaySeconds * 1000;
+
+    assert.equal(getRetryDelayMs(1), base);
+    assert.equal(getRetryDelayMs(2), base * 2);
+    assert.equal(getRetryDelayMs(3), base * 4);
+  });
+
+  it('caps the delay at maxDelaySeconds', () => {
+    assert.equal(getRetryDelayMs(50), WEBHOOK_SETTINGS.maxDelaySeconds * 1000);
+  });
+});